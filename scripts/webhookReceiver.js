@@ -0,0 +1,55 @@
+/**
+ * Mock receiver for trying out webhooks locally. Prints every delivery and
+ * whether its signature is valid.
+ *
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js [port]
+ *
+ * Register http://localhost:<port>/ as the webhook URL. Set
+ * WEBHOOK_RECEIVER_FAIL=true to answer with 500 and watch the retries.
+ */
+import http from "http";
+import {
+  WEBHOOK_SIGNATURE_HEADER,
+  verifyWebhookSignature,
+} from "../src/utils/webhookSignature.js";
+
+const port = parseInt(process.argv[2] || process.env.PORT || "4000", 10);
+const secret = process.env.WEBHOOK_SECRET;
+const fail = process.env.WEBHOOK_RECEIVER_FAIL === "true";
+
+const server = http.createServer((req, res) => {
+  let body = "";
+
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+
+  req.on("end", () => {
+    const signature = req.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()];
+    const verified = secret
+      ? verifyWebhookSignature(secret, body, signature)
+      : "unchecked (no WEBHOOK_SECRET)";
+
+    console.log(
+      `[${new Date().toISOString()}] ${req.headers["x-webhook-event"]} ` +
+        `delivery ${req.headers["x-webhook-delivery"]}, signature ${verified}`
+    );
+    console.log(body);
+
+    if (fail) {
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      return res.end("Failing on purpose");
+    }
+    if (verified === false) {
+      res.writeHead(401, { "Content-Type": "text/plain" });
+      return res.end("Invalid signature");
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock webhook receiver listening on http://localhost:${port}/`);
+});
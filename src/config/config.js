@@ -8,9 +8,102 @@ const config = {
   jwtExpire: process.env.JWT_EXPIRE || "30d",
   jwtCookieExpire: parseInt(process.env.JWT_COOKIE_EXPIRE || "30", 10),
   googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY,
+
+  // Routing provider: "google", "local" (estimate from stored coordinates) or
+  // "auto" to use Google when an API key is set and fall back to local
+  routingProvider: process.env.ROUTING_PROVIDER || "auto",
+  // Road distance is estimated as straight-line distance times this factor
+  routingDetourFactor: parseFloat(process.env.ROUTING_DETOUR_FACTOR || "1.3"),
+  routingAverageSpeedKmh: parseFloat(
+    process.env.ROUTING_AVERAGE_SPEED_KMH || "60"
+  ),
+  // Manual distances deviating more than this (in %) from the calculated
+  // route are flagged for the approver
+  distanceDeviationThreshold: parseFloat(
+    process.env.DISTANCE_DEVIATION_THRESHOLD || "20"
+  ),
+  // Expenses on the same route whose distance or amount differs by at most
+  // this (in %), or that are at most this many days apart, are near duplicates
+  duplicateTolerancePercent: parseFloat(
+    process.env.DUPLICATE_TOLERANCE_PERCENT || "10"
+  ),
+  duplicateDateWindowDays: parseInt(
+    process.env.DUPLICATE_DATE_WINDOW_DAYS || "1",
+    10
+  ),
+  // Periodic jobs, see utils/scheduledJobs.js. Instances with the scheduler
+  // disabled still serve the job API.
+  jobSchedulerEnabled: process.env.JOB_SCHEDULER_ENABLED !== "false",
+  jobTickSeconds: parseInt(process.env.JOB_TICK_SECONDS || "60", 10),
+  // Outbound webhooks: deliveries time out after webhookTimeoutMs and are
+  // retried with a doubling delay until webhookMaxAttempts
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "5000", 10),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "6", 10),
+  webhookRetryBaseSeconds: parseInt(
+    process.env.WEBHOOK_RETRY_BASE_SECONDS || "30",
+    10
+  ),
+  // Email transport: "smtp", "json" (written to the log) or "file" (.eml
+  // files in emailOutputDir), the last two for local testing. Queued emails
+  // are retried with a doubling delay until emailMaxAttempts.
+  emailTransport: process.env.EMAIL_TRANSPORT || "smtp",
+  emailOutputDir: process.env.EMAIL_OUTPUT_DIR || "tmp/emails",
+  emailMaxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS || "5", 10),
+  emailRetryBaseSeconds: parseInt(
+    process.env.EMAIL_RETRY_BASE_SECONDS || "60",
+    10
+  ),
+  // Real-time event stream (/api/v1/stream): keep-alive interval, how many
+  // recent events reconnecting clients can resume from, and how long the
+  // stream-only tokens for EventSource clients are valid
+  streamHeartbeatSeconds: parseInt(
+    process.env.STREAM_HEARTBEAT_SECONDS || "25",
+    10
+  ),
+  streamHistorySize: parseInt(process.env.STREAM_HISTORY_SIZE || "1000", 10),
+  streamTokenExpireMinutes: parseInt(
+    process.env.STREAM_TOKEN_EXPIRE_MINUTES || "60",
+    10
+  ),
+  // How long place details and routes are kept in the route cache
+  routeCacheTtlHours: parseFloat(process.env.ROUTE_CACHE_TTL_HOURS || "720"),
+  // Days MongoDB keeps finished job runs, sent or failed emails and webhook
+  // deliveries, and notifications. Read when the TTL indexes are created, a
+  // changed value needs the index to be dropped first. Budget alerts are
+  // raised once per level as long as their notification exists, so keep
+  // notifications longer than a yearly budget period.
+  jobRunRetentionDays: parseInt(process.env.JOB_RUN_RETENTION_DAYS || "30", 10),
+  outboxRetentionDays: parseInt(process.env.OUTBOX_RETENTION_DAYS || "90", 10),
+  webhookDeliveryRetentionDays: parseInt(
+    process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || "90",
+    10
+  ),
+  notificationRetentionDays: parseInt(
+    process.env.NOTIFICATION_RETENTION_DAYS || "400",
+    10
+  ),
+
   defaultCostPerKm: parseFloat(process.env.DEFAULT_COST_PER_KM || "0.70"),
-  baseUrl: process.env.BASE_URL || "http://localhost:5000",
-  apiInternalToken: process.env.API_INTERNAL_TOKEN,
+  // Reports, budgets and analytics are kept in this currency
+  baseCurrency: "CHF",
+
+  // Expense attachment configuration
+  attachmentStorage: process.env.ATTACHMENT_STORAGE || "local",
+  attachmentDir: process.env.ATTACHMENT_DIR || "uploads/attachments",
+  maxAttachmentSize: parseInt(
+    process.env.MAX_ATTACHMENT_SIZE || `${5 * 1024 * 1024}`,
+    10
+  ),
+  maxAttachmentsPerUpload: parseInt(
+    process.env.MAX_ATTACHMENTS_PER_UPLOAD || "5",
+    10
+  ),
+  allowedAttachmentTypes: (
+    process.env.ALLOWED_ATTACHMENT_TYPES ||
+    "image/jpeg,image/png,application/pdf"
+  )
+    .split(",")
+    .map((type) => type.trim()),
 
   // Gemini AI configuration
   geminiApiKey: process.env.GEMINI_API_KEY,
@@ -1553,6 +1553,7 @@ export const getExpensesWithFilters = asyncHandler(async (req, res, next) => {
     minDistance,
     maxDistance,
     status,
+    types,
     sortBy = "journeyDate",
     sortOrder = "desc",
     page = 1,
@@ -1630,6 +1631,18 @@ export const getExpensesWithFilters = asyncHandler(async (req, res, next) => {
     filterConditions.push({ status });
   }
 
+  // Expense type filter (mileage, meal, lodging, ...)
+  if (types) {
+    const typeList = types.split(",").map((type) => type.trim());
+
+    // Expenses recorded before expense types existed have no type and are mileage
+    if (typeList.includes("mileage")) {
+      typeList.push(null);
+    }
+
+    filterConditions.push({ type: { $in: typeList } });
+  }
+
   // Build the filter object based on the operator
   let filter;
   if (filterOperator === "OR" && filterConditions.length > 1) {
@@ -1672,7 +1685,7 @@ export const getExpensesWithFilters = asyncHandler(async (req, res, next) => {
       expenses.reduce((sum, exp) => sum + exp.totalCost, 0).toFixed(2)
     ),
     totalDistance: parseFloat(
-      expenses.reduce((sum, exp) => sum + exp.distance, 0).toFixed(2)
+      expenses.reduce((sum, exp) => sum + (exp.distance || 0), 0).toFixed(2)
     ),
     avgCost:
       expenses.length > 0
@@ -1687,7 +1700,7 @@ export const getExpensesWithFilters = asyncHandler(async (req, res, next) => {
       expenses.length > 0
         ? parseFloat(
             (
-              expenses.reduce((sum, exp) => sum + exp.distance, 0) /
+              expenses.reduce((sum, exp) => sum + (exp.distance || 0), 0) /
               expenses.length
             ).toFixed(2)
           )
@@ -1,10 +1,36 @@
 import asyncHandler from "express-async-handler";
 import ErrorResponse from "../utils/errorResponse.js";
-import Expense from "../models/Expense.js";
+import Expense, {
+  DRAFT_EXPENSE_STATUS,
+  MILEAGE_EXPENSE_TYPE,
+} from "../models/Expense.js";
 import Category from "../models/Category.js";
 import User from "../models/User.js";
 import Setting from "../models/Setting.js";
 import mongoose from "mongoose";
+import config from "../config/config.js";
+import { getVisibleUserFilter, canViewUserData } from "../utils/teamAccess.js";
+import {
+  ANOMALY_DEFAULTS,
+  detectAnomalies,
+} from "../utils/anomalyDetection.js";
+
+// Drafts of recurring trips are not spending until their owner confirms them
+const countedExpensesFilter = { status: { $ne: DRAFT_EXPENSE_STATUS } };
+
+// Expenses recorded before expense types existed have no type and are mileage
+const expenseTypeExpression = { $ifNull: ["$type", MILEAGE_EXPENSE_TYPE] };
+
+// Expenses from before multi-currency support were all paid in the base currency
+const currencyExpression = { $ifNull: ["$currency", config.baseCurrency] };
+const isMileageExpression = {
+  $eq: [expenseTypeExpression, MILEAGE_EXPENSE_TYPE],
+};
+
+// Distance averages only make sense for mileage, flat-amount expenses have no route
+const mileageDistanceExpression = {
+  $cond: [isMileageExpression, "$distance", null],
+};
 
 /**
  * Helper function to get date range for different period types
@@ -92,6 +118,7 @@ export const getExpensesByTimePeriod = asyncHandler(async (req, res, next) => {
 
   // Build the match condition for the aggregation
   const matchCondition = {
+    ...countedExpensesFilter,
     journeyDate: {
       $gte: new Date(`${year}-01-01`),
       $lte: new Date(`${year}-12-31T23:59:59.999Z`),
@@ -115,9 +142,16 @@ export const getExpensesByTimePeriod = asyncHandler(async (req, res, next) => {
           year: yearFilter,
         },
         totalExpenses: { $sum: 1 },
+        mileageExpenses: { $sum: { $cond: [isMileageExpression, 1, 0] } },
         totalDistance: { $sum: "$distance" },
         totalCost: { $sum: "$totalCost" },
-        avgDistance: { $avg: "$distance" },
+        mileageCost: {
+          $sum: { $cond: [isMileageExpression, "$totalCost", 0] },
+        },
+        flatAmountCost: {
+          $sum: { $cond: [isMileageExpression, 0, "$totalCost"] },
+        },
+        avgDistance: { $avg: mileageDistanceExpression },
         avgCost: { $avg: "$totalCost" },
         minCost: { $min: "$totalCost" },
         maxCost: { $max: "$totalCost" },
@@ -132,8 +166,11 @@ export const getExpensesByTimePeriod = asyncHandler(async (req, res, next) => {
         period: "$_id.period",
         year: "$_id.year",
         totalExpenses: 1,
+        mileageExpenses: 1,
         totalDistance: 1,
         totalCost: 1,
+        mileageCost: 1,
+        flatAmountCost: 1,
         avgDistance: 1,
         avgCost: 1,
         minCost: 1,
@@ -148,6 +185,8 @@ export const getExpensesByTimePeriod = asyncHandler(async (req, res, next) => {
     // Round decimal values for better readability
     totalDistance: Math.round(item.totalDistance * 100) / 100,
     totalCost: Math.round(item.totalCost * 100) / 100,
+    mileageCost: Math.round(item.mileageCost * 100) / 100,
+    flatAmountCost: Math.round(item.flatAmountCost * 100) / 100,
     avgDistance: Math.round(item.avgDistance * 100) / 100,
     avgCost: Math.round(item.avgCost * 100) / 100,
     minCost: Math.round(item.minCost * 100) / 100,
@@ -173,11 +212,26 @@ export const getExpensesByTimePeriod = asyncHandler(async (req, res, next) => {
     totalCost:
       Math.round(summary.reduce((sum, item) => sum + item.totalCost, 0) * 100) /
       100,
+    mileageCost:
+      Math.round(
+        summary.reduce((sum, item) => sum + item.mileageCost, 0) * 100
+      ) / 100,
+    flatAmountCost:
+      Math.round(
+        summary.reduce((sum, item) => sum + item.flatAmountCost, 0) * 100
+      ) / 100,
   };
 
+  const mileageExpenses = summary.reduce(
+    (sum, item) => sum + item.mileageExpenses,
+    0
+  );
+
   if (totals.totalExpenses > 0) {
     totals.avgDistance =
-      Math.round((totals.totalDistance / totals.totalExpenses) * 100) / 100;
+      mileageExpenses > 0
+        ? Math.round((totals.totalDistance / mileageExpenses) * 100) / 100
+        : 0;
     totals.avgCost =
       Math.round((totals.totalCost / totals.totalExpenses) * 100) / 100;
   }
@@ -279,6 +333,7 @@ export const getExpensesForPeriod = asyncHandler(async (req, res, next) => {
 
   // Query filter
   const filter = {
+    ...countedExpensesFilter,
     journeyDate: {
       $gte: startDate,
       $lte: endDate,
@@ -346,13 +401,19 @@ export const getExpensesForPeriod = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Only mileage expenses contribute distance
+  const mileageExpenses = expenses.filter(
+    (expense) => expense.type === MILEAGE_EXPENSE_TYPE
+  );
+  const totalDistance = mileageExpenses.reduce(
+    (sum, expense) => sum + expense.distance,
+    0
+  );
+
   // Calculate summaries
   const summary = {
     totalExpenses: expenses.length,
-    totalDistance:
-      Math.round(
-        expenses.reduce((sum, expense) => sum + expense.distance, 0) * 100
-      ) / 100,
+    totalDistance: Math.round(totalDistance * 100) / 100,
     totalCost:
       Math.round(
         expenses.reduce((sum, expense) => sum + expense.totalCost, 0) * 100
@@ -366,12 +427,8 @@ export const getExpensesForPeriod = asyncHandler(async (req, res, next) => {
           ) / 100
         : 0,
     averageDistance:
-      expenses.length > 0
-        ? Math.round(
-            (expenses.reduce((sum, expense) => sum + expense.distance, 0) /
-              expenses.length) *
-              100
-          ) / 100
+      mileageExpenses.length > 0
+        ? Math.round((totalDistance / mileageExpenses.length) * 100) / 100
         : 0,
   };
 
@@ -403,11 +460,14 @@ export const getExpensesForPeriod = asyncHandler(async (req, res, next) => {
       periodInfo,
       expenses: expenses.map((expense) => ({
         id: expense._id,
+        type: expense.type,
         date: expense.journeyDate,
         from: expense.startingPoint,
         to: expense.destinationPoint,
         distance: expense.distance,
         cost: expense.totalCost,
+        currency: expense.currency || config.baseCurrency,
+        originalAmount: expense.originalAmount ?? expense.totalCost,
         category: expense.category
           ? {
               id: expense.category._id,
@@ -470,7 +530,7 @@ export const getExpensesByCategory = asyncHandler(async (req, res, next) => {
   // For admins without userId, don't filter by user (return all users' data)
 
   // Build match condition for aggregation
-  const matchCondition = { ...dateFilter };
+  const matchCondition = { ...dateFilter, ...countedExpensesFilter };
 
   // Only add user filter if it's not empty
   if (Object.keys(userFilter).length > 0) {
@@ -502,7 +562,7 @@ export const getExpensesByCategory = asyncHandler(async (req, res, next) => {
         totalDistance: { $sum: "$distance" },
         totalCost: { $sum: "$totalCost" },
         avgCost: { $avg: "$totalCost" },
-        avgDistance: { $avg: "$distance" },
+        avgDistance: { $avg: mileageDistanceExpression },
       },
     },
     {
@@ -633,6 +693,7 @@ export const getExpenseTrends = asyncHandler(async (req, res, next) => {
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: startDate,
           $lte: endDate,
@@ -770,6 +831,7 @@ export const getYearlyComparison = asyncHandler(async (req, res, next) => {
       {
         $match: {
           ...userFilter,
+          ...countedExpensesFilter,
           journeyDate: {
             $gte: new Date(`${year}-01-01`),
             $lte: new Date(`${year}-12-31T23:59:59.999Z`),
@@ -945,6 +1007,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: yearStartDate,
           $lte: yearEndDate,
@@ -957,7 +1020,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
         totalTrips: { $sum: 1 },
         totalDistance: { $sum: "$distance" },
         totalCost: { $sum: "$totalCost" },
-        avgDistance: { $avg: "$distance" },
+        avgDistance: { $avg: mileageDistanceExpression },
         avgCost: { $avg: "$totalCost" },
       },
     },
@@ -968,6 +1031,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: monthStartDate,
           $lte: monthEndDate,
@@ -980,7 +1044,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
         totalTrips: { $sum: 1 },
         totalDistance: { $sum: "$distance" },
         totalCost: { $sum: "$totalCost" },
-        avgDistance: { $avg: "$distance" },
+        avgDistance: { $avg: mileageDistanceExpression },
         avgCost: { $avg: "$totalCost" },
       },
     },
@@ -991,6 +1055,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: quarterStartDate,
           $lte: quarterEndDate,
@@ -1003,7 +1068,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
         totalTrips: { $sum: 1 },
         totalDistance: { $sum: "$distance" },
         totalCost: { $sum: "$totalCost" },
-        avgDistance: { $avg: "$distance" },
+        avgDistance: { $avg: mileageDistanceExpression },
         avgCost: { $avg: "$totalCost" },
       },
     },
@@ -1021,6 +1086,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: yearStartDate,
           $lte: yearEndDate,
@@ -1062,11 +1128,80 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     },
   ]);
 
+  // Get expense type breakdown for current year (mileage vs. flat amounts)
+  const typeBreakdown = await Expense.aggregate([
+    {
+      $match: {
+        ...userFilter,
+        ...countedExpensesFilter,
+        journeyDate: {
+          $gte: yearStartDate,
+          $lte: yearEndDate,
+        },
+      },
+    },
+    {
+      $group: {
+        _id: expenseTypeExpression,
+        totalExpenses: { $sum: 1 },
+        totalCost: { $sum: "$totalCost" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        type: "$_id",
+        totalExpenses: 1,
+        totalCost: { $round: ["$totalCost", 2] },
+      },
+    },
+    {
+      $sort: { totalCost: -1 },
+    },
+  ]);
+
+  // Get currency breakdown for current year (amount paid vs. converted amount)
+  const currencyBreakdown = await Expense.aggregate([
+    {
+      $match: {
+        ...userFilter,
+        ...countedExpensesFilter,
+        journeyDate: {
+          $gte: yearStartDate,
+          $lte: yearEndDate,
+        },
+      },
+    },
+    {
+      $group: {
+        _id: currencyExpression,
+        totalExpenses: { $sum: 1 },
+        originalAmount: {
+          $sum: { $ifNull: ["$originalAmount", "$totalCost"] },
+        },
+        totalCost: { $sum: "$totalCost" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        currency: "$_id",
+        totalExpenses: 1,
+        originalAmount: { $round: ["$originalAmount", 2] },
+        totalCost: { $round: ["$totalCost", 2] },
+      },
+    },
+    {
+      $sort: { totalCost: -1 },
+    },
+  ]);
+
   // Monthly expenses for current year (for chart)
   const monthlyExpensesChart = await Expense.aggregate([
     {
       $match: {
         ...userFilter,
+        ...countedExpensesFilter,
         journeyDate: {
           $gte: yearStartDate,
           $lte: yearEndDate,
@@ -1141,7 +1276,8 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
       totalTrips: metrics[0].totalTrips,
       totalDistance: parseFloat(metrics[0].totalDistance.toFixed(2)),
       totalCost: parseFloat(metrics[0].totalCost.toFixed(2)),
-      avgDistance: parseFloat(metrics[0].avgDistance.toFixed(2)),
+      // Null when the period only contains flat-amount expenses
+      avgDistance: parseFloat((metrics[0].avgDistance || 0).toFixed(2)),
       avgCost: parseFloat(metrics[0].avgCost.toFixed(2)),
     };
   };
@@ -1153,6 +1289,8 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     quarterlyMetrics: formatMetrics(quarterlyMetrics),
     recentExpenses,
     categoryBreakdown,
+    typeBreakdown,
+    currencyBreakdown,
     monthlyExpensesChart,
     timeInfo: {
       currentYear,
@@ -1167,7 +1305,7 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
       activeUsers: activeUsersCount,
       ratePerKm: ratePerKm,
     },
-    currency: "CHF", // Using Swiss Francs as specified in requirements
+    currency: config.baseCurrency, // All totals are converted to the base currency
   };
 
   res.status(200).json({
@@ -1175,3 +1313,76 @@ export const getDashboardSummary = asyncHandler(async (req, res, next) => {
     data: dashboardData,
   });
 });
+
+/**
+ * @desc    Flag unusual spending patterns of reps in a month: distance jumps
+ *          against their own history, trips far outside their usual area
+ *          and repeated expenses just under policy limits
+ *          (?month=YYYY-MM&userId=&type=&minScore=, detector settings such
+ *          as zScoreThreshold can be overridden the same way)
+ * @route   GET /api/v1/analytics/anomalies
+ * @access  Private (admin, finance and managers for their team)
+ */
+export const getAnomalies = asyncHandler(async (req, res, next) => {
+  const { month, userId, type, minScore } = req.query;
+
+  let monthDate = new Date();
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || match[2] < 1 || match[2] > 12) {
+      return next(new ErrorResponse("Month must be given as YYYY-MM", 400));
+    }
+    monthDate = new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1);
+  }
+
+  // Managers only see the patterns of their team
+  let userFilter = await getVisibleUserFilter(req.user);
+  if (userId) {
+    if (!(await canViewUserData(req.user, userId))) {
+      return next(
+        new ErrorResponse("Not authorized to view this user's data", 403)
+      );
+    }
+    userFilter = { user: new mongoose.Types.ObjectId(userId) };
+  }
+
+  const options = {};
+  Object.keys(ANOMALY_DEFAULTS).forEach((key) => {
+    if (req.query[key] !== undefined && !isNaN(parseFloat(req.query[key]))) {
+      options[key] = parseFloat(req.query[key]);
+    }
+  });
+
+  const result = await detectAnomalies({
+    month: monthDate,
+    userFilter,
+    options,
+  });
+
+  let findings = result.findings;
+  if (type) {
+    findings = findings.filter((finding) => finding.type === type);
+  }
+  if (minScore) {
+    findings = findings.filter(
+      (finding) => finding.score >= parseFloat(minScore)
+    );
+  }
+
+  // Name the reps instead of returning bare IDs
+  const users = await User.find({
+    _id: { $in: [...new Set(findings.map((finding) => finding.user))] },
+  }).select("name email");
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  res.status(200).json({
+    success: true,
+    count: findings.length,
+    period: result.period,
+    settings: result.options,
+    data: findings.map((finding) => ({
+      ...finding,
+      user: usersById.get(finding.user) || { _id: finding.user },
+    })),
+  });
+});
@@ -0,0 +1,202 @@
+import asyncHandler from "express-async-handler";
+import Expense from "../models/Expense.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { getStorageAdapter } from "../utils/attachmentStorage.js";
+import { logger } from "../utils/logger.js";
+import { assertExpenseUnlocked } from "../utils/reportSync.js";
+
+/**
+ * Load an expense and make sure the current user may access it
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Expense document
+ */
+const findAuthorizedExpense = async (req) => {
+  const expense = await Expense.findById(req.params.id);
+
+  if (!expense) {
+    throw new ErrorResponse(
+      `No expense found with id of ${req.params.id}`,
+      404
+    );
+  }
+
+  // Make sure user is expense owner or admin
+  if (expense.user.toString() !== req.user.id && req.user.role !== "admin") {
+    throw new ErrorResponse(
+      "Not authorized to access attachments of this expense",
+      403
+    );
+  }
+
+  return expense;
+};
+
+// @desc    Upload attachments to an expense
+// @route   POST /api/v1/expenses/:id/attachments
+// @access  Private
+export const addAttachments = asyncHandler(async (req, res, next) => {
+  const expense = await findAuthorizedExpense(req);
+
+  // Receipts of expenses in a submitted or approved report are locked too
+  await assertExpenseUnlocked(expense);
+
+  if (!req.files || req.files.length === 0) {
+    return next(
+      new ErrorResponse("Please upload at least one file in 'files'", 400)
+    );
+  }
+
+  const storage = getStorageAdapter();
+  const savedKeys = [];
+
+  try {
+    for (const file of req.files) {
+      const storageKey = await storage.save(file.buffer, {
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+      });
+      savedKeys.push(storageKey);
+
+      expense.attachments.push({
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storage: storage.name,
+        storageKey,
+        uploadedBy: req.user.id,
+      });
+    }
+
+    expense.updatedBy = req.user.id;
+    await expense.save();
+  } catch (error) {
+    // Don't leave orphaned files behind if the expense could not be saved
+    await Promise.all(savedKeys.map((key) => storage.remove(key)));
+    throw error;
+  }
+
+  const added = expense.attachments.slice(-req.files.length);
+
+  res.status(201).json({
+    success: true,
+    count: added.length,
+    data: added,
+  });
+});
+
+// @desc    Get attachments of an expense
+// @route   GET /api/v1/expenses/:id/attachments
+// @access  Private
+export const getAttachments = asyncHandler(async (req, res, next) => {
+  const expense = await findAuthorizedExpense(req);
+
+  res.status(200).json({
+    success: true,
+    count: expense.attachments.length,
+    data: expense.attachments,
+  });
+});
+
+// @desc    Download a single attachment
+// @route   GET /api/v1/expenses/:id/attachments/:attachmentId
+// @access  Private
+export const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const expense = await findAuthorizedExpense(req);
+  const attachment = expense.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return next(
+      new ErrorResponse(
+        `No attachment found with id of ${req.params.attachmentId}`,
+        404
+      )
+    );
+  }
+
+  const fileStream = getStorageAdapter().createReadStream(
+    attachment.storageKey
+  );
+
+  fileStream.on("error", (error) => {
+    logger.error(
+      `Error reading attachment ${attachment._id}: ${error.message}`
+    );
+    if (!res.headersSent) {
+      return next(new ErrorResponse("Attachment file could not be read", 404));
+    }
+    res.end();
+  });
+
+  res.setHeader("Content-Type", attachment.mimeType);
+  res.setHeader("Content-Length", attachment.size);
+  // ASCII fallback for old clients, the exact name as RFC 5987 filename*
+  const asciiName = attachment.originalName
+    .replace(/[^\x20-\x7e]/g, "_")
+    .replace(/["\\]/g, "_");
+  const encodedName = encodeURIComponent(attachment.originalName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`
+  );
+
+  fileStream.pipe(res);
+});
+
+// @desc    Delete a single attachment
+// @route   DELETE /api/v1/expenses/:id/attachments/:attachmentId
+// @access  Private
+export const deleteAttachment = asyncHandler(async (req, res, next) => {
+  const expense = await findAuthorizedExpense(req);
+  await assertExpenseUnlocked(expense);
+  const attachment = expense.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    return next(
+      new ErrorResponse(
+        `No attachment found with id of ${req.params.attachmentId}`,
+        404
+      )
+    );
+  }
+
+  const { storageKey } = attachment;
+
+  attachment.deleteOne();
+  expense.updatedBy = req.user.id;
+  await expense.save();
+
+  await getStorageAdapter().remove(storageKey);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+/**
+ * Remove the stored files of all attachments of an expense
+ * @param {Object} expense - Expense document
+ * @returns {Promise<void>}
+ */
+export const removeExpenseAttachmentFiles = async (expense) => {
+  if (!expense.attachments || expense.attachments.length === 0) {
+    return;
+  }
+
+  const storage = getStorageAdapter();
+
+  await Promise.all(
+    expense.attachments.map(async (attachment) => {
+      try {
+        await storage.remove(attachment.storageKey);
+      } catch (error) {
+        logger.error(
+          `Error removing attachment file ${attachment.storageKey}: ${error.message}`
+        );
+      }
+    })
+  );
+};
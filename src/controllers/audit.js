@@ -0,0 +1,95 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import AuditLog, { AUDITED_ENTITY_TYPES } from "../models/AuditLog.js";
+import ErrorResponse from "../utils/errorResponse.js";
+
+// @desc    Get audit log entries
+// @route   GET /api/v1/audit
+// @access  Private/Admin
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const { entityType, entityId, user, action, requestId, startDate, endDate } =
+    req.query;
+
+  const query = {};
+
+  if (entityType) {
+    if (!AUDITED_ENTITY_TYPES.includes(entityType)) {
+      return next(
+        new ErrorResponse(
+          `Entity type must be one of: ${AUDITED_ENTITY_TYPES.join(", ")}`,
+          400
+        )
+      );
+    }
+    query.entityType = entityType;
+  }
+
+  for (const [name, value] of Object.entries({ entityId, user })) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return next(new ErrorResponse(`Invalid ${name}: ${value}`, 400));
+    }
+  }
+
+  if (entityId) query.entityId = entityId;
+  if (user) query.actor = user;
+  if (action) query.action = action;
+  if (requestId) query.requestId = requestId;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) {
+      // Include the whole end day
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const startIndex = (page - 1) * limit;
+
+  const total = await AuditLog.countDocuments(query);
+  const entries = await AuditLog.find(query)
+    .populate("actor", "name email role")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      total,
+    },
+    data: entries,
+  });
+});
+
+// @desc    Get a single audit log entry
+// @route   GET /api/v1/audit/:id
+// @access  Private/Admin
+export const getAuditLog = asyncHandler(async (req, res, next) => {
+  const entry = await AuditLog.findById(req.params.id).populate(
+    "actor",
+    "name email role"
+  );
+
+  if (!entry) {
+    return next(
+      new ErrorResponse(
+        `No audit log entry found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
@@ -2,22 +2,33 @@ import asyncHandler from "express-async-handler";
 import User from "../models/User.js";
 import ErrorResponse from "../utils/errorResponse.js";
 import crypto from "crypto";
-import { sendPasswordResetEmail } from "../utils/emailService.js";
+import {
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+} from "../utils/emailService.js";
+import { logger } from "../utils/logger.js";
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
 // @access  Public
 export const register = asyncHandler(async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password, locale } = req.body;
 
-  // Create user
+  // Create user, always as a sales rep
   const user = await User.create({
     name,
     email,
     password,
-    role,
+    locale,
   });
 
+  // A failed welcome email doesn't fail the registration
+  try {
+    await sendWelcomeEmail(user);
+  } catch (error) {
+    logger.error(`Error queuing welcome email: ${error.message}`);
+  }
+
   // Send success response without token
   res.status(201).json({
     success: true,
@@ -119,7 +130,7 @@ export const forgotPassword = asyncHandler(async (req, res, next) => {
   }/reset-password/${resetToken}`;
 
   try {
-    await sendPasswordResetEmail(user.email, resetUrl);
+    await sendPasswordResetEmail(user, resetUrl);
 
     res.status(200).json({
       success: true,
@@ -177,6 +188,7 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
     name: req.body.name,
     email: req.body.email,
   };
+  if (req.body.locale !== undefined) fieldsToUpdate.locale = req.body.locale;
 
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
@@ -1,7 +1,7 @@
 import asyncHandler from "express-async-handler";
 import ErrorResponse from "../utils/errorResponse.js";
 import Budget from "../models/Budget.js";
-import Expense from "../models/Expense.js";
+import Expense, { DRAFT_EXPENSE_STATUS } from "../models/Expense.js";
 import Category from "../models/Category.js";
 import { formatCHF, getMonthName } from "../utils/formatters.js";
 import mongoose from "mongoose";
@@ -251,6 +251,7 @@ export const getBudgets = asyncHandler(async (req, res, next) => {
       const expenseMatchFilter = {
         user: budget.user,
         category: budget.category._id,
+        status: { $ne: DRAFT_EXPENSE_STATUS },
         journeyDate: {
           $gte: startDate,
           $lte: endDate,
@@ -285,7 +286,7 @@ export const getBudgets = asyncHandler(async (req, res, next) => {
             );
           }
           totalCost += exp.totalCost;
-          totalDistance += exp.distance;
+          totalDistance += exp.distance || 0;
         }
 
         const usage = {
@@ -512,6 +513,7 @@ export const getBudget = asyncHandler(async (req, res, next) => {
   const expenseMatchFilter = {
     user: budget.user,
     category: budget.category._id,
+    status: { $ne: DRAFT_EXPENSE_STATUS },
     journeyDate: {
       $gte: startDate,
       $lte: endDate,
@@ -542,7 +544,7 @@ export const getBudget = asyncHandler(async (req, res, next) => {
         );
       }
       totalCost += exp.totalCost;
-      totalDistance += exp.distance;
+      totalDistance += exp.distance || 0;
     }
 
     const usage = {
@@ -804,6 +806,7 @@ export const getBudgetSummary = asyncHandler(async (req, res, next) => {
   // Create expense match filter with direct date comparison
   const expenseMatchFilter = {
     ...userFilter,
+    status: { $ne: DRAFT_EXPENSE_STATUS },
     journeyDate: { $gte: yearStartDate, $lte: yearEndDate },
   };
   console.log(
@@ -3,6 +3,7 @@ import Expense from "../models/Expense.js";
 import asyncHandler from "express-async-handler";
 import ErrorResponse from "../utils/errorResponse.js";
 import mongoose from "mongoose";
+import { getCategoryBudgetUsage } from "../utils/categoryBudgets.js";
 
 // @desc    Get all categories
 // @route   GET /api/v1/categories
@@ -1562,112 +1563,11 @@ export const getBudgetUsage = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Get active budget limits
-  const activeBudgetLimits = category.budgetLimits.filter(
-    (limit) => limit.isActive
-  );
-
   // Calculate current usage for each active budget limit
-  const budgetUsage = await Promise.all(
-    activeBudgetLimits.map(async (limit) => {
-      const usage = await Category.calculateBudgetUsage(
-        category._id,
-        limit.startDate,
-        limit.endDate
-      );
-
-      const percentUsed = (usage / limit.amount) * 100;
-      const isOverBudget = percentUsed > 100;
-      const isNearThreshold =
-        percentUsed >= limit.notificationThreshold && percentUsed <= 100;
-
-      return {
-        budgetId: limit._id,
-        period: limit.period,
-        startDate: limit.startDate,
-        endDate: limit.endDate,
-        budgetAmount: limit.amount,
-        currentUsage: usage,
-        percentUsed: Math.round(percentUsed * 100) / 100,
-        isOverBudget,
-        isNearThreshold,
-        alertStatus: isOverBudget
-          ? "exceeded"
-          : isNearThreshold
-          ? "warning"
-          : "normal",
-      };
-    })
-  );
+  const budgetUsage = await getCategoryBudgetUsage(category);
 
   res.status(200).json({
     success: true,
     data: budgetUsage,
   });
 });
-
-// @desc    Update budget usage after new expense
-// @route   POST /api/v1/categories/:id/budget/update-usage
-// @access  Private (Internal use)
-export const updateBudgetUsage = asyncHandler(async (req, res, next) => {
-  const category = await Category.findById(req.params.id);
-
-  if (!category) {
-    return next(
-      new ErrorResponse(`Category not found with id of ${req.params.id}`, 404)
-    );
-  }
-
-  const now = new Date();
-
-  // Calculate monthly usage (current month)
-  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-  const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-  const monthlyUsage = await Category.calculateBudgetUsage(
-    category._id,
-    monthStart,
-    monthEnd
-  );
-
-  // Calculate quarterly usage (current quarter)
-  const quarterMonth = Math.floor(now.getMonth() / 3) * 3;
-  const quarterStart = new Date(now.getFullYear(), quarterMonth, 1);
-  const quarterEnd = new Date(now.getFullYear(), quarterMonth + 3, 0);
-  const quarterlyUsage = await Category.calculateBudgetUsage(
-    category._id,
-    quarterStart,
-    quarterEnd
-  );
-
-  // Calculate yearly usage (current year)
-  const yearStart = new Date(now.getFullYear(), 0, 1);
-  const yearEnd = new Date(now.getFullYear(), 11, 31);
-  const yearlyUsage = await Category.calculateBudgetUsage(
-    category._id,
-    yearStart,
-    yearEnd
-  );
-
-  // Update the category with current usage data
-  category.currentUsage = {
-    monthly: {
-      amount: monthlyUsage,
-      lastUpdated: now,
-    },
-    quarterly: {
-      amount: quarterlyUsage,
-      lastUpdated: now,
-    },
-    yearly: {
-      amount: yearlyUsage,
-      lastUpdated: now,
-    },
-  };
-
-  await category.save();
-
-  res.status(200).json({
-    success: true,
-    data: category.currentUsage,
-  });
-});
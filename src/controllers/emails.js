@@ -0,0 +1,121 @@
+import asyncHandler from "express-async-handler";
+import OutboxEmail from "../models/OutboxEmail.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { listEmailTemplates, renderEmail } from "../utils/emailTemplates.js";
+import { attemptEmail } from "../utils/emailService.js";
+
+// @desc    Get the email templates and their locales
+// @route   GET /api/v1/emails/templates
+// @access  Private/Admin
+export const getEmailTemplates = asyncHandler(async (req, res, next) => {
+  const templates = listEmailTemplates();
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates,
+  });
+});
+
+// @desc    Render a template with its sample data (?locale=&format=html|text)
+// @route   GET /api/v1/emails/templates/:name/preview
+// @access  Private/Admin
+export const previewEmailTemplate = asyncHandler(async (req, res, next) => {
+  const email = renderEmail(req.params.name, null, req.query.locale);
+
+  // Plain HTML or text to look at in the browser
+  if (req.query.format === "html") {
+    return res.status(200).type("html").send(email.html);
+  }
+  if (req.query.format === "text") {
+    return res.status(200).type("text").send(email.text);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: email,
+  });
+});
+
+// @desc    Get the outbox (?status=&template=&to=)
+// @route   GET /api/v1/emails/outbox
+// @access  Private/Admin
+export const getOutboxEmails = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.template) query.template = req.query.template;
+  if (req.query.to) query.to = req.query.to;
+
+  const total = await OutboxEmail.countDocuments(query);
+  const emails = await OutboxEmail.find(query)
+    .select("-text -html")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  // Pagination result
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: emails.length,
+    total,
+    pagination,
+    data: emails,
+  });
+});
+
+// @desc    Get a queued email with its content
+// @route   GET /api/v1/emails/outbox/:id
+// @access  Private/Admin
+export const getOutboxEmail = asyncHandler(async (req, res, next) => {
+  const email = await OutboxEmail.findById(req.params.id);
+
+  if (!email) {
+    return next(
+      new ErrorResponse(`No email found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: email,
+  });
+});
+
+// @desc    Send a failed or pending email now and wait for the outcome
+// @route   POST /api/v1/emails/outbox/:id/retry
+// @access  Private/Admin
+export const retryOutboxEmail = asyncHandler(async (req, res, next) => {
+  const email = await OutboxEmail.findById(req.params.id);
+
+  if (!email) {
+    return next(
+      new ErrorResponse(`No email found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (email.status === "sent") {
+    return next(new ErrorResponse("This email was already sent", 400));
+  }
+
+  // An email that failed for good stays failed if this attempt fails too
+  await attemptEmail(email, { retry: email.status === "pending" });
+
+  res.status(200).json({
+    success: true,
+    data: email,
+  });
+});
@@ -0,0 +1,300 @@
+import asyncHandler from "express-async-handler";
+import ExchangeRate from "../models/ExchangeRate.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import config from "../config/config.js";
+
+/**
+ * Parse a CSV of exchange rates with the columns date, currency, rate.
+ * A header row is optional, values may be separated by comma or semicolon.
+ * @param {string} text - CSV contents
+ * @returns {Object} - { rows, errors } with rows ready to upsert and per-line errors
+ */
+const parseRatesCsv = (text) => {
+  const rows = [];
+  const errors = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+
+    if (!line) {
+      return;
+    }
+
+    const [date, currency, rate] = line
+      .split(/[;,]/)
+      .map((value) => value.trim().replace(/^"|"$/g, ""));
+
+    // Skip the header row
+    if (lineNumber === 1 && date.toLowerCase() === "date") {
+      return;
+    }
+
+    const parsedDate = new Date(date);
+    const parsedRate = parseFloat(rate);
+    const code = (currency || "").toUpperCase();
+
+    if (!date || isNaN(parsedDate.getTime())) {
+      errors.push({ line: lineNumber, message: `Invalid date "${date}"` });
+    } else if (!/^[A-Z]{3}$/.test(code)) {
+      errors.push({
+        line: lineNumber,
+        message: `Invalid currency code "${currency}"`,
+      });
+    } else if (code === config.baseCurrency) {
+      errors.push({
+        line: lineNumber,
+        message: `${config.baseCurrency} is the base currency and needs no rate`,
+      });
+    } else if (isNaN(parsedRate) || parsedRate <= 0) {
+      errors.push({ line: lineNumber, message: `Invalid rate "${rate}"` });
+    } else {
+      rows.push({
+        date: ExchangeRate.normalizeDate(parsedDate),
+        currency: code,
+        rate: parsedRate,
+      });
+    }
+  });
+
+  return { rows, errors };
+};
+
+// @desc    Get exchange rates
+// @route   GET /api/v1/exchange-rates
+// @access  Private
+export const getExchangeRates = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.currency) {
+    query.currency = req.query.currency.toUpperCase();
+  }
+
+  if (req.query.startDate || req.query.endDate) {
+    query.date = {};
+    if (req.query.startDate) {
+      query.date.$gte = ExchangeRate.normalizeDate(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      query.date.$lte = ExchangeRate.normalizeDate(req.query.endDate);
+    }
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const startIndex = (page - 1) * limit;
+
+  const total = await ExchangeRate.countDocuments(query);
+  const exchangeRates = await ExchangeRate.find(query)
+    .sort({ date: -1, currency: 1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    count: exchangeRates.length,
+    baseCurrency: config.baseCurrency,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      total,
+    },
+    data: exchangeRates,
+  });
+});
+
+// @desc    Look up the rate that applies to a currency on a date
+// @route   GET /api/v1/exchange-rates/lookup?currency=EUR&date=2024-05-01
+// @access  Private
+export const lookupExchangeRate = asyncHandler(async (req, res, next) => {
+  const { currency } = req.query;
+  const date = req.query.date || new Date();
+
+  if (!currency) {
+    return next(new ErrorResponse("Please provide a currency", 400));
+  }
+
+  if (isNaN(new Date(date).getTime())) {
+    return next(new ErrorResponse("Please provide a valid date", 400));
+  }
+
+  const exchangeRate = await ExchangeRate.findRateForDate(currency, date);
+
+  if (!exchangeRate) {
+    return next(
+      new ErrorResponse(
+        `No exchange rate for ${currency.toUpperCase()} on or before ${new Date(
+          date
+        )
+          .toISOString()
+          .slice(0, 10)}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      currency: currency.toUpperCase(),
+      baseCurrency: config.baseCurrency,
+      rate: exchangeRate.rate,
+      date: exchangeRate.date,
+    },
+  });
+});
+
+// @desc    Get single exchange rate
+// @route   GET /api/v1/exchange-rates/:id
+// @access  Private
+export const getExchangeRate = asyncHandler(async (req, res, next) => {
+  const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+  if (!exchangeRate) {
+    return next(
+      new ErrorResponse(
+        `No exchange rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: exchangeRate,
+  });
+});
+
+// @desc    Create exchange rate
+// @route   POST /api/v1/exchange-rates
+// @access  Private/Admin
+export const createExchangeRate = asyncHandler(async (req, res, next) => {
+  const { currency, date, rate } = req.body;
+
+  if (currency && currency.toUpperCase() === config.baseCurrency) {
+    return next(
+      new ErrorResponse(
+        `${config.baseCurrency} is the base currency and needs no rate`,
+        400
+      )
+    );
+  }
+
+  const exchangeRate = await ExchangeRate.create({
+    currency,
+    date,
+    rate,
+    source: "manual",
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: exchangeRate,
+  });
+});
+
+// @desc    Update exchange rate
+// @route   PUT /api/v1/exchange-rates/:id
+// @access  Private/Admin
+export const updateExchangeRate = asyncHandler(async (req, res, next) => {
+  const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+  if (!exchangeRate) {
+    return next(
+      new ErrorResponse(
+        `No exchange rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Only the rate and its day can change, the currency defines the record
+  const { date, rate } = req.body;
+  if (date !== undefined) exchangeRate.date = date;
+  if (rate !== undefined) exchangeRate.rate = rate;
+  exchangeRate.updatedBy = req.user.id;
+
+  await exchangeRate.save();
+
+  res.status(200).json({
+    success: true,
+    data: exchangeRate,
+  });
+});
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/v1/exchange-rates/:id
+// @access  Private/Admin
+export const deleteExchangeRate = asyncHandler(async (req, res, next) => {
+  const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+  if (!exchangeRate) {
+    return next(
+      new ErrorResponse(
+        `No exchange rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  await exchangeRate.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Import exchange rates from CSV (columns: date, currency, rate)
+// @route   POST /api/v1/exchange-rates/import
+// @access  Private/Admin
+export const importExchangeRates = asyncHandler(async (req, res, next) => {
+  // Accept either an uploaded file or the CSV text in the body
+  const csvText = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+
+  if (!csvText || typeof csvText !== "string") {
+    return next(
+      new ErrorResponse(
+        "Please upload a CSV file in 'file' or send the CSV text in 'csv'",
+        400
+      )
+    );
+  }
+
+  const { rows, errors } = parseRatesCsv(csvText);
+
+  if (rows.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "No valid exchange rates found in CSV",
+      errors,
+    });
+  }
+
+  // Existing rates for the same currency and day are overwritten
+  const result = await ExchangeRate.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { currency: row.currency, date: row.date },
+        update: {
+          $set: { rate: row.rate, source: "csv", updatedBy: req.user.id },
+          $setOnInsert: { createdBy: req.user.id },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      imported: result.upsertedCount,
+      updated: result.modifiedCount,
+      skipped: errors.length,
+      errors,
+    },
+  });
+});
@@ -1,11 +1,39 @@
 // Import any required modules
+import crypto from "crypto";
 import asyncHandler from "express-async-handler";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import config from "../config/config.js";
-import Expense from "../models/Expense.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
 import Category from "../models/Category.js";
+import TripTemplate from "../models/TripTemplate.js";
+import Journey from "../models/Journey.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+import { DEFAULT_VEHICLE_TYPE } from "../models/MileageRate.js";
 import { logger } from "../utils/logger.js";
 import { getExpensesWithRoutes } from "./expenses.js";
+import {
+  calculateDistance,
+  calculateRouteWithWaypoints,
+  calculateRoundTrip,
+} from "../utils/googleMaps.js";
+import { removeExpenseAttachmentFiles } from "./attachments.js";
+import { checkExpenseDistance } from "../utils/distanceCheck.js";
+import { evaluateExpensePolicy } from "../utils/expensePolicy.js";
+import { findDuplicateExpenses } from "../utils/duplicateDetection.js";
+import { getVisibleUserIds, canViewUserData } from "../utils/teamAccess.js";
+import {
+  resolveCostPerKm,
+  applyRateTiers,
+  recomputeTieredExpenses,
+} from "../utils/mileageRates.js";
+import {
+  getExpenseLockReason,
+  getReportPeriodLockReason,
+} from "../utils/reportSync.js";
+import { EVENT_TYPES, dispatch } from "../events/eventBus.js";
 
 // Initialize the Gemini API client
 const genAI = new GoogleGenerativeAI(config.geminiApiKey);
@@ -20,6 +48,21 @@ const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
  */
 async function enhanceExpenseNotes(originalNote, expenseDetails) {
   try {
+    // Only mileage expenses have a route to describe
+    const routeContext =
+      expenseDetails.type === MILEAGE_EXPENSE_TYPE
+        ? `
+      - Route: From ${expenseDetails.startPoint} to ${expenseDetails.endPoint}
+      - Distance: ${expenseDetails.distanceInKm} km`
+        : `
+      - Expense kind: ${expenseDetails.type}`;
+
+    // Mention the amount actually paid when it was not in the base currency
+    const foreignAmount =
+      expenseDetails.currency && expenseDetails.currency !== config.baseCurrency
+        ? ` (paid ${expenseDetails.originalAmount} ${expenseDetails.currency})`
+        : "";
+
     // Create a prompt for Gemini to enhance the note
     const prompt = `
       Enhance the following expense note for a business expense report.
@@ -31,9 +74,7 @@ async function enhanceExpenseNotes(originalNote, expenseDetails) {
       Additional context:
       - Expense type: ${expenseDetails.category}
       - Date: ${expenseDetails.date}
-      - Amount: ${expenseDetails.totalCost} CHF
-      - Route: From ${expenseDetails.startPoint} to ${expenseDetails.endPoint}
-      - Distance: ${expenseDetails.distanceInKm} km
+      - Amount: ${expenseDetails.totalCost} ${config.baseCurrency}${foreignAmount}${routeContext}
       
       Format the response as a concise professional expense note in 1-3 sentences.
       Do not include labels or prefixes like "Enhanced note:".
@@ -60,6 +101,134 @@ async function enhanceExpenseNotes(originalNote, expenseDetails) {
   }
 }
 
+/**
+ * @desc    Work out the route fields of a round trip. With place IDs the route
+ *          including the way back is calculated through the Maps API, a
+ *          manually entered distance is the one-way distance and is doubled.
+ * @param   {Object} trip - Place IDs, waypoints and one-way distance of the trip
+ * @returns {Promise<Object>} Expense fields for the round trip
+ * @private
+ */
+async function calculateRoundTripFields({
+  startingPointPlaceId,
+  destinationPointPlaceId,
+  waypoints,
+  distance,
+  durationInSeconds,
+}) {
+  if (startingPointPlaceId && destinationPointPlaceId) {
+    const route = await calculateRoundTrip(
+      startingPointPlaceId,
+      destinationPointPlaceId,
+      (waypoints || []).map((waypoint) => ({ placeId: waypoint.placeId }))
+    );
+
+    return {
+      distance: route.distanceValue,
+      returnDistance: route.returnDistanceValue,
+      duration: route.durationText,
+      durationInSeconds: route.durationValue,
+      routeSnapshot: route,
+      isCalculatedDistance: true,
+    };
+  }
+
+  return {
+    distance: distance * 2,
+    returnDistance: distance,
+    durationInSeconds: durationInSeconds ? durationInSeconds * 2 : undefined,
+  };
+}
+
+/**
+ * @desc    Describe why the expense policy blocks an expense
+ * @param   {Object} policy - Result of evaluateExpensePolicy
+ * @returns {String} Error message listing the hard violations
+ * @private
+ */
+function getPolicyBlockMessage(policy) {
+  return `Expense violates the expense policy: ${policy.violations
+    .filter((violation) => violation.severity === "hard")
+    .map((violation) => violation.message)
+    .join("; ")}`;
+}
+
+/**
+ * @desc    Hash a request body independently of the order of its keys
+ * @param   {*} body - Request body
+ * @returns {String} SHA-256 hex digest
+ * @private
+ */
+function hashRequestBody(body) {
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === "object") {
+      return Object.keys(value)
+        .sort()
+        .reduce((sorted, key) => {
+          sorted[key] = canonical(value[key]);
+          return sorted;
+        }, {});
+    }
+    return value;
+  };
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical(body ?? {})))
+    .digest("hex");
+}
+
+/**
+ * @desc    Answer a retried creation request with the expense the first
+ *          request created, or reject a different request sent with the
+ *          same idempotency key
+ * @param   {Object} res - Express response
+ * @param   {Object} expense - Expense created with the idempotency key
+ * @param   {String} idempotencyHash - Hash of the body of the retried request
+ * @returns {Object} Express response
+ * @private
+ */
+function replayCreatedExpense(res, expense, idempotencyHash) {
+  // Expenses created before bodies were hashed can't be compared
+  if (expense.idempotencyHash && expense.idempotencyHash !== idempotencyHash) {
+    return res.status(422).json({
+      success: false,
+      message:
+        "Idempotency-Key was already used for a request with a different body",
+    });
+  }
+
+  res.set("Idempotent-Replayed", "true");
+  return res.status(200).json({
+    success: true,
+    message: "Expense was already created with this idempotency key",
+    data: expense,
+  });
+}
+
+/**
+ * @desc    Check that a journey exists and belongs to the owner of an expense
+ * @param   {String} journeyId - Journey ID from the request
+ * @param   {String} userId - Owner of the expense
+ * @returns {Promise<Boolean>} Whether the expense may be added to the journey
+ * @private
+ */
+async function isOwnJourney(journeyId, userId) {
+  return Boolean(await Journey.exists({ _id: journeyId, user: userId }));
+}
+
+/**
+ * @desc    Check that a trip template exists and belongs to the owner of an expense
+ * @param   {String} templateId - Trip template ID from the request
+ * @param   {String} userId - Owner of the expense
+ * @returns {Promise<Boolean>} Whether the expense may refer to the template
+ * @private
+ */
+async function isOwnTripTemplate(templateId, userId) {
+  return Boolean(await TripTemplate.exists({ _id: templateId, user: userId }));
+}
+
 /**
  * @desc    Create new expense
  * @route   POST /api/expenses
@@ -84,13 +253,167 @@ export const createExpense = asyncHandler(async (req, res) => {
       journeyDate,
       notes,
       category: categoryId,
+      type = MILEAGE_EXPENSE_TYPE,
+      amount,
+      currency: requestedCurrency = config.baseCurrency,
+      vehicleType = DEFAULT_VEHICLE_TYPE,
+      tripTemplate,
+      isRoundTrip = false,
+      returnDistance,
+      journey,
     } = req.body;
 
-    // If costPerKm isn't provided, use the default from config
-    const finalCostPerKm = costPerKm || config.defaultCostPerKm;
+    const isMileage = type === MILEAGE_EXPENSE_TYPE;
+    // Mileage is paid per km in the base currency, whatever the client sends
+    const currency = isMileage ? config.baseCurrency : requestedCurrency;
+    const expenseDate = journeyDate || new Date();
+
+    // Clients retrying a request send the same key and get the same expense
+    const idempotencyKey = req.get("Idempotency-Key");
+    const idempotencyHash =
+      idempotencyKey !== undefined ? hashRequestBody(req.body) : undefined;
+    if (idempotencyKey !== undefined) {
+      if (!idempotencyKey.trim() || idempotencyKey.length > 255) {
+        return res.status(400).json({
+          success: false,
+          message: "Idempotency-Key must be between 1 and 255 characters",
+        });
+      }
+
+      const existing = await Expense.findOne({
+        user: req.user.id,
+        idempotencyKey,
+      });
+      if (existing) {
+        return replayCreatedExpense(res, existing, idempotencyHash);
+      }
+    }
+
+    if (journey && !(await isOwnJourney(journey, req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Journey not found",
+      });
+    }
+
+    if (tripTemplate && !(await isOwnTripTemplate(tripTemplate, req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Trip template not found",
+      });
+    }
+
+    // Round trips get the way back added to the route, unless it was already
+    // calculated (e.g. by /maps/distance or a trip template)
+    let route = {
+      distance,
+      duration,
+      durationInSeconds,
+      routeSnapshot,
+      isCalculatedDistance: isCalculatedDistance || false,
+      returnDistance,
+    };
 
-    // Calculate total cost
-    const totalCost = distance * finalCostPerKm;
+    if (isMileage && isRoundTrip && !returnDistance) {
+      try {
+        route = {
+          ...route,
+          ...(await calculateRoundTripFields({
+            startingPointPlaceId,
+            destinationPointPlaceId,
+            waypoints,
+            distance,
+            durationInSeconds,
+          })),
+        };
+      } catch (error) {
+        logger.error(`Error calculating round trip: ${error.message}`);
+        return res.status(502).json({
+          success: false,
+          message: `Could not calculate the way back: ${error.message}`,
+        });
+      }
+    } else if (
+      isMileage &&
+      !distance &&
+      startingPointPlaceId &&
+      destinationPointPlaceId
+    ) {
+      // Only place IDs were given, let the routing provider work out the route
+      try {
+        const calculated =
+          waypoints && waypoints.length > 0
+            ? await calculateRouteWithWaypoints(
+                startingPointPlaceId,
+                destinationPointPlaceId,
+                waypoints.map((waypoint) => ({ placeId: waypoint.placeId })),
+                { optimize: false, alternatives: false }
+              )
+            : await calculateDistance(
+                startingPointPlaceId,
+                destinationPointPlaceId
+              );
+
+        route = {
+          ...route,
+          distance: calculated.distanceValue,
+          duration: calculated.durationText,
+          durationInSeconds: calculated.durationValue,
+          routeSnapshot: routeSnapshot || calculated,
+          isCalculatedDistance: true,
+        };
+      } catch (error) {
+        logger.error(`Error calculating route: ${error.message}`);
+        return res.status(502).json({
+          success: false,
+          message: `Could not calculate the route, please enter the distance manually: ${error.message}`,
+        });
+      }
+    }
+
+    // No new expenses in a month whose report is submitted or approved
+    const lockReason = await getReportPeriodLockReason(
+      req.user.id,
+      expenseDate
+    );
+    if (lockReason) {
+      return res.status(409).json({
+        success: false,
+        message: lockReason,
+      });
+    }
+
+    // Convert with the rate that applied on the day of the journey
+    const exchangeRate = await ExchangeRate.findRateForDate(
+      currency,
+      expenseDate
+    );
+
+    if (!exchangeRate) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate for ${currency} on or before ${new Date(
+          expenseDate
+        ).toLocaleDateString()}. Please ask an admin to add one.`,
+      });
+    }
+
+    // If costPerKm isn't provided, use the rate in effect on the journey date
+    const mileageRate = isMileage
+      ? await resolveCostPerKm({
+          costPerKm,
+          vehicleType,
+          journeyDate: expenseDate,
+        })
+      : null;
+    const finalCostPerKm = mileageRate ? mileageRate.costPerKm : undefined;
+
+    // Mileage is priced by distance in the base currency, other expense
+    // types by their flat amount, which is converted
+    const originalAmount = isMileage ? route.distance * finalCostPerKm : amount;
+    const totalCost = isMileage
+      ? originalAmount
+      : originalAmount * exchangeRate.rate;
 
     // Get category details for context
     let categoryName = "Travel";
@@ -111,12 +434,15 @@ export const createExpense = asyncHandler(async (req, res) => {
     if (notes) {
       try {
         const expenseDetails = {
+          type,
           category: categoryName,
-          date: new Date(journeyDate).toLocaleDateString(),
+          date: new Date(expenseDate).toLocaleDateString(),
           totalCost: totalCost.toFixed(2),
+          currency,
+          originalAmount: originalAmount.toFixed(2),
           startPoint: startingPoint,
           endPoint: destinationPoint,
-          distanceInKm: distance,
+          distanceInKm: route.distance,
         };
 
         const enhancedNotes = await enhanceExpenseNotes(notes, expenseDetails);
@@ -135,6 +461,8 @@ export const createExpense = asyncHandler(async (req, res) => {
     const expense = new Expense({
       user: req.user.id,
       category: categoryId,
+      type,
+      amount: isMileage ? undefined : amount,
       startingPoint,
       destinationPoint,
       startingPointPlaceId,
@@ -142,25 +470,95 @@ export const createExpense = asyncHandler(async (req, res) => {
       formattedStartingAddress,
       formattedDestinationAddress,
       waypoints: waypoints || [],
-      distance,
-      duration,
-      durationInSeconds,
-      isCalculatedDistance: isCalculatedDistance || false,
-      routeSnapshot,
+      distance: route.distance,
+      duration: route.duration,
+      durationInSeconds: route.durationInSeconds,
+      isCalculatedDistance: route.isCalculatedDistance,
+      routeSnapshot: route.routeSnapshot,
+      isRoundTrip: isMileage && Boolean(isRoundTrip),
+      returnDistance:
+        isMileage && isRoundTrip ? route.returnDistance : undefined,
+      journey,
       costPerKm: finalCostPerKm,
+      vehicleType: isMileage ? vehicleType : undefined,
+      mileageRate: mileageRate ? mileageRate.mileageRate : undefined,
+      rateTiers: mileageRate ? mileageRate.tiers : undefined,
+      currency,
+      exchangeRate: exchangeRate.rate,
+      exchangeRateDate: exchangeRate.date,
       totalCost,
-      journeyDate: journeyDate || new Date(),
+      journeyDate: expenseDate,
       notes: processedNotes,
+      tripTemplate,
+      idempotencyKey,
+      idempotencyHash,
       createdBy: req.user.id,
       updatedBy: req.user.id,
     });
 
-    const savedExpense = await expense.save();
+    // Manually entered distances are compared with the calculated route
+    await checkExpenseDistance(expense);
+
+    // Tiered rates are priced from the kilometers driven earlier in the year
+    await applyRateTiers(expense);
+
+    // Hard policy limits block the expense, soft ones are stored as warnings
+    const policy = await evaluateExpensePolicy(expense);
+    if (policy.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: getPolicyBlockMessage(policy),
+        policy,
+      });
+    }
+
+    // The same trip filed twice is only a warning, e.g. two client visits
+    // on the same route in one day are legitimate
+    const duplicates = await findDuplicateExpenses(expense);
+    if (duplicates.length > 0) {
+      expense.possibleDuplicates = duplicates.map((duplicate) => duplicate._id);
+    }
+
+    let savedExpense;
+    try {
+      savedExpense = await expense.save();
+    } catch (error) {
+      // A concurrent retry with the same key got there first
+      if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+        return replayCreatedExpense(
+          res,
+          await Expense.findOne({ user: req.user.id, idempotencyKey }),
+          idempotencyHash
+        );
+      }
+      throw error;
+    }
+
+    // Subscribers keep the monthly report and budget usage in line
+    dispatch(EVENT_TYPES.EXPENSE_CREATED, { expense: savedExpense });
+
+    // A backdated trip moves the later trips of the year into higher bands
+    const recomputedExpenses = isMileage
+      ? await recomputeTieredExpenses(savedExpense, {
+          excludeId: savedExpense._id,
+        })
+      : [];
 
     return res.status(201).json({
       success: true,
       message: "Expense created successfully",
       data: savedExpense,
+      policy,
+      duplicates,
+      warning:
+        duplicates.length > 0
+          ? `This expense looks like ${
+              duplicates[0].match === "exact"
+                ? "a duplicate"
+                : "a near duplicate"
+            } of ${duplicates.map((duplicate) => duplicate._id).join(", ")}`
+          : undefined,
+      recomputedExpenses,
     });
   } catch (error) {
     logger.error(`Error creating expense: ${error.message}`, {
@@ -175,7 +573,7 @@ export const createExpense = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get all expenses (admins see all, sales reps see only theirs)
+ * @desc    Get all expenses (admins see all, managers their team's, sales reps only theirs)
  * @route   GET /api/expenses
  * @access  Private
  */
@@ -190,17 +588,26 @@ export const getExpenses = asyncHandler(async (req, res) => {
     page = 1,
     limit = 10,
     userId,
+    type,
+    flagged,
+    policy,
   } = req.query;
 
-  // Base query options - admins can see all, sales reps see only their own
+  // Base query options - admins can see all, others only the users they may see
   let queryOptions = {};
+  const visibleUserIds = await getVisibleUserIds(req.user);
 
-  // If user is not admin, they can only see their own expenses
-  if (req.user.role !== "admin") {
-    queryOptions.user = req.user.id;
-  } else if (userId) {
+  if (visibleUserIds === null) {
     // Admins can filter by specific user if they want
+    if (userId) queryOptions.user = userId;
+  } else if (
+    userId &&
+    visibleUserIds.some((id) => id.toString() === userId.toString())
+  ) {
+    // Managers can narrow the list down to one member of their team
     queryOptions.user = userId;
+  } else {
+    queryOptions.user = { $in: visibleUserIds };
   }
 
   // Add filters if provided
@@ -217,6 +624,20 @@ export const getExpenses = asyncHandler(async (req, res) => {
 
   if (status) queryOptions.status = status;
   if (category) queryOptions.category = category;
+  if (flagged !== undefined) {
+    // Manual distances that deviate too far from the calculated route
+    queryOptions["distanceCheck.flagged"] =
+      flagged === "true" ? true : { $ne: true };
+  }
+  if (policy) {
+    // Expenses violating an admin defined policy
+    queryOptions["policyCheck.violations.policy"] = policy;
+  }
+  if (type) {
+    // Expenses recorded before expense types existed have no type and are mileage
+    queryOptions.type =
+      type === MILEAGE_EXPENSE_TYPE ? { $in: [type, null] } : type;
+  }
 
   // Prepare sort options
   const sortOptions = {};
@@ -301,11 +722,8 @@ export const getExpenseById = asyncHandler(async (req, res) => {
       });
     }
 
-    // Check if user owns this expense or is admin
-    if (
-      expense.user._id.toString() !== req.user.id &&
-      req.user.role !== "admin"
-    ) {
+    // Check if user may see this expense (owner, their manager or admin)
+    if (!(await canViewUserData(req.user, expense.user._id))) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this expense",
@@ -364,6 +782,22 @@ export const updateExpense = asyncHandler(async (req, res) => {
       });
     }
 
+    // Expenses in a submitted or approved report are locked
+    const lockReason = await getExpenseLockReason(expense);
+    if (lockReason) {
+      return res.status(409).json({
+        success: false,
+        message: lockReason,
+      });
+    }
+
+    // What subscribers need to update where the expense was before
+    const previous = {
+      category: expense.category,
+      journeyDate: expense.journeyDate,
+      status: expense.status,
+    };
+
     const {
       startingPoint,
       destinationPoint,
@@ -382,11 +816,93 @@ export const updateExpense = asyncHandler(async (req, res) => {
       notes,
       category: categoryId,
       status,
+      type,
+      amount,
+      currency,
+      vehicleType,
+      isRoundTrip,
+      journey,
     } = req.body;
 
+    const updatedType = type || expense.type || MILEAGE_EXPENSE_TYPE;
+    const isMileage = updatedType === MILEAGE_EXPENSE_TYPE;
+
+    // null takes the expense out of its journey
+    if (journey && !(await isOwnJourney(journey, expense.user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Journey not found",
+      });
+    }
+
+    // Distance without the way back, in case the round trip flag changes
+    const wasRoundTrip = Boolean(expense.isRoundTrip);
+    const previousOneWayDistance = wasRoundTrip
+      ? expense.distance - (expense.returnDistance || 0)
+      : expense.distance;
+
+    // Annual km bands the expense counted towards before the update
+    const previousRateGroup =
+      (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE
+        ? {
+            user: expense.user,
+            vehicleType: expense.vehicleType || DEFAULT_VEHICLE_TYPE,
+            journeyDate: expense.journeyDate,
+          }
+        : null;
+
+    // Moving the expense to another month must not change a locked report
+    if (journeyDate) {
+      const periodLockReason = await getReportPeriodLockReason(
+        expense.user,
+        journeyDate
+      );
+      if (periodLockReason) {
+        return res.status(409).json({
+          success: false,
+          message: periodLockReason,
+        });
+      }
+    }
+
+    // A new currency or journey date means a different exchange rate.
+    // Mileage is paid per km in the base currency, whatever the client sends.
+    if (
+      currency ||
+      journeyDate ||
+      (isMileage && expense.currency !== config.baseCurrency)
+    ) {
+      const updatedCurrency = isMileage
+        ? config.baseCurrency
+        : currency || expense.currency;
+      const updatedDate = journeyDate || expense.journeyDate;
+      const exchangeRate = await ExchangeRate.findRateForDate(
+        updatedCurrency,
+        updatedDate
+      );
+
+      if (!exchangeRate) {
+        return res.status(400).json({
+          success: false,
+          message: `No exchange rate for ${updatedCurrency} on or before ${new Date(
+            updatedDate
+          ).toLocaleDateString()}. Please ask an admin to add one.`,
+        });
+      }
+
+      expense.currency = updatedCurrency;
+      expense.exchangeRate = exchangeRate.rate;
+      expense.exchangeRateDate = exchangeRate.date;
+    }
+
     // If admin, they can update the status
     if (req.user.role === "admin" && status) {
       expense.status = status;
+    } else if (expense.status === "approved") {
+      // The approval was for the expense as it was, changes are reviewed again
+      expense.status = "pending";
+      expense.reviewedBy = undefined;
+      expense.reviewedAt = undefined;
     }
 
     // Get category details for context if updating notes
@@ -411,14 +927,22 @@ export const updateExpense = asyncHandler(async (req, res) => {
         // Set up the context for AI enhancement
         const updatedDistance = distance || expense.distance;
         const updatedCostPerKm = costPerKm || expense.costPerKm;
-        const updatedTotalCost = updatedDistance * updatedCostPerKm;
+        const updatedOriginalAmount = isMileage
+          ? updatedDistance * updatedCostPerKm
+          : amount || expense.amount;
+        const updatedTotalCost = isMileage
+          ? updatedOriginalAmount
+          : updatedOriginalAmount * (expense.exchangeRate || 1);
 
         const expenseDetails = {
+          type: updatedType,
           category: categoryName,
           date: new Date(
             journeyDate || expense.journeyDate
           ).toLocaleDateString(),
           totalCost: updatedTotalCost.toFixed(2),
+          currency: expense.currency,
+          originalAmount: updatedOriginalAmount.toFixed(2),
           startPoint: startingPoint || expense.startingPoint,
           endPoint: destinationPoint || expense.destinationPoint,
           distanceInKm: updatedDistance,
@@ -455,21 +979,163 @@ export const updateExpense = asyncHandler(async (req, res) => {
     if (isCalculatedDistance !== undefined)
       expense.isCalculatedDistance = isCalculatedDistance;
     if (routeSnapshot) expense.routeSnapshot = routeSnapshot;
-    if (costPerKm) expense.costPerKm = costPerKm;
+    if (costPerKm) {
+      // A manually entered rate replaces the one from the rate table
+      expense.costPerKm = costPerKm;
+      expense.mileageRate = undefined;
+      expense.rateTiers = undefined;
+    }
     if (journeyDate) expense.journeyDate = journeyDate;
     if (notes !== undefined) expense.notes = processedNotes;
     if (categoryId) expense.category = categoryId;
+    if (type) expense.type = type;
+    if (amount) expense.amount = amount;
+    if (journey !== undefined) expense.journey = journey || undefined;
 
-    // Recalculate total cost if distance or costPerKm changed
-    if (distance || costPerKm) {
-      expense.totalCost =
-        (distance || expense.distance) * (costPerKm || expense.costPerKm);
+    // Round trips are recalculated when the flag is switched on or the route
+    // of a round trip changes. Switching it off drops the way back.
+    const routeChanged = Boolean(
+      startingPointPlaceId || destinationPointPlaceId || waypoints || distance
+    );
+
+    if (isMileage && isRoundTrip === false && wasRoundTrip) {
+      expense.distance = distance || previousOneWayDistance;
+      expense.isRoundTrip = false;
+      expense.returnDistance = undefined;
+    } else if (
+      isMileage &&
+      ((isRoundTrip === true && !wasRoundTrip) ||
+        (wasRoundTrip && isRoundTrip !== false && routeChanged))
+    ) {
+      try {
+        Object.assign(
+          expense,
+          await calculateRoundTripFields({
+            startingPointPlaceId: expense.startingPointPlaceId,
+            destinationPointPlaceId: expense.destinationPointPlaceId,
+            waypoints: expense.waypoints,
+            distance: distance || previousOneWayDistance,
+            durationInSeconds: wasRoundTrip
+              ? undefined
+              : expense.durationInSeconds,
+          })
+        );
+        expense.isRoundTrip = true;
+      } catch (error) {
+        logger.error(`Error calculating round trip: ${error.message}`);
+        return res.status(502).json({
+          success: false,
+          message: `Could not calculate the way back: ${error.message}`,
+        });
+      }
+    }
+
+    const vehicleChanged = vehicleType && vehicleType !== expense.vehicleType;
+    if (vehicleType) expense.vehicleType = vehicleType;
+
+    // Only pick a new rate when the vehicle changes, a rate-table based trip
+    // moves to another date or there is no rate yet. Otherwise the expense
+    // keeps the rate it was filed with, whatever happened to the rate table.
+    if (
+      isMileage &&
+      !costPerKm &&
+      (vehicleChanged ||
+        (journeyDate && expense.mileageRate) ||
+        !expense.costPerKm)
+    ) {
+      if (!expense.vehicleType) expense.vehicleType = DEFAULT_VEHICLE_TYPE;
+
+      const mileageRate = await resolveCostPerKm({
+        vehicleType: expense.vehicleType,
+        journeyDate: expense.journeyDate,
+      });
+      expense.costPerKm = mileageRate.costPerKm;
+      expense.mileageRate = mileageRate.mileageRate || undefined;
+      expense.rateTiers = mileageRate.tiers;
+    }
+
+    // A changed route or distance is checked again, which also drops an
+    // earlier approver override
+    if (
+      [
+        "distance",
+        "isCalculatedDistance",
+        "isRoundTrip",
+        "type",
+        "startingPointPlaceId",
+        "destinationPointPlaceId",
+        "waypoints",
+      ].some((field) => expense.isModified(field))
+    ) {
+      await checkExpenseDistance(expense);
     }
 
+    // A new distance or date can put a tiered trip into other bands
+    await applyRateTiers(expense);
+
+    const policy = await evaluateExpensePolicy(expense);
+    if (policy.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: getPolicyBlockMessage(policy),
+        policy,
+      });
+    }
+
+    // The total cost is recalculated from the route or the flat amount and
+    // converted to the base currency when the expense is saved
+
     // Set updatedBy to current user
     expense.updatedBy = req.user.id;
 
     const updatedExpense = await expense.save();
+    const isDraft = updatedExpense.status === DRAFT_EXPENSE_STATUS;
+
+    // Re-sync the report(s) the expense is (or was) part of and the usage
+    // of the budgets it counts towards
+    dispatch(EVENT_TYPES.EXPENSE_UPDATED, {
+      expense: updatedExpense,
+      previous,
+    });
+
+    // Later trips of the year follow the new distance, and the trips of the
+    // year, vehicle or type the expense left lose its kilometers
+    const recomputedExpenses =
+      isMileage && !isDraft
+        ? await recomputeTieredExpenses(updatedExpense, {
+            excludeId: updatedExpense._id,
+          })
+        : [];
+
+    if (
+      !isDraft &&
+      previousRateGroup &&
+      (!isMileage ||
+        previousRateGroup.vehicleType !==
+          (updatedExpense.vehicleType || DEFAULT_VEHICLE_TYPE) ||
+        new Date(previousRateGroup.journeyDate).getFullYear() !==
+          new Date(updatedExpense.journeyDate).getFullYear())
+    ) {
+      recomputedExpenses.push(
+        ...(await recomputeTieredExpenses(previousRateGroup, {
+          excludeId: updatedExpense._id,
+        }))
+      );
+    }
+
+    // Templates keep the last calculated route of the trip
+    if (routeSnapshot && updatedExpense.tripTemplate) {
+      await TripTemplate.updateOne(
+        { _id: updatedExpense.tripTemplate, user: updatedExpense.user },
+        {
+          routeSnapshot: updatedExpense.routeSnapshot,
+          distance: updatedExpense.distance,
+          duration: updatedExpense.duration,
+          durationInSeconds: updatedExpense.durationInSeconds,
+          waypoints: updatedExpense.waypoints,
+        }
+      );
+    }
 
     // Process notes for response
     const expenseObj = updatedExpense.toObject();
@@ -487,6 +1153,8 @@ export const updateExpense = asyncHandler(async (req, res) => {
       success: true,
       message: "Expense updated successfully",
       data: expenseObj,
+      policy,
+      recomputedExpenses,
     });
   } catch (error) {
     logger.error(`Error updating expense: ${error.message}`, {
@@ -500,6 +1168,95 @@ export const updateExpense = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Confirm a draft expense generated from a recurring trip template
+ * @route   PUT /api/expenses/:id/confirm
+ * @access  Private
+ */
+export const confirmExpense = asyncHandler(async (req, res) => {
+  try {
+    const expense = await Expense.findById(req.params.id);
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Expense not found",
+      });
+    }
+
+    // Only the owner can confirm they actually made the trip
+    if (expense.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to confirm this expense",
+      });
+    }
+
+    if (expense.status !== DRAFT_EXPENSE_STATUS) {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft expenses can be confirmed",
+      });
+    }
+
+    const lockReason = await getReportPeriodLockReason(
+      expense.user,
+      expense.journeyDate
+    );
+    if (lockReason) {
+      return res.status(409).json({
+        success: false,
+        message: lockReason,
+      });
+    }
+
+    expense.status = "pending";
+    expense.updatedBy = req.user.id;
+    await applyRateTiers(expense);
+
+    // Drafts didn't count towards the limits until now
+    const policy = await evaluateExpensePolicy(expense);
+    if (policy.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: getPolicyBlockMessage(policy),
+        policy,
+      });
+    }
+
+    const confirmedExpense = await expense.save();
+
+    dispatch(EVENT_TYPES.EXPENSE_UPDATED, {
+      expense: confirmedExpense,
+      previous: { status: DRAFT_EXPENSE_STATUS },
+    });
+
+    const recomputedExpenses =
+      (confirmedExpense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE
+        ? await recomputeTieredExpenses(confirmedExpense, {
+            excludeId: confirmedExpense._id,
+          })
+        : [];
+
+    return res.status(200).json({
+      success: true,
+      message: "Expense confirmed successfully",
+      data: confirmedExpense,
+      policy,
+      recomputedExpenses,
+    });
+  } catch (error) {
+    logger.error(`Error confirming expense: ${error.message}`, {
+      error: error.stack,
+    });
+    return res.status(500).json({
+      success: false,
+      message: "Error confirming expense",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * @desc    Delete expense
  * @route   DELETE /api/expenses/:id
@@ -524,12 +1281,34 @@ export const deleteExpense = asyncHandler(async (req, res) => {
       });
     }
 
+    // Expenses in a submitted or approved report are locked
+    const lockReason = await getExpenseLockReason(expense);
+    if (lockReason) {
+      return res.status(409).json({
+        success: false,
+        message: lockReason,
+      });
+    }
+
     await expense.deleteOne();
 
+    // Take the expense out of its report and budget usage
+    dispatch(EVENT_TYPES.EXPENSE_DELETED, { expense });
+
+    // Later trips of the year may drop back into lower km bands
+    const recomputedExpenses =
+      (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE
+        ? await recomputeTieredExpenses(expense)
+        : [];
+
+    // Clean up any uploaded receipts belonging to the expense
+    await removeExpenseAttachmentFiles(expense);
+
     return res.status(200).json({
       success: true,
       message: "Expense deleted successfully",
       data: {},
+      recomputedExpenses,
     });
   } catch (error) {
     logger.error(`Error deleting expense: ${error.message}`, {
@@ -558,6 +1337,7 @@ export const previewEnhancedNotes = asyncHandler(async (req, res) => {
       totalCost,
       journeyDate,
       categoryId,
+      type = MILEAGE_EXPENSE_TYPE,
     } = req.body;
 
     if (!notes) {
@@ -582,6 +1362,7 @@ export const previewEnhancedNotes = asyncHandler(async (req, res) => {
 
     // Prepare context for AI enhancement
     const expenseDetails = {
+      type,
       category: categoryName,
       date: journeyDate
         ? new Date(journeyDate).toLocaleDateString()
@@ -0,0 +1,218 @@
+import asyncHandler from "express-async-handler";
+import Expense, { DRAFT_EXPENSE_STATUS } from "../models/Expense.js";
+import Report from "../models/Report.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { LOCKED_REPORT_STATUSES } from "../utils/reportSync.js";
+import { needsDistanceOverride } from "../utils/distanceCheck.js";
+import { evaluateApprovalPolicies } from "../utils/expensePolicy.js";
+import { EVENT_TYPES, dispatch } from "../events/eventBus.js";
+
+/**
+ * Approve or reject a set of expenses and update the reports containing them
+ * @param {Array<string>} expenseIds - IDs of the expenses to review
+ * @param {string} status - "approved" or "rejected"
+ * @param {Object} options - { reviewerId, reason, comment, overrideComment }
+ * @returns {Promise<Object>} - { expenses, reports } after the review
+ */
+const reviewExpenses = async (
+  expenseIds,
+  status,
+  { reviewerId, reason, comment, overrideComment }
+) => {
+  const uniqueIds = [...new Set(expenseIds.map((id) => id.toString()))];
+  const expenses = await Expense.find({ _id: { $in: uniqueIds } });
+
+  if (expenses.length !== uniqueIds.length) {
+    const foundIds = expenses.map((expense) => expense._id.toString());
+    const missingIds = uniqueIds.filter((id) => !foundIds.includes(id));
+    throw new ErrorResponse(
+      `No expense found with id of ${missingIds.join(", ")}`,
+      404
+    );
+  }
+
+  // Drafts of recurring trips have not been confirmed by their owner yet
+  const drafts = expenses.filter(
+    (expense) => expense.status === DRAFT_EXPENSE_STATUS
+  );
+  if (drafts.length > 0) {
+    throw new ErrorResponse(
+      `Draft expenses can't be reviewed before their owner confirms them: ${drafts
+        .map((expense) => expense._id)
+        .join(", ")}`,
+      400
+    );
+  }
+
+  // Submitted reports are locked for their owner while approvers review
+  // their lines, reports past that have been decided and paid on
+  const closedReports = await Report.find({
+    expenses: { $in: uniqueIds },
+    status: {
+      $in: LOCKED_REPORT_STATUSES.filter((status) => status !== "submitted"),
+    },
+  }).select("month year status");
+  if (closedReports.length > 0) {
+    throw new ErrorResponse(
+      `Expenses in ${closedReports
+        .map(
+          (report) =>
+            `the ${report.status} report ${report.month}/${report.year}`
+        )
+        .join(", ")} can't be reviewed, please reopen the report first`,
+      400
+    );
+  }
+
+  // Distances far off the calculated route are only approved knowingly
+  const flagged = expenses.filter(needsDistanceOverride);
+  if (status === "approved" && flagged.length > 0 && !overrideComment) {
+    throw new ErrorResponse(
+      `The distance of these expenses deviates from the calculated route, please approve them with an overrideComment: ${flagged
+        .map(
+          (expense) =>
+            `${expense._id} (${expense.distance} km entered, ${expense.distanceCheck.expectedDistance} km calculated, ${expense.distanceCheck.deviationPercent}%)`
+        )
+        .join(", ")}`,
+      400
+    );
+  }
+
+  // Approval policies, e.g. long trips need a comment of the approver
+  if (status === "approved") {
+    const blocked = [];
+
+    for (const expense of expenses) {
+      const policy = await evaluateApprovalPolicies(expense, {
+        reviewComment: comment,
+      });
+      if (policy.blocked) {
+        blocked.push(
+          `${expense._id} (${policy.violations
+            .filter((violation) => violation.severity === "hard")
+            .map((violation) => violation.message)
+            .join("; ")})`
+        );
+      }
+    }
+
+    if (blocked.length > 0) {
+      throw new ErrorResponse(
+        `These expenses can't be approved under the expense policy: ${blocked.join(
+          ", "
+        )}`,
+        400
+      );
+    }
+  }
+
+  const reviewedAt = new Date();
+
+  for (const expense of expenses) {
+    if (status === "approved" && needsDistanceOverride(expense)) {
+      expense.distanceCheck.overrideComment = overrideComment;
+      expense.distanceCheck.overriddenBy = reviewerId;
+      expense.distanceCheck.overriddenAt = reviewedAt;
+    }
+
+    const previous = { status: expense.status };
+    expense.status = status;
+    expense.reviewedBy = reviewerId;
+    expense.reviewedAt = reviewedAt;
+    expense.rejectionReason = status === "rejected" ? reason : undefined;
+    if (comment !== undefined) expense.reviewComment = comment;
+    expense.updatedBy = reviewerId;
+    await expense.save();
+
+    // Owners hear about rejections, budgets and webhooks follow the status
+    dispatch(EVENT_TYPES.EXPENSE_UPDATED, { expense, previous });
+  }
+
+  // Reimbursed and pending amounts follow the reviewed lines
+  const reports = await Report.find({ expenses: { $in: uniqueIds } });
+
+  for (const report of reports) {
+    await report.recalculateAmounts();
+    await report.save();
+  }
+
+  return { expenses, reports };
+};
+
+// @desc    Approve a single expense
+// @route   PUT /api/v1/expenses/:id/approve
+// @access  Private/Admin
+export const approveExpense = asyncHandler(async (req, res, next) => {
+  const { expenses, reports } = await reviewExpenses(
+    [req.params.id],
+    "approved",
+    {
+      reviewerId: req.user.id,
+      comment: req.body.comment,
+      overrideComment: req.body.overrideComment,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: expenses[0],
+    reports,
+  });
+});
+
+// @desc    Reject a single expense
+// @route   PUT /api/v1/expenses/:id/reject
+// @access  Private/Admin
+export const rejectExpense = asyncHandler(async (req, res, next) => {
+  const { expenses, reports } = await reviewExpenses(
+    [req.params.id],
+    "rejected",
+    { reviewerId: req.user.id, reason: req.body.reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: expenses[0],
+    reports,
+  });
+});
+
+// @desc    Approve several expenses at once
+// @route   PUT /api/v1/expenses/batch/approve
+// @access  Private/Admin
+export const approveExpenses = asyncHandler(async (req, res, next) => {
+  const { expenses, reports } = await reviewExpenses(
+    req.body.expenseIds,
+    "approved",
+    {
+      reviewerId: req.user.id,
+      comment: req.body.comment,
+      overrideComment: req.body.overrideComment,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: expenses.length,
+    data: expenses,
+    reports,
+  });
+});
+
+// @desc    Reject several expenses at once
+// @route   PUT /api/v1/expenses/batch/reject
+// @access  Private/Admin
+export const rejectExpenses = asyncHandler(async (req, res, next) => {
+  const { expenses, reports } = await reviewExpenses(
+    req.body.expenseIds,
+    "rejected",
+    { reviewerId: req.user.id, reason: req.body.reason }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: expenses.length,
+    data: expenses,
+    reports,
+  });
+});
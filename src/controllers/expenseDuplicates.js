@@ -0,0 +1,93 @@
+import asyncHandler from "express-async-handler";
+import Expense from "../models/Expense.js";
+import config from "../config/config.js";
+import { classifyDuplicate } from "../utils/duplicateDetection.js";
+
+// Fields shown for each expense of a suspected duplicate
+const DUPLICATE_REPORT_FIELDS =
+  "user type journeyDate startingPoint destinationPoint startingPointPlaceId destinationPointPlaceId distance amount currency totalCost status createdAt";
+
+// Period checked when the report is requested without dates
+const DEFAULT_REPORT_DAYS = 90;
+
+/**
+ * Pick the fields of an expense shown in the duplicate report
+ * @param {Object} expense - Lean expense
+ * @returns {Object} - Expense summary
+ */
+const summarizeExpense = (expense) => ({
+  _id: expense._id,
+  type: expense.type,
+  journeyDate: expense.journeyDate,
+  startingPoint: expense.startingPoint,
+  destinationPoint: expense.destinationPoint,
+  distance: expense.distance,
+  amount: expense.amount,
+  currency: expense.currency,
+  totalCost: expense.totalCost,
+  status: expense.status,
+  createdAt: expense.createdAt,
+});
+
+// @desc    List suspected duplicate expenses across all users
+//          (?startDate=&endDate=&userId=&match=exact|near)
+// @route   GET /api/v1/expenses/duplicates
+// @access  Private/Admin
+export const getDuplicateExpenses = asyncHandler(async (req, res, next) => {
+  const { startDate, endDate, userId, match } = req.query;
+
+  const end = endDate ? new Date(endDate) : new Date();
+  end.setHours(23, 59, 59, 999);
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  start.setHours(0, 0, 0, 0);
+
+  const query = {
+    status: { $ne: "rejected" },
+    journeyDate: { $gte: start, $lte: end },
+  };
+  if (userId) query.user = userId;
+
+  const expenses = await Expense.find(query)
+    .select(DUPLICATE_REPORT_FIELDS)
+    .populate("user", "name email")
+    .sort({ user: 1, journeyDate: 1, createdAt: 1 })
+    .lean();
+
+  // Expenses are sorted by user and date, so only the following expenses
+  // within the date window need to be compared
+  const windowMs = (config.duplicateDateWindowDays + 1) * 24 * 60 * 60 * 1000;
+  const duplicates = [];
+
+  expenses.forEach((expense, index) => {
+    for (let i = index + 1; i < expenses.length; i++) {
+      const other = expenses[i];
+
+      if (
+        !other.user ||
+        !expense.user ||
+        other.user._id.toString() !== expense.user._id.toString() ||
+        other.journeyDate - expense.journeyDate > windowMs
+      ) {
+        break;
+      }
+
+      const duplicate = classifyDuplicate(other, expense);
+      if (duplicate && (!match || duplicate.match === match)) {
+        duplicates.push({
+          ...duplicate,
+          user: expense.user,
+          expenses: [summarizeExpense(expense), summarizeExpense(other)],
+        });
+      }
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    count: duplicates.length,
+    period: { startDate: start, endDate: end },
+    data: duplicates,
+  });
+});
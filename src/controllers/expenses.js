@@ -3,7 +3,8 @@ import Expense from "../models/Expense.js";
 import Report from "../models/Report.js";
 import ErrorResponse from "../utils/errorResponse.js";
 import Setting from "../models/Setting.js";
-import axios from "axios";
+import { EVENT_TYPES, dispatch } from "../events/eventBus.js";
+import { getCategoryBudgetAlerts } from "../utils/categoryBudgets.js";
 
 // @desc    Get all expenses
 // @route   GET /api/v1/expenses
@@ -114,38 +115,19 @@ export const getExpense = asyncHandler(async (req, res) => {
   });
 });
 
-// Add this function to check budget limits after expense is created or updated
-const checkBudgetLimits = async (expense) => {
-  try {
-    // Call the internal API to update usage statistics for the category
-    const response = await axios.post(
-      `${process.env.BASE_URL}/api/v1/categories/${expense.category}/budget/update-usage`,
-      {},
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.API_INTERNAL_TOKEN}`,
-        },
-      }
-    );
-
-    // Get budget usage with alert status
-    const usageResponse = await axios.get(
-      `${process.env.BASE_URL}/api/v1/categories/${expense.category}/budget/usage`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.API_INTERNAL_TOKEN}`,
-        },
-      }
-    );
-
-    // Check if any budget limits are near threshold or exceeded
-    const budgetAlerts = usageResponse.data.data.filter(
-      (budget) =>
-        budget.alertStatus === "warning" || budget.alertStatus === "exceeded"
-    );
+/**
+ * Publish an expense event and collect the budget limits of the expense's
+ * category that are close to or over their amount. The budget-usage
+ * subscriber updates the usage and notifies the user.
+ * @param {string} type - Event type
+ * @param {Object} expense - Expense the event is about
+ * @returns {Promise<Array<Object>>} - Budget alerts for the user
+ */
+const checkBudgetLimits = async (type, expense) => {
+  dispatch(type, { expense });
 
-    // Return any alerts that need to be shown to the user
-    return budgetAlerts;
+  try {
+    return await getCategoryBudgetAlerts(expense.category);
   } catch (error) {
     console.error("Error checking budget limits:", error.message);
     return [];
@@ -348,7 +330,7 @@ export const createExpense = asyncHandler(async (req, res, next) => {
 
     if (report) {
       // Update existing report
-      report.totalDistance += expense.distance;
+      report.totalDistance += expense.distance || 0;
       report.totalExpenseAmount += expense.totalCost;
       report.pendingAmount += expense.totalCost;
       report.expenses.push(expense._id);
@@ -369,7 +351,7 @@ export const createExpense = asyncHandler(async (req, res, next) => {
         month,
         year,
         status: "draft",
-        totalDistance: expense.distance,
+        totalDistance: expense.distance || 0,
         totalExpenseAmount: expense.totalCost,
         reimbursedAmount: 0,
         pendingAmount: expense.totalCost,
@@ -378,7 +360,10 @@ export const createExpense = asyncHandler(async (req, res, next) => {
     }
 
     // Check budget limits after creating expense
-    const budgetAlerts = await checkBudgetLimits(expense);
+    const budgetAlerts = await checkBudgetLimits(
+      EVENT_TYPES.EXPENSE_CREATED,
+      expense
+    );
 
     res.status(201).json({
       success: true,
@@ -553,7 +538,7 @@ export const updateExpense = asyncHandler(async (req, res, next) => {
   req.body.updatedBy = req.user.id;
 
   // Store previous values for report updating
-  const previousDistance = expense.distance;
+  const previousDistance = expense.distance || 0;
   const previousTotalCost = expense.totalCost;
   const previousDate = new Date(expense.journeyDate);
   const previousMonth = previousDate.getMonth() + 1;
@@ -583,7 +568,7 @@ export const updateExpense = asyncHandler(async (req, res, next) => {
 
     if (report) {
       report.totalDistance =
-        report.totalDistance - previousDistance + expense.distance;
+        report.totalDistance - previousDistance + (expense.distance || 0);
       report.totalExpenseAmount =
         report.totalExpenseAmount - previousTotalCost + expense.totalCost;
       report.pendingAmount =
@@ -638,7 +623,7 @@ export const updateExpense = asyncHandler(async (req, res, next) => {
     if (newReport) {
       // Add to existing report
       newReport.expenses.push(expense._id);
-      newReport.totalDistance += expense.distance;
+      newReport.totalDistance += expense.distance || 0;
       newReport.totalExpenseAmount += expense.totalCost;
       newReport.pendingAmount += expense.totalCost;
 
@@ -658,7 +643,7 @@ export const updateExpense = asyncHandler(async (req, res, next) => {
         month: newMonth,
         year: newYear,
         status: "draft",
-        totalDistance: expense.distance,
+        totalDistance: expense.distance || 0,
         totalExpenseAmount: expense.totalCost,
         reimbursedAmount: 0,
         pendingAmount: expense.totalCost,
@@ -668,7 +653,10 @@ export const updateExpense = asyncHandler(async (req, res, next) => {
   }
 
   // Check budget limits after updating expense
-  const budgetAlerts = await checkBudgetLimits(expense);
+  const budgetAlerts = await checkBudgetLimits(
+    EVENT_TYPES.EXPENSE_UPDATED,
+    expense
+  );
 
   res.status(200).json({
     success: true,
@@ -712,7 +700,7 @@ export const deleteExpense = asyncHandler(async (req, res, next) => {
     report.expenses = report.expenses.filter(
       (expId) => expId.toString() !== expense._id.toString()
     );
-    report.totalDistance -= expense.distance;
+    report.totalDistance -= expense.distance || 0;
     report.totalExpenseAmount -= expense.totalCost;
     report.pendingAmount -= expense.totalCost;
 
@@ -734,6 +722,8 @@ export const deleteExpense = asyncHandler(async (req, res, next) => {
 
   await expense.deleteOne();
 
+  dispatch(EVENT_TYPES.EXPENSE_DELETED, { expense });
+
   res.status(200).json({
     success: true,
     data: {},
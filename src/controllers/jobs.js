@@ -0,0 +1,147 @@
+import asyncHandler from "express-async-handler";
+import Job from "../models/Job.js";
+import JobRun from "../models/JobRun.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  INSTANCE_ID,
+  ensureJobs,
+  getJobDefinitions,
+  runJobNow,
+} from "../utils/jobScheduler.js";
+
+/**
+ * Find the state of a registered job
+ * @param {string} name - Job name
+ * @returns {Promise<Object>} - Job document
+ * @throws {ErrorResponse} - 404 if no such job is registered
+ */
+const findJob = async (name) => {
+  const isRegistered = getJobDefinitions().some(
+    (definition) => definition.name === name
+  );
+  const job = isRegistered ? await Job.findOne({ name }) : null;
+
+  if (!job) {
+    throw new ErrorResponse(`No job found with name ${name}`, 404);
+  }
+
+  return job;
+};
+
+// @desc    Get scheduled jobs with their state
+// @route   GET /api/v1/jobs
+// @access  Private/Admin
+export const getJobs = asyncHandler(async (req, res, next) => {
+  await ensureJobs();
+
+  const names = getJobDefinitions().map((definition) => definition.name);
+  const jobs = await Job.find({ name: { $in: names } }).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    instance: INSTANCE_ID,
+    data: jobs,
+  });
+});
+
+// @desc    Get a scheduled job with its latest runs
+// @route   GET /api/v1/jobs/:name
+// @access  Private/Admin
+export const getJob = asyncHandler(async (req, res, next) => {
+  await ensureJobs();
+  const job = await findJob(req.params.name);
+
+  const recentRuns = await JobRun.find({ job: job.name })
+    .sort({ startedAt: -1 })
+    .limit(10)
+    .populate("triggeredBy", "name email");
+
+  res.status(200).json({
+    success: true,
+    data: { ...job.toObject(), recentRuns },
+  });
+});
+
+// @desc    Enable or disable a job or change its interval
+// @route   PUT /api/v1/jobs/:name
+// @access  Private/Admin
+export const updateJob = asyncHandler(async (req, res, next) => {
+  await ensureJobs();
+  const job = await findJob(req.params.name);
+  const { enabled, intervalMinutes } = req.body;
+
+  if (enabled !== undefined) {
+    job.enabled = enabled;
+  }
+
+  if (intervalMinutes !== undefined) {
+    job.intervalMinutes = intervalMinutes;
+    // The next run moves with the new interval
+    job.nextRunAt = new Date(
+      (job.lastRunAt ? job.lastRunAt.getTime() : Date.now()) +
+        intervalMinutes * 60000
+    );
+  }
+
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    data: job,
+  });
+});
+
+// @desc    Run a job now and wait for it to finish
+// @route   POST /api/v1/jobs/:name/run
+// @access  Private/Admin
+export const runJob = asyncHandler(async (req, res, next) => {
+  const run = await runJobNow(req.params.name, { triggeredBy: req.user.id });
+
+  res.status(200).json({
+    success: run.status === "success",
+    data: run,
+  });
+});
+
+// @desc    Get the run history of a job
+// @route   GET /api/v1/jobs/:name/runs
+// @access  Private/Admin
+export const getJobRuns = asyncHandler(async (req, res, next) => {
+  const job = await findJob(req.params.name);
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  const query = { job: job.name };
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const total = await JobRun.countDocuments(query);
+  const runs = await JobRun.find(query)
+    .sort({ startedAt: -1 })
+    .skip(startIndex)
+    .limit(limit)
+    .populate("triggeredBy", "name email");
+
+  // Pagination result
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    total,
+    pagination,
+    data: runs,
+  });
+});
@@ -0,0 +1,292 @@
+import asyncHandler from "express-async-handler";
+import Journey from "../models/Journey.js";
+import Expense from "../models/Expense.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { canViewUserData } from "../utils/teamAccess.js";
+import { getExpenseLockReason } from "../utils/reportSync.js";
+import { summarizeJourneys } from "../utils/journeys.js";
+
+/**
+ * Load a journey and make sure the current user may see it
+ * @param {Object} req - Express request
+ * @param {boolean} write - Whether the user wants to change the journey
+ * @returns {Promise<Object>} - Journey document
+ */
+const findAuthorizedJourney = async (req, write = false) => {
+  const journey = await Journey.findById(req.params.id);
+
+  if (!journey) {
+    throw new ErrorResponse(
+      `No journey found with id of ${req.params.id}`,
+      404
+    );
+  }
+
+  // Owners and admins may change a journey, managers may look at their team's
+  const authorized = write
+    ? journey.user.toString() === req.user.id || req.user.role === "admin"
+    : await canViewUserData(req.user, journey.user);
+
+  if (!authorized) {
+    throw new ErrorResponse("Not authorized to access this journey", 403);
+  }
+
+  return journey;
+};
+
+/**
+ * Put expenses into a journey. Only the journey owner's expenses that are not
+ * in a submitted or approved report can be added.
+ * @param {Object} journey - Journey document
+ * @param {Array<string>} expenseIds - Expenses to add
+ * @returns {Promise<void>}
+ */
+const addExpensesToJourney = async (journey, expenseIds) => {
+  const uniqueIds = [...new Set(expenseIds.map((id) => id.toString()))];
+  const expenses = await Expense.find({
+    _id: { $in: uniqueIds },
+    user: journey.user,
+  });
+
+  if (expenses.length !== uniqueIds.length) {
+    throw new ErrorResponse(
+      "Journeys can only contain expenses of the journey owner",
+      400
+    );
+  }
+
+  for (const expense of expenses) {
+    const lockReason = await getExpenseLockReason(expense);
+    if (lockReason) {
+      throw new ErrorResponse(lockReason, 409);
+    }
+  }
+
+  await Expense.updateMany(
+    { _id: { $in: uniqueIds } },
+    { journey: journey._id }
+  );
+};
+
+/**
+ * Get the legs of a journey with their combined totals
+ * @param {Object} journey - Journey document
+ * @returns {Promise<Object>} - { legs, totals }
+ */
+const getJourneyLegs = async (journey) => {
+  const legs = await Expense.find({ journey: journey._id })
+    .populate("category", "name")
+    .sort({ journeyDate: 1 });
+
+  const [summary] = summarizeJourneys(legs);
+
+  return {
+    legs,
+    totals: summary
+      ? {
+          legs: summary.legs,
+          totalDistance: summary.totalDistance,
+          totalCost: summary.totalCost,
+          firstDate: summary.firstDate,
+          lastDate: summary.lastDate,
+        }
+      : { legs: 0, totalDistance: 0, totalCost: 0 },
+  };
+};
+
+// @desc    Get journeys (own, the team's for managers, all for admin/finance)
+// @route   GET /api/v1/journeys
+// @access  Private
+export const getJourneys = asyncHandler(async (req, res, next) => {
+  // Own journeys unless another user the current user may see is asked for
+  const user = req.query.user || req.user.id;
+
+  if (!(await canViewUserData(req.user, user))) {
+    return next(
+      new ErrorResponse("Not authorized to see this user's journeys", 403)
+    );
+  }
+
+  const journeys = await Journey.find({ user }).sort({ startDate: -1 });
+
+  // Add the combined totals of every journey
+  const totals = await Expense.aggregate([
+    { $match: { journey: { $in: journeys.map((journey) => journey._id) } } },
+    {
+      $group: {
+        _id: "$journey",
+        legs: { $sum: 1 },
+        totalDistance: { $sum: { $ifNull: ["$distance", 0] } },
+        totalCost: { $sum: "$totalCost" },
+      },
+    },
+  ]);
+
+  const data = journeys.map((journey) => {
+    const total = totals.find((entry) => entry._id.equals(journey._id));
+    return {
+      ...journey.toObject(),
+      legs: total ? total.legs : 0,
+      totalDistance: total ? Math.round(total.totalDistance * 100) / 100 : 0,
+      totalCost: total ? Math.round(total.totalCost * 100) / 100 : 0,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data,
+  });
+});
+
+// @desc    Get single journey with its legs and combined totals
+// @route   GET /api/v1/journeys/:id
+// @access  Private
+export const getJourney = asyncHandler(async (req, res, next) => {
+  const journey = await findAuthorizedJourney(req);
+  const { legs, totals } = await getJourneyLegs(journey);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...journey.toObject(),
+      legs,
+      totals,
+    },
+  });
+});
+
+// @desc    Create journey, optionally with its legs
+// @route   POST /api/v1/journeys
+// @access  Private
+export const createJourney = asyncHandler(async (req, res, next) => {
+  const { title, purpose, startDate, endDate, notes, expenseIds } = req.body;
+
+  const journey = await Journey.create({
+    user: req.user.id,
+    title,
+    purpose,
+    startDate,
+    endDate,
+    notes,
+    createdBy: req.user.id,
+  });
+
+  if (expenseIds && expenseIds.length > 0) {
+    try {
+      await addExpensesToJourney(journey, expenseIds);
+    } catch (error) {
+      // Don't leave an empty journey behind
+      await journey.deleteOne();
+      throw error;
+    }
+  }
+
+  const { legs, totals } = await getJourneyLegs(journey);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...journey.toObject(),
+      legs,
+      totals,
+    },
+  });
+});
+
+// @desc    Update journey
+// @route   PUT /api/v1/journeys/:id
+// @access  Private
+export const updateJourney = asyncHandler(async (req, res, next) => {
+  const journey = await findAuthorizedJourney(req, true);
+
+  ["title", "purpose", "startDate", "endDate", "notes"].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      journey[field] = req.body[field];
+    }
+  });
+
+  await journey.save();
+
+  res.status(200).json({
+    success: true,
+    data: journey,
+  });
+});
+
+// @desc    Add legs to a journey
+// @route   POST /api/v1/journeys/:id/expenses
+// @access  Private
+export const addJourneyExpenses = asyncHandler(async (req, res, next) => {
+  const journey = await findAuthorizedJourney(req, true);
+
+  await addExpensesToJourney(journey, req.body.expenseIds);
+
+  const { legs, totals } = await getJourneyLegs(journey);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...journey.toObject(),
+      legs,
+      totals,
+    },
+  });
+});
+
+// @desc    Take a leg out of a journey
+// @route   DELETE /api/v1/journeys/:id/expenses/:expenseId
+// @access  Private
+export const removeJourneyExpense = asyncHandler(async (req, res, next) => {
+  const journey = await findAuthorizedJourney(req, true);
+  const expense = await Expense.findOne({
+    _id: req.params.expenseId,
+    journey: journey._id,
+  });
+
+  if (!expense) {
+    return next(
+      new ErrorResponse(
+        `No leg found with id of ${req.params.expenseId} in this journey`,
+        404
+      )
+    );
+  }
+
+  const lockReason = await getExpenseLockReason(expense);
+  if (lockReason) {
+    return next(new ErrorResponse(lockReason, 409));
+  }
+
+  expense.journey = undefined;
+  await expense.save();
+
+  const { legs, totals } = await getJourneyLegs(journey);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...journey.toObject(),
+      legs,
+      totals,
+    },
+  });
+});
+
+// @desc    Delete journey, its legs stay as individual expenses
+// @route   DELETE /api/v1/journeys/:id
+// @access  Private
+export const deleteJourney = asyncHandler(async (req, res, next) => {
+  const journey = await findAuthorizedJourney(req, true);
+
+  await Expense.updateMany(
+    { journey: journey._id },
+    { $unset: { journey: "" } }
+  );
+  await journey.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
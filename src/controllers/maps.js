@@ -5,9 +5,17 @@ import {
   getPlaceDetails as fetchPlaceDetails,
   calculateDistance,
   calculateRouteWithWaypoints,
+  calculateRoundTrip,
   getRouteFromSnapshot,
 } from "../utils/googleMaps.js";
 import Expense from "../models/Expense.js";
+import Place from "../models/Place.js";
+import RouteCache from "../models/RouteCache.js";
+import {
+  getRouteCacheMetrics,
+  getRouteCacheQuery,
+  purgeRouteCache,
+} from "../utils/routeCache.js";
 
 /**
  * @desc    Get place suggestions based on input
@@ -56,7 +64,7 @@ export const getPlaceDetails = asyncHandler(async (req, res, next) => {
  * @access  Private
  */
 export const calculateRoute = asyncHandler(async (req, res, next) => {
-  const { originPlaceId, destinationPlaceId, waypoints } = req.body;
+  const { originPlaceId, destinationPlaceId, waypoints, roundTrip } = req.body;
 
   if (!originPlaceId || !destinationPlaceId) {
     return next(
@@ -67,8 +75,15 @@ export const calculateRoute = asyncHandler(async (req, res, next) => {
   try {
     let routeData;
 
-    // If waypoints are provided, calculate a route with waypoints
-    if (waypoints && waypoints.length > 0) {
+    if (roundTrip === true || roundTrip === "true") {
+      // The way back is calculated as one more leg of the route
+      routeData = await calculateRoundTrip(
+        originPlaceId,
+        destinationPlaceId,
+        waypoints || []
+      );
+    } else if (waypoints && waypoints.length > 0) {
+      // If waypoints are provided, calculate a route with waypoints
       // Validate waypoints structure
       for (const waypoint of waypoints) {
         if (typeof waypoint === "object" && !waypoint.placeId) {
@@ -255,3 +270,176 @@ export const storeRouteSnapshot = asyncHandler(async (req, res, next) => {
     },
   });
 });
+
+/**
+ * @desc    Store the coordinates of a place for offline route estimates
+ * @route   POST /api/v1/maps/places
+ * @access  Private/Admin
+ */
+export const savePlace = asyncHandler(async (req, res, next) => {
+  const { placeId, name, formattedAddress, lat, lng } = req.body;
+
+  if (
+    typeof placeId !== "string" ||
+    !placeId ||
+    !name ||
+    lat === undefined ||
+    lng === undefined
+  ) {
+    return next(
+      new ErrorResponse("Please provide placeId, name, lat and lng", 400)
+    );
+  }
+
+  // Manually entered coordinates replace the ones looked up from Google
+  const place = await Place.findOneAndUpdate(
+    { placeId },
+    {
+      name,
+      formattedAddress,
+      location: { lat, lng },
+      source: "manual",
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  // Cached details and routes still have the old coordinates
+  await purgeRouteCache({ placeId });
+
+  res.status(200).json({
+    success: true,
+    data: place,
+  });
+});
+
+/**
+ * Read the route cache filters of a request
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} - { kind, placeId, expired }
+ */
+const getRouteCacheFilter = (source = {}) => {
+  ["kind", "placeId"].forEach((field) => {
+    if (source[field] !== undefined && typeof source[field] !== "string") {
+      throw new ErrorResponse(`${field} must be a single value`, 400);
+    }
+  });
+
+  return {
+    kind: source.kind,
+    placeId: source.placeId,
+    expired: source.expired === true || source.expired === "true",
+  };
+};
+
+/**
+ * @desc    Inspect the route cache: entries per kind, hit/miss metrics and
+ *          the entries matching ?kind=&placeId=&expired=
+ * @route   GET /api/v1/maps/cache
+ * @access  Private/Admin
+ */
+export const getRouteCache = asyncHandler(async (req, res, next) => {
+  const query = getRouteCacheQuery(getRouteCacheFilter(req.query));
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const startIndex = (page - 1) * limit;
+
+  const [byKind, total, entries] = await Promise.all([
+    RouteCache.aggregate([
+      {
+        $group: {
+          _id: "$kind",
+          entries: { $sum: 1 },
+          hits: { $sum: "$hits" },
+        },
+      },
+    ]),
+    RouteCache.countDocuments(query),
+    RouteCache.find(query)
+      .select("-value")
+      .sort({ updatedAt: -1 })
+      .skip(startIndex)
+      .limit(limit),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    pagination: {
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      total,
+    },
+    stats: {
+      entries: Object.fromEntries(
+        byKind.map(({ _id, entries, hits }) => [_id, { entries, hits }])
+      ),
+      metrics: getRouteCacheMetrics(),
+    },
+    data: entries,
+  });
+});
+
+/**
+ * @desc    Get a single route cache entry with its cached value
+ * @route   GET /api/v1/maps/cache/:id
+ * @access  Private/Admin
+ */
+export const getRouteCacheEntry = asyncHandler(async (req, res, next) => {
+  const entry = await RouteCache.findById(req.params.id);
+
+  if (!entry) {
+    return next(
+      new ErrorResponse(
+        `No route cache entry found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
+
+/**
+ * @desc    Purge the route cache, all of it or the entries matching
+ *          ?kind=&placeId=&expired=
+ * @route   DELETE /api/v1/maps/cache
+ * @access  Private/Admin
+ */
+export const purgeRouteCacheEntries = asyncHandler(async (req, res, next) => {
+  const deleted = await purgeRouteCache(getRouteCacheFilter(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: { deleted },
+  });
+});
+
+/**
+ * @desc    Remove a single route cache entry
+ * @route   DELETE /api/v1/maps/cache/:id
+ * @access  Private/Admin
+ */
+export const deleteRouteCacheEntry = asyncHandler(async (req, res, next) => {
+  const entry = await RouteCache.findById(req.params.id);
+
+  if (!entry) {
+    return next(
+      new ErrorResponse(
+        `No route cache entry found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  await entry.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -0,0 +1,182 @@
+import asyncHandler from "express-async-handler";
+import MileageRate, { VEHICLE_TYPES } from "../models/MileageRate.js";
+import Expense from "../models/Expense.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import { resolveCostPerKm } from "../utils/mileageRates.js";
+
+// @desc    Get mileage rates
+// @route   GET /api/v1/mileage-rates
+// @access  Private
+export const getMileageRates = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.vehicleType) {
+    query.vehicleType = req.query.vehicleType;
+  }
+
+  // Only the rates in effect on a given day
+  if (req.query.date) {
+    const day = new Date(req.query.date);
+    query.validFrom = { $lte: day };
+    query.$or = [{ validTo: null }, { validTo: { $gte: day } }];
+  }
+
+  const mileageRates = await MileageRate.find(query).sort({
+    vehicleType: 1,
+    validFrom: -1,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: mileageRates.length,
+    vehicleTypes: VEHICLE_TYPES,
+    data: mileageRates,
+  });
+});
+
+// @desc    Look up the cost per km that applies to a vehicle on a date
+// @route   GET /api/v1/mileage-rates/lookup?vehicleType=e_bike&date=2024-05-01
+// @access  Private
+export const lookupMileageRate = asyncHandler(async (req, res, next) => {
+  const { vehicleType } = req.query;
+  const date = req.query.date || new Date();
+
+  if (vehicleType && !VEHICLE_TYPES.includes(vehicleType)) {
+    return next(
+      new ErrorResponse(
+        `Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  if (isNaN(new Date(date).getTime())) {
+    return next(new ErrorResponse("Please provide a valid date", 400));
+  }
+
+  const rate = await resolveCostPerKm({ vehicleType, journeyDate: date });
+
+  res.status(200).json({
+    success: true,
+    data: rate,
+  });
+});
+
+// @desc    Get single mileage rate
+// @route   GET /api/v1/mileage-rates/:id
+// @access  Private
+export const getMileageRate = asyncHandler(async (req, res, next) => {
+  const mileageRate = await MileageRate.findById(req.params.id);
+
+  if (!mileageRate) {
+    return next(
+      new ErrorResponse(
+        `No mileage rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: mileageRate,
+  });
+});
+
+// @desc    Create mileage rate
+// @route   POST /api/v1/mileage-rates
+// @access  Private/Admin
+export const createMileageRate = asyncHandler(async (req, res, next) => {
+  const { vehicleType, rate, tiers, validFrom, validTo, description } =
+    req.body;
+
+  const mileageRate = await MileageRate.create({
+    vehicleType,
+    rate,
+    tiers,
+    validFrom,
+    validTo,
+    description,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: mileageRate,
+  });
+});
+
+// @desc    Update mileage rate
+// @route   PUT /api/v1/mileage-rates/:id
+// @access  Private/Admin
+export const updateMileageRate = asyncHandler(async (req, res, next) => {
+  const mileageRate = await MileageRate.findById(req.params.id);
+
+  if (!mileageRate) {
+    return next(
+      new ErrorResponse(
+        `No mileage rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Expenses keep the rate they were filed with, so they are not touched here
+  [
+    "vehicleType",
+    "rate",
+    "tiers",
+    "validFrom",
+    "validTo",
+    "description",
+  ].forEach((field) => {
+    if (req.body[field] !== undefined) {
+      mileageRate[field] = req.body[field];
+    }
+  });
+  mileageRate.updatedBy = req.user.id;
+
+  await mileageRate.save();
+
+  res.status(200).json({
+    success: true,
+    data: mileageRate,
+  });
+});
+
+// @desc    Delete mileage rate
+// @route   DELETE /api/v1/mileage-rates/:id
+// @access  Private/Admin
+export const deleteMileageRate = asyncHandler(async (req, res, next) => {
+  const mileageRate = await MileageRate.findById(req.params.id);
+
+  if (!mileageRate) {
+    return next(
+      new ErrorResponse(
+        `No mileage rate found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  // Keep the history of rates that expenses were filed with
+  const usageCount = await Expense.countDocuments({
+    mileageRate: mileageRate._id,
+  });
+
+  if (usageCount > 0) {
+    return next(
+      new ErrorResponse(
+        `This rate was used by ${usageCount} expense(s). Set a valid to date instead of deleting it.`,
+        400
+      )
+    );
+  }
+
+  await mileageRate.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
@@ -0,0 +1,142 @@
+import asyncHandler from "express-async-handler";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import User from "../models/User.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  getNotificationPreferences,
+  validateNotificationPreferences,
+} from "../utils/notifications.js";
+
+// @desc    Get the notifications of the logged in user (?unread=true&type=)
+// @route   GET /api/v1/notifications
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  // Notifications sent by email only are not shown in the app
+  const query = { user: req.user.id, inApp: true };
+  if (req.query.unread === "true") query.readAt = null;
+  if (req.query.type) query.type = req.query.type;
+
+  const total = await Notification.countDocuments(query);
+  const unreadCount = await Notification.countDocuments({
+    user: req.user.id,
+    inApp: true,
+    readAt: null,
+  });
+  const notifications = await Notification.find(query)
+    .select("-key")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  // Pagination result
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    pagination,
+    data: notifications,
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/v1/notifications/:id/read
+// @access  Private
+export const markNotificationRead = asyncHandler(async (req, res, next) => {
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!notification) {
+    return next(
+      new ErrorResponse(
+        `No notification found with id of ${req.params.id}`,
+        404
+      )
+    );
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: notification,
+  });
+});
+
+// @desc    Mark all notifications of the logged in user as read
+// @route   PUT /api/v1/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = asyncHandler(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { user: req.user.id, inApp: true, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { updated: result.modifiedCount },
+  });
+});
+
+// @desc    Get the channels the logged in user receives each type on
+// @route   GET /api/v1/notifications/preferences
+// @access  Private
+export const getPreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "notificationPreferences"
+  );
+
+  res.status(200).json({
+    success: true,
+    types: NOTIFICATION_TYPES,
+    data: getNotificationPreferences(user),
+  });
+});
+
+// @desc    Change the channels of one or more notification types
+// @route   PUT /api/v1/notifications/preferences
+// @access  Private
+export const updatePreferences = asyncHandler(async (req, res, next) => {
+  const error = validateNotificationPreferences(req.body);
+
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const user = await User.findById(req.user.id).select(
+    "notificationPreferences"
+  );
+  const preferences = { ...(user.notificationPreferences || {}) };
+
+  Object.entries(req.body).forEach(([type, channels]) => {
+    preferences[type] = { ...preferences[type], ...channels };
+  });
+
+  // A new object, so Mongoose sees the change to the mixed path
+  user.notificationPreferences = preferences;
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    success: true,
+    data: getNotificationPreferences(user),
+  });
+});
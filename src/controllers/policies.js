@@ -0,0 +1,348 @@
+import asyncHandler from "express-async-handler";
+import Policy from "../models/Policy.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import ExchangeRate from "../models/ExchangeRate.js";
+import { DEFAULT_VEHICLE_TYPE } from "../models/MileageRate.js";
+import config from "../config/config.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  POLICY_FIELDS,
+  POLICY_OPERATORS,
+  getExpenseFacts,
+  violatesPolicy,
+} from "../utils/policyRules.js";
+import {
+  checkPolicies,
+  evaluateExpensePolicy,
+} from "../utils/expensePolicy.js";
+import { resolveCostPerKm } from "../utils/mileageRates.js";
+
+// Fields of a policy admins can set
+const POLICY_BODY_FIELDS = [
+  "name",
+  "description",
+  "when",
+  "require",
+  "severity",
+  "stage",
+  "message",
+  "enabled",
+];
+
+/**
+ * Copy the allowed fields of a request body onto a policy, null clears a
+ * field (e.g. a when condition to apply the policy to all expenses again)
+ * @param {Object} policy - Policy document
+ * @param {Object} body - Request body
+ */
+const applyPolicyFields = (policy, body) => {
+  POLICY_BODY_FIELDS.forEach((field) => {
+    if (body[field] === null) {
+      policy[field] = undefined;
+    } else if (body[field] !== undefined) {
+      policy[field] = body[field];
+    }
+  });
+};
+
+// @desc    Get policies
+// @route   GET /api/v1/policies
+// @access  Private/Admin
+export const getPolicies = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (req.query.enabled !== undefined) {
+    query.enabled = req.query.enabled === "true";
+  }
+  if (req.query.stage) {
+    query.stage = req.query.stage;
+  }
+
+  const policies = await Policy.find(query).sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: policies.length,
+    // What the rule language can refer to, for policy editors
+    fields: POLICY_FIELDS,
+    operators: Object.keys(POLICY_OPERATORS),
+    data: policies,
+  });
+});
+
+// @desc    Get single policy
+// @route   GET /api/v1/policies/:id
+// @access  Private/Admin
+export const getPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await Policy.findById(req.params.id);
+
+  if (!policy) {
+    return next(
+      new ErrorResponse(`No policy found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
+
+// @desc    Create policy
+// @route   POST /api/v1/policies
+// @access  Private/Admin
+export const createPolicy = asyncHandler(async (req, res, next) => {
+  const policy = new Policy({ createdBy: req.user.id, updatedBy: req.user.id });
+
+  applyPolicyFields(policy, req.body);
+  await policy.save();
+
+  res.status(201).json({
+    success: true,
+    data: policy,
+  });
+});
+
+// @desc    Update policy
+// @route   PUT /api/v1/policies/:id
+// @access  Private/Admin
+export const updatePolicy = asyncHandler(async (req, res, next) => {
+  const policy = await Policy.findById(req.params.id);
+
+  if (!policy) {
+    return next(
+      new ErrorResponse(`No policy found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Expenses flagged earlier keep their violation until the policy is scanned
+  applyPolicyFields(policy, req.body);
+  policy.updatedBy = req.user.id;
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
+
+// @desc    Delete policy and the warnings it left on expenses
+// @route   DELETE /api/v1/policies/:id
+// @access  Private/Admin
+export const deletePolicy = asyncHandler(async (req, res, next) => {
+  const policy = await Policy.findById(req.params.id);
+
+  if (!policy) {
+    return next(
+      new ErrorResponse(`No policy found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await policy.deleteOne();
+
+  await Expense.updateMany(
+    { "policyCheck.violations.policy": policy._id },
+    { $pull: { "policyCheck.violations": { policy: policy._id } } }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Evaluate a proposed expense against the expense policy without
+//          saving anything. Admins can add a proposed policy to try it out.
+// @route   POST /api/v1/policies/dry-run
+// @access  Private
+export const dryRunPolicies = asyncHandler(async (req, res, next) => {
+  const { expense: proposedExpense = {}, policy: proposedPolicy } = req.body;
+
+  if (proposedPolicy && req.user.role !== "admin") {
+    return next(
+      new ErrorResponse("Only admins can try out proposed policies", 403)
+    );
+  }
+
+  const expense = new Expense({
+    ...proposedExpense,
+    // Admins may check an expense on behalf of another user
+    user:
+      req.user.role === "admin" && proposedExpense.user
+        ? proposedExpense.user
+        : req.user.id,
+    // Like new expenses, the journey is today unless given
+    journeyDate: proposedExpense.journeyDate || new Date(),
+    status: "pending",
+  });
+  const isMileage =
+    (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE;
+
+  // Price the expense the way it would be priced when created
+  if (isMileage && !expense.costPerKm) {
+    if (!expense.vehicleType) expense.vehicleType = DEFAULT_VEHICLE_TYPE;
+    const mileageRate = await resolveCostPerKm({
+      vehicleType: expense.vehicleType,
+      journeyDate: expense.journeyDate,
+    });
+    expense.costPerKm = mileageRate.costPerKm;
+  }
+
+  if (!expense.currency) expense.currency = config.baseCurrency;
+  const exchangeRate = await ExchangeRate.findRateForDate(
+    expense.currency,
+    expense.journeyDate
+  );
+  expense.exchangeRate = exchangeRate ? exchangeRate.rate : 1;
+  expense.calculateTotalCost();
+
+  let submissionPolicies;
+  let approvalPolicies = await Policy.find({
+    enabled: true,
+    stage: "approval",
+  });
+
+  if (proposedPolicy) {
+    const policy = new Policy(proposedPolicy);
+    await policy.validate();
+
+    // The proposed policy replaces an existing one of the same name
+    submissionPolicies = (
+      await Policy.find({ enabled: true, stage: "submission" })
+    ).filter((existing) => existing.name !== policy.name);
+    approvalPolicies = approvalPolicies.filter(
+      (existing) => existing.name !== policy.name
+    );
+
+    if (policy.stage === "approval") {
+      approvalPolicies.push(policy);
+    } else {
+      submissionPolicies.push(policy);
+    }
+  }
+
+  const submission = await evaluateExpensePolicy(expense, {
+    policies: submissionPolicies,
+  });
+  const approvalViolations = await checkPolicies(expense, approvalPolicies, {
+    reviewComment: proposedExpense.reviewComment,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      blocked: submission.blocked,
+      violations: submission.violations,
+      // Checked when the expense is approved, with the approver's comment
+      approvalViolations,
+      totalCost: expense.totalCost,
+    },
+  });
+});
+
+// @desc    Check existing expenses against a policy and flag the ones that
+//          violate it (?startDate=&endDate=&status=)
+// @route   POST /api/v1/policies/:id/scan
+// @access  Private/Admin
+export const scanPolicy = asyncHandler(async (req, res, next) => {
+  const policy = await Policy.findById(req.params.id);
+
+  if (!policy) {
+    return next(
+      new ErrorResponse(`No policy found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { startDate, endDate, status } = req.query;
+
+  // Open and approved expenses by default, drafts are checked on confirmation
+  const query = {
+    status: status
+      ? { $in: status.split(",") }
+      : { $nin: ["rejected", DRAFT_EXPENSE_STATUS] },
+  };
+  if (startDate || endDate) {
+    query.journeyDate = {};
+    if (startDate) query.journeyDate.$gte = new Date(startDate);
+    if (endDate) query.journeyDate.$lte = new Date(endDate);
+  }
+
+  const flagged = [];
+  let scanned = 0;
+  let cleared = 0;
+
+  const cursor = Expense.find(query).populate("category", "name").cursor();
+
+  for await (const expense of cursor) {
+    scanned += 1;
+
+    const facts = await getExpenseFacts(expense);
+    const violates = violatesPolicy(policy, facts);
+    const previous = expense.policyCheck?.violations || [];
+    const wasFlagged = previous.some(
+      (violation) =>
+        violation.policy && violation.policy.toString() === policy.id
+    );
+
+    if (violates) {
+      flagged.push({
+        _id: expense._id,
+        user: expense.user,
+        journeyDate: expense.journeyDate,
+        totalCost: expense.totalCost,
+      });
+    } else if (wasFlagged) {
+      cleared += 1;
+    } else {
+      continue;
+    }
+
+    // Replace the earlier result of this policy, other violations stay
+    await Expense.updateOne(
+      { _id: expense._id },
+      {
+        $set: {
+          "policyCheck.checkedAt": new Date(),
+          "policyCheck.violations": [
+            ...previous
+              .filter(
+                (violation) =>
+                  !violation.policy || violation.policy.toString() !== policy.id
+              )
+              .map((violation) => violation.toObject()),
+            ...(violates
+              ? [
+                  {
+                    rule: policy.name,
+                    policy: policy._id,
+                    severity: policy.severity,
+                    message: policy.getViolationMessage(),
+                  },
+                ]
+              : []),
+          ],
+        },
+      }
+    );
+  }
+
+  policy.lastScan = {
+    scannedAt: new Date(),
+    scanned,
+    flagged: flagged.length,
+  };
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      scanned,
+      flagged: flagged.length,
+      cleared,
+      expenses: flagged,
+    },
+  });
+});
@@ -9,6 +9,28 @@ import {
   generateCSVReport,
 } from "../utils/reportGenerator.js";
 import { getMonthName, getQuarterName } from "../utils/formatters.js";
+import { summarizeJourneys } from "../utils/journeys.js";
+import Setting from "../models/Setting.js";
+import {
+  APPROVAL_CHAIN_SETTING_KEY,
+  buildApprovalSteps,
+  canActOnApprovalStep,
+  getApprovalChain,
+  validateApprovalChain,
+} from "../utils/approvalChain.js";
+import { getVisibleUserFilter, canViewUserData } from "../utils/teamAccess.js";
+import {
+  LOCKED_REPORT_STATUSES,
+  syncReportTotals,
+} from "../utils/reportSync.js";
+import {
+  REPORT_REMINDERS_SETTING_KEY,
+  getReportReminders,
+  validateReportReminders,
+} from "../utils/reportReminders.js";
+import { needsDistanceOverride } from "../utils/distanceCheck.js";
+import { evaluateApprovalPolicies } from "../utils/expensePolicy.js";
+import { EVENT_TYPES, dispatch } from "../events/eventBus.js";
 import fs from "fs";
 import path from "path";
 
@@ -36,15 +58,13 @@ export const getReports = asyncHandler(async (req, res, next) => {
     (match) => `$${match}`
   );
 
-  // If user is not admin, only show their reports
-  if (req.user.role !== "admin") {
-    query = Report.find({
-      user: req.user.id,
-      ...JSON.parse(queryStr),
-    });
-  } else {
-    query = Report.find(JSON.parse(queryStr));
-  }
+  // Users only see their own reports, managers also those of their team
+  const filter = {
+    ...JSON.parse(queryStr),
+    ...(await getVisibleUserFilter(req.user)),
+  };
+
+  query = Report.find(filter);
 
   // Select Fields
   if (req.query.select) {
@@ -65,7 +85,7 @@ export const getReports = asyncHandler(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 25;
   const startIndex = (page - 1) * limit;
   const endIndex = page * limit;
-  const total = await Report.countDocuments(JSON.parse(queryStr));
+  const total = await Report.countDocuments(filter);
 
   query = query.skip(startIndex).limit(limit);
 
@@ -109,8 +129,8 @@ export const getReport = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is report owner or admin
-  if (report.user.toString() !== req.user.id && req.user.role !== "admin") {
+  // Make sure user may see the report (owner, their manager or admin)
+  if (!(await canViewUserData(req.user, report.user))) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to access this report`,
@@ -119,9 +139,16 @@ export const getReport = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Combined totals of the multi-day journeys in the report
+  const journeyLegs = await Expense.find({
+    _id: { $in: report.expenses },
+    journey: { $ne: null },
+  }).populate("journey", "title purpose startDate endDate");
+
   res.status(200).json({
     success: true,
     data: report,
+    journeys: summarizeJourneys(journeyLegs),
   });
 });
 
@@ -231,6 +258,8 @@ export const updateReportStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const previousStatus = report.status;
+
   // Validate the status
   if (!req.body.status) {
     return next(new ErrorResponse("Please provide a status", 400));
@@ -247,10 +276,16 @@ export const updateReportStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // The approval chain is managed here and never taken from the request
+  delete req.body.approvalSteps;
+  delete req.body.currentApprovalStep;
+  delete req.body.reimbursedAmountManual;
+
   // Authorization rules based on status:
   // 1. Only the report owner can submit their own report
-  // 2. Only admins can approve or reject reports
-  // 3. Anyone can revert to draft (admin or owner)
+  // 2. Approvals follow the report's approval chain, admins can act on any step
+  // 3. The owner or an admin can revert a submitted report to draft,
+  //    approved reports are only unlocked through the reopen action
 
   if (req.body.status === "submitted") {
     // Only the report owner can submit
@@ -272,14 +307,46 @@ export const updateReportStatus = asyncHandler(async (req, res, next) => {
 
     // Set submitted timestamp
     req.body.submittedAt = new Date();
+
+    // Start the approval chain from its first step
+    req.body.approvalSteps = await buildApprovalSteps(report);
+    req.body.currentApprovalStep = 0;
+  }
+
+  if (req.body.status === "draft") {
+    if (report.status === "approved") {
+      return next(
+        new ErrorResponse(
+          "Approved reports can only be reopened by an administrator",
+          400
+        )
+      );
+    }
+
+    if (report.user.toString() !== req.user.id && req.user.role !== "admin") {
+      return next(
+        new ErrorResponse(
+          "Only the report owner or an administrator can revert this report to draft",
+          403
+        )
+      );
+    }
+
+    // A report going back to draft has to go through the chain again
+    req.body.approvalSteps = [];
+    req.body.currentApprovalStep = 0;
   }
 
   if (["approved", "rejected"].includes(req.body.status)) {
-    // Only admins can approve or reject
-    if (req.user.role !== "admin") {
+    const step = report.approvalSteps[report.currentApprovalStep];
+
+    // Only the approver of the current step (or an admin) can decide
+    if (!canActOnApprovalStep(req.user, step)) {
       return next(
         new ErrorResponse(
-          "Only administrators can approve or reject reports",
+          step
+            ? `Only the ${step.approver} can approve or reject the "${step.name}" step`
+            : "Only administrators can approve or reject reports",
           403
         )
       );
@@ -295,43 +362,130 @@ export const updateReportStatus = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Make sure comments are provided for rejected reports
+    if (req.body.status === "rejected" && !req.body.comments) {
+      return next(
+        new ErrorResponse("Comments are required when rejecting a report", 400)
+      );
+    }
+
+    // Record who acted on the current step
+    if (step) {
+      step.status = req.body.status;
+      step.actedBy = req.user.id;
+      step.actedAt = new Date();
+      step.comments = req.body.comments;
+    }
+
+    // More steps to go: the report stays submitted and moves on
+    if (
+      req.body.status === "approved" &&
+      report.currentApprovalStep < report.approvalSteps.length - 1
+    ) {
+      report.currentApprovalStep += 1;
+      await report.save();
+
+      // The approvers of the next step take over
+      dispatch(EVENT_TYPES.REPORT_STEP_APPROVED, { report });
+
+      return res.status(200).json({
+        success: true,
+        data: report,
+      });
+    }
+
+    req.body.approvalSteps = report.approvalSteps.toObject();
+
     // Set appropriate timestamp
     if (req.body.status === "approved") {
       req.body.approvedAt = new Date();
 
-      // For approved reports, check if reimbursed amount is provided
-      if (req.body.reimbursedAmount !== undefined) {
-        // Validate reimbursed amount doesn't exceed total expense amount
-        if (req.body.reimbursedAmount > report.totalExpenseAmount) {
-          return next(
-            new ErrorResponse(
-              "Reimbursed amount cannot exceed total expense amount",
-              400
-            )
+      // A reimbursed amount entered by hand can't exceed the report total
+      if (
+        req.body.reimbursedAmount !== undefined &&
+        req.body.reimbursedAmount > report.totalExpenseAmount
+      ) {
+        return next(
+          new ErrorResponse(
+            "Reimbursed amount cannot exceed total expense amount",
+            400
+          )
+        );
+      }
+
+      const pendingExpenses = await Expense.find({
+        _id: { $in: report.expenses },
+        status: "pending",
+      });
+
+      // Distances far off the calculated route are only approved knowingly,
+      // whether or not the reimbursed amount is entered by hand
+      const flagged = pendingExpenses.filter(needsDistanceOverride);
+      if (flagged.length > 0) {
+        return next(
+          new ErrorResponse(
+            `The distance of these expenses deviates from the calculated route, please approve them with an overrideComment first: ${flagged
+              .map((expense) => expense._id)
+              .join(", ")}`,
+            400
+          )
+        );
+      }
+
+      // Lines approved along with the report follow the approval policies
+      // like lines approved one by one
+      const blocked = [];
+      for (const expense of pendingExpenses) {
+        const policy = await evaluateApprovalPolicies(expense, {
+          reviewComment: req.body.comments,
+        });
+        if (policy.blocked) {
+          blocked.push(
+            `${expense._id} (${policy.violations
+              .filter((violation) => violation.severity === "hard")
+              .map((violation) => violation.message)
+              .join("; ")})`
           );
         }
+      }
 
+      if (blocked.length > 0) {
+        return next(
+          new ErrorResponse(
+            `These expenses can't be approved under the expense policy: ${blocked.join(
+              ", "
+            )}`,
+            400
+          )
+        );
+      }
+
+      // Approving the report approves every line that has not been reviewed
+      // yet, rejected lines stay unreimbursed
+      for (const expense of pendingExpenses) {
+        expense.status = "approved";
+        expense.reviewedBy = req.user.id;
+        expense.reviewedAt = req.body.approvedAt;
+        if (req.body.comments) expense.reviewComment = req.body.comments;
+        await expense.save();
+      }
+
+      // For approved reports, check if reimbursed amount is provided
+      if (req.body.reimbursedAmount !== undefined) {
         // Calculate pending amount
         req.body.pendingAmount =
           report.totalExpenseAmount - req.body.reimbursedAmount;
+        req.body.reimbursedAmountManual = true;
       } else {
-        // Default behavior: approve with full reimbursement
-        req.body.reimbursedAmount = report.totalExpenseAmount;
-        req.body.pendingAmount = 0;
+        report.reimbursedAmountManual = false;
+        await report.recalculateAmounts();
+        req.body.reimbursedAmount = report.reimbursedAmount;
+        req.body.pendingAmount = report.pendingAmount;
+        req.body.reimbursedAmountManual = false;
       }
     } else {
       // For rejected reports
       req.body.rejectedAt = new Date();
-
-      // Make sure comments are provided for rejected reports
-      if (!req.body.comments) {
-        return next(
-          new ErrorResponse(
-            "Comments are required when rejecting a report",
-            400
-          )
-        );
-      }
     }
   }
 
@@ -341,12 +495,174 @@ export const updateReportStatus = asyncHandler(async (req, res, next) => {
     runValidators: true,
   });
 
+  if (report.status !== previousStatus) {
+    dispatch(EVENT_TYPES.REPORT_STATUS_CHANGED, {
+      report,
+      previousStatus,
+    });
+  }
+
   res.status(200).json({
     success: true,
     data: report,
   });
 });
 
+// @desc    Reopen a submitted or approved report so its expenses can be changed
+// @route   PUT /api/v1/reports/:id/reopen
+// @access  Private/Admin
+export const reopenReport = asyncHandler(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return next(
+      new ErrorResponse(`Report not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!LOCKED_REPORT_STATUSES.includes(report.status)) {
+    return next(
+      new ErrorResponse(
+        `Only submitted or approved reports can be reopened. Current status: ${report.status}`,
+        400
+      )
+    );
+  }
+
+  // Back to draft: the report has to be submitted and approved again
+  const previousStatus = report.status;
+  report.status = "draft";
+  report.approvalSteps = [];
+  report.currentApprovalStep = 0;
+  report.reopenedAt = new Date();
+  report.reopenedBy = req.user.id;
+  // Reminders start over for the resubmission
+  if (report.closedAt) {
+    report.closedAt = report.reopenedAt;
+    report.reminderCount = 0;
+    report.lastReminderAt = undefined;
+    report.escalatedAt = undefined;
+  }
+  report.comments = `Reopened on ${
+    report.reopenedAt.toISOString().split("T")[0]
+  }: ${req.body.reason}`;
+
+  // Approved lines are reviewed again, they may change before resubmission
+  await Expense.updateMany(
+    { _id: { $in: report.expenses }, status: "approved" },
+    { status: "pending", $unset: { reviewedBy: 1, reviewedAt: 1 } }
+  );
+
+  // Totals may have drifted while the report was locked
+  const reopenedReport = await syncReportTotals(report);
+
+  dispatch(EVENT_TYPES.REPORT_STATUS_CHANGED, {
+    report: reopenedReport,
+    previousStatus,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: reopenedReport,
+  });
+});
+
+// @desc    Get the approval chain submitted reports go through
+// @route   GET /api/v1/reports/approval-chain
+// @access  Private
+export const getReportApprovalChain = asyncHandler(async (req, res, next) => {
+  const chain = await getApprovalChain();
+
+  res.status(200).json({
+    success: true,
+    data: chain,
+  });
+});
+
+// @desc    Configure the approval chain for newly submitted reports
+// @route   PUT /api/v1/reports/approval-chain
+// @access  Private/Admin
+export const updateReportApprovalChain = asyncHandler(
+  async (req, res, next) => {
+    const { steps } = req.body;
+
+    const validationError = validateApprovalChain(steps);
+    if (validationError) {
+      return next(new ErrorResponse(validationError, 400));
+    }
+
+    const chain = steps.map((step) => ({
+      name: step.name.trim(),
+      approver: step.approver,
+      threshold: step.threshold || 0,
+    }));
+
+    // Reports already submitted keep the chain they were submitted with
+    await Setting.findOneAndUpdate(
+      { key: APPROVAL_CHAIN_SETTING_KEY },
+      {
+        key: APPROVAL_CHAIN_SETTING_KEY,
+        value: chain,
+        description: "Approval steps for submitted expense reports",
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: chain,
+    });
+  }
+);
+
+// @desc    Get the cadence of reminders for unsubmitted monthly reports
+// @route   GET /api/v1/reports/reminder-settings
+// @access  Private/Admin
+export const getReportReminderSettings = asyncHandler(
+  async (req, res, next) => {
+    const settings = await getReportReminders();
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  }
+);
+
+// @desc    Configure the cadence of reminders for unsubmitted monthly reports
+// @route   PUT /api/v1/reports/reminder-settings
+// @access  Private/Admin
+export const updateReportReminderSettings = asyncHandler(
+  async (req, res, next) => {
+    const validationError = validateReportReminders(req.body);
+    if (validationError) {
+      return next(new ErrorResponse(validationError, 400));
+    }
+
+    const settings = { ...(await getReportReminders()) };
+    ["enabled", "intervalDays", "escalateAfterDays"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        settings[field] = req.body[field];
+      }
+    });
+
+    await Setting.findOneAndUpdate(
+      { key: REPORT_REMINDERS_SETTING_KEY },
+      {
+        key: REPORT_REMINDERS_SETTING_KEY,
+        value: settings,
+        description: "Reminders for monthly reports that were not submitted",
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  }
+);
+
 // @desc    Get report by month and year
 // @route   GET /api/v1/reports/monthly/:month/:year
 // @access  Private
@@ -505,6 +821,7 @@ export const updateReportReimbursement = asyncHandler(
       {
         reimbursedAmount,
         pendingAmount,
+        reimbursedAmountManual: true,
         comments:
           req.body.comments ||
           `Reimbursement updated to ${reimbursedAmount} on ${
@@ -517,6 +834,8 @@ export const updateReportReimbursement = asyncHandler(
       }
     );
 
+    dispatch(EVENT_TYPES.REPORT_REIMBURSED, { report });
+
     res.status(200).json({
       success: true,
       data: report,
@@ -530,10 +849,10 @@ export const updateReportReimbursement = asyncHandler(
 export const exportReportAsPDF = asyncHandler(async (req, res, next) => {
   const report = await Report.findById(req.params.id).populate({
     path: "expenses",
-    populate: {
-      path: "category",
-      select: "name color",
-    },
+    populate: [
+      { path: "category", select: "name color" },
+      { path: "journey", select: "title purpose startDate endDate" },
+    ],
   });
 
   if (!report) {
@@ -542,8 +861,8 @@ export const exportReportAsPDF = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is report owner or admin
-  if (report.user.toString() !== req.user.id && req.user.role !== "admin") {
+  // Make sure user may see the report (owner, their manager or admin)
+  if (!(await canViewUserData(req.user, report.user))) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to access this report`,
@@ -596,10 +915,10 @@ export const exportReportAsPDF = asyncHandler(async (req, res, next) => {
 export const exportReportAsCSV = asyncHandler(async (req, res, next) => {
   const report = await Report.findById(req.params.id).populate({
     path: "expenses",
-    populate: {
-      path: "category",
-      select: "name color",
-    },
+    populate: [
+      { path: "category", select: "name color" },
+      { path: "journey", select: "title purpose startDate endDate" },
+    ],
   });
 
   if (!report) {
@@ -608,8 +927,8 @@ export const exportReportAsCSV = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Make sure user is report owner or admin
-  if (report.user.toString() !== req.user.id && req.user.role !== "admin") {
+  // Make sure user may see the report (owner, their manager or admin)
+  if (!(await canViewUserData(req.user, report.user))) {
     return next(
       new ErrorResponse(
         `User ${req.user.id} is not authorized to access this report`,
@@ -758,7 +1077,9 @@ export const exportExpenseRangeAsPDF = asyncHandler(async (req, res, next) => {
   const expenses = await Expense.find({
     user: req.user.id,
     journeyDate: { $gte: start, $lt: end },
-  }).populate("category", "name color");
+  })
+    .populate("category", "name color")
+    .populate("journey", "title purpose startDate endDate");
 
   if (expenses.length === 0) {
     return next(
@@ -768,7 +1089,10 @@ export const exportExpenseRangeAsPDF = asyncHandler(async (req, res, next) => {
 
   try {
     // Calculate totals
-    const totalDistance = expenses.reduce((sum, exp) => sum + exp.distance, 0);
+    const totalDistance = expenses.reduce(
+      (sum, exp) => sum + (exp.distance || 0),
+      0
+    );
     const totalCost = expenses.reduce((sum, exp) => sum + exp.totalCost, 0);
 
     // Prepare custom report data
@@ -838,7 +1162,9 @@ export const exportExpenseRangeAsCSV = asyncHandler(async (req, res, next) => {
   const expenses = await Expense.find({
     user: req.user.id,
     journeyDate: { $gte: start, $lt: end },
-  }).populate("category", "name color");
+  })
+    .populate("category", "name color")
+    .populate("journey", "title purpose startDate endDate");
 
   if (expenses.length === 0) {
     return next(
@@ -1,6 +1,7 @@
 import Setting from "../models/Setting.js";
 import asyncHandler from "express-async-handler";
 import ErrorResponse from "../utils/errorResponse.js";
+import { POLICY_RULES, validatePolicySetting } from "../utils/expensePolicy.js";
 
 // @desc    Get all settings
 // @route   GET /api/v1/settings
@@ -46,6 +47,14 @@ export const createSetting = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Limits of the expense policy must be readable by the policy engine
+  if (POLICY_RULES[req.body.key]) {
+    const policyError = validatePolicySetting(req.body.key, req.body.value);
+    if (policyError) {
+      return next(new ErrorResponse(policyError, 400));
+    }
+  }
+
   // If this setting is marked as default, find and unmark any other default setting with the same key type
   if (req.body.isDefault) {
     // Extract the key type (everything before the first dot or the whole key if no dot)
@@ -78,6 +87,14 @@ export const updateSetting = asyncHandler(async (req, res, next) => {
     );
   }
 
+  const key = req.body.key || setting.key;
+  if (POLICY_RULES[key] && req.body.value !== undefined) {
+    const policyError = validatePolicySetting(key, req.body.value);
+    if (policyError) {
+      return next(new ErrorResponse(policyError, 400));
+    }
+  }
+
   // If this setting is being set as default, unmark any other default setting with the same key type
   if (req.body.isDefault) {
     // Extract the key type (everything before the first dot or the whole key if no dot)
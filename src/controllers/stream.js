@@ -0,0 +1,50 @@
+import asyncHandler from "express-async-handler";
+import config from "../config/config.js";
+import { openEventStream } from "../events/realtime.js";
+import { logger } from "../utils/logger.js";
+
+// @desc    Stream expense changes, report status changes and budget
+//          threshold crossings as Server-Sent Events. Reconnecting clients
+//          resume after the Last-Event-ID header or ?lastEventId=.
+// @route   GET /api/v1/stream
+// @access  Private
+export const getEventStream = asyncHandler(async (req, res, next) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Keep nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let close;
+  try {
+    close = await openEventStream(
+      req.user,
+      res,
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+  } catch (error) {
+    // The headers are out, so the error can only end the stream
+    logger.error(`Error opening event stream: ${error.message}`);
+    res.end();
+    return;
+  }
+
+  req.on("close", close);
+});
+
+// @desc    Get a short-lived token that only opens the event stream, for
+//          EventSource clients that can't send an Authorization header
+// @route   POST /api/v1/stream/token
+// @access  Private
+export const getStreamToken = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      token: req.user.getSignedStreamToken(config.streamTokenExpireMinutes),
+      expiresInMinutes: config.streamTokenExpireMinutes,
+    },
+  });
+});
@@ -0,0 +1,221 @@
+import asyncHandler from "express-async-handler";
+import TripTemplate from "../models/TripTemplate.js";
+import Expense, { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  TEMPLATE_ROUTE_FIELDS,
+  getTemplateExpenseFields,
+} from "../utils/tripTemplates.js";
+import { createExpense } from "./expense.controller.js";
+
+// Fields that can be set on a template besides its route
+const TEMPLATE_FIELDS = [
+  "name",
+  "category",
+  "notes",
+  "schedule",
+  ...TEMPLATE_ROUTE_FIELDS,
+];
+
+/**
+ * Load a template and make sure the current user may use it
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - TripTemplate document
+ */
+const findAuthorizedTemplate = async (req) => {
+  const template = await TripTemplate.findById(req.params.id);
+
+  if (!template) {
+    throw new ErrorResponse(
+      `No trip template found with id of ${req.params.id}`,
+      404
+    );
+  }
+
+  // Make sure user is template owner or admin
+  if (template.user.toString() !== req.user.id && req.user.role !== "admin") {
+    throw new ErrorResponse("Not authorized to access this trip template", 403);
+  }
+
+  return template;
+};
+
+/**
+ * Copy the allowed fields of a request body onto a template
+ * @param {Object} template - TripTemplate document
+ * @param {Object} body - Request body
+ */
+const applyTemplateFields = (template, body) => {
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) {
+      return;
+    }
+
+    if (field === "schedule") {
+      // Merge so clients can e.g. just switch the schedule off
+      const { lastGeneratedFor, ...schedule } = body.schedule || {};
+      const previous = template.schedule ? template.schedule.toObject() : {};
+      template.schedule = { ...previous, ...schedule };
+
+      // Days the schedule was paused are not caught up when it is resumed
+      if (!previous.enabled && template.schedule.enabled) {
+        template.schedule.lastGeneratedFor = undefined;
+      }
+    } else {
+      template[field] = body[field];
+    }
+  });
+};
+
+// @desc    Get trip templates of the current user (admins may pass ?user=)
+// @route   GET /api/v1/trip-templates
+// @access  Private
+export const getTripTemplates = asyncHandler(async (req, res, next) => {
+  const user =
+    req.user.role === "admin" && req.query.user ? req.query.user : req.user.id;
+
+  const templates = await TripTemplate.find({ user })
+    .populate("category", "name")
+    .sort({ lastUsedAt: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates,
+  });
+});
+
+// @desc    Get single trip template
+// @route   GET /api/v1/trip-templates/:id
+// @access  Private
+export const getTripTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAuthorizedTemplate(req);
+
+  res.status(200).json({
+    success: true,
+    data: template,
+  });
+});
+
+// @desc    Create trip template, optionally from an existing mileage expense
+// @route   POST /api/v1/trip-templates
+// @access  Private
+export const createTripTemplate = asyncHandler(async (req, res, next) => {
+  const template = new TripTemplate({ user: req.user.id });
+
+  if (req.body.fromExpense) {
+    const expense = await Expense.findById(req.body.fromExpense);
+
+    if (!expense) {
+      return next(
+        new ErrorResponse(
+          `No expense found with id of ${req.body.fromExpense}`,
+          404
+        )
+      );
+    }
+
+    if (expense.user.toString() !== req.user.id) {
+      return next(
+        new ErrorResponse(
+          "Templates can only be made from your own expenses",
+          403
+        )
+      );
+    }
+
+    if ((expense.type || MILEAGE_EXPENSE_TYPE) !== MILEAGE_EXPENSE_TYPE) {
+      return next(
+        new ErrorResponse(
+          "Only mileage expenses can be saved as a template",
+          400
+        )
+      );
+    }
+
+    applyTemplateFields(template, getTemplateExpenseFields(expense));
+    template.notes = expense.notes;
+
+    // Keep what the user wrote rather than the AI enhanced note
+    if (expense.notes && expense.notes.startsWith("{")) {
+      try {
+        template.notes = JSON.parse(expense.notes).original;
+      } catch (e) {
+        // If parse fails, keep the notes as they are
+      }
+    }
+  }
+
+  applyTemplateFields(template, req.body);
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    data: template,
+  });
+});
+
+// @desc    Update trip template
+// @route   PUT /api/v1/trip-templates/:id
+// @access  Private
+export const updateTripTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAuthorizedTemplate(req);
+
+  applyTemplateFields(template, req.body);
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template,
+  });
+});
+
+// @desc    Delete trip template
+// @route   DELETE /api/v1/trip-templates/:id
+// @access  Private
+export const deleteTripTemplate = asyncHandler(async (req, res, next) => {
+  const template = await findAuthorizedTemplate(req);
+
+  // Expenses created from the template stay as they are
+  await template.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Create an expense from a trip template without calling the Maps API
+// @route   POST /api/v1/trip-templates/:id/expenses
+// @access  Private
+export const createExpenseFromTemplate = asyncHandler(
+  async (req, res, next) => {
+    const template = await findAuthorizedTemplate(req);
+
+    // Expenses always belong to the template owner
+    if (template.user.toString() !== req.user.id) {
+      return next(
+        new ErrorResponse(
+          "Only the owner of a template can create expenses from it",
+          403
+        )
+      );
+    }
+
+    const { journeyDate, notes, category } = req.body;
+
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    // The regular expense creation takes care of rates, locks and reports
+    req.body = {
+      ...getTemplateExpenseFields(template),
+      category: category || template.category,
+      journeyDate: journeyDate || new Date(),
+      notes: notes !== undefined ? notes : template.notes,
+      tripTemplate: template._id,
+    };
+
+    return createExpense(req, res, next);
+  }
+);
@@ -2,6 +2,32 @@ import User from "../models/User.js";
 import asyncHandler from "express-async-handler";
 import ErrorResponse from "../utils/errorResponse.js";
 import bcrypt from "bcryptjs";
+import { sendWelcomeEmail } from "../utils/emailService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Make sure a manager reference points to a user who can manage a team
+ * @param {string} managerId - ID of the manager
+ * @param {string} userId - ID of the user being managed (if it exists yet)
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+const validateManager = async (managerId, userId) => {
+  if (userId && managerId.toString() === userId.toString()) {
+    return "A user cannot be their own manager";
+  }
+
+  const manager = await User.findById(managerId);
+
+  if (!manager) {
+    return `Manager not found with id of ${managerId}`;
+  }
+
+  if (!["manager", "admin"].includes(manager.role)) {
+    return `User ${managerId} does not have the manager role`;
+  }
+
+  return null;
+};
 
 // @desc    Get all users
 // @route   GET /api/v1/users
@@ -103,8 +129,22 @@ export const getUser = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/users
 // @access  Private/Admin
 export const createUser = asyncHandler(async (req, res, next) => {
+  if (req.body.manager) {
+    const managerError = await validateManager(req.body.manager);
+    if (managerError) {
+      return next(new ErrorResponse(managerError, 400));
+    }
+  }
+
   const user = await User.create(req.body);
 
+  // A failed welcome email doesn't fail the creation
+  try {
+    await sendWelcomeEmail(user);
+  } catch (error) {
+    logger.error(`Error queuing welcome email: ${error.message}`);
+  }
+
   res.status(201).json({
     success: true,
     data: user,
@@ -144,6 +184,13 @@ export const updateUser = asyncHandler(async (req, res, next) => {
     }
   }
 
+  if (req.body.manager) {
+    const managerError = await validateManager(req.body.manager, user._id);
+    if (managerError) {
+      return next(new ErrorResponse(managerError, 400));
+    }
+  }
+
   // Handle password update separately to ensure proper hashing
   if (req.body.password) {
     const salt = await bcrypt.genSalt(10);
@@ -0,0 +1,244 @@
+import asyncHandler from "express-async-handler";
+import crypto from "crypto";
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import ErrorResponse from "../utils/errorResponse.js";
+import {
+  attemptDelivery,
+  generateWebhookSecret,
+  replayDelivery,
+} from "../utils/webhooks.js";
+
+// Fields of a webhook admins can set
+const WEBHOOK_BODY_FIELDS = ["name", "description", "url", "events", "enabled"];
+
+/**
+ * Copy the allowed fields of a request body onto a webhook
+ * @param {Object} webhook - Webhook document
+ * @param {Object} body - Request body
+ */
+const applyWebhookFields = (webhook, body) => {
+  WEBHOOK_BODY_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      webhook[field] = body[field];
+    }
+  });
+};
+
+/**
+ * Find a webhook or fail with 404
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} - Webhook document
+ */
+const findWebhook = async (id) => {
+  const webhook = await Webhook.findById(id);
+
+  if (!webhook) {
+    throw new ErrorResponse(`No webhook found with id of ${id}`, 404);
+  }
+
+  return webhook;
+};
+
+// @desc    Get webhooks
+// @route   GET /api/v1/webhooks
+// @access  Private/Admin
+export const getWebhooks = asyncHandler(async (req, res, next) => {
+  const webhooks = await Webhook.find().sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: webhooks.length,
+    // Events webhooks can subscribe to
+    events: WEBHOOK_EVENTS,
+    data: webhooks,
+  });
+});
+
+// @desc    Get single webhook
+// @route   GET /api/v1/webhooks/:id
+// @access  Private/Admin
+export const getWebhook = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: webhook,
+  });
+});
+
+// @desc    Register a webhook. The response holds the signing secret, it
+//          is not shown again.
+// @route   POST /api/v1/webhooks
+// @access  Private/Admin
+export const createWebhook = asyncHandler(async (req, res, next) => {
+  const secret = generateWebhookSecret();
+  const webhook = new Webhook({ secret, createdBy: req.user.id });
+
+  applyWebhookFields(webhook, req.body);
+  await webhook.save();
+
+  res.status(201).json({
+    success: true,
+    data: { ...webhook.toObject(), secret },
+  });
+});
+
+// @desc    Update webhook
+// @route   PUT /api/v1/webhooks/:id
+// @access  Private/Admin
+export const updateWebhook = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+
+  applyWebhookFields(webhook, req.body);
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    data: webhook,
+  });
+});
+
+// @desc    Delete webhook and its delivery log
+// @route   DELETE /api/v1/webhooks/:id
+// @access  Private/Admin
+export const deleteWebhook = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+
+  await webhook.deleteOne();
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Replace the signing secret of a webhook
+// @route   POST /api/v1/webhooks/:id/rotate-secret
+// @access  Private/Admin
+export const rotateWebhookSecret = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+  const secret = generateWebhookSecret();
+
+  webhook.secret = secret;
+  await webhook.save();
+
+  res.status(200).json({
+    success: true,
+    data: { ...webhook.toObject(), secret },
+  });
+});
+
+// @desc    Send a test event to a webhook and wait for the outcome
+// @route   POST /api/v1/webhooks/:id/test
+// @access  Private/Admin
+export const testWebhook = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+  const eventId = crypto.randomUUID();
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: "webhook.test",
+    eventId,
+    payload: {
+      id: eventId,
+      type: "webhook.test",
+      occurredAt: new Date(),
+      data: { webhook: webhook._id, name: webhook.name },
+    },
+  });
+
+  // A test is a one-off, it is not retried
+  await attemptDelivery(delivery, { retry: false });
+
+  res.status(200).json({
+    success: delivery.status === "success",
+    data: delivery,
+  });
+});
+
+// @desc    Get the delivery log of a webhook (?status=&event=)
+// @route   GET /api/v1/webhooks/:id/deliveries
+// @access  Private/Admin
+export const getWebhookDeliveries = asyncHandler(async (req, res, next) => {
+  const webhook = await findWebhook(req.params.id);
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 25;
+  const startIndex = (page - 1) * limit;
+
+  const query = { webhook: webhook._id };
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.event) query.event = req.query.event;
+
+  const total = await WebhookDelivery.countDocuments(query);
+  const deliveries = await WebhookDelivery.find(query)
+    .select("-payload")
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  // Pagination result
+  const pagination = {};
+
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: deliveries.length,
+    total,
+    pagination,
+    data: deliveries,
+  });
+});
+
+// @desc    Get a delivery with the payload that was sent
+// @route   GET /api/v1/webhooks/deliveries/:deliveryId
+// @access  Private/Admin
+export const getWebhookDelivery = asyncHandler(async (req, res, next) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+  if (!delivery) {
+    return next(
+      new ErrorResponse(
+        `No delivery found with id of ${req.params.deliveryId}`,
+        404
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: delivery,
+  });
+});
+
+// @desc    Send a logged delivery again as a new delivery
+// @route   POST /api/v1/webhooks/deliveries/:deliveryId/replay
+// @access  Private/Admin
+export const replayWebhookDelivery = asyncHandler(async (req, res, next) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+  if (!delivery) {
+    return next(
+      new ErrorResponse(
+        `No delivery found with id of ${req.params.deliveryId}`,
+        404
+      )
+    );
+  }
+
+  const replay = await replayDelivery(delivery, { replayedBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: replay,
+  });
+});
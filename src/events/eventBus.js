@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import { getRequestContext } from "../utils/requestContext.js";
+import { logger } from "../utils/logger.js";
+
+// Domain events published by the controllers and background jobs
+export const EVENT_TYPES = {
+  EXPENSE_CREATED: "expense.created",
+  EXPENSE_UPDATED: "expense.updated",
+  EXPENSE_DELETED: "expense.deleted",
+  REPORT_STATUS_CHANGED: "report.statusChanged",
+  // A step of the approval chain approved, the report moves to the next one
+  REPORT_STEP_APPROVED: "report.stepApproved",
+  REPORT_REIMBURSED: "report.reimbursed",
+  BUDGET_THRESHOLD_CROSSED: "budget.thresholdCrossed",
+};
+
+// Event type => [subscriber]
+const subscribers = new Map();
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Subscribe to one or more event types. A failing subscriber is retried
+ * with a growing delay and never affects the publisher or other
+ * subscribers.
+ * @param {string|Array<string>} types - Event type(s), "*" for all events
+ * @param {string} name - Subscriber name, used in logs and results
+ * @param {Function} handler - async (event) => result
+ * @param {Object} options - { retries, retryDelayMs }
+ */
+export const subscribe = (
+  types,
+  name,
+  handler,
+  { retries = 2, retryDelayMs = 100 } = {}
+) => {
+  [].concat(types).forEach((type) => {
+    if (!subscribers.has(type)) subscribers.set(type, []);
+    subscribers.get(type).push({ name, handler, retries, retryDelayMs });
+  });
+};
+
+/**
+ * Remove all subscribers, e.g. before registering them again
+ */
+export const clearSubscribers = () => {
+  subscribers.clear();
+};
+
+/**
+ * Run a subscriber with its retries
+ * @param {Object} subscriber - Subscriber
+ * @param {Object} event - Event
+ * @returns {Promise<Object>} - { subscriber, status, attempts, result, error }
+ */
+const deliver = async (subscriber, event) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= subscriber.retries + 1; attempt++) {
+    try {
+      const result = await subscriber.handler(event);
+      return {
+        subscriber: subscriber.name,
+        status: "success",
+        attempts: attempt,
+        result,
+      };
+    } catch (error) {
+      lastError = error;
+      logger.warn(
+        `Subscriber ${subscriber.name} failed on ${event.type} (attempt ${attempt}): ${error.message}`
+      );
+
+      if (attempt <= subscriber.retries) {
+        await wait(subscriber.retryDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  logger.error(
+    `Subscriber ${subscriber.name} gave up on ${event.type} ${event.id}: ${lastError.message}`,
+    { error: lastError.stack }
+  );
+
+  return {
+    subscriber: subscriber.name,
+    status: "failed",
+    attempts: subscriber.retries + 1,
+    error: lastError.message,
+  };
+};
+
+/**
+ * Publish an event to its subscribers. The subscribers run side by side and
+ * the returned promise settles once all of them are done; it never rejects.
+ * @param {string} type - Event type, see EVENT_TYPES
+ * @param {Object} payload - Event data, e.g. { expense }
+ * @returns {Promise<Object>} - { event, results }
+ */
+export const publish = async (type, payload = {}) => {
+  const context = getRequestContext();
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date(),
+    // Who caused the event, empty for events raised by the system
+    actor: context ? context.userId : null,
+    requestId: context ? context.requestId : null,
+    payload,
+  };
+
+  const targets = [
+    ...(subscribers.get(type) || []),
+    ...(subscribers.get("*") || []),
+  ];
+  const results = await Promise.all(
+    targets.map((subscriber) => deliver(subscriber, event))
+  );
+
+  return { event, results };
+};
+
+/**
+ * Publish an event without waiting for its subscribers. Requests use this so
+ * their response is not held up by reports, budgets, webhooks and emails;
+ * the subscribers run once the current request handler has moved on.
+ * @param {string} type - Event type, see EVENT_TYPES
+ * @param {Object} payload - Event data, e.g. { expense }
+ */
+export const dispatch = (type, payload = {}) => {
+  setImmediate(() => {
+    publish(type, payload).catch((error) =>
+      logger.error(`Error publishing ${type}: ${error.message}`)
+    );
+  });
+};
+
+export default {
+  EVENT_TYPES,
+  subscribe,
+  clearSubscribers,
+  publish,
+  dispatch,
+};
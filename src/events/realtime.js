@@ -0,0 +1,189 @@
+import config from "../config/config.js";
+import { EVENT_TYPES } from "./eventBus.js";
+import { getVisibleUserIds } from "../utils/teamAccess.js";
+
+// Events pushed to connected clients
+export const STREAM_EVENT_TYPES = [
+  EVENT_TYPES.EXPENSE_CREATED,
+  EVENT_TYPES.EXPENSE_UPDATED,
+  EVENT_TYPES.EXPENSE_DELETED,
+  EVENT_TYPES.REPORT_STATUS_CHANGED,
+  EVENT_TYPES.REPORT_REIMBURSED,
+  EVENT_TYPES.BUDGET_THRESHOLD_CROSSED,
+];
+
+// Connected clients: { res, userIds } with userIds null for all users
+const clients = new Set();
+
+// Recent stream events, oldest first, for clients resuming a stream. They
+// are kept per server instance and lost on restart.
+const history = [];
+
+let heartbeat = null;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const pick = (doc, fields) =>
+  Object.fromEntries(fields.map((field) => [field, doc[field]]));
+
+/**
+ * Reduce a bus event to what clients need to refresh their views, and the
+ * user whose data it is
+ * @param {Object} event - Event from the bus
+ * @returns {Object} - { id, type, occurredAt, owner, data }
+ */
+const toStreamEvent = ({ id, type, occurredAt, payload }) => {
+  let data;
+
+  if (payload.expense) {
+    data = pick(payload.expense, [
+      "_id",
+      "user",
+      "category",
+      "type",
+      "status",
+      "journeyDate",
+      "totalCost",
+      "updatedAt",
+    ]);
+    if (type === EVENT_TYPES.EXPENSE_UPDATED && payload.previous) {
+      data.previousStatus = payload.previous.status;
+    }
+  } else if (payload.report) {
+    data = {
+      ...pick(payload.report, [
+        "_id",
+        "user",
+        "month",
+        "year",
+        "status",
+        "totalExpenseAmount",
+        "reimbursedAmount",
+        "pendingAmount",
+      ]),
+      previousStatus: payload.previousStatus,
+    };
+  } else {
+    data = {
+      ...pick(payload.budget, [
+        "_id",
+        "user",
+        "category",
+        "month",
+        "year",
+        "amount",
+        "actualExpenses",
+        "usageStatus",
+      ]),
+      previousStatus: payload.previousStatus,
+    };
+  }
+
+  return { id, type, occurredAt, owner: idOf(data.user), data };
+};
+
+const canReceive = (client, streamEvent) =>
+  client.userIds === null || client.userIds.includes(streamEvent.owner);
+
+const write = (client, streamEvent) => {
+  client.res.write(
+    `id: ${streamEvent.id}\nevent: ${streamEvent.type}\ndata: ${JSON.stringify({
+      type: streamEvent.type,
+      occurredAt: streamEvent.occurredAt,
+      data: streamEvent.data,
+    })}\n\n`
+  );
+};
+
+/**
+ * Push an event to the clients allowed to see it and keep it for clients
+ * that reconnect
+ * @param {Object} event - Event from the bus
+ * @returns {Promise<Object>} - { clients } the event was sent to
+ */
+export const pushStreamEvent = async (event) => {
+  const streamEvent = toStreamEvent(event);
+
+  history.push(streamEvent);
+  if (history.length > config.streamHistorySize) {
+    history.splice(0, history.length - config.streamHistorySize);
+  }
+
+  let sent = 0;
+  for (const client of clients) {
+    if (canReceive(client, streamEvent)) {
+      write(client, streamEvent);
+      sent += 1;
+    }
+  }
+
+  return { clients: sent };
+};
+
+/**
+ * Start streaming events to a client. Reps only get events about their
+ * own data, managers also about their team's and admins and finance about
+ * everybody's, as of the time of connecting. A client resuming from an
+ * event that is no longer kept gets a "reset" event and should reload.
+ * @param {Object} user - Authenticated user
+ * @param {Object} res - Response with the event stream headers sent
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Promise<Function>} - Call when the connection closes
+ */
+export const openEventStream = async (user, res, lastEventId) => {
+  const userIds = await getVisibleUserIds(user);
+
+  // Gone while the user's scope was looked up
+  if (res.destroyed) {
+    return () => {};
+  }
+
+  const client = {
+    res,
+    userIds: userIds ? userIds.map((id) => id.toString()) : null,
+  };
+
+  res.write(`retry: 5000\n\n`);
+
+  if (lastEventId) {
+    const index = history.findIndex(({ id }) => id === lastEventId);
+
+    if (index === -1) {
+      res.write(
+        `event: reset\ndata: ${JSON.stringify({
+          message: "Missed events are no longer available, please reload",
+        })}\n\n`
+      );
+    } else {
+      history
+        .slice(index + 1)
+        .filter((streamEvent) => canReceive(client, streamEvent))
+        .forEach((streamEvent) => write(client, streamEvent));
+    }
+  }
+
+  clients.add(client);
+
+  // Comments keep proxies from closing idle connections
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      clients.forEach(({ res: stream }) => stream.write(": ping\n\n"));
+    }, config.streamHeartbeatSeconds * 1000);
+    heartbeat.unref();
+  }
+
+  return () => {
+    clients.delete(client);
+
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  };
+};
+
+export default {
+  STREAM_EVENT_TYPES,
+  pushStreamEvent,
+  openEventStream,
+};
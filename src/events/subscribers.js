@@ -0,0 +1,427 @@
+import Category from "../models/Category.js";
+import User from "../models/User.js";
+import config from "../config/config.js";
+import { DRAFT_EXPENSE_STATUS } from "../models/Expense.js";
+import { EVENT_TYPES, subscribe } from "./eventBus.js";
+import { STREAM_EVENT_TYPES, pushStreamEvent } from "./realtime.js";
+import {
+  syncExpenseReport,
+  removeExpenseFromReport,
+} from "../utils/reportSync.js";
+import {
+  updateCategoryUsage,
+  getCategoryBudgetAlerts,
+} from "../utils/categoryBudgets.js";
+import { recomputeBudgetUsage } from "../utils/budgetUsage.js";
+import {
+  sendReportStatusEmail,
+  sendReportSubmittedEmail,
+  sendReimbursementEmail,
+  sendBudgetThresholdEmail,
+} from "../utils/emailService.js";
+import { getStepApprovers } from "../utils/approvalChain.js";
+import { dispatchWebhookEvent } from "../utils/webhooks.js";
+import { notify } from "../utils/notifications.js";
+import { logger } from "../utils/logger.js";
+
+const EXPENSE_EVENTS = [
+  EVENT_TYPES.EXPENSE_CREATED,
+  EVENT_TYPES.EXPENSE_UPDATED,
+  EVENT_TYPES.EXPENSE_DELETED,
+];
+
+/**
+ * Keep the monthly report of an expense in line with it. Drafts only go
+ * into a report once they are confirmed.
+ * @param {Object} event - Expense event
+ * @returns {Promise<Object>} - { report }
+ */
+const updateReportTotals = async ({ type, payload: { expense } }) => {
+  if (type === EVENT_TYPES.EXPENSE_DELETED) {
+    await removeExpenseFromReport(expense);
+    return { report: null };
+  }
+
+  if (expense.status === DRAFT_EXPENSE_STATUS) {
+    return { report: null };
+  }
+
+  const report = await syncExpenseReport(expense);
+  return { report: report._id };
+};
+
+/**
+ * Tell the owner of an expense that the budget limits of its category are
+ * almost used up or exceeded. Each limit is notified once per level.
+ * @param {Object} expense - Expense counting towards the category
+ * @returns {Promise<number>} - Number of limits needing attention
+ */
+const notifyCategoryBudgetAlerts = async (expense) => {
+  const alerts = await getCategoryBudgetAlerts(
+    expense.category._id || expense.category
+  );
+
+  for (const alert of alerts) {
+    await notify(
+      expense.user,
+      "budget.threshold",
+      {
+        title:
+          alert.alertStatus === "exceeded"
+            ? "Category budget exceeded"
+            : "Category budget almost used up",
+        message: `${alert.percentUsed}% of the ${alert.period} category budget of ${alert.budgetAmount} ${config.baseCurrency} is used.`,
+        link: "/budgets",
+        data: alert,
+      },
+      { key: `category-budget:${alert.budgetId}:${alert.alertStatus}` }
+    );
+  }
+
+  return alerts.length;
+};
+
+/**
+ * Recompute the usage of the categories and budgets an expense counts
+ * towards, including the category it was moved out of, and warn the owner
+ * about category budgets it used up
+ * @param {Object} event - Expense event
+ * @returns {Promise<Object>} - { categories, budgets, categoryAlerts }
+ */
+const updateBudgetUsage = async ({ type, payload: { expense, previous } }) => {
+  const categoryIds = [
+    ...new Set(
+      [expense.category, previous && previous.category]
+        .filter(Boolean)
+        .map((id) => (id._id || id).toString())
+    ),
+  ];
+
+  for (const categoryId of categoryIds) {
+    await updateCategoryUsage(categoryId);
+  }
+
+  const budgets = await recomputeBudgetUsage({ user: expense.user });
+
+  const categoryAlerts =
+    type !== EVENT_TYPES.EXPENSE_DELETED &&
+    expense.status !== DRAFT_EXPENSE_STATUS &&
+    expense.category
+      ? await notifyCategoryBudgetAlerts(expense)
+      : 0;
+
+  return {
+    categories: categoryIds.length,
+    budgets: budgets.budgets,
+    categoryAlerts,
+  };
+};
+
+const periodLabel = (month, year) =>
+  new Date(year, month - 1, 1).toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+
+/**
+ * Tell the owner of a report that it was approved, rejected or reopened by
+ * someone else. The event ID is the key, so a retry doesn't notify twice.
+ * @param {Object} event - report.statusChanged event
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyReportOwner = async ({ id, actor, payload }) => {
+  const { report, previousStatus } = payload;
+  const period = periodLabel(report.month, report.year);
+  const reopened =
+    report.status === "draft" &&
+    ["submitted", "approved"].includes(previousStatus) &&
+    (!actor || actor.toString() !== report.user.toString());
+
+  if (!["approved", "rejected"].includes(report.status) && !reopened) {
+    return { notified: false };
+  }
+
+  const reviewer =
+    report.status === "rejected" && actor
+      ? await User.findById(actor).select("name")
+      : null;
+
+  const { notification } = await notify(
+    report.user,
+    "report.status",
+    {
+      title: reopened
+        ? `Your expense report for ${period} was reopened`
+        : `Your expense report for ${period} was ${report.status}`,
+      message: reopened
+        ? `Your expense report for ${period} was reopened and has to be submitted again. ${
+            report.comments || ""
+          }`.trim()
+        : report.status === "approved"
+        ? `Your expense report for ${period} was approved. ${report.reimbursedAmount} ${config.baseCurrency} will be reimbursed.`
+        : `Your expense report for ${period} was rejected. Comments: ${
+            report.comments || "none"
+          }`,
+      link: `/reports/${report._id}`,
+      data: { report: report._id, status: report.status, previousStatus },
+    },
+    {
+      key: `event:${id}`,
+      email: reopened
+        ? undefined
+        : (user) =>
+            sendReportStatusEmail(user, report, {
+              rejectedBy: reviewer ? reviewer.name : undefined,
+            }),
+    }
+  );
+
+  return { notified: Boolean(notification) };
+};
+
+/**
+ * Tell the approvers of the current step that a report is waiting for them,
+ * when it was submitted or the previous step approved it
+ * @param {Object} event - report.statusChanged or report.stepApproved event
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyApprovers = async ({ id, type, payload: { report } }) => {
+  if (report.status !== "submitted") {
+    return { notified: 0 };
+  }
+
+  const owner = await User.findById(report.user).select("name");
+  const approvers = await getStepApprovers(
+    report.approvalSteps[report.currentApprovalStep]
+  );
+  const period = periodLabel(report.month, report.year);
+  const ownerName = owner ? owner.name : "A user";
+  let notified = 0;
+
+  for (const approver of approvers) {
+    const { notification } = await notify(
+      approver,
+      "report.submitted",
+      {
+        title:
+          type === EVENT_TYPES.REPORT_STEP_APPROVED
+            ? `The expense report of ${ownerName} for ${period} is waiting for your approval`
+            : `${ownerName} submitted the expense report for ${period}`,
+        message: `${ownerName} submitted the expense report for ${period} (${report.totalExpenseAmount} ${config.baseCurrency}). It is waiting for your approval.`,
+        link: `/reports/${report._id}`,
+        data: { report: report._id, user: report.user },
+      },
+      {
+        key: `event:${id}`,
+        email: (user) =>
+          sendReportSubmittedEmail(user, report, { name: ownerName }),
+      }
+    );
+    if (notification) notified += 1;
+  }
+
+  return { notified };
+};
+
+/**
+ * Tell the owner of a report that its reimbursement was paid
+ * @param {Object} event - report.reimbursed event
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyReimbursement = async ({ id, payload: { report } }) => {
+  const period = periodLabel(report.month, report.year);
+
+  const { notification } = await notify(
+    report.user,
+    "report.status",
+    {
+      title: `Reimbursement for ${period} paid`,
+      message: `${report.reimbursedAmount} ${config.baseCurrency} of your expense report for ${period} have been reimbursed.`,
+      link: `/reports/${report._id}`,
+      data: { report: report._id, reimbursedAmount: report.reimbursedAmount },
+    },
+    {
+      key: `event:${id}`,
+      email: (user) => sendReimbursementEmail(user, report),
+    }
+  );
+
+  return { notified: Boolean(notification) };
+};
+
+/**
+ * Tell the owner of an expense that it was rejected
+ * @param {Object} event - expense.updated event
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyExpenseRejected = async ({
+  id,
+  payload: { expense, previous },
+}) => {
+  if (
+    expense.status !== "rejected" ||
+    (previous && previous.status === "rejected")
+  ) {
+    return { notified: false };
+  }
+
+  const date = new Date(expense.journeyDate).toLocaleDateString("en-US", {
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+  });
+  const { notification } = await notify(
+    expense.user,
+    "expense.rejected",
+    {
+      title: `Your expense of ${date} was rejected`,
+      message: `Your expense of ${date} (${expense.totalCost} ${
+        config.baseCurrency
+      }) was rejected. Reason: ${expense.rejectionReason || "none given"}`,
+      link: `/expenses/${expense._id}`,
+      data: { expense: expense._id, reason: expense.rejectionReason },
+    },
+    { key: `event:${id}` }
+  );
+
+  return { notified: Boolean(notification) };
+};
+
+/**
+ * Warn the owner of a budget that reached its warning or critical level,
+ * once per level
+ * @param {Object} event - budget.thresholdCrossed event
+ * @returns {Promise<Object>} - { notified }
+ */
+const notifyBudgetThreshold = async ({ payload: { budget } }) => {
+  const category = await Category.findById(budget.category).select("name");
+  const usagePercentage =
+    budget.amount > 0
+      ? Math.round((budget.actualExpenses / budget.amount) * 100)
+      : 0;
+  const period =
+    budget.month === 0
+      ? `${budget.year}`
+      : periodLabel(budget.month, budget.year);
+  const name = `${category ? category.name : "Budget"} budget for ${period}`;
+
+  const { notification } = await notify(
+    budget.user,
+    "budget.threshold",
+    {
+      title: `${name} is at ${usagePercentage}%`,
+      message: `You have used ${budget.actualExpenses} ${config.baseCurrency} of your ${name} of ${budget.amount} ${config.baseCurrency} (${usagePercentage}%), which is ${budget.usageStatus}.`,
+      link: "/budgets",
+      data: {
+        budget: budget._id,
+        status: budget.usageStatus,
+        usagePercentage,
+      },
+    },
+    {
+      key: `budget:${budget._id}:${budget.usageStatus}`,
+      email: (user) =>
+        sendBudgetThresholdEmail(user, {
+          category: category ? category.name : "",
+          month: budget.month,
+          year: budget.year,
+          amount: budget.amount,
+          actualExpenses: budget.actualExpenses,
+          usagePercentage,
+          usageStatus: budget.usageStatus,
+        }),
+    }
+  );
+
+  return { notified: Boolean(notification) };
+};
+
+/**
+ * Pass events on to the webhooks subscribed to them. Reports only go out
+ * for the status changes webhooks can subscribe to.
+ * @param {Object} event - Any event
+ * @returns {Promise<Object>} - { deliveries }
+ */
+const sendWebhooks = async ({ id, type, occurredAt, payload }) => {
+  let webhookEvent = type;
+  let data = payload.expense || payload.report;
+
+  if (type === EVENT_TYPES.EXPENSE_DELETED) {
+    return { deliveries: 0 };
+  }
+  if (type === EVENT_TYPES.REPORT_STATUS_CHANGED) {
+    if (
+      !["submitted", "approved", "rejected"].includes(payload.report.status)
+    ) {
+      return { deliveries: 0 };
+    }
+    webhookEvent = `report.${payload.report.status}`;
+  }
+  if (type === EVENT_TYPES.BUDGET_THRESHOLD_CROSSED) {
+    data = { ...payload.budget, previousStatus: payload.previousStatus };
+  }
+
+  const deliveries = await dispatchWebhookEvent(webhookEvent, data, {
+    eventId: id,
+    occurredAt,
+  });
+
+  return { deliveries: deliveries.length };
+};
+
+/**
+ * Write every event to the application log. Changes to the documents
+ * themselves are recorded in the audit log by the auditTrail plugin.
+ * @param {Object} event - Any event
+ */
+const logEvent = async ({ id, type, actor, requestId, payload }) => {
+  const entity = payload.expense || payload.report || payload.budget;
+
+  logger.info(`Event ${type}`, {
+    eventId: id,
+    entityId: entity ? entity._id : undefined,
+    actor,
+    requestId,
+  });
+};
+
+/**
+ * Register the subscribers of the domain events
+ */
+export const registerEventSubscribers = () => {
+  subscribe(EXPENSE_EVENTS, "report-totals", updateReportTotals);
+  subscribe(EXPENSE_EVENTS, "budget-usage", updateBudgetUsage);
+  subscribe(
+    EVENT_TYPES.REPORT_STATUS_CHANGED,
+    "report-notifications",
+    notifyReportOwner
+  );
+  subscribe(
+    [EVENT_TYPES.REPORT_STATUS_CHANGED, EVENT_TYPES.REPORT_STEP_APPROVED],
+    "approver-notifications",
+    notifyApprovers
+  );
+  subscribe(
+    EVENT_TYPES.REPORT_REIMBURSED,
+    "reimbursement-notifications",
+    notifyReimbursement
+  );
+  subscribe(
+    EVENT_TYPES.EXPENSE_UPDATED,
+    "expense-notifications",
+    notifyExpenseRejected
+  );
+  subscribe(
+    EVENT_TYPES.BUDGET_THRESHOLD_CROSSED,
+    "budget-notifications",
+    notifyBudgetThreshold
+  );
+  // Not retried, a retry would send the event to the clients again
+  subscribe(STREAM_EVENT_TYPES, "realtime", pushStreamEvent, { retries: 0 });
+  subscribe("*", "webhooks", sendWebhooks);
+  subscribe("*", "audit", logEvent, { retries: 0 });
+};
+
+export default {
+  registerEventSubscribers,
+};
@@ -1,7 +1,5 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
-import ErrorResponse from "../utils/errorResponse.js";
-import asyncHandler from "express-async-handler";
 
 // Protect routes
 export const protect = async (req, res, next) => {
@@ -27,6 +25,11 @@ export const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Stream tokens travel in URLs and only open the event stream
+    if (decoded.scope === "stream") {
+      throw new Error("Stream token used for the API");
+    }
+
     req.user = await User.findById(decoded.id);
 
     next();
@@ -38,6 +41,35 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Protect the event stream: a Bearer token like any route, or a stream
+// token in ?token= for EventSource clients
+export const protectStream = async (req, res, next) => {
+  if (!req.query.token) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+
+    if (decoded.scope !== "stream") {
+      throw new Error("Not a stream token");
+    }
+
+    req.user = await User.findById(decoded.id);
+
+    if (!req.user) {
+      throw new Error("User no longer exists");
+    }
+
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized to access this route",
+    });
+  }
+};
+
 // Grant access to specific roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -50,36 +82,3 @@ export const authorize = (...roles) => {
     next();
   };
 };
-
-// @desc    Protect routes with API token (for internal service communication)
-// @access  Internal only
-export const protectInternalAPI = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in headers
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    // Set token from Bearer token in header
-    token = req.headers.authorization.split(" ")[1];
-  }
-
-  // Check token exists
-  if (!token) {
-    return next(new ErrorResponse("Not authorized to access this route", 401));
-  }
-
-  try {
-    // Verify token is our internal API token
-    if (token !== process.env.API_INTERNAL_TOKEN) {
-      return next(new ErrorResponse("Invalid token", 401));
-    }
-
-    // Grant access to protected route
-    req.isInternalRequest = true;
-    next();
-  } catch (err) {
-    return next(new ErrorResponse("Not authorized to access this route", 401));
-  }
-});
@@ -1,5 +1,5 @@
 import ErrorResponse from "../utils/errorResponse.js";
-import { logger } from "../utils/logger.js";
+import { logger, redactUrl } from "../utils/logger.js";
 
 /**
  * Global error handling middleware for Express
@@ -14,7 +14,7 @@ const errorHandler = (err, req, res, next) => {
     errorName: err.name,
     errorCode: err.code,
     errorMessage: err.message,
-    path: req.originalUrl,
+    path: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip || req.headers["x-forwarded-for"] || "unknown",
     stack: err.stack,
@@ -44,6 +44,15 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Multer upload errors (file too large, too many files, ...)
+  if (err.name === "MulterError") {
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? "Uploaded file is too large"
+        : `Upload error: ${err.message}`;
+    error = new ErrorResponse(message, 400);
+  }
+
   // Express-validator errors
   if (err.array && typeof err.array === "function") {
     const message = err
@@ -0,0 +1,21 @@
+import crypto from "crypto";
+import { runWithRequestContext } from "../utils/requestContext.js";
+
+/**
+ * Assign every request an ID (reusing an incoming X-Request-ID) and make
+ * the request available to model hooks through the request context
+ * @returns {Function} Express middleware
+ */
+const requestContext = (req, res, next) => {
+  const incomingId = req.get("X-Request-ID");
+  req.id =
+    incomingId && /^[\w.-]{1,100}$/.test(incomingId)
+      ? incomingId
+      : crypto.randomUUID();
+
+  res.setHeader("X-Request-ID", req.id);
+
+  runWithRequestContext({ requestId: req.id, req }, () => next());
+};
+
+export default requestContext;
@@ -0,0 +1,76 @@
+import multer from "multer";
+import { AsyncResource } from "async_hooks";
+import config from "../config/config.js";
+import ErrorResponse from "../utils/errorResponse.js";
+
+/**
+ * Multer instance for expense attachments.
+ * Files are kept in memory and handed to the storage adapter by the controller,
+ * so the upload itself does not depend on where attachments end up.
+ */
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxAttachmentSize,
+    files: config.maxAttachmentsPerUpload,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!config.allowedAttachmentTypes.includes(file.mimetype)) {
+      return cb(
+        new ErrorResponse(
+          `File type ${
+            file.mimetype
+          } is not allowed. Allowed types: ${config.allowedAttachmentTypes.join(
+            ", "
+          )}`,
+          400
+        )
+      );
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Keep the request context across multer, which continues the request from
+ * stream events that would otherwise lose it
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const keepRequestContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+/**
+ * Middleware to accept attachment files from the "files" multipart field
+ * @returns {Function} Express middleware
+ */
+export const uploadAttachments = keepRequestContext(
+  attachmentUpload.array("files", config.maxAttachmentsPerUpload)
+);
+
+/**
+ * Middleware to accept a single CSV file from the "file" multipart field
+ * @returns {Function} Express middleware
+ */
+export const uploadCsvFile = keepRequestContext(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 1024 * 1024, // 1MB is plenty for rate tables
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      const isCsv =
+        ["text/csv", "application/vnd.ms-excel", "text/plain"].includes(
+          file.mimetype
+        ) || file.originalname.toLowerCase().endsWith(".csv");
+
+      if (!isCsv) {
+        return cb(new ErrorResponse("Please upload a CSV file", 400));
+      }
+      cb(null, true);
+    },
+  }).single("file")
+);
+
+export default uploadAttachments;
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Entity types the audit trail is recorded for
+export const AUDITED_ENTITY_TYPES = [
+  "Expense",
+  "Report",
+  "Budget",
+  "Category",
+  "Setting",
+  "Policy",
+];
+
+const ChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: AUDITED_ENTITY_TYPES,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: true,
+    },
+    changes: [ChangeSchema],
+    // User who made the change, empty for changes made by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+    },
+    requestId: {
+      type: String,
+    },
+    // Method and path of the request that made the change
+    source: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+// Entries are append-only: existing entries can never be changed or removed.
+// Document deleteOne() runs through the deleteOne query and is covered too.
+const rejectModification = function (next) {
+  next(new Error("Audit log entries are immutable"));
+};
+
+AuditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteOne",
+    "deleteMany",
+  ],
+  { document: false, query: true },
+  rejectModification
+);
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
 
 const BudgetSchema = new mongoose.Schema(
   {
@@ -59,6 +60,27 @@ const BudgetSchema = new mongoose.Schema(
       min: [0, "Threshold must be between 0 and 100"],
       max: [100, "Threshold must be between 0 and 100"],
     },
+    // Usage as last recomputed by the budget usage job
+    actualExpenses: {
+      type: Number,
+      default: 0,
+    },
+    actualDistance: {
+      type: Number,
+      default: 0,
+    },
+    expenseCount: {
+      type: Number,
+      default: 0,
+    },
+    usageStatus: {
+      type: String,
+      enum: ["under", "warning", "critical", "none"],
+      default: "none",
+    },
+    usageUpdatedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -85,6 +107,9 @@ BudgetSchema.virtual("usagePercentage").get(function () {
     : 0;
 });
 
+// Record every change in the audit log
+BudgetSchema.plugin(auditTrail, { entityType: "Budget" });
+
 const Budget = mongoose.model("Budget", BudgetSchema);
 
 export default Budget;
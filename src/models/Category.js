@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
 
 const BudgetLimitSchema = new mongoose.Schema(
   {
@@ -99,6 +100,9 @@ CategorySchema.statics.calculateBudgetUsage = async function (
   return result.length > 0 ? result[0].totalAmount : 0;
 };
 
+// Record every change in the audit log
+CategorySchema.plugin(auditTrail, { entityType: "Category" });
+
 const Category = mongoose.model("Category", CategorySchema);
 
 export default Category;
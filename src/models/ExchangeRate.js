@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+/**
+ * Normalize a date to midnight UTC of the same day
+ * @param {Date|string} date - Date to normalize
+ * @returns {Date} - Normalized date
+ */
+const normalizeDate = (date) => {
+  const day = new Date(date);
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+  );
+};
+
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, "Please add a currency code"],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
+    date: {
+      type: Date,
+      required: [true, "Please add the date the rate applies to"],
+    },
+    // Amount in the base currency (CHF) for one unit of the currency
+    rate: {
+      type: Number,
+      required: [true, "Please add the exchange rate"],
+      min: [0.000001, "Exchange rate must be positive"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "csv"],
+      default: "manual",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one rate per currency and day
+ExchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+// Rates are daily, so always store them at midnight UTC
+ExchangeRateSchema.pre("validate", function (next) {
+  if (this.date) {
+    this.date = normalizeDate(this.date);
+  }
+  next();
+});
+
+ExchangeRateSchema.statics.normalizeDate = normalizeDate;
+
+/**
+ * Find the rate that applies to a currency on a given date.
+ * Uses the most recent rate on or before the date, so weekends and
+ * holidays fall back to the last published rate.
+ * @param {string} currency - ISO 4217 currency code
+ * @param {Date|string} date - Date of the expense
+ * @returns {Promise<Object|null>} - { rate, date } or null if no rate exists
+ */
+ExchangeRateSchema.statics.findRateForDate = async function (currency, date) {
+  const code = (currency || config.baseCurrency).toUpperCase();
+
+  if (code === config.baseCurrency) {
+    return { rate: 1, date: normalizeDate(date) };
+  }
+
+  const exchangeRate = await this.findOne({
+    currency: code,
+    date: { $lte: normalizeDate(date) },
+  }).sort({ date: -1 });
+
+  return exchangeRate
+    ? { rate: exchangeRate.rate, date: exchangeRate.date }
+    : null;
+};
+
+const ExchangeRate = mongoose.model("ExchangeRate", ExchangeRateSchema);
+
+export default ExchangeRate;
@@ -1,4 +1,158 @@
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
+import config from "../config/config.js";
+import { VEHICLE_TYPES, RateTierSchema } from "./MileageRate.js";
+
+// Mileage expenses are priced by distance, all other types carry a flat amount
+export const MILEAGE_EXPENSE_TYPE = "mileage";
+export const FLAT_EXPENSE_TYPES = [
+  "meal",
+  "lodging",
+  "toll",
+  "parking",
+  "other",
+];
+export const EXPENSE_TYPES = [MILEAGE_EXPENSE_TYPE, ...FLAT_EXPENSE_TYPES];
+
+// Drafts are generated from recurring trip templates and only count once
+// their owner confirms them
+export const DRAFT_EXPENSE_STATUS = "draft";
+export const EXPENSE_STATUSES = [
+  DRAFT_EXPENSE_STATUS,
+  "pending",
+  "approved",
+  "rejected",
+];
+
+// Route and rate fields are only required for mileage expenses
+function isMileageExpense() {
+  return this.type === MILEAGE_EXPENSE_TYPE;
+}
+
+// The flat amount is only required for non-mileage expenses
+function isFlatAmountExpense() {
+  return this.type !== MILEAGE_EXPENSE_TYPE;
+}
+
+const AttachmentSchema = new mongoose.Schema(
+  {
+    originalName: {
+      type: String,
+      required: [true, "Please add the original file name"],
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: [true, "Please add the file MIME type"],
+    },
+    size: {
+      type: Number,
+      required: [true, "Please add the file size"],
+    },
+    storage: {
+      type: String,
+      default: "local",
+    },
+    storageKey: {
+      type: String,
+      required: [true, "Please add the storage key"],
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: { createdAt: "uploadedAt", updatedAt: false },
+  }
+);
+
+// Part of a trip priced at one band of a tiered rate. fromKm and toKm count
+// the user's kilometers of the year, so a trip can span several bands.
+const RateBreakdownSchema = new mongoose.Schema(
+  {
+    fromKm: Number,
+    toKm: Number,
+    distance: Number,
+    rate: Number,
+    amount: Number,
+  },
+  { _id: false }
+);
+
+// A limit of the expense policy the expense exceeded
+const PolicyViolationSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      required: true,
+    },
+    // Set when the rule is an admin defined Policy
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Policy",
+    },
+    severity: {
+      type: String,
+      enum: ["hard", "soft"],
+      required: true,
+    },
+    message: {
+      type: String,
+    },
+    limit: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    actual: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+// Comparison of a manually entered distance with the calculated route
+const DistanceCheckSchema = new mongoose.Schema(
+  {
+    expectedDistance: {
+      type: Number,
+    },
+    // Positive when more kilometers were entered than calculated
+    deviationPercent: {
+      type: Number,
+    },
+    thresholdPercent: {
+      type: Number,
+    },
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    provider: {
+      type: String,
+    },
+    // Calculated from stored coordinates rather than by a routing service
+    estimated: {
+      type: Boolean,
+      default: false,
+    },
+    checkedAt: {
+      type: Date,
+    },
+    // Flagged expenses are only approved with an explicit comment
+    overrideComment: {
+      type: String,
+      maxlength: [1000, "Override comment cannot be more than 1000 characters"],
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    overriddenAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
 
 const ExpenseSchema = new mongoose.Schema(
   {
@@ -12,14 +166,19 @@ const ExpenseSchema = new mongoose.Schema(
       ref: "Category",
       required: true,
     },
+    type: {
+      type: String,
+      enum: EXPENSE_TYPES,
+      default: MILEAGE_EXPENSE_TYPE,
+    },
     startingPoint: {
       type: String,
-      required: [true, "Please add a starting point"],
+      required: [isMileageExpense, "Please add a starting point"],
       trim: true,
     },
     destinationPoint: {
       type: String,
-      required: [true, "Please add a destination point"],
+      required: [isMileageExpense, "Please add a destination point"],
       trim: true,
     },
     startingPointPlaceId: {
@@ -47,7 +206,7 @@ const ExpenseSchema = new mongoose.Schema(
     ],
     distance: {
       type: Number,
-      required: [true, "Please add the distance in kilometers"],
+      required: [isMileageExpense, "Please add the distance in kilometers"],
     },
     duration: {
       type: String,
@@ -60,12 +219,81 @@ const ExpenseSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Round trips include the way back in distance, returnDistance is that part
+    isRoundTrip: {
+      type: Boolean,
+      default: false,
+    },
+    returnDistance: {
+      type: Number,
+    },
     routeSnapshot: {
       type: Object,
     },
+    // Set for manually entered distances the route could be calculated for
+    distanceCheck: {
+      type: DistanceCheckSchema,
+    },
+    // Result of the last expense policy evaluation, only soft warnings can
+    // be stored since hard violations are never saved
+    policyCheck: {
+      checkedAt: Date,
+      violations: {
+        type: [PolicyViolationSchema],
+        default: undefined,
+      },
+    },
     costPerKm: {
       type: Number,
-      required: [true, "Please add the cost per kilometer"],
+      required: [isMileageExpense, "Please add the cost per kilometer"],
+    },
+    // Vehicle used for a mileage trip, expenses without one were private car trips
+    vehicleType: {
+      type: String,
+      enum: VEHICLE_TYPES,
+    },
+    // Rate table entry costPerKm was taken from, kept as a copy so later rate
+    // changes never alter a filed expense
+    mileageRate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MileageRate",
+    },
+    // Km bands of a tiered rate, copied like costPerKm. Trips with bands are
+    // priced from the kilometers the user already drove that year.
+    rateTiers: {
+      type: [RateTierSchema],
+      default: undefined,
+    },
+    rateBreakdown: {
+      type: [RateBreakdownSchema],
+      default: undefined,
+    },
+    ytdDistanceBefore: {
+      type: Number,
+    },
+    amount: {
+      type: Number,
+      required: [isFlatAmountExpense, "Please add the amount"],
+      min: [0, "Amount cannot be negative"],
+    },
+    // Currency the expense was paid in, totalCost is always converted to the
+    // base currency
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: config.baseCurrency,
+      match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO 4217 code"],
+    },
+    originalAmount: {
+      type: Number,
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+    exchangeRateDate: {
+      type: Date,
     },
     totalCost: {
       type: Number,
@@ -81,9 +309,58 @@ const ExpenseSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      enum: EXPENSE_STATUSES,
       default: "pending",
     },
+    // Set when an admin approves or rejects the individual expense
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [1000, "Rejection reason cannot be more than 1000 characters"],
+    },
+    // Comment of the approver, some policies require one
+    reviewComment: {
+      type: String,
+      maxlength: [1000, "Review comment cannot be more than 1000 characters"],
+    },
+    attachments: [AttachmentSchema],
+    // Multi-day journey the expense is a leg of
+    journey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Journey",
+    },
+    // Expenses of the same user this one looked like when it was created
+    possibleDuplicates: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Expense",
+        },
+      ],
+      default: undefined,
+    },
+    // Client supplied Idempotency-Key of the creating request, so retries
+    // return the expense instead of filing it again
+    idempotencyKey: {
+      type: String,
+      maxlength: [255, "Idempotency key cannot be more than 255 characters"],
+    },
+    // Hash of the body of the creating request, a retry with the same key
+    // must send the same body
+    idempotencyHash: {
+      type: String,
+    },
+    // Trip template the expense was created from
+    tripTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TripTemplate",
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -100,12 +377,61 @@ const ExpenseSchema = new mongoose.Schema(
   }
 );
 
-// Create a virtual property to calculate total cost
+ExpenseSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  }
+);
+
+// Explain which km bands a tiered trip fell into
+ExpenseSchema.virtual("rateExplanation").get(function () {
+  if (!this.rateBreakdown || this.rateBreakdown.length === 0) {
+    return undefined;
+  }
+
+  return this.rateBreakdown
+    .map(
+      (band) =>
+        `${band.distance.toFixed(1)} km at ${band.rate.toFixed(
+          2
+        )}/km (km ${band.fromKm.toFixed(1)}-${band.toKm.toFixed(
+          1
+        )} of the year)`
+    )
+    .join(", ");
+});
+
+// Calculate the cost from the route for mileage, which the mileage rates
+// already price in the base currency, and from the flat amount otherwise,
+// converted to the base currency with the stored rate
+ExpenseSchema.methods.calculateTotalCost = function () {
+  if (this.type === MILEAGE_EXPENSE_TYPE && this.rateBreakdown?.length > 0) {
+    // Tiered trips add up the amounts of the bands they fell into
+    this.originalAmount = this.rateBreakdown.reduce(
+      (sum, band) => sum + band.amount,
+      0
+    );
+  } else if (this.type === MILEAGE_EXPENSE_TYPE) {
+    this.originalAmount = this.distance * this.costPerKm;
+  } else {
+    this.originalAmount = this.amount;
+    this.totalCost = this.originalAmount * (this.exchangeRate || 1);
+    return this.totalCost;
+  }
+  this.totalCost = this.originalAmount;
+  return this.totalCost;
+};
+
 ExpenseSchema.pre("save", function (next) {
-  this.totalCost = this.distance * this.costPerKm;
+  this.calculateTotalCost();
   next();
 });
 
+// Record every change in the audit log
+ExpenseSchema.plugin(auditTrail, { entityType: "Expense" });
+
 const Expense = mongoose.model("Expense", ExpenseSchema);
 
 export default Expense;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// State of a scheduled job, shared by all instances of the server. The lock
+// makes sure only one instance runs a job at a time.
+const JobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    intervalMinutes: {
+      type: Number,
+      required: true,
+      min: [1, "Interval must be at least one minute"],
+    },
+    nextRunAt: {
+      type: Date,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    lastFinishedAt: {
+      type: Date,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["success", "failed"],
+    },
+    lastError: {
+      type: String,
+    },
+    // Instance running the job and when its lock runs out, in case the
+    // instance died while running it
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Job = mongoose.model("Job", JobSchema);
+
+export default Job;
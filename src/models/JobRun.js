@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+// One run of a scheduled job
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Instance the job ran on
+    instance: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["running", "success", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+    result: {
+      type: Object,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JobRunSchema.index({ job: 1, startedAt: -1 });
+// Runs still in progress have no finishedAt and are kept
+JobRunSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: config.jobRunRetentionDays * 24 * 60 * 60 }
+);
+
+const JobRun = mongoose.model("JobRun", JobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// A multi-day business trip bundling several legs (expenses) under one purpose
+const JourneySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Please add a title"],
+      trim: true,
+      maxlength: [100, "Title cannot be more than 100 characters"],
+    },
+    purpose: {
+      type: String,
+      required: [true, "Please add the business purpose of the journey"],
+      trim: true,
+      maxlength: [500, "Purpose cannot be more than 500 characters"],
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+JourneySchema.index({ user: 1, startDate: -1 });
+
+// The journey can't end before it starts
+JourneySchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "End date must be on or after the start date");
+  }
+  next();
+});
+
+const Journey = mongoose.model("Journey", JourneySchema);
+
+export default Journey;
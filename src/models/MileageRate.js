@@ -0,0 +1,157 @@
+import mongoose from "mongoose";
+
+// Vehicles mileage can be claimed for, each with its own rate history
+export const VEHICLE_TYPES = [
+  "private_car",
+  "company_car",
+  "e_bike",
+  "motorcycle",
+];
+export const DEFAULT_VEHICLE_TYPE = "private_car";
+
+// One band of a tiered schedule: the rate applies to the kilometers of the
+// year up to upToKm (cumulative), the last band has no upper limit
+export const RateTierSchema = new mongoose.Schema(
+  {
+    upToKm: {
+      type: Number,
+      min: [0, "Band limit cannot be negative"],
+      default: null,
+    },
+    rate: {
+      type: Number,
+      required: [true, "Please add the rate of the band"],
+      min: [0, "Rate cannot be negative"],
+    },
+  },
+  { _id: false }
+);
+
+const MileageRateSchema = new mongoose.Schema(
+  {
+    vehicleType: {
+      type: String,
+      enum: VEHICLE_TYPES,
+      required: [true, "Please add the vehicle type"],
+    },
+    // Rate per kilometer in the base currency (CHF)
+    rate: {
+      type: Number,
+      required: [
+        function () {
+          return !this.tiers || this.tiers.length === 0;
+        },
+        "Please add the rate per kilometer",
+      ],
+      min: [0, "Rate cannot be negative"],
+    },
+    // Annual km bands, chosen by the user's year-to-date distance. When set
+    // they replace the flat rate.
+    tiers: {
+      type: [RateTierSchema],
+      default: undefined,
+    },
+    validFrom: {
+      type: Date,
+      required: [true, "Please add the date the rate is valid from"],
+    },
+    // Open-ended when empty
+    validTo: {
+      type: Date,
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MileageRateSchema.index({ vehicleType: 1, validFrom: -1 });
+
+// A vehicle type can only have one rate on any given day
+MileageRateSchema.pre("validate", async function () {
+  // Both ends are whole days: validFrom from its start, validTo to its end
+  if (this.validFrom) {
+    const from = new Date(this.validFrom);
+    from.setUTCHours(0, 0, 0, 0);
+    this.validFrom = from;
+  }
+  if (this.validTo) {
+    const to = new Date(this.validTo);
+    to.setUTCHours(23, 59, 59, 999);
+    this.validTo = to;
+  }
+
+  if (this.validTo && this.validFrom && this.validTo < this.validFrom) {
+    this.invalidate("validTo", "Valid to must be on or after valid from");
+    return;
+  }
+
+  if (this.tiers && this.tiers.length > 0) {
+    // Bands must be in ascending order and only the last one may be open-ended
+    const limits = this.tiers.map((tier) => tier.upToKm);
+    const isAscending = limits.every((limit, index) =>
+      limit === null || limit === undefined
+        ? index === limits.length - 1
+        : index === 0 || limit > limits[index - 1]
+    );
+
+    if (!isAscending) {
+      this.invalidate(
+        "tiers",
+        "Bands must have ascending km limits and only the last band may be unlimited"
+      );
+      return;
+    }
+
+    // The flat rate mirrors the first band for clients that only show one rate
+    this.rate = this.tiers[0].rate;
+  }
+
+  const overlapping = await this.constructor.findOne({
+    _id: { $ne: this._id },
+    vehicleType: this.vehicleType,
+    validFrom: { $lte: this.validTo || new Date(8640000000000000) },
+    $or: [{ validTo: null }, { validTo: { $gte: this.validFrom } }],
+  });
+
+  if (overlapping) {
+    this.invalidate(
+      "validFrom",
+      `Overlaps with the ${
+        this.vehicleType
+      } rate valid from ${overlapping.validFrom.toISOString().slice(0, 10)}`
+    );
+  }
+});
+
+/**
+ * Find the rate in effect for a vehicle type on a given date
+ * @param {string} vehicleType - One of VEHICLE_TYPES
+ * @param {Date|string} date - Journey date
+ * @returns {Promise<Object|null>} - Mileage rate or null if none applies
+ */
+MileageRateSchema.statics.findRateForDate = function (vehicleType, date) {
+  const day = new Date(date);
+
+  return this.findOne({
+    vehicleType,
+    validFrom: { $lte: day },
+    $or: [{ validTo: null }, { validTo: { $gte: day } }],
+  }).sort({ validFrom: -1 });
+};
+
+const MileageRate = mongoose.model("MileageRate", MileageRateSchema);
+
+export default MileageRate;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+// Notification types with the channels they use unless a user changes them
+export const NOTIFICATION_TYPES = {
+  "report.submitted": {
+    description: "A report is waiting for your approval",
+    inApp: true,
+    email: true,
+  },
+  "report.status": {
+    description: "A report was approved, rejected, reopened or reimbursed",
+    inApp: true,
+    email: true,
+  },
+  "report.deadline": {
+    description: "A closed monthly report still has to be submitted",
+    inApp: true,
+    email: true,
+  },
+  "expense.rejected": {
+    description: "An expense was rejected",
+    inApp: true,
+    email: true,
+  },
+  "budget.threshold": {
+    description: "Spending reached the warning or critical level of a budget",
+    inApp: true,
+    email: true,
+  },
+};
+
+export const NOTIFICATION_CHANNELS = ["inApp", "email"];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Where in the app the notification leads, e.g. /reports/<id>
+    link: {
+      type: String,
+    },
+    // IDs and figures the notification is about
+    data: {
+      type: Object,
+    },
+    // Identifies what the notification is about, so the same alert is not
+    // raised twice
+    key: {
+      type: String,
+    },
+    // Shown in the app, false for notifications only sent by email
+    inApp: {
+      type: Boolean,
+      default: true,
+    },
+    emailedAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+NotificationSchema.index({ user: 1, inApp: 1, readAt: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, key: 1 });
+NotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.notificationRetentionDays * 24 * 60 * 60 }
+);
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+
+export default Notification;
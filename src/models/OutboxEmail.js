@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+// Email waiting to be sent or already sent, rendered when it was queued
+const OutboxEmailSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    // Recipient, empty for addresses without an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    template: {
+      type: String,
+      required: true,
+    },
+    locale: {
+      type: String,
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    html: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    sentAt: {
+      type: Date,
+    },
+    // Message ID reported by the transport
+    messageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxEmailSchema.index({ createdAt: -1 });
+// Emails still waiting to be sent are kept
+OutboxEmailSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: config.outboxRetentionDays * 24 * 60 * 60,
+    partialFilterExpression: { status: { $in: ["sent", "failed"] } },
+  }
+);
+
+const OutboxEmail = mongoose.model("OutboxEmail", OutboxEmailSchema);
+
+export default OutboxEmail;
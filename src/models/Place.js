@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Known places with their coordinates, so routes can be estimated without
+// the Maps API. Filled from Google place lookups or entered by an admin.
+const PlaceSchema = new mongoose.Schema(
+  {
+    placeId: {
+      type: String,
+      required: [true, "Please add a place ID"],
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+    },
+    formattedAddress: {
+      type: String,
+      trim: true,
+    },
+    location: {
+      lat: {
+        type: Number,
+        required: [true, "Please add the latitude"],
+        min: [-90, "Latitude must be between -90 and 90"],
+        max: [90, "Latitude must be between -90 and 90"],
+      },
+      lng: {
+        type: Number,
+        required: [true, "Please add the longitude"],
+        min: [-180, "Longitude must be between -180 and 180"],
+        max: [180, "Longitude must be between -180 and 180"],
+      },
+    },
+    source: {
+      type: String,
+      enum: ["google", "manual"],
+      default: "manual",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Place = mongoose.model("Place", PlaceSchema);
+
+export default Place;
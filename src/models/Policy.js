@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
+import { validateCondition } from "../utils/policyRules.js";
+
+export const POLICY_STAGES = ["submission", "approval"];
+
+/**
+ * Build a validator checking a condition of the rule language
+ * @param {string} path - Name of the condition in error messages
+ * @returns {Object} - Mongoose validator
+ */
+const conditionValidator = (path) => ({
+  validator(condition) {
+    return condition === undefined || !validateCondition(condition, path);
+  },
+  message: (props) => validateCondition(props.value, path),
+});
+
+// Admin defined expense rule, see utils/policyRules.js for the rule language
+const PolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a policy name"],
+      unique: true,
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    // Expenses the policy applies to, all if not set
+    when: {
+      type: Object,
+      validate: conditionValidator("when"),
+    },
+    // What an expense the policy applies to must fulfil
+    require: {
+      type: Object,
+      required: [true, "Please add the condition expenses must meet"],
+      validate: conditionValidator("require"),
+    },
+    // Hard violations block the expense, soft ones are stored as a warning
+    severity: {
+      type: String,
+      enum: ["hard", "soft"],
+      default: "soft",
+    },
+    // Submission rules are checked when expenses are saved, approval rules
+    // when they are approved (e.g. rules about the review comment)
+    stage: {
+      type: String,
+      enum: POLICY_STAGES,
+      default: "submission",
+    },
+    message: {
+      type: String,
+      maxlength: [500, "Message cannot be more than 500 characters"],
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    lastScan: {
+      scannedAt: Date,
+      scanned: Number,
+      flagged: Number,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Message shown to users of expenses violating the policy
+PolicySchema.methods.getViolationMessage = function () {
+  return this.message || `Expense does not meet the policy "${this.name}"`;
+};
+
+// Record every change in the audit log
+PolicySchema.plugin(auditTrail, { entityType: "Policy" });
+
+const Policy = mongoose.model("Policy", PolicySchema);
+
+export default Policy;
@@ -1,4 +1,45 @@
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
+
+// One step of the approval chain a submitted report goes through
+const ApprovalStepSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    approver: {
+      type: String,
+      enum: ["manager", "finance", "admin"],
+      required: true,
+    },
+    threshold: {
+      type: Number,
+      default: 0,
+    },
+    // Manager responsible for a manager step
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    actedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actedAt: {
+      type: Date,
+    },
+    comments: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
 
 const ReportSchema = new mongoose.Schema(
   {
@@ -35,6 +76,12 @@ const ReportSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Set when the reimbursed amount was entered by hand instead of being
+    // the sum of the approved lines; syncing the totals keeps it
+    reimbursedAmountManual: {
+      type: Boolean,
+      default: false,
+    },
     status: {
       type: String,
       enum: ["draft", "submitted", "approved", "rejected"],
@@ -49,24 +96,99 @@ const ReportSchema = new mongoose.Schema(
     rejectedAt: {
       type: Date,
     },
+    // Set when an admin reopens a submitted or approved report
+    reopenedAt: {
+      type: Date,
+    },
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     comments: {
       type: String,
     },
+    // Set when the month is over and the draft waits to be submitted
+    closedAt: {
+      type: Date,
+    },
+    // Submission reminders sent to the owner since the report was closed
+    reminderCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReminderAt: {
+      type: Date,
+    },
+    // Set when admins were told the report is overdue
+    escalatedAt: {
+      type: Date,
+    },
     expenses: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Expense",
       },
     ],
+    approvalSteps: [ApprovalStepSchema],
+    // Index into approvalSteps of the step waiting for a decision
+    currentApprovalStep: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
 // Make compound index for user, month and year to ensure uniqueness
 ReportSchema.index({ user: 1, month: 1, year: 1 }, { unique: true });
 
+// Step the report is waiting on, null when not in an approval chain
+ReportSchema.virtual("currentApproval").get(function () {
+  if (this.status !== "submitted" || !this.approvalSteps) {
+    return null;
+  }
+  return this.approvalSteps[this.currentApprovalStep] || null;
+});
+
+/**
+ * Recalculate reimbursed and pending amounts from the review status of the
+ * report's expenses. Approved lines are reimbursed, pending lines are still
+ * outstanding and rejected lines count towards neither. A reimbursed amount
+ * entered by hand is kept, the rest of the total stays pending.
+ * @returns {Promise<Object>} - The report (not saved)
+ */
+ReportSchema.methods.recalculateAmounts = async function () {
+  if (this.reimbursedAmountManual) {
+    this.pendingAmount =
+      Math.round(
+        Math.max(this.totalExpenseAmount - this.reimbursedAmount, 0) * 100
+      ) / 100;
+    return this;
+  }
+
+  const expenses = await mongoose
+    .model("Expense")
+    .find({ _id: { $in: this.expenses } })
+    .select("totalCost status");
+
+  const sumByStatus = (status) =>
+    expenses
+      .filter((expense) => expense.status === status)
+      .reduce((sum, expense) => sum + expense.totalCost, 0);
+
+  this.reimbursedAmount = Math.round(sumByStatus("approved") * 100) / 100;
+  this.pendingAmount = Math.round(sumByStatus("pending") * 100) / 100;
+
+  return this;
+};
+
+// Record every change in the audit log
+ReportSchema.plugin(auditTrail, { entityType: "Report" });
+
 const Report = mongoose.model("Report", ReportSchema);
 
 export default Report;
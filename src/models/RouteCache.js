@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+export const ROUTE_CACHE_KINDS = ["place", "distance", "route"];
+
+// Cached place details and route results of the routing provider
+const RouteCacheSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ROUTE_CACHE_KINDS,
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    value: {
+      type: Object,
+      required: true,
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    lastHitAt: {
+      type: Date,
+    },
+    // MongoDB removes the entry once this date has passed
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+RouteCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+RouteCacheSchema.index({ kind: 1, updatedAt: -1 });
+
+const RouteCache = mongoose.model("RouteCache", RouteCacheSchema);
+
+export default RouteCache;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import auditTrail from "./plugins/auditTrail.js";
 
 const SettingSchema = new mongoose.Schema(
   {
@@ -27,6 +28,9 @@ const SettingSchema = new mongoose.Schema(
   }
 );
 
+// Record every change in the audit log
+SettingSchema.plugin(auditTrail, { entityType: "Setting" });
+
 const Setting = mongoose.model("Setting", SettingSchema);
 
 export default Setting;
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import { VEHICLE_TYPES, DEFAULT_VEHICLE_TYPE } from "./MileageRate.js";
+
+// Recurring trips are generated as draft expenses on these days (0 = Sunday)
+const ScheduleSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    daysOfWeek: {
+      type: [
+        {
+          type: Number,
+          min: [0, "Day of week must be between 0 (Sunday) and 6 (Saturday)"],
+          max: [6, "Day of week must be between 0 (Sunday) and 6 (Saturday)"],
+        },
+      ],
+      default: [],
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+    // Last day drafts were generated for, so no day is generated twice
+    lastGeneratedFor: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const TripTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a template name"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: [true, "Please add a category"],
+    },
+    startingPoint: {
+      type: String,
+      required: [true, "Please add a starting point"],
+      trim: true,
+    },
+    destinationPoint: {
+      type: String,
+      required: [true, "Please add a destination point"],
+      trim: true,
+    },
+    startingPointPlaceId: {
+      type: String,
+      trim: true,
+    },
+    destinationPointPlaceId: {
+      type: String,
+      trim: true,
+    },
+    formattedStartingAddress: {
+      type: String,
+      trim: true,
+    },
+    formattedDestinationAddress: {
+      type: String,
+      trim: true,
+    },
+    waypoints: [
+      {
+        placeId: String,
+        description: String,
+        formattedAddress: String,
+      },
+    ],
+    // Route of the last calculation, reused so the Maps API is not called again
+    distance: {
+      type: Number,
+      required: [true, "Please add the distance in kilometers"],
+      min: [0.1, "Distance must be a positive number"],
+    },
+    duration: {
+      type: String,
+      trim: true,
+    },
+    durationInSeconds: {
+      type: Number,
+    },
+    isCalculatedDistance: {
+      type: Boolean,
+      default: false,
+    },
+    isRoundTrip: {
+      type: Boolean,
+      default: false,
+    },
+    returnDistance: {
+      type: Number,
+    },
+    routeSnapshot: {
+      type: Object,
+    },
+    vehicleType: {
+      type: String,
+      enum: VEHICLE_TYPES,
+      default: DEFAULT_VEHICLE_TYPE,
+    },
+    notes: {
+      type: String,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    schedule: {
+      type: ScheduleSchema,
+      default: () => ({}),
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TripTemplateSchema.index({ user: 1, name: 1 }, { unique: true });
+TripTemplateSchema.index({ "schedule.enabled": 1 });
+
+const TripTemplate = mongoose.model("TripTemplate", TripTemplateSchema);
+
+export default TripTemplate;
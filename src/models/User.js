@@ -2,6 +2,9 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 
+// Languages emails are available in, see templates/emails
+export const USER_LOCALES = ["en", "de"];
+
 const UserSchema = new mongoose.Schema(
   {
     name: {
@@ -27,14 +30,31 @@ const UserSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["admin", "sales_rep"],
+      enum: ["admin", "manager", "finance", "sales_rep"],
       default: "sales_rep",
     },
+    // Line manager who approves this user's reports first
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     status: {
       type: String,
       enum: ["active", "inactive"],
       default: "active",
     },
+    // Language of the emails the user receives
+    locale: {
+      type: String,
+      enum: USER_LOCALES,
+      default: "en",
+    },
+    // Channels per notification type the user changed from the defaults,
+    // e.g. { "budget.threshold": { inApp: true, email: false } }
+    notificationPreferences: {
+      type: Object,
+      default: {},
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
   },
@@ -60,11 +80,25 @@ UserSchema.methods.getSignedJwtToken = function () {
   });
 };
 
+// Sign a token that only opens the event stream, for EventSource clients
+// that can't send an Authorization header
+UserSchema.methods.getSignedStreamToken = function (expiresInMinutes) {
+  return jwt.sign({ id: this._id, scope: "stream" }, process.env.JWT_SECRET, {
+    expiresIn: `${expiresInMinutes}m`,
+  });
+};
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Get the IDs of all users reporting to a manager
+UserSchema.statics.getTeamMemberIds = async function (managerId) {
+  const members = await this.find({ manager: managerId }).select("_id");
+  return members.map((member) => member._id);
+};
+
 const User = mongoose.model("User", UserSchema);
 
 export default User;
@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  "expense.created",
+  "expense.updated",
+  "report.submitted",
+  "report.approved",
+  "report.rejected",
+  "report.reimbursed",
+  "budget.thresholdCrossed",
+];
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a name"],
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: [true, "Please add a target URL"],
+      match: [/^https?:\/\/\S+$/, "Target URL must be an http(s) URL"],
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Please choose at least one event",
+      },
+    },
+    // Key the deliveries are signed with, only shown when it is created
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WebhookSchema.index({ events: 1, enabled: 1 });
+
+const Webhook = mongoose.model("Webhook", WebhookSchema);
+
+export default Webhook;
@@ -0,0 +1,86 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+// Delivery of one event to one webhook, with the outcome of the last attempt
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // ID of the event, the same for every webhook and for replays
+    eventId: {
+      type: String,
+      required: true,
+    },
+    // Body sent to the target, kept so the delivery can be replayed
+    payload: {
+      type: Object,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "success", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    // Delivery this one replays
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Deliveries still being retried are kept
+WebhookDeliverySchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: config.webhookDeliveryRetentionDays * 24 * 60 * 60,
+    partialFilterExpression: { status: { $in: ["success", "failed"] } },
+  }
+);
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema
+);
+
+export default WebhookDelivery;
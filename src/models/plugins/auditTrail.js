@@ -0,0 +1,244 @@
+import AuditLog from "../AuditLog.js";
+import { getRequestContext } from "../../utils/requestContext.js";
+import { logger } from "../../utils/logger.js";
+
+// Bookkeeping fields that are not worth recording
+const IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"];
+
+const UPDATE_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+];
+
+const DELETE_QUERIES = ["deleteOne", "deleteMany", "findOneAndDelete"];
+
+// Queries that only ever touch a single document
+const SINGLE_DOCUMENT_QUERIES = [
+  "updateOne",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "findOneAndDelete",
+];
+
+/**
+ * Turn a document into plain JSON so ObjectIds, dates and subdocuments
+ * can be compared and stored as they are
+ * @param {Object} doc - Mongoose document or lean object
+ * @returns {Object} - Plain object
+ */
+const snapshot = (doc) => {
+  if (!doc) {
+    return {};
+  }
+
+  const value =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true, virtuals: false })
+      : doc;
+
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Array} - [{ field, before, after }] for every changed field
+ */
+export const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({
+        field,
+        before: before[field],
+        after: after[field],
+      });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Write audit entries for the current request. Failures are logged but
+ * never break the change that is being audited.
+ * @param {string} entityType - Model name
+ * @param {Array} entries - [{ entityId, action, changes }]
+ * @returns {Promise<void>}
+ */
+const recordEntries = async (entityType, entries) => {
+  const relevant = entries.filter(
+    (entry) => entry.action !== "update" || entry.changes.length > 0
+  );
+
+  if (relevant.length === 0) {
+    return;
+  }
+
+  const context = getRequestContext();
+
+  try {
+    await AuditLog.insertMany(
+      relevant.map((entry) => ({
+        entityType,
+        entityId: entry.entityId,
+        action: entry.action,
+        changes: entry.changes,
+        actor: context ? context.userId : undefined,
+        actorRole: context ? context.userRole : undefined,
+        requestId: context ? context.requestId : undefined,
+        source: context ? `${context.method} ${context.path}` : "system",
+      }))
+    );
+  } catch (error) {
+    logger.error(
+      `Error writing audit log for ${entityType}: ${error.message}`,
+      { entries: relevant.map((entry) => entry.entityId.toString()) }
+    );
+  }
+};
+
+/**
+ * Load the documents a query is about to change
+ * @param {Object} query - Mongoose query
+ * @returns {Promise<Array>} - Lean documents
+ */
+const findQueryTargets = (query) => {
+  const targets = query.model.find(query.getFilter()).lean();
+
+  if (SINGLE_DOCUMENT_QUERIES.includes(query.op)) {
+    const sort = query.getOptions().sort;
+    if (sort) targets.sort(sort);
+    targets.limit(1);
+  }
+
+  return targets;
+};
+
+/**
+ * Mongoose plugin recording every create, update and delete of a model in
+ * the audit log, with field-level before and after values
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { entityType } (model name)
+ */
+const auditTrail = (schema, { entityType }) => {
+  // Remember what a loaded document looked like to diff it on save
+  schema.post("init", function () {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+
+  schema.pre("save", function (next) {
+    this.$locals.auditAction = this.isNew ? "create" : "update";
+    next();
+  });
+
+  schema.post("save", async function (doc) {
+    const before =
+      doc.$locals.auditAction === "create" ? {} : doc.$locals.auditSnapshot;
+    const after = snapshot(doc);
+
+    // The next save of the same document diffs against this state
+    doc.$locals.auditSnapshot = after;
+
+    await recordEntries(entityType, [
+      {
+        entityId: doc._id,
+        action: doc.$locals.auditAction,
+        changes: diffSnapshots(before, after),
+      },
+    ]);
+  });
+
+  schema.post("insertMany", async function (docs) {
+    await recordEntries(
+      entityType,
+      docs.map((doc) => ({
+        entityId: doc._id,
+        action: "create",
+        changes: diffSnapshots({}, snapshot(doc)),
+      }))
+    );
+  });
+
+  schema.pre(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      this._auditTargets = await findQueryTargets(this);
+    }
+  );
+
+  schema.post(
+    UPDATE_QUERIES,
+    { document: false, query: true },
+    async function (result) {
+      const targets = this._auditTargets || [];
+      const ids = targets.map((target) => target._id);
+
+      // Upserts create a document that did not exist before
+      const upsertedId =
+        (result && result.upsertedId) ||
+        (targets.length === 0 && result && result._id) ||
+        null;
+      if (upsertedId) ids.push(upsertedId);
+
+      if (ids.length === 0) {
+        return;
+      }
+
+      const updated = await this.model.find({ _id: { $in: ids } }).lean();
+      const beforeById = new Map(
+        targets.map((target) => [target._id.toString(), target])
+      );
+
+      await recordEntries(
+        entityType,
+        updated.map((doc) => {
+          const before = beforeById.get(doc._id.toString());
+          return {
+            entityId: doc._id,
+            action: before ? "update" : "create",
+            changes: diffSnapshots(snapshot(before), snapshot(doc)),
+          };
+        })
+      );
+    }
+  );
+
+  schema.pre(
+    DELETE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      this._auditTargets = await findQueryTargets(this);
+    }
+  );
+
+  schema.post(
+    DELETE_QUERIES,
+    { document: false, query: true },
+    async function () {
+      await recordEntries(
+        entityType,
+        (this._auditTargets || []).map((target) => ({
+          entityId: target._id,
+          action: "delete",
+          changes: diffSnapshots(snapshot(target), {}),
+        }))
+      );
+    }
+  );
+};
+
+export default auditTrail;
@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../middleware/auth.js";
+import { protect, authorize } from "../middleware/auth.js";
 import {
   getExpensesByTimePeriod,
   getExpensesForPeriod,
@@ -7,12 +7,19 @@ import {
   getExpenseTrends,
   getYearlyComparison,
   getDashboardSummary,
+  getAnomalies,
 } from "../controllers/analytics.js";
+import validate from "../middleware/validate.js";
+import {
+  analyticsUserValidation,
+  getAnomaliesValidation,
+} from "../validations/analytics.js";
 
 const router = express.Router();
 
-// All routes need authentication
+// All routes need authentication, admins may pass ?userId= to any of them
 router.use(protect);
+router.use(validate(analyticsUserValidation));
 
 // Dashboard summary
 router.get("/dashboard", getDashboardSummary);
@@ -28,4 +35,12 @@ router.get("/expenses/category-breakdown", getExpensesByCategory);
 router.get("/expenses/trends", getExpenseTrends);
 router.get("/expenses/yearly-comparison", getYearlyComparison);
 
+// Unusual spending patterns of reps
+router.get(
+  "/anomalies",
+  authorize("admin", "finance", "manager"),
+  validate(getAnomaliesValidation),
+  getAnomalies
+);
+
 export default router;
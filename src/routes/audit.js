@@ -0,0 +1,15 @@
+import express from "express";
+import { getAuditLogs, getAuditLog } from "../controllers/audit.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// The audit trail is only readable by admins and never writable through the API
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/", getAuditLogs);
+router.get("/:id", getAuditLog);
+
+export default router;
@@ -9,11 +9,10 @@ import {
   updateBudgetLimit,
   deleteBudgetLimit,
   getBudgetUsage,
-  updateBudgetUsage,
   getCategorySummary,
 } from "../controllers/categories.js";
 
-import { protect, authorize, protectInternalAPI } from "../middleware/auth.js";
+import { protect, authorize } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -38,26 +37,4 @@ router.post("/:id/budget", authorize("admin"), addBudgetLimit);
 router.put("/:id/budget/:budgetId", authorize("admin"), updateBudgetLimit);
 router.delete("/:id/budget/:budgetId", authorize("admin"), deleteBudgetLimit);
 
-// Internal service routes (protected by API token)
-// Allow either admin user or internal API to access
-router.post("/:id/budget/update-usage", (req, res, next) => {
-  // First check for internal API token
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    const token = req.headers.authorization.split(" ")[1];
-    if (token === process.env.API_INTERNAL_TOKEN) {
-      req.isInternalRequest = true;
-      return updateBudgetUsage(req, res, next);
-    }
-  }
-
-  // If not internal request, check for admin authorization
-  return authorize("admin")(req, res, (err) => {
-    if (err) return next(err);
-    updateBudgetUsage(req, res, next);
-  });
-});
-
 export default router;
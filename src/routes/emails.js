@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  getEmailTemplates,
+  previewEmailTemplate,
+  getOutboxEmails,
+  getOutboxEmail,
+  retryOutboxEmail,
+} from "../controllers/emails.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  previewEmailTemplateValidation,
+  getOutboxEmailsValidation,
+} from "../validations/email.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/templates", getEmailTemplates);
+router.get(
+  "/templates/:name/preview",
+  validate(previewEmailTemplateValidation),
+  previewEmailTemplate
+);
+
+router.get("/outbox", validate(getOutboxEmailsValidation), getOutboxEmails);
+router.get("/outbox/:id", getOutboxEmail);
+router.post("/outbox/:id/retry", retryOutboxEmail);
+
+export default router;
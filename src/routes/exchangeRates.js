@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  getExchangeRates,
+  getExchangeRate,
+  lookupExchangeRate,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate,
+  importExchangeRates,
+} from "../controllers/exchangeRates.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import { uploadCsvFile } from "../middleware/upload.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Accessible by all logged in users
+router.get("/", getExchangeRates);
+router.get("/lookup", lookupExchangeRate);
+router.get("/:id", getExchangeRate);
+
+// Admin only routes
+router.post("/import", authorize("admin"), uploadCsvFile, importExchangeRates);
+router.post("/", authorize("admin"), createExchangeRate);
+router.put("/:id", authorize("admin"), updateExchangeRate);
+router.delete("/:id", authorize("admin"), deleteExchangeRate);
+
+export default router;
@@ -5,15 +5,34 @@ import {
   createExpense,
   updateExpense,
   deleteExpense,
+  confirmExpense,
   previewEnhancedNotes,
   getExpensesWithRoutes,
 } from "../controllers/expense.controller.js";
+import {
+  addAttachments,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment,
+} from "../controllers/attachments.js";
+import {
+  approveExpense,
+  rejectExpense,
+  approveExpenses,
+  rejectExpenses,
+} from "../controllers/expenseApprovals.js";
+import { getDuplicateExpenses } from "../controllers/expenseDuplicates.js";
 
-import { protect } from "../middleware/auth.js";
+import { protect, authorize } from "../middleware/auth.js";
 import validate from "../middleware/validate.js";
+import { uploadAttachments } from "../middleware/upload.js";
 import {
   createExpenseValidation,
   updateExpenseValidation,
+  approveExpenseValidation,
+  rejectExpenseValidation,
+  batchApproveExpensesValidation,
+  batchRejectExpensesValidation,
 } from "../validations/expense.js";
 
 const router = express.Router();
@@ -27,6 +46,23 @@ router.post("/enhance-notes", previewEnhancedNotes);
 // Route for getting expenses with route data for visualization
 router.get("/routes", getExpensesWithRoutes);
 
+// Suspected duplicates across all users (admin only)
+router.get("/duplicates", authorize("admin"), getDuplicateExpenses);
+
+// Batch approval of individual expenses (admin only)
+router.put(
+  "/batch/approve",
+  authorize("admin"),
+  validate(batchApproveExpensesValidation),
+  approveExpenses
+);
+router.put(
+  "/batch/reject",
+  authorize("admin"),
+  validate(batchRejectExpensesValidation),
+  rejectExpenses
+);
+
 router
   .route("/")
   .get(getExpenses)
@@ -38,4 +74,32 @@ router
   .put(validate(updateExpenseValidation), updateExpense)
   .delete(deleteExpense);
 
+// Drafts of recurring trips are confirmed by their owner
+router.put("/:id/confirm", confirmExpense);
+
+// Approval of a single expense (admin only)
+router.put(
+  "/:id/approve",
+  authorize("admin"),
+  validate(approveExpenseValidation),
+  approveExpense
+);
+router.put(
+  "/:id/reject",
+  authorize("admin"),
+  validate(rejectExpenseValidation),
+  rejectExpense
+);
+
+// Receipts and other files attached to an expense
+router
+  .route("/:id/attachments")
+  .get(getAttachments)
+  .post(uploadAttachments, addAttachments);
+
+router
+  .route("/:id/attachments/:attachmentId")
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
+
 export default router;
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  getJobs,
+  getJob,
+  updateJob,
+  runJob,
+  getJobRuns,
+} from "../controllers/jobs.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  updateJobValidation,
+  getJobRunsValidation,
+} from "../validations/job.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/", getJobs);
+
+router
+  .route("/:name")
+  .get(getJob)
+  .put(validate(updateJobValidation), updateJob);
+
+router.post("/:name/run", runJob);
+router.get("/:name/runs", validate(getJobRunsValidation), getJobRuns);
+
+export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  getJourneys,
+  getJourney,
+  createJourney,
+  updateJourney,
+  deleteJourney,
+  addJourneyExpenses,
+  removeJourneyExpense,
+} from "../controllers/journeys.js";
+
+import { protect } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  createJourneyValidation,
+  updateJourneyValidation,
+  journeyExpensesValidation,
+} from "../validations/journey.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router
+  .route("/")
+  .get(getJourneys)
+  .post(validate(createJourneyValidation), createJourney);
+
+router
+  .route("/:id")
+  .get(getJourney)
+  .put(validate(updateJourneyValidation), updateJourney)
+  .delete(deleteJourney);
+
+// Legs of the journey
+router.post(
+  "/:id/expenses",
+  validate(journeyExpensesValidation),
+  addJourneyExpenses
+);
+router.delete("/:id/expenses/:expenseId", removeJourneyExpense);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { protect } from "../middleware/auth.js";
+import { protect, authorize } from "../middleware/auth.js";
 import {
   getPlaceSuggestions,
   getPlaceDetails as getPlaceDetailsHandler,
@@ -7,6 +7,11 @@ import {
   calculateOptimizedRoute,
   getRouteSnapshot,
   storeRouteSnapshot,
+  savePlace,
+  getRouteCache,
+  getRouteCacheEntry,
+  purgeRouteCacheEntries,
+  deleteRouteCacheEntry,
 } from "../controllers/maps.js";
 
 const router = express.Router();
@@ -19,6 +24,19 @@ router.get("/places/autocomplete", getPlaceSuggestions);
 router.get("/places/details/:placeId", getPlaceDetailsHandler);
 router.post("/distance", calculateRoute);
 
+// Known places for route estimates without the Maps API (admin only)
+router.post("/places", authorize("admin"), savePlace);
+
+// Place and route cache (admin only)
+router
+  .route("/cache")
+  .get(authorize("admin"), getRouteCache)
+  .delete(authorize("admin"), purgeRouteCacheEntries);
+router
+  .route("/cache/:id")
+  .get(authorize("admin"), getRouteCacheEntry)
+  .delete(authorize("admin"), deleteRouteCacheEntry);
+
 // Advanced routing
 router.post("/route/optimize", calculateOptimizedRoute);
 
@@ -0,0 +1,43 @@
+import express from "express";
+import {
+  getMileageRates,
+  getMileageRate,
+  lookupMileageRate,
+  createMileageRate,
+  updateMileageRate,
+  deleteMileageRate,
+} from "../controllers/mileageRates.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  createMileageRateValidation,
+  updateMileageRateValidation,
+} from "../validations/mileageRate.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Accessible by all logged in users
+router.get("/", getMileageRates);
+router.get("/lookup", lookupMileageRate);
+router.get("/:id", getMileageRate);
+
+// Admin only routes
+router.post(
+  "/",
+  authorize("admin"),
+  validate(createMileageRateValidation),
+  createMileageRate
+);
+router.put(
+  "/:id",
+  authorize("admin"),
+  validate(updateMileageRateValidation),
+  updateMileageRate
+);
+router.delete("/:id", authorize("admin"), deleteMileageRate);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+} from "../controllers/notifications.js";
+
+import { protect } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import { getNotificationsValidation } from "../validations/notification.js";
+
+const router = express.Router();
+
+// Every user sees only their own notifications
+router.use(protect);
+
+router.get("/", validate(getNotificationsValidation), getNotifications);
+router.put("/read-all", markAllNotificationsRead);
+
+router.route("/preferences").get(getPreferences).put(updatePreferences);
+
+router.put("/:id/read", markNotificationRead);
+
+export default router;
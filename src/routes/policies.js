@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  dryRunPolicies,
+  scanPolicy,
+} from "../controllers/policies.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  createPolicyValidation,
+  updatePolicyValidation,
+  dryRunPolicyValidation,
+  scanPolicyValidation,
+} from "../validations/policy.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Everyone can check a planned expense against the policies
+router.post("/dry-run", validate(dryRunPolicyValidation), dryRunPolicies);
+
+// Admin only routes
+router.use(authorize("admin"));
+
+router
+  .route("/")
+  .get(getPolicies)
+  .post(validate(createPolicyValidation), createPolicy);
+
+router
+  .route("/:id")
+  .get(getPolicy)
+  .put(validate(updatePolicyValidation), updatePolicy)
+  .delete(deletePolicy);
+
+router.post("/:id/scan", validate(scanPolicyValidation), scanPolicy);
+
+export default router;
@@ -11,6 +11,11 @@ import {
   createQuarterlyReport,
   exportExpenseRangeAsPDF,
   exportExpenseRangeAsCSV,
+  getReportApprovalChain,
+  updateReportApprovalChain,
+  reopenReport,
+  getReportReminderSettings,
+  updateReportReminderSettings,
 } from "../controllers/reports.js";
 
 import { protect, authorize } from "../middleware/auth.js";
@@ -19,6 +24,7 @@ import {
   reportStatusValidation,
   reportReimbursementValidation,
   createReportValidation,
+  reopenReportValidation,
 } from "../validations/report.js";
 
 const router = express.Router();
@@ -34,6 +40,16 @@ router.get("/export/range/csv", exportExpenseRangeAsCSV);
 router.get("/monthly/:month/:year", getReportByMonthYear);
 router.get("/summary/:year", getYearlySummary);
 
+// Approval chain configuration
+router.get("/approval-chain", getReportApprovalChain);
+router.put("/approval-chain", authorize("admin"), updateReportApprovalChain);
+
+// Reminders for monthly reports that were not submitted
+router
+  .route("/reminder-settings")
+  .get(authorize("admin"), getReportReminderSettings)
+  .put(authorize("admin"), updateReportReminderSettings);
+
 // Quarterly report routes
 router.post("/quarterly", createQuarterlyReport);
 
@@ -41,6 +57,12 @@ router.post("/quarterly", createQuarterlyReport);
 router.get("/", getReports);
 router.get("/:id", getReport);
 router.put("/:id/status", validate(reportStatusValidation), updateReportStatus);
+router.put(
+  "/:id/reopen",
+  authorize("admin"),
+  validate(reopenReportValidation),
+  reopenReport
+);
 router.put(
   "/:id/reimburse",
   authorize("admin"),
@@ -0,0 +1,11 @@
+import express from "express";
+import { getEventStream, getStreamToken } from "../controllers/stream.js";
+
+import { protect, protectStream } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", protectStream, getEventStream);
+router.post("/token", protect, getStreamToken);
+
+export default router;
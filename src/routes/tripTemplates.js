@@ -0,0 +1,42 @@
+import express from "express";
+import {
+  getTripTemplates,
+  getTripTemplate,
+  createTripTemplate,
+  updateTripTemplate,
+  deleteTripTemplate,
+  createExpenseFromTemplate,
+} from "../controllers/tripTemplates.js";
+
+import { protect } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  createTripTemplateValidation,
+  updateTripTemplateValidation,
+  createExpenseFromTemplateValidation,
+} from "../validations/tripTemplate.js";
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router
+  .route("/")
+  .get(getTripTemplates)
+  .post(validate(createTripTemplateValidation), createTripTemplate);
+
+router
+  .route("/:id")
+  .get(getTripTemplate)
+  .put(validate(updateTripTemplateValidation), updateTripTemplate)
+  .delete(deleteTripTemplate);
+
+// One call creates the expense with the template's saved route
+router.post(
+  "/:id/expenses",
+  validate(createExpenseFromTemplateValidation),
+  createExpenseFromTemplate
+);
+
+export default router;
@@ -0,0 +1,52 @@
+import express from "express";
+import {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from "../controllers/webhooks.js";
+
+import { protect, authorize } from "../middleware/auth.js";
+import validate from "../middleware/validate.js";
+import {
+  createWebhookValidation,
+  updateWebhookValidation,
+  getWebhookDeliveriesValidation,
+} from "../validations/webhook.js";
+
+const router = express.Router();
+
+// All routes require an admin
+router.use(protect);
+router.use(authorize("admin"));
+
+// Delivery log, defined before the param routes
+router.get("/deliveries/:deliveryId", getWebhookDelivery);
+router.post("/deliveries/:deliveryId/replay", replayWebhookDelivery);
+
+router
+  .route("/")
+  .get(getWebhooks)
+  .post(validate(createWebhookValidation), createWebhook);
+
+router
+  .route("/:id")
+  .get(getWebhook)
+  .put(validate(updateWebhookValidation), updateWebhook)
+  .delete(deleteWebhook);
+
+router.post("/:id/rotate-secret", rotateWebhookSecret);
+router.post("/:id/test", testWebhook);
+router.get(
+  "/:id/deliveries",
+  validate(getWebhookDeliveriesValidation),
+  getWebhookDeliveries
+);
+
+export default router;
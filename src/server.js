@@ -4,8 +4,9 @@ import helmet from "helmet";
 import dotenv from "dotenv";
 import connectDB from "./config/db.js";
 import errorHandler from "./middleware/error.js";
-import { logger } from "./utils/logger.js";
+import { logger, redactUrl } from "./utils/logger.js";
 import morganMiddleware from "./utils/morganLogger.js";
+import requestContext from "./middleware/requestContext.js";
 
 // Import route files
 import authRoutes from "./routes/auth.js";
@@ -18,34 +19,24 @@ import mapsRoutes from "./routes/maps.js";
 import analyticsRoutes from "./routes/analytics.js";
 import advancedReportingRoutes from "./routes/advancedReporting.js";
 import budgetsRoutes from "./routes/budgets.js";
+import exchangeRateRoutes from "./routes/exchangeRates.js";
+import auditRoutes from "./routes/audit.js";
+import mileageRateRoutes from "./routes/mileageRates.js";
+import tripTemplateRoutes from "./routes/tripTemplates.js";
+import journeyRoutes from "./routes/journeys.js";
+import policyRoutes from "./routes/policies.js";
+import jobRoutes from "./routes/jobs.js";
+import webhookRoutes from "./routes/webhooks.js";
+import notificationRoutes from "./routes/notifications.js";
+import emailRoutes from "./routes/emails.js";
+import streamRoutes from "./routes/stream.js";
+import { registerBuiltInJobs } from "./utils/scheduledJobs.js";
+import { startJobScheduler } from "./utils/jobScheduler.js";
+import { registerEventSubscribers } from "./events/subscribers.js";
 
 // Load environment variables
 dotenv.config();
 
-// Generate internal API token if not present
-if (!process.env.API_INTERNAL_TOKEN) {
-  const crypto = require("crypto");
-  const internalToken = crypto.randomBytes(32).toString("hex");
-  console.log(
-    "\x1b[33m%s\x1b[0m",
-    "WARNING: API_INTERNAL_TOKEN not set in environment"
-  );
-  console.log("\x1b[33m%s\x1b[0m", `Using generated token: ${internalToken}`);
-  console.log(
-    "\x1b[33m%s\x1b[0m",
-    "Add this to your .env file for persistent internal API access"
-  );
-  process.env.API_INTERNAL_TOKEN = internalToken;
-}
-
-// Set base URL for internal API calls
-if (!process.env.BASE_URL) {
-  const port = process.env.PORT || 5000;
-  process.env.BASE_URL = `http://localhost:${port}`;
-  console.log("\x1b[33m%s\x1b[0m", "WARNING: BASE_URL not set in environment");
-  console.log("\x1b[33m%s\x1b[0m", `Using default: ${process.env.BASE_URL}`);
-}
-
 // Initialize Express app
 const app = express();
 
@@ -66,11 +57,13 @@ const corsOptions = {
     "Content-Type",
     "Authorization",
     "X-Requested-With",
+    "Idempotency-Key",
+    "Last-Event-ID",
     "Accept",
     "Origin",
     "Access-Control-Allow-Headers",
   ],
-  exposedHeaders: ["Content-Length", "X-Request-ID"],
+  exposedHeaders: ["Content-Length", "X-Request-ID", "Idempotent-Replayed"],
   credentials: true,
   maxAge: 86400, // 24 hours
   preflightContinue: false,
@@ -82,12 +75,22 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
+// Request ID and request context (after body parsing so the context survives)
+app.use(requestContext);
+
 // Request logging with Morgan
 app.use(morganMiddleware);
 
 // Connect to MongoDB
 connectDB();
 
+// Report totals, budget usage and notifications follow the domain events
+registerEventSubscribers();
+
+// Run periodic jobs (report cleanup, month-end reports, budget usage, ...)
+registerBuiltInJobs();
+startJobScheduler();
+
 // API Version
 const API_VERSION = "v1";
 
@@ -102,6 +105,17 @@ app.use(`/api/${API_VERSION}/maps`, mapsRoutes);
 app.use(`/api/${API_VERSION}/analytics`, analyticsRoutes);
 app.use(`/api/${API_VERSION}/advanced-reports`, advancedReportingRoutes);
 app.use(`/api/${API_VERSION}/budgets`, budgetsRoutes);
+app.use(`/api/${API_VERSION}/exchange-rates`, exchangeRateRoutes);
+app.use(`/api/${API_VERSION}/audit`, auditRoutes);
+app.use(`/api/${API_VERSION}/mileage-rates`, mileageRateRoutes);
+app.use(`/api/${API_VERSION}/trip-templates`, tripTemplateRoutes);
+app.use(`/api/${API_VERSION}/journeys`, journeyRoutes);
+app.use(`/api/${API_VERSION}/policies`, policyRoutes);
+app.use(`/api/${API_VERSION}/jobs`, jobRoutes);
+app.use(`/api/${API_VERSION}/webhooks`, webhookRoutes);
+app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`/api/${API_VERSION}/emails`, emailRoutes);
+app.use(`/api/${API_VERSION}/stream`, streamRoutes);
 
 // Root Route
 app.get("/", (req, res) => {
@@ -110,7 +124,7 @@ app.get("/", (req, res) => {
 
 // Handle 404 errors
 app.use((req, res, next) => {
-  logger.warn(`Route not found: ${req.method} ${req.originalUrl}`);
+  logger.warn(`Route not found: ${req.method} ${redactUrl(req.originalUrl)}`);
   res.status(404).json({
     success: false,
     error: `Route not found: ${req.method} ${req.originalUrl}`,
@@ -0,0 +1,61 @@
+import { formatAmount, formatPeriod } from "./layout.js";
+
+export default {
+  description:
+    "Warns the owner of a budget that reached its warning or critical level",
+  sample: {
+    name: "Anna Muster",
+    budget: {
+      category: "Fuel",
+      month: 3,
+      year: 2026,
+      amount: 500,
+      actualExpenses: 462.3,
+      usagePercentage: 92,
+      usageStatus: "critical",
+    },
+    url: "http://localhost:5173/budgets",
+  },
+  locales: {
+    en: ({ name, budget, url }) => ({
+      subject: `Your ${budget.category} budget for ${formatPeriod(
+        budget,
+        "en"
+      )} is at ${budget.usagePercentage}%`,
+      heading:
+        budget.usageStatus === "critical"
+          ? "Budget Almost Used Up"
+          : "Budget Warning",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `You have used ${formatAmount(budget.actualExpenses, "en")} of your ${
+          budget.category
+        } budget for ${formatPeriod(budget, "en")} of ${formatAmount(
+          budget.amount,
+          "en"
+        )} (${budget.usagePercentage}%).`,
+      ],
+      action: { label: "View Budgets", url },
+    }),
+    de: ({ name, budget, url }) => ({
+      subject: `Ihr Budget ${budget.category} für ${formatPeriod(
+        budget,
+        "de"
+      )} ist zu ${budget.usagePercentage}% ausgeschöpft`,
+      heading:
+        budget.usageStatus === "critical"
+          ? "Budget fast ausgeschöpft"
+          : "Budgetwarnung",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `Sie haben ${formatAmount(budget.actualExpenses, "de")} Ihres Budgets ${
+          budget.category
+        } für ${formatPeriod(budget, "de")} von ${formatAmount(
+          budget.amount,
+          "de"
+        )} verbraucht (${budget.usagePercentage}%).`,
+      ],
+      action: { label: "Budgets anzeigen", url },
+    }),
+  },
+};
@@ -0,0 +1,31 @@
+import welcome from "./welcome.js";
+import passwordReset from "./passwordReset.js";
+import reportSubmitted from "./reportSubmitted.js";
+import reportApproved from "./reportApproved.js";
+import reportRejected from "./reportRejected.js";
+import reportReimbursed from "./reportReimbursed.js";
+import reportReminder from "./reportReminder.js";
+import overdueReports from "./overdueReports.js";
+import budgetThreshold from "./budgetThreshold.js";
+import notification from "./notification.js";
+
+/**
+ * Email templates by name. Every template has a description, sample data
+ * for previews and a function per locale that turns the data into
+ * { subject, heading, greeting, paragraphs, list, action, note }, which
+ * layout.js renders as HTML and text.
+ */
+const EMAIL_TEMPLATES = {
+  welcome,
+  "password-reset": passwordReset,
+  "report-submitted": reportSubmitted,
+  "report-approved": reportApproved,
+  "report-rejected": reportRejected,
+  "report-reimbursed": reportReimbursed,
+  "report-reminder": reportReminder,
+  "overdue-reports": overdueReports,
+  "budget-threshold": budgetThreshold,
+  notification,
+};
+
+export default EMAIL_TEMPLATES;
@@ -0,0 +1,126 @@
+import config from "../../config/config.js";
+
+// Number and date formats per email locale
+const FORMAT_LOCALES = {
+  en: "en-US",
+  de: "de-CH",
+};
+
+const FOOTER = {
+  en: "This email was sent by the AussenDienst GmbH Expense App.",
+  de: "Diese E-Mail wurde von der AussenDienst GmbH Expense App versendet.",
+};
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Format an amount in the base currency
+ * @param {number} amount - Amount
+ * @param {string} locale - Email locale
+ * @returns {string} - e.g. "1,234.50 CHF"
+ */
+export const formatAmount = (amount, locale) =>
+  `${new Intl.NumberFormat(FORMAT_LOCALES[locale] || FORMAT_LOCALES.en, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(amount || 0)} ${config.baseCurrency}`;
+
+/**
+ * Format a day
+ * @param {Date|string} date - Day
+ * @param {string} locale - Email locale
+ * @returns {string} - e.g. "March 31, 2026"
+ */
+export const formatDate = (date, locale) =>
+  new Date(date).toLocaleDateString(
+    FORMAT_LOCALES[locale] || FORMAT_LOCALES.en,
+    { month: "long", day: "numeric", year: "numeric" }
+  );
+
+/**
+ * Format the month of a report or budget
+ * @param {Object} period - { month, year }, month 0 for a whole year
+ * @param {string} locale - Email locale
+ * @returns {string} - e.g. "March 2026"
+ */
+export const formatPeriod = ({ month, year }, locale) =>
+  month
+    ? new Date(year, month - 1, 1).toLocaleString(
+        FORMAT_LOCALES[locale] || FORMAT_LOCALES.en,
+        { month: "long", year: "numeric" }
+      )
+    : `${year}`;
+
+/**
+ * Render the content of a template as HTML
+ * @param {Object} content - { heading, greeting, paragraphs, list, action, note }
+ * @param {string} locale - Email locale
+ * @returns {string} - HTML body
+ */
+export const renderHtml = (content, locale) => {
+  const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+
+  return `
+    <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+      <h2 style="color: #333; text-align: center;">${escapeHtml(
+        content.heading
+      )}</h2>
+      ${content.greeting ? paragraph(content.greeting) : ""}
+      ${(content.paragraphs || []).map(paragraph).join("\n      ")}
+      ${
+        content.list && content.list.length > 0
+          ? `<ul>${content.list
+              .map((item) => `<li>${escapeHtml(item)}</li>`)
+              .join("")}</ul>`
+          : ""
+      }
+      ${
+        content.action
+          ? `<div style="text-align: center; margin: 30px 0;">
+        <a href="${escapeHtml(
+          content.action.url
+        )}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; display: inline-block;">${escapeHtml(
+              content.action.label
+            )}</a>
+      </div>`
+          : ""
+      }
+      ${content.note ? paragraph(content.note) : ""}
+      <hr style="border: 1px solid #eee; margin: 20px 0;" />
+      <p style="text-align: center; color: #777; font-size: 12px;">© ${new Date().getFullYear()} ${escapeHtml(
+    FOOTER[locale] || FOOTER.en
+  )}</p>
+    </div>
+  `;
+};
+
+/**
+ * Render the content of a template as plain text
+ * @param {Object} content - { heading, greeting, paragraphs, list, action, note }
+ * @param {string} locale - Email locale
+ * @returns {string} - Text body
+ */
+export const renderText = (content, locale) =>
+  [
+    content.greeting,
+    ...(content.paragraphs || []),
+    content.list && content.list.length > 0
+      ? content.list.map((item) => `- ${item}`).join("\n")
+      : null,
+    content.action ? `${content.action.label}: ${content.action.url}` : null,
+    content.note,
+    `-- \n${FOOTER[locale] || FOOTER.en}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
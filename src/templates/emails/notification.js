@@ -0,0 +1,27 @@
+export default {
+  description: "Any in-app notification sent by email as well",
+  sample: {
+    name: "Anna Muster",
+    title: "Your expense of March 12, 2026 was rejected",
+    message:
+      "Your expense of March 12, 2026 (48.3 CHF) was rejected. Reason: Duplicate of another expense",
+    url: "http://localhost:5173/expenses/6650f1c2a1b2c3d4e5f60718",
+  },
+  // Title and message are written by the sender, only the frame is localized
+  locales: {
+    en: ({ name, title, message, url }) => ({
+      subject: title,
+      heading: title,
+      greeting: `Hello ${name},`,
+      paragraphs: [message],
+      action: url ? { label: "Open in the App", url } : null,
+    }),
+    de: ({ name, title, message, url }) => ({
+      subject: title,
+      heading: title,
+      greeting: `Hallo ${name}`,
+      paragraphs: [message],
+      action: url ? { label: "In der App öffnen", url } : null,
+    }),
+  },
+};
@@ -0,0 +1,50 @@
+import { formatPeriod } from "./layout.js";
+
+export default {
+  description: "Lists the monthly reports that are overdue for the admins",
+  sample: {
+    name: "Admin",
+    reports: [
+      {
+        name: "Anna Muster",
+        email: "anna.muster@example.com",
+        month: 3,
+        year: 2026,
+        daysOverdue: 12,
+      },
+    ],
+    url: "http://localhost:5173/reports",
+  },
+  locales: {
+    en: ({ name, reports, url }) => ({
+      subject: `${reports.length} expense report(s) overdue`,
+      heading: "Overdue Expense Reports",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        "The following expense reports have still not been submitted:",
+      ],
+      list: reports.map(
+        (entry) =>
+          `${entry.name} (${entry.email}): ${formatPeriod(entry, "en")}, ${
+            entry.daysOverdue
+          } day(s) since the month was closed`
+      ),
+      action: { label: "View Reports", url },
+    }),
+    de: ({ name, reports, url }) => ({
+      subject: `${reports.length} Spesenabrechnung(en) überfällig`,
+      heading: "Überfällige Spesenabrechnungen",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        "Die folgenden Spesenabrechnungen wurden noch nicht eingereicht:",
+      ],
+      list: reports.map(
+        (entry) =>
+          `${entry.name} (${entry.email}): ${formatPeriod(entry, "de")}, ${
+            entry.daysOverdue
+          } Tag(e) seit Abschluss des Monats`
+      ),
+      action: { label: "Abrechnungen anzeigen", url },
+    }),
+  },
+};
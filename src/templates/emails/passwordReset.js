@@ -0,0 +1,29 @@
+export default {
+  description: "Link to reset a forgotten password",
+  sample: {
+    name: "Anna Muster",
+    url: "http://localhost:5173/reset-password/0123456789abcdef",
+  },
+  locales: {
+    en: ({ name, url }) => ({
+      subject: "Password Reset Request",
+      heading: "Password Reset Request",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        "You are receiving this email because you (or someone else) has requested the reset of a password.",
+      ],
+      action: { label: "Reset Password", url },
+      note: "If you did not request this, please ignore this email and your password will remain unchanged. This link will expire in 10 minutes.",
+    }),
+    de: ({ name, url }) => ({
+      subject: "Passwort zurücksetzen",
+      heading: "Passwort zurücksetzen",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        "Sie erhalten diese E-Mail, weil Sie (oder jemand anderes) das Zurücksetzen Ihres Passworts angefordert haben.",
+      ],
+      action: { label: "Passwort zurücksetzen", url },
+      note: "Falls Sie dies nicht angefordert haben, ignorieren Sie diese E-Mail. Ihr Passwort bleibt dann unverändert. Der Link ist 10 Minuten gültig.",
+    }),
+  },
+};
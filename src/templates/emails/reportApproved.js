@@ -0,0 +1,65 @@
+import { formatAmount, formatPeriod } from "./layout.js";
+
+export default {
+  description: "Tells the owner that their report was approved",
+  sample: {
+    name: "Anna Muster",
+    report: {
+      month: 3,
+      year: 2026,
+      reimbursedAmount: 812.4,
+      pendingAmount: 33.2,
+    },
+    url: "http://localhost:5173/reports/6650f1c2a1b2c3d4e5f60718",
+  },
+  locales: {
+    en: ({ name, report, url }) => ({
+      subject: `Your expense report for ${formatPeriod(
+        report,
+        "en"
+      )} was approved`,
+      heading: "Expense Report Approved",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `Your expense report for ${formatPeriod(
+          report,
+          "en"
+        )} was approved. ${formatAmount(
+          report.reimbursedAmount,
+          "en"
+        )} will be reimbursed.`,
+        report.pendingAmount > 0
+          ? `${formatAmount(
+              report.pendingAmount,
+              "en"
+            )} of rejected expenses will not be reimbursed.`
+          : null,
+      ].filter(Boolean),
+      action: { label: "View Report", url },
+    }),
+    de: ({ name, report, url }) => ({
+      subject: `Ihre Spesenabrechnung für ${formatPeriod(
+        report,
+        "de"
+      )} wurde genehmigt`,
+      heading: "Spesenabrechnung genehmigt",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `Ihre Spesenabrechnung für ${formatPeriod(
+          report,
+          "de"
+        )} wurde genehmigt. ${formatAmount(
+          report.reimbursedAmount,
+          "de"
+        )} werden Ihnen zurückerstattet.`,
+        report.pendingAmount > 0
+          ? `${formatAmount(
+              report.pendingAmount,
+              "de"
+            )} an abgelehnten Spesen werden nicht zurückerstattet.`
+          : null,
+      ].filter(Boolean),
+      action: { label: "Abrechnung anzeigen", url },
+    }),
+  },
+};
@@ -0,0 +1,56 @@
+import { formatAmount, formatPeriod } from "./layout.js";
+
+export default {
+  description: "Tells the owner that the reimbursement of a report was paid",
+  sample: {
+    name: "Anna Muster",
+    report: {
+      month: 3,
+      year: 2026,
+      reimbursedAmount: 812.4,
+      pendingAmount: 0,
+      comments: "Paid with the April salary",
+    },
+    url: "http://localhost:5173/reports/6650f1c2a1b2c3d4e5f60718",
+  },
+  locales: {
+    en: ({ name, report, url }) => ({
+      subject: `Reimbursement for ${formatPeriod(report, "en")} paid`,
+      heading: "Reimbursement Paid",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `${formatAmount(
+          report.reimbursedAmount,
+          "en"
+        )} of your expense report for ${formatPeriod(
+          report,
+          "en"
+        )} have been reimbursed.`,
+        report.pendingAmount > 0
+          ? `${formatAmount(report.pendingAmount, "en")} are still open.`
+          : null,
+        report.comments ? `Comments: ${report.comments}` : null,
+      ].filter(Boolean),
+      action: { label: "View Report", url },
+    }),
+    de: ({ name, report, url }) => ({
+      subject: `Rückerstattung für ${formatPeriod(report, "de")} ausbezahlt`,
+      heading: "Rückerstattung ausbezahlt",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `${formatAmount(
+          report.reimbursedAmount,
+          "de"
+        )} Ihrer Spesenabrechnung für ${formatPeriod(
+          report,
+          "de"
+        )} wurden zurückerstattet.`,
+        report.pendingAmount > 0
+          ? `${formatAmount(report.pendingAmount, "de")} sind noch offen.`
+          : null,
+        report.comments ? `Bemerkungen: ${report.comments}` : null,
+      ].filter(Boolean),
+      action: { label: "Abrechnung anzeigen", url },
+    }),
+  },
+};
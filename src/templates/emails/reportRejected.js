@@ -0,0 +1,47 @@
+import { formatPeriod } from "./layout.js";
+
+export default {
+  description:
+    "Tells the owner that their report was rejected, with the comments",
+  sample: {
+    name: "Anna Muster",
+    report: { month: 3, year: 2026 },
+    rejectedBy: "Max Meier",
+    comments: "Please attach the parking receipts of March 12.",
+    url: "http://localhost:5173/reports/6650f1c2a1b2c3d4e5f60718",
+  },
+  locales: {
+    en: ({ name, report, rejectedBy, comments, url }) => ({
+      subject: `Your expense report for ${formatPeriod(
+        report,
+        "en"
+      )} was rejected`,
+      heading: "Expense Report Rejected",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `Your expense report for ${formatPeriod(report, "en")} was rejected${
+          rejectedBy ? ` by ${rejectedBy}` : ""
+        }.`,
+        `Comments: ${comments || "none"}`,
+        "Please correct the report and submit it again.",
+      ],
+      action: { label: "Edit Report", url },
+    }),
+    de: ({ name, report, rejectedBy, comments, url }) => ({
+      subject: `Ihre Spesenabrechnung für ${formatPeriod(
+        report,
+        "de"
+      )} wurde abgelehnt`,
+      heading: "Spesenabrechnung abgelehnt",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `Ihre Spesenabrechnung für ${formatPeriod(report, "de")} wurde${
+          rejectedBy ? ` von ${rejectedBy}` : ""
+        } abgelehnt.`,
+        `Bemerkungen: ${comments || "keine"}`,
+        "Bitte korrigieren Sie die Abrechnung und reichen Sie sie erneut ein.",
+      ],
+      action: { label: "Abrechnung bearbeiten", url },
+    }),
+  },
+};
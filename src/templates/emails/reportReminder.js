@@ -0,0 +1,57 @@
+import { formatAmount, formatDate, formatPeriod } from "./layout.js";
+
+export default {
+  description: "Reminds the owner to submit a closed monthly report",
+  sample: {
+    name: "Anna Muster",
+    report: {
+      month: 3,
+      year: 2026,
+      expenseCount: 12,
+      totalExpenseAmount: 845.6,
+    },
+    deadline: "2026-04-11T00:00:00.000Z",
+    url: "http://localhost:5173/reports/6650f1c2a1b2c3d4e5f60718",
+  },
+  locales: {
+    en: ({ name, report, deadline, url }) => ({
+      subject: `Reminder: please submit your expense report for ${formatPeriod(
+        report,
+        "en"
+      )}`,
+      heading: "Expense Report Reminder",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `Your expense report for ${formatPeriod(report, "en")} (${
+          report.expenseCount
+        } expense(s), ${formatAmount(
+          report.totalExpenseAmount,
+          "en"
+        )}) has not been submitted yet.`,
+        `Please review and submit it by ${formatDate(deadline, "en")}.`,
+      ],
+      action: { label: "Review Report", url },
+    }),
+    de: ({ name, report, deadline, url }) => ({
+      subject: `Erinnerung: Bitte reichen Sie Ihre Spesenabrechnung für ${formatPeriod(
+        report,
+        "de"
+      )} ein`,
+      heading: "Erinnerung Spesenabrechnung",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `Ihre Spesenabrechnung für ${formatPeriod(report, "de")} (${
+          report.expenseCount
+        } Spesenposition(en), ${formatAmount(
+          report.totalExpenseAmount,
+          "de"
+        )}) wurde noch nicht eingereicht.`,
+        `Bitte prüfen Sie sie und reichen Sie sie bis zum ${formatDate(
+          deadline,
+          "de"
+        )} ein.`,
+      ],
+      action: { label: "Abrechnung prüfen", url },
+    }),
+  },
+};
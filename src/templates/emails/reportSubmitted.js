@@ -0,0 +1,61 @@
+import { formatAmount, formatPeriod } from "./layout.js";
+
+export default {
+  description: "Tells an approver that a report is waiting for them",
+  sample: {
+    name: "Max Meier",
+    owner: "Anna Muster",
+    step: "Manager approval",
+    report: {
+      month: 3,
+      year: 2026,
+      expenseCount: 12,
+      totalExpenseAmount: 845.6,
+    },
+    url: "http://localhost:5173/reports/6650f1c2a1b2c3d4e5f60718",
+  },
+  locales: {
+    en: ({ name, owner, step, report, url }) => ({
+      subject: `${owner} submitted the expense report for ${formatPeriod(
+        report,
+        "en"
+      )}`,
+      heading: "Expense Report Submitted",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `${owner} submitted the expense report for ${formatPeriod(
+          report,
+          "en"
+        )} with ${report.expenseCount} expense(s) totalling ${formatAmount(
+          report.totalExpenseAmount,
+          "en"
+        )}.`,
+        step
+          ? `It is waiting for you in the "${step}" step.`
+          : "It is waiting for your approval.",
+      ],
+      action: { label: "Review Report", url },
+    }),
+    de: ({ name, owner, step, report, url }) => ({
+      subject: `${owner} hat die Spesenabrechnung für ${formatPeriod(
+        report,
+        "de"
+      )} eingereicht`,
+      heading: "Spesenabrechnung eingereicht",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `${owner} hat die Spesenabrechnung für ${formatPeriod(
+          report,
+          "de"
+        )} mit ${report.expenseCount} Spesenposition(en) über ${formatAmount(
+          report.totalExpenseAmount,
+          "de"
+        )} eingereicht.`,
+        step
+          ? `Sie wartet im Schritt "${step}" auf Sie.`
+          : "Sie wartet auf Ihre Freigabe.",
+      ],
+      action: { label: "Abrechnung prüfen", url },
+    }),
+  },
+};
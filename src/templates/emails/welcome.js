@@ -0,0 +1,50 @@
+const ROLES = {
+  en: {
+    admin: "administrator",
+    manager: "manager",
+    finance: "finance",
+    sales_rep: "sales representative",
+  },
+  de: {
+    admin: "Administrator",
+    manager: "Vorgesetzte/r",
+    finance: "Finanzen",
+    sales_rep: "Aussendienst",
+  },
+};
+
+export default {
+  description: "Welcomes a new user and links to the login page",
+  sample: {
+    name: "Anna Muster",
+    email: "anna.muster@example.com",
+    role: "sales_rep",
+    url: "http://localhost:5173/login",
+  },
+  locales: {
+    en: ({ name, email, role, url }) => ({
+      subject: "Welcome to the AussenDienst Expense App",
+      heading: "Welcome!",
+      greeting: `Hello ${name},`,
+      paragraphs: [
+        `An account was created for you with the email address ${email} and the role ${
+          ROLES.en[role] || role
+        }.`,
+        "You can now record your trips and expenses and submit your monthly expense reports in the app.",
+      ],
+      action: { label: "Log in", url },
+    }),
+    de: ({ name, email, role, url }) => ({
+      subject: "Willkommen in der AussenDienst Expense App",
+      heading: "Willkommen!",
+      greeting: `Hallo ${name}`,
+      paragraphs: [
+        `Für Sie wurde ein Konto mit der E-Mail-Adresse ${email} und der Rolle ${
+          ROLES.de[role] || role
+        } eröffnet.`,
+        "Sie können nun Ihre Fahrten und Spesen erfassen und Ihre monatlichen Spesenabrechnungen in der App einreichen.",
+      ],
+      action: { label: "Anmelden", url },
+    }),
+  },
+};
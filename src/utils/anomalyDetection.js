@@ -0,0 +1,404 @@
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import Place from "../models/Place.js";
+import Policy from "../models/Policy.js";
+import { getPolicyLimits } from "./expensePolicy.js";
+import { haversineDistance } from "./routingProviders.js";
+
+// Tuning of the detectors, can be overridden per request
+export const ANOMALY_DEFAULTS = {
+  // Months of history a rep's current month is compared with
+  historyMonths: 12,
+  // Fewer months of history say nothing about what is usual
+  minHistoryMonths: 3,
+  // Standard deviations above the average that count as a jump
+  zScoreThreshold: 3,
+  // Trips further than this factor times the usual radius are out of region
+  regionFactor: 2,
+  // Radius below which no trip counts as out of region, in km
+  minRegionRadiusKm: 50,
+  // Known trip ends needed to work out a rep's region
+  minRegionPoints: 5,
+  // "Just under" a threshold means within this percentage below it
+  thresholdMarginPercent: 10,
+  // Expenses just under a threshold in one month before it is a pattern
+  minThresholdHits: 3,
+};
+
+const roundTo = (value, decimals = 1) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Get the first day of the month a number of months before a date
+ * @param {Date} date - Any day of the month
+ * @param {number} monthsBack - Months to go back
+ * @returns {Date} - Start of that month
+ */
+const startOfMonth = (date, monthsBack = 0) =>
+  new Date(date.getFullYear(), date.getMonth() - monthsBack, 1);
+
+const monthLabel = (date) =>
+  date.toLocaleString("en-US", { month: "long", year: "numeric" });
+
+/**
+ * Find reps whose distance in the month jumps far above their own history
+ * @param {Array<Object>} expenses - Mileage expenses of history and month
+ * @param {Object} period - { start, end } of the month checked
+ * @param {Object} options - Detector settings
+ * @returns {Array<Object>} - Findings
+ */
+const detectDistanceSpikes = (expenses, period, options) => {
+  // user => month index => km
+  const distances = new Map();
+
+  expenses.forEach((expense) => {
+    const userId = expense.user.toString();
+    const date = new Date(expense.journeyDate);
+    const month = date.getFullYear() * 12 + date.getMonth();
+
+    if (!distances.has(userId)) distances.set(userId, new Map());
+    const months = distances.get(userId);
+    months.set(month, (months.get(month) || 0) + (expense.distance || 0));
+  });
+
+  const currentMonth =
+    period.start.getFullYear() * 12 + period.start.getMonth();
+  const findings = [];
+
+  distances.forEach((months, userId) => {
+    const current = months.get(currentMonth) || 0;
+
+    // Months without trips count as 0 km once the rep has started driving
+    const firstMonth = Math.min(...months.keys());
+    const history = [];
+    for (
+      let month = Math.max(firstMonth, currentMonth - options.historyMonths);
+      month < currentMonth;
+      month++
+    ) {
+      history.push(months.get(month) || 0);
+    }
+
+    if (history.length < options.minHistoryMonths || current === 0) {
+      return;
+    }
+
+    const mean = history.reduce((sum, km) => sum + km, 0) / history.length;
+    const variance =
+      history.reduce((sum, km) => sum + (km - mean) ** 2, 0) / history.length;
+    // A rep driving the same every month would otherwise jump at 1 km more
+    const deviation = Math.max(Math.sqrt(variance), mean * 0.1, 1);
+    const zScore = (current - mean) / deviation;
+
+    if (zScore < options.zScoreThreshold) {
+      return;
+    }
+
+    findings.push({
+      type: "distanceSpike",
+      user: userId,
+      score: Math.min(100, Math.round(zScore * 20)),
+      explanation: `Drove ${roundTo(current)} km in ${monthLabel(
+        period.start
+      )}, ${roundTo(zScore)} standard deviations above the ${
+        history.length
+      }-month average of ${roundTo(mean)} km (standard deviation ${roundTo(
+        deviation
+      )} km)`,
+      details: {
+        distance: roundTo(current),
+        historyMonths: history.length,
+        averageDistance: roundTo(mean),
+        standardDeviation: roundTo(deviation),
+        zScore: roundTo(zScore, 2),
+      },
+    });
+  });
+
+  return findings;
+};
+
+/**
+ * Get the coordinates of the destinations of trips, from the stored places
+ * or the route snapshot
+ * @param {Array<Object>} expenses - Mileage expenses
+ * @returns {Promise<Map>} - Expense ID => { lat, lng }
+ */
+const getDestinationCoordinates = async (expenses) => {
+  const placeIds = [
+    ...new Set(
+      expenses.map((expense) => expense.destinationPointPlaceId).filter(Boolean)
+    ),
+  ];
+  const places = await Place.find({ placeId: { $in: placeIds } }).select(
+    "placeId location"
+  );
+  const locations = new Map(
+    places.map((place) => [place.placeId, place.location])
+  );
+
+  const coordinates = new Map();
+  expenses.forEach((expense) => {
+    const legs = expense.routeSnapshot?.legs;
+    const location =
+      locations.get(expense.destinationPointPlaceId) ||
+      (legs && legs.length > 0 ? legs[legs.length - 1].end_location : null);
+
+    if (location && typeof location.lat === "number") {
+      coordinates.set(expense._id.toString(), location);
+    }
+  });
+
+  return coordinates;
+};
+
+/**
+ * Find trips of the month that go far beyond the area a rep usually covers.
+ * The usual area is the median of the rep's trip destinations and the
+ * distance 90% of them stay within.
+ * @param {Array<Object>} expenses - Mileage expenses of history and month
+ * @param {Object} period - { start, end } of the month checked
+ * @param {Object} options - Detector settings
+ * @returns {Promise<Array<Object>>} - Findings
+ */
+const detectOutOfRegionTrips = async (expenses, period, options) => {
+  const coordinates = await getDestinationCoordinates(expenses);
+  const byUser = new Map();
+
+  expenses.forEach((expense) => {
+    const location = coordinates.get(expense._id.toString());
+    if (!location) return;
+
+    const userId = expense.user.toString();
+    if (!byUser.has(userId)) byUser.set(userId, { history: [], current: [] });
+    const isCurrent = new Date(expense.journeyDate) >= period.start;
+    byUser
+      .get(userId)
+      [isCurrent ? "current" : "history"].push({ expense, location });
+  });
+
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+      ? sorted[middle]
+      : (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+
+  const findings = [];
+
+  byUser.forEach(({ history, current }, userId) => {
+    if (history.length < options.minRegionPoints || current.length === 0) {
+      return;
+    }
+
+    const center = {
+      lat: median(history.map(({ location }) => location.lat)),
+      lng: median(history.map(({ location }) => location.lng)),
+    };
+    const radii = history
+      .map(({ location }) => haversineDistance(center, location))
+      .sort((a, b) => a - b);
+    const usualRadius = Math.max(
+      radii[Math.floor(radii.length * 0.9)] || 0,
+      options.minRegionRadiusKm
+    );
+
+    current.forEach(({ expense, location }) => {
+      const distanceFromCenter = haversineDistance(center, location);
+      const ratio = distanceFromCenter / usualRadius;
+
+      if (ratio < options.regionFactor) {
+        return;
+      }
+
+      findings.push({
+        type: "outOfRegion",
+        user: userId,
+        score: Math.min(100, Math.round(ratio * 25)),
+        explanation: `Trip on ${new Date(
+          expense.journeyDate
+        ).toLocaleDateString()} to ${expense.destinationPoint} ends ${roundTo(
+          distanceFromCenter
+        )} km from the center of the usual area, which has a radius of ${roundTo(
+          usualRadius
+        )} km`,
+        details: {
+          distanceFromCenter: roundTo(distanceFromCenter),
+          usualRadius: roundTo(usualRadius),
+          center: { lat: roundTo(center.lat, 4), lng: roundTo(center.lng, 4) },
+          historyTrips: history.length,
+        },
+        expenses: [expense._id],
+      });
+    });
+  });
+
+  return findings;
+};
+
+// Expense fields with per-expense limits worth staying just under
+const THRESHOLD_FIELDS = ["totalCost", "distance"];
+const THRESHOLD_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+/**
+ * Find the limits a policy condition puts on single expenses, e.g.
+ * { field: "totalCost", op: "lte", value: 500 }
+ * @param {Object} condition - Policy condition
+ * @returns {Array<Object>} - [{ field, value }]
+ */
+const getConditionLimits = (condition) => {
+  if (!condition) return [];
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).flatMap(getConditionLimits);
+  }
+  if (condition.not) return getConditionLimits(condition.not);
+
+  const { field, op, value } = condition;
+  return THRESHOLD_FIELDS.includes(field) &&
+    THRESHOLD_OPERATORS.includes(op) &&
+    typeof value === "number"
+    ? [{ field, value }]
+    : [];
+};
+
+/**
+ * Collect the limits above which single expenses get more scrutiny: the
+ * amounts and distances in the expense policies and the trip distance limit.
+ * Approval chain thresholds are not among them, they apply to whole reports.
+ * @returns {Promise<Array<Object>>} - [{ name, field, value }]
+ */
+const getApprovalThresholds = async () => {
+  const policies = await Policy.find({ enabled: true });
+  const limits = await getPolicyLimits();
+
+  const thresholds = policies.flatMap((policy) =>
+    [...getConditionLimits(policy.when), ...getConditionLimits(policy.require)]
+      .filter(({ value }) => value > 0)
+      .map(({ field, value }) => ({ name: policy.name, field, value }))
+  );
+
+  if (limits.maxTripDistance) {
+    thresholds.push({
+      name: "maxTripDistance",
+      field: "distance",
+      value: limits.maxTripDistance.limit,
+    });
+  }
+
+  return thresholds;
+};
+
+/**
+ * Find reps who repeatedly file expenses just under a policy limit
+ * @param {Array<Object>} expenses - Expenses of the month
+ * @param {Object} period - { start, end } of the month checked
+ * @param {Object} options - Detector settings
+ * @returns {Promise<Array<Object>>} - Findings
+ */
+const detectThresholdHugging = async (expenses, period, options) => {
+  const thresholds = await getApprovalThresholds();
+  const findings = [];
+
+  thresholds.forEach((threshold) => {
+    const lowerBound =
+      threshold.value * (1 - options.thresholdMarginPercent / 100);
+    const byUser = new Map();
+
+    expenses.forEach((expense) => {
+      const value = expense[threshold.field];
+      if (typeof value !== "number" || value < lowerBound) return;
+      if (value >= threshold.value) return;
+
+      const userId = expense.user.toString();
+      if (!byUser.has(userId)) byUser.set(userId, []);
+      byUser.get(userId).push(expense);
+    });
+
+    byUser.forEach((hits, userId) => {
+      if (hits.length < options.minThresholdHits) {
+        return;
+      }
+
+      const unit = threshold.field === "distance" ? " km" : "";
+      findings.push({
+        type: "thresholdHugging",
+        user: userId,
+        score: Math.min(100, hits.length * 20),
+        explanation: `${hits.length} expenses in ${monthLabel(
+          period.start
+        )} are within ${options.thresholdMarginPercent}% below the ${
+          threshold.name
+        } threshold of ${threshold.value}${unit} (${hits
+          .map((hit) => `${roundTo(hit[threshold.field], 2)}${unit}`)
+          .join(", ")})`,
+        details: {
+          threshold: threshold.name,
+          field: threshold.field,
+          thresholdValue: threshold.value,
+          hits: hits.length,
+        },
+        expenses: hits.map((hit) => hit._id),
+      });
+    });
+  });
+
+  return findings;
+};
+
+/**
+ * Look for unusual spending patterns of reps in a month
+ * @param {Object} params - { month (any date in it), userFilter, options }
+ * @returns {Promise<Object>} - { period, findings } with findings sorted by score
+ */
+export const detectAnomalies = async ({
+  month = new Date(),
+  userFilter = {},
+  options: overrides = {},
+}) => {
+  const options = { ...ANOMALY_DEFAULTS, ...overrides };
+  const period = {
+    start: startOfMonth(month),
+    end: startOfMonth(month, -1),
+  };
+
+  const baseQuery = {
+    ...userFilter,
+    status: { $nin: ["rejected", DRAFT_EXPENSE_STATUS] },
+  };
+
+  const mileageExpenses = await Expense.find({
+    ...baseQuery,
+    type: { $in: [MILEAGE_EXPENSE_TYPE, null] },
+    journeyDate: {
+      $gte: startOfMonth(month, options.historyMonths),
+      $lt: period.end,
+    },
+  })
+    .select(
+      "user journeyDate distance destinationPoint destinationPointPlaceId routeSnapshot.legs.end_location"
+    )
+    .lean();
+
+  const monthExpenses = await Expense.find({
+    ...baseQuery,
+    journeyDate: { $gte: period.start, $lt: period.end },
+  })
+    .select("user journeyDate type distance totalCost")
+    .lean();
+
+  const findings = [
+    ...detectDistanceSpikes(mileageExpenses, period, options),
+    ...(await detectOutOfRegionTrips(mileageExpenses, period, options)),
+    ...(await detectThresholdHugging(monthExpenses, period, options)),
+  ].sort((a, b) => b.score - a.score);
+
+  return { period, options, findings };
+};
+
+export default {
+  ANOMALY_DEFAULTS,
+  detectAnomalies,
+};
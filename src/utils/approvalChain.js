@@ -0,0 +1,140 @@
+import Setting from "../models/Setting.js";
+import User from "../models/User.js";
+
+// Setting key the configured approval chain is stored under
+export const APPROVAL_CHAIN_SETTING_KEY = "approvalChain";
+
+// Who can act on a step: the report owner's manager or any user with the role
+export const APPROVER_TYPES = ["manager", "finance", "admin"];
+
+/**
+ * Chain used until an admin configures one. A step only applies when the
+ * report total exceeds its threshold (0 = always).
+ */
+export const DEFAULT_APPROVAL_CHAIN = [
+  { name: "Manager approval", approver: "manager", threshold: 0 },
+  { name: "Finance approval", approver: "finance", threshold: 1000 },
+];
+
+/**
+ * Validate an approval chain definition
+ * @param {Array} chain - Steps of the chain
+ * @returns {string|null} - Error message or null if the chain is valid
+ */
+export const validateApprovalChain = (chain) => {
+  if (!Array.isArray(chain)) {
+    return "Approval chain must be an array of steps";
+  }
+
+  for (const [index, step] of chain.entries()) {
+    if (!step || typeof step.name !== "string" || !step.name.trim()) {
+      return `Step ${index + 1} needs a name`;
+    }
+    if (!APPROVER_TYPES.includes(step.approver)) {
+      return `Step ${index + 1} approver must be one of: ${APPROVER_TYPES.join(
+        ", "
+      )}`;
+    }
+    if (
+      step.threshold !== undefined &&
+      (typeof step.threshold !== "number" || step.threshold < 0)
+    ) {
+      return `Step ${index + 1} threshold must be a positive number`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the configured approval chain, falling back to the default
+ * @returns {Promise<Array>} - Steps of the chain
+ */
+export const getApprovalChain = async () => {
+  const setting = await Setting.findOne({ key: APPROVAL_CHAIN_SETTING_KEY });
+
+  if (!setting || validateApprovalChain(setting.value)) {
+    return DEFAULT_APPROVAL_CHAIN;
+  }
+
+  return setting.value;
+};
+
+/**
+ * Build the approval steps a submitted report has to go through.
+ * Steps below their threshold are left out, as is the manager step
+ * for users without a manager.
+ * @param {Object} report - Report being submitted
+ * @returns {Promise<Array>} - Approval steps for the report
+ */
+export const buildApprovalSteps = async (report) => {
+  const chain = await getApprovalChain();
+  const owner = await User.findById(report.user).select("manager");
+  const managerId = owner ? owner.manager : null;
+
+  return chain
+    .filter(
+      (step) => !step.threshold || report.totalExpenseAmount > step.threshold
+    )
+    .filter((step) => step.approver !== "manager" || managerId)
+    .map((step) => ({
+      name: step.name,
+      approver: step.approver,
+      threshold: step.threshold || 0,
+      assignedTo: step.approver === "manager" ? managerId : undefined,
+      status: "pending",
+    }));
+};
+
+/**
+ * Check whether a user may approve or reject a step.
+ * Admins can act on any step and approve reports without a chain.
+ * @param {Object} user - Authenticated user
+ * @param {Object} step - Current approval step (may be undefined)
+ * @returns {boolean}
+ */
+export const canActOnApprovalStep = (user, step) => {
+  if (user.role === "admin") {
+    return true;
+  }
+
+  if (!step) {
+    return false;
+  }
+
+  if (step.approver === "manager") {
+    return Boolean(step.assignedTo) && step.assignedTo.toString() === user.id;
+  }
+
+  return user.role === step.approver;
+};
+
+/**
+ * Get the active users who can act on a step. Reports without a chain are
+ * approved by the admins.
+ * @param {Object} step - Approval step (may be undefined)
+ * @returns {Promise<Array>} - Users with name, email, status and locale
+ */
+export const getStepApprovers = async (step) => {
+  const fields = "name email status locale notificationPreferences";
+
+  if (step && step.approver === "manager") {
+    return User.find({ _id: step.assignedTo, status: "active" }).select(fields);
+  }
+
+  return User.find({
+    role: step ? step.approver : "admin",
+    status: "active",
+  }).select(fields);
+};
+
+export default {
+  APPROVAL_CHAIN_SETTING_KEY,
+  APPROVER_TYPES,
+  DEFAULT_APPROVAL_CHAIN,
+  validateApprovalChain,
+  getApprovalChain,
+  buildApprovalSteps,
+  canActOnApprovalStep,
+  getStepApprovers,
+};
@@ -0,0 +1,115 @@
+import fs from "fs";
+import fsExtra from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+import config from "../config/config.js";
+
+/**
+ * Storage adapters persist attachment contents and hand back an opaque
+ * storage key. Every adapter implements the same interface:
+ *   - save(buffer, { originalName, mimeType }) => Promise<string> (storage key)
+ *   - read(key) => Promise<Buffer>
+ *   - createReadStream(key) => Readable
+ *   - remove(key) => Promise<void>
+ */
+
+/**
+ * Create an adapter that stores attachments on the local disk
+ * @param {string} baseDir - Directory to store files in
+ * @returns {Object} - Storage adapter
+ */
+export const createLocalStorageAdapter = (baseDir) => {
+  const rootDir = path.resolve(process.cwd(), baseDir);
+  fsExtra.ensureDirSync(rootDir);
+
+  // Keys are generated by us, but never let one escape the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    save: async (buffer, { originalName } = {}) => {
+      const extension = path.extname(originalName || "").toLowerCase();
+      const now = new Date();
+      const key = path.posix.join(
+        `${now.getFullYear()}`,
+        `${now.getMonth() + 1}`.padStart(2, "0"),
+        `${crypto.randomBytes(16).toString("hex")}${extension}`
+      );
+
+      const filePath = resolveKey(key);
+      await fsExtra.ensureDir(path.dirname(filePath));
+      await fs.promises.writeFile(filePath, buffer);
+
+      return key;
+    },
+
+    read: async (key) => fs.promises.readFile(resolveKey(key)),
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine, anything else is a real problem
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+// Registered adapter factories, keyed by the name used in ATTACHMENT_STORAGE
+const adapterFactories = {
+  local: () => createLocalStorageAdapter(config.attachmentDir),
+};
+
+let activeAdapter = null;
+
+/**
+ * Register an additional storage adapter factory (e.g. S3, Azure Blob)
+ * @param {string} name - Adapter name, matched against config.attachmentStorage
+ * @param {Function} factory - Function returning a storage adapter
+ */
+export const registerStorageAdapter = (name, factory) => {
+  adapterFactories[name] = factory;
+
+  // Drop the cached adapter so the next lookup picks up the new factory
+  if (activeAdapter && activeAdapter.name === name) {
+    activeAdapter = null;
+  }
+};
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} - Storage adapter
+ */
+export const getStorageAdapter = () => {
+  if (!activeAdapter) {
+    const factory = adapterFactories[config.attachmentStorage];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown attachment storage adapter: ${config.attachmentStorage}`
+      );
+    }
+
+    activeAdapter = factory();
+  }
+
+  return activeAdapter;
+};
+
+export default {
+  createLocalStorageAdapter,
+  registerStorageAdapter,
+  getStorageAdapter,
+};
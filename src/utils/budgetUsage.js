@@ -0,0 +1,132 @@
+import Budget from "../models/Budget.js";
+import Expense, { DRAFT_EXPENSE_STATUS } from "../models/Expense.js";
+import { EVENT_TYPES, publish } from "../events/eventBus.js";
+
+// Usage statuses from least to most urgent
+const USAGE_STATUS_LEVELS = ["none", "under", "warning", "critical"];
+
+/**
+ * Get the period a budget covers
+ * @param {Object} budget - Budget document
+ * @returns {Object} - { startDate, endDate }
+ */
+export const getBudgetPeriod = (budget) =>
+  budget.month === 0
+    ? {
+        startDate: new Date(budget.year, 0, 1),
+        endDate: new Date(budget.year, 11, 31, 23, 59, 59, 999),
+      }
+    : {
+        startDate: new Date(budget.year, budget.month - 1, 1),
+        endDate: new Date(budget.year, budget.month, 0, 23, 59, 59, 999),
+      };
+
+/**
+ * Work out the status of a budget from the share used
+ * @param {Object} budget - Budget with its thresholds
+ * @param {number} usagePercentage - Share of the budget used
+ * @returns {string} - under, warning or critical
+ */
+export const getBudgetUsageStatus = (budget, usagePercentage) => {
+  if (usagePercentage >= budget.criticalThreshold) {
+    return "critical";
+  }
+  if (usagePercentage >= budget.warningThreshold) {
+    return "warning";
+  }
+  return "under";
+};
+
+/**
+ * Recompute and store the usage of the active budgets from the expenses of
+ * their user, category and period. Budgets moving up to warning or critical
+ * publish a budget.thresholdCrossed event.
+ * @param {Object} filter - Limits the budgets, e.g. { user } after a change
+ *   to one user's expenses
+ * @returns {Promise<Object>} - { budgets, warning, critical }
+ */
+export const recomputeBudgetUsage = async (filter = {}) => {
+  const budgets = await Budget.find({ ...filter, isActive: true });
+  const result = { budgets: 0, warning: 0, critical: 0 };
+
+  for (const budget of budgets) {
+    const usage = {
+      actualExpenses: 0,
+      actualDistance: 0,
+      expenseCount: 0,
+      usageStatus: "none",
+      usageUpdatedAt: new Date(),
+    };
+
+    if (budget.category) {
+      const { startDate, endDate } = getBudgetPeriod(budget);
+      const [totals] = await Expense.aggregate([
+        {
+          $match: {
+            user: budget.user,
+            category: budget.category,
+            journeyDate: { $gte: startDate, $lte: endDate },
+            status: { $nin: ["rejected", DRAFT_EXPENSE_STATUS] },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            totalCost: { $sum: "$totalCost" },
+            totalDistance: { $sum: "$distance" },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      if (totals) {
+        usage.actualExpenses = Math.round(totals.totalCost * 100) / 100;
+        usage.actualDistance = Math.round(totals.totalDistance * 100) / 100;
+        usage.expenseCount = totals.count;
+      }
+      usage.usageStatus = getBudgetUsageStatus(
+        budget,
+        budget.amount > 0 ? (usage.actualExpenses / budget.amount) * 100 : 0
+      );
+    }
+
+    // Bookkeeping rather than a change made by anyone, so this goes around
+    // the audit trail hooks. Only a recompute still seeing the status read
+    // above stores its usage, so of two concurrent ones crossing a threshold
+    // just the first raises the alert.
+    const previousStatus = budget.usageStatus || "none";
+    const { matchedCount } = await Budget.collection.updateOne(
+      {
+        _id: budget._id,
+        // Budgets from before usage tracking have no status stored
+        usageStatus:
+          previousStatus === "none" ? { $in: ["none", null] } : previousStatus,
+      },
+      { $set: usage }
+    );
+
+    if (
+      matchedCount > 0 &&
+      ["warning", "critical"].includes(usage.usageStatus) &&
+      USAGE_STATUS_LEVELS.indexOf(usage.usageStatus) >
+        USAGE_STATUS_LEVELS.indexOf(previousStatus)
+    ) {
+      await publish(EVENT_TYPES.BUDGET_THRESHOLD_CROSSED, {
+        budget: { ...budget.toObject(), ...usage },
+        previousStatus,
+      });
+    }
+
+    result.budgets += 1;
+    if (usage.usageStatus === "warning") result.warning += 1;
+    if (usage.usageStatus === "critical") result.critical += 1;
+  }
+
+  return result;
+};
+
+export default {
+  getBudgetPeriod,
+  getBudgetUsageStatus,
+  recomputeBudgetUsage,
+};
@@ -0,0 +1,132 @@
+import Category from "../models/Category.js";
+
+/**
+ * Recompute the monthly, quarterly and yearly spending of a category
+ * @param {string} categoryId - Category ID
+ * @param {Date} now - Day the current periods are taken from
+ * @returns {Promise<Object|null>} - The category's current usage, null if
+ *   the category doesn't exist
+ */
+export const updateCategoryUsage = async (categoryId, now = new Date()) => {
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    return null;
+  }
+
+  // Calculate monthly usage (current month)
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  const monthlyUsage = await Category.calculateBudgetUsage(
+    category._id,
+    monthStart,
+    monthEnd
+  );
+
+  // Calculate quarterly usage (current quarter)
+  const quarterMonth = Math.floor(now.getMonth() / 3) * 3;
+  const quarterStart = new Date(now.getFullYear(), quarterMonth, 1);
+  const quarterEnd = new Date(now.getFullYear(), quarterMonth + 3, 0);
+  const quarterlyUsage = await Category.calculateBudgetUsage(
+    category._id,
+    quarterStart,
+    quarterEnd
+  );
+
+  // Calculate yearly usage (current year)
+  const yearStart = new Date(now.getFullYear(), 0, 1);
+  const yearEnd = new Date(now.getFullYear(), 11, 31);
+  const yearlyUsage = await Category.calculateBudgetUsage(
+    category._id,
+    yearStart,
+    yearEnd
+  );
+
+  category.currentUsage = {
+    monthly: {
+      amount: monthlyUsage,
+      lastUpdated: now,
+    },
+    quarterly: {
+      amount: quarterlyUsage,
+      lastUpdated: now,
+    },
+    yearly: {
+      amount: yearlyUsage,
+      lastUpdated: now,
+    },
+  };
+
+  await category.save();
+
+  return category.currentUsage;
+};
+
+/**
+ * Calculate the usage of each active budget limit of a category
+ * @param {Object} category - Category document
+ * @returns {Promise<Array<Object>>} - Usage with alert status per limit
+ */
+export const getCategoryBudgetUsage = async (category) => {
+  const activeBudgetLimits = category.budgetLimits.filter(
+    (limit) => limit.isActive
+  );
+
+  return Promise.all(
+    activeBudgetLimits.map(async (limit) => {
+      const usage = await Category.calculateBudgetUsage(
+        category._id,
+        limit.startDate,
+        limit.endDate
+      );
+
+      const percentUsed = (usage / limit.amount) * 100;
+      const isOverBudget = percentUsed > 100;
+      const isNearThreshold =
+        percentUsed >= limit.notificationThreshold && percentUsed <= 100;
+
+      return {
+        budgetId: limit._id,
+        period: limit.period,
+        startDate: limit.startDate,
+        endDate: limit.endDate,
+        budgetAmount: limit.amount,
+        currentUsage: usage,
+        percentUsed: Math.round(percentUsed * 100) / 100,
+        isOverBudget,
+        isNearThreshold,
+        alertStatus: isOverBudget
+          ? "exceeded"
+          : isNearThreshold
+          ? "warning"
+          : "normal",
+      };
+    })
+  );
+};
+
+/**
+ * Get the budget limits of a category that are close to or over their amount
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Array<Object>>} - Usage of the limits needing attention
+ */
+export const getCategoryBudgetAlerts = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+
+  if (!category) {
+    return [];
+  }
+
+  const usage = await getCategoryBudgetUsage(category);
+
+  return usage.filter(
+    (budget) =>
+      budget.alertStatus === "warning" || budget.alertStatus === "exceeded"
+  );
+};
+
+export default {
+  updateCategoryUsage,
+  getCategoryBudgetUsage,
+  getCategoryBudgetAlerts,
+};
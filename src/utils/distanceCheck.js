@@ -0,0 +1,109 @@
+import { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+import config from "../config/config.js";
+import {
+  calculateDistance,
+  calculateRouteWithWaypoints,
+  calculateRoundTrip,
+} from "./googleMaps.js";
+import { logger } from "./logger.js";
+
+/**
+ * Calculate the route an expense should have taken, with the way back for
+ * round trips
+ * @param {Object} expense - Expense document
+ * @returns {Promise<Object>} - Route information
+ */
+const calculateExpectedRoute = (expense) => {
+  const waypoints = (expense.waypoints || []).map((waypoint) => ({
+    placeId: waypoint.placeId,
+  }));
+
+  if (expense.isRoundTrip) {
+    return calculateRoundTrip(
+      expense.startingPointPlaceId,
+      expense.destinationPointPlaceId,
+      waypoints
+    );
+  }
+
+  return waypoints.length > 0
+    ? calculateRouteWithWaypoints(
+        expense.startingPointPlaceId,
+        expense.destinationPointPlaceId,
+        waypoints,
+        { optimize: false, alternatives: false }
+      )
+    : calculateDistance(
+        expense.startingPointPlaceId,
+        expense.destinationPointPlaceId
+      );
+};
+
+/**
+ * Compare the manually entered distance of a mileage expense with the
+ * calculated route and flag it when it deviates more than the configured
+ * percentage. Calculated distances need no check, and a route that can't be
+ * calculated leaves the expense unchecked rather than blocking it.
+ * @param {Object} expense - Expense document, distanceCheck is set on it
+ * @returns {Promise<Object|undefined>} - The check, undefined if not checked
+ */
+export const checkExpenseDistance = async (expense) => {
+  expense.distanceCheck = undefined;
+
+  if (
+    (expense.type || MILEAGE_EXPENSE_TYPE) !== MILEAGE_EXPENSE_TYPE ||
+    expense.isCalculatedDistance ||
+    !expense.distance ||
+    !expense.startingPointPlaceId ||
+    !expense.destinationPointPlaceId
+  ) {
+    return undefined;
+  }
+
+  let route;
+  try {
+    route = await calculateExpectedRoute(expense);
+  } catch (error) {
+    logger.warn(
+      `Could not check the distance of expense ${expense._id}: ${error.message}`
+    );
+    return undefined;
+  }
+
+  const expectedDistance = route.distanceValue;
+  if (!expectedDistance) {
+    return undefined;
+  }
+
+  const deviationPercent =
+    Math.round(
+      ((expense.distance - expectedDistance) / expectedDistance) * 1000
+    ) / 10;
+
+  expense.distanceCheck = {
+    expectedDistance: Math.round(expectedDistance * 10) / 10,
+    deviationPercent,
+    thresholdPercent: config.distanceDeviationThreshold,
+    flagged: Math.abs(deviationPercent) > config.distanceDeviationThreshold,
+    provider: route.provider,
+    estimated: Boolean(route.estimated),
+    checkedAt: new Date(),
+  };
+
+  return expense.distanceCheck;
+};
+
+/**
+ * Check whether an expense still needs an override comment to be approved
+ * @param {Object} expense - Expense document
+ * @returns {boolean} - True if flagged and not overridden yet
+ */
+export const needsDistanceOverride = (expense) =>
+  Boolean(
+    expense.distanceCheck?.flagged && !expense.distanceCheck.overrideComment
+  );
+
+export default {
+  checkExpenseDistance,
+  needsDistanceOverride,
+};
@@ -0,0 +1,163 @@
+import Expense, { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+import config from "../config/config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Distances closer than this (in km) count as the same
+const SAME_DISTANCE_KM = 0.1;
+
+/**
+ * Get the number of calendar days between two dates
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {number} - Whole days between the two days
+ */
+const daysBetween = (a, b) => {
+  const dayA = new Date(a);
+  const dayB = new Date(b);
+  dayA.setHours(0, 0, 0, 0);
+  dayB.setHours(0, 0, 0, 0);
+  return Math.round(Math.abs(dayA - dayB) / DAY_MS);
+};
+
+/**
+ * Build the key of the route of a mileage expense: the place IDs, or the
+ * entered addresses for trips without them
+ * @param {Object} expense - Expense
+ * @returns {string} - Route key
+ */
+const getRouteKey = (expense) =>
+  expense.startingPointPlaceId && expense.destinationPointPlaceId
+    ? `${expense.startingPointPlaceId}>${expense.destinationPointPlaceId}`
+    : `${(expense.startingPoint || "").trim().toLowerCase()}>${(
+        expense.destinationPoint || ""
+      )
+        .trim()
+        .toLowerCase()}`;
+
+/**
+ * Compare two numbers with the duplicate tolerance
+ * @param {number} a - First value
+ * @param {number} b - Second value
+ * @param {number} same - Difference up to which the values are the same
+ * @returns {string|null} - "same", "close" or null
+ */
+const compareValues = (a, b, same) => {
+  const difference = Math.abs((a || 0) - (b || 0));
+
+  if (difference <= same) {
+    return "same";
+  }
+
+  const larger = Math.max(Math.abs(a || 0), Math.abs(b || 0));
+  return difference <= (larger * config.duplicateTolerancePercent) / 100
+    ? "close"
+    : null;
+};
+
+/**
+ * Check whether two expenses of a user look like the same expense. Exact
+ * duplicates share the day, route (or type) and distance (or amount), near
+ * duplicates differ slightly in the distance or amount, or by a day or so.
+ * A trip back on the same day has a different route and is no duplicate.
+ * @param {Object} expense - Expense being checked
+ * @param {Object} other - Earlier expense of the same user
+ * @returns {Object|null} - { match: "exact"|"near", reasons } or null
+ */
+export const classifyDuplicate = (expense, other) => {
+  const type = expense.type || MILEAGE_EXPENSE_TYPE;
+  if (type !== (other.type || MILEAGE_EXPENSE_TYPE)) {
+    return null;
+  }
+
+  const days = daysBetween(expense.journeyDate, other.journeyDate);
+  if (days > config.duplicateDateWindowDays) {
+    return null;
+  }
+
+  const reasons = [days === 0 ? "same day" : `${days} day(s) apart`];
+  let value;
+
+  if (type === MILEAGE_EXPENSE_TYPE) {
+    if (getRouteKey(expense) !== getRouteKey(other)) {
+      return null;
+    }
+    reasons.push("same route");
+
+    value = compareValues(expense.distance, other.distance, SAME_DISTANCE_KM);
+    if (value) {
+      reasons.push(value === "same" ? "same distance" : "similar distance");
+    }
+  } else {
+    if (
+      (expense.currency || config.baseCurrency) !==
+      (other.currency || config.baseCurrency)
+    ) {
+      return null;
+    }
+    reasons.push(`same type (${type})`);
+
+    value = compareValues(expense.amount, other.amount, 0.005);
+    if (value) {
+      reasons.push(value === "same" ? "same amount" : "similar amount");
+    }
+  }
+
+  if (!value) {
+    return null;
+  }
+
+  // Only one thing may differ for a near duplicate
+  if (days === 0 && value === "same") {
+    return { match: "exact", reasons };
+  }
+  if (days === 0 || value === "same") {
+    return { match: "near", reasons };
+  }
+
+  return null;
+};
+
+/**
+ * Find the expenses of the same user an expense looks like. Rejected
+ * expenses are left out, they were sorted out already.
+ * @param {Object} expense - Expense about to be created (or updated)
+ * @returns {Promise<Array<Object>>} - [{ _id, journeyDate, match, reasons }]
+ */
+export const findDuplicateExpenses = async (expense) => {
+  const day = new Date(expense.journeyDate);
+  day.setHours(0, 0, 0, 0);
+  const windowMs = config.duplicateDateWindowDays * DAY_MS;
+
+  const candidates = await Expense.find({
+    user: expense.user,
+    _id: { $ne: expense._id },
+    status: { $ne: "rejected" },
+    journeyDate: {
+      $gte: new Date(day.getTime() - windowMs),
+      $lt: new Date(day.getTime() + windowMs + DAY_MS),
+    },
+  }).select(
+    "type journeyDate startingPoint destinationPoint startingPointPlaceId destinationPointPlaceId distance amount currency status"
+  );
+
+  return candidates
+    .map((candidate) => {
+      const duplicate = classifyDuplicate(expense, candidate);
+      return duplicate
+        ? {
+            _id: candidate._id,
+            journeyDate: candidate.journeyDate,
+            status: candidate.status,
+            ...duplicate,
+          }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.match === b.match ? 0 : a.match === "exact" ? -1 : 1));
+};
+
+export default {
+  classifyDuplicate,
+  findDuplicateExpenses,
+};
@@ -1,11 +1,36 @@
+import fs from "fs/promises";
+import path from "path";
 import nodemailer from "nodemailer";
+import OutboxEmail from "../models/OutboxEmail.js";
+import config from "../config/config.js";
+import { renderEmail } from "./emailTemplates.js";
 import { logger } from "./logger.js";
 
+/**
+ * Build a link into the frontend
+ * @param {String} route - Route in the app, e.g. "/reports"
+ * @returns {String} Absolute URL
+ */
+const appUrl = (route) =>
+  `${process.env.FRONTEND_URL || "http://localhost:5173"}${route}`;
+
 /**
  * Creates a nodemailer transporter for sending emails
  * @returns {Object} nodemailer transporter
  */
 const createTransporter = () => {
+  if (config.emailTransport === "json") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  if (config.emailTransport === "file") {
+    return nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+  }
+
   return nodemailer.createTransport({
     service: "gmail",
     auth: {
@@ -37,6 +62,20 @@ export const sendEmail = async (options) => {
     };
 
     const info = await transporter.sendMail(mailOptions);
+
+    // Local testing transports keep the message instead of sending it
+    if (config.emailTransport === "json") {
+      logger.info(`Email (json transport): ${info.message}`);
+    } else if (config.emailTransport === "file") {
+      const file = path.join(
+        config.emailOutputDir,
+        `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`
+      );
+      await fs.mkdir(config.emailOutputDir, { recursive: true });
+      await fs.writeFile(file, info.message);
+      logger.info(`Email written to ${file}`);
+    }
+
     logger.info(`Email sent: ${info.messageId}`);
     return info;
   } catch (error) {
@@ -46,35 +85,312 @@ export const sendEmail = async (options) => {
 };
 
 /**
- * Sends a password reset email
- * @param {String} email - Recipient email
+ * Get the delay before the next attempt of a queued email. It doubles with
+ * every failed attempt.
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} Delay in milliseconds
+ */
+export const getEmailRetryDelay = (attempts) =>
+  config.emailRetryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Sends a queued email once and records the outcome. Failed attempts are
+ * scheduled again until the maximum number of attempts.
+ * @param {Object} email - OutboxEmail document
+ * @param {Object} options - { retry: false } to give up after this attempt
+ * @returns {Promise<Object>} The saved email
+ */
+export const attemptEmail = async (email, { retry = true } = {}) => {
+  const startedAt = new Date();
+
+  email.attempts += 1;
+  email.lastAttemptAt = startedAt;
+
+  try {
+    const info = await sendEmail({
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
+    });
+
+    email.status = "sent";
+    email.sentAt = new Date();
+    email.messageId = info.messageId;
+    email.error = undefined;
+    email.nextAttemptAt = undefined;
+  } catch (error) {
+    email.error = error.message;
+
+    if (!retry || email.attempts >= config.emailMaxAttempts) {
+      email.status = "failed";
+      email.nextAttemptAt = undefined;
+      logger.warn(
+        `Email ${email._id} to ${email.to} failed after ${email.attempts} attempts: ${email.error}`
+      );
+    } else {
+      email.status = "pending";
+      email.nextAttemptAt = new Date(
+        startedAt.getTime() + getEmailRetryDelay(email.attempts)
+      );
+    }
+  }
+
+  return email.save();
+};
+
+/**
+ * Render a template in the recipient's language and put it in the outbox.
+ * The first attempt is made in the background unless told to wait; if it
+ * fails, the retry job sends the email later.
+ * @param {String} template - Template name, see templates/emails
+ * @param {Object|String} recipient - User with email and locale, or an address
+ * @param {Object} data - Template data
+ * @param {Object} options - { wait: true } to wait for the first attempt,
+ *   { retry: false } to give up if it fails
+ * @returns {Promise<Object>} The queued OutboxEmail
+ */
+export const queueEmail = async (
+  template,
+  recipient,
+  data,
+  { wait = false, retry = true } = {}
+) => {
+  const user = typeof recipient === "string" ? null : recipient;
+  const rendered = renderEmail(template, data, user ? user.locale : undefined);
+
+  const email = await OutboxEmail.create({
+    to: user ? user.email : recipient,
+    user: user ? user._id : undefined,
+    ...rendered,
+    nextAttemptAt: new Date(Date.now() + getEmailRetryDelay(1)),
+  });
+
+  if (wait) {
+    return attemptEmail(email, { retry });
+  }
+
+  attemptEmail(email).catch((error) =>
+    logger.error(`Error sending queued email ${email._id}: ${error.message}`)
+  );
+
+  return email;
+};
+
+/**
+ * Make the next attempt of the queued emails that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { attempted, sent, failed }
+ */
+export const retryDueEmails = async (now = new Date()) => {
+  const due = await OutboxEmail.find({
+    status: "pending",
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  const result = { attempted: due.length, sent: 0, failed: 0 };
+
+  for (const email of due) {
+    await attemptEmail(email);
+    if (email.status === "sent") result.sent += 1;
+    if (email.status === "failed") result.failed += 1;
+  }
+
+  return result;
+};
+
+/**
+ * Sends a welcome email to a new user
+ * @param {Object} user - New user
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendWelcomeEmail = async (user) =>
+  queueEmail("welcome", user, {
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    url: appUrl("/login"),
+  });
+
+/**
+ * Sends a password reset email right away. It bypasses the outbox: the link
+ * gives access to the account and must not be stored, and it expires after
+ * 10 minutes anyway.
+ * @param {Object} user - User with name, email and locale
  * @param {String} resetUrl - Password reset URL
  * @returns {Promise} Result of sending email
  */
-export const sendPasswordResetEmail = async (email, resetUrl) => {
-  const subject = "Password Reset Request";
-  const text = `You are receiving this email because you (or someone else) has requested the reset of a password. Please follow this link to reset your password: \n\n ${resetUrl} \n\n If you did not request this, please ignore this email and your password will remain unchanged.`;
-
-  const html = `
-    <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
-      <h2 style="color: #333; text-align: center;">Password Reset Request</h2>
-      <p>You are receiving this email because you (or someone else) has requested the reset of a password.</p>
-      <div style="text-align: center; margin: 30px 0;">
-        <a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 4px; display: inline-block;">Reset Password</a>
-      </div>
-      <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
-      <p>This link will expire in 10 minutes.</p>
-      <hr style="border: 1px solid #eee; margin: 20px 0;" />
-      <p style="text-align: center; color: #777; font-size: 12px;">© ${new Date().getFullYear()} AussenDienst GmbH Expense App</p>
-    </div>
-  `;
-
-  return sendEmail({
-    to: email,
-    subject,
-    text,
-    html,
+export const sendPasswordResetEmail = async (user, resetUrl) => {
+  const { subject, text, html } = renderEmail(
+    "password-reset",
+    { name: user.name, url: resetUrl },
+    user.locale
+  );
+
+  return sendEmail({ to: user.email, subject, text, html });
+};
+
+/**
+ * Tells an approver that a report is waiting for them
+ * @param {Object} approver - Approver with name, email and locale
+ * @param {Object} report - Submitted report
+ * @param {Object} owner - Report owner with name
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendReportSubmittedEmail = async (approver, report, owner) => {
+  const step = report.approvalSteps[report.currentApprovalStep];
+
+  return queueEmail("report-submitted", approver, {
+    name: approver.name,
+    owner: owner.name,
+    step: step ? step.name : null,
+    report: {
+      month: report.month,
+      year: report.year,
+      expenseCount: report.expenses.length,
+      totalExpenseAmount: report.totalExpenseAmount,
+    },
+    url: appUrl(`/reports/${report._id}`),
   });
 };
 
-export default { sendEmail, sendPasswordResetEmail };
+/**
+ * Tells the owner of a report that it was approved or rejected
+ * @param {Object} user - Report owner with name, email and locale
+ * @param {Object} report - Approved or rejected report
+ * @param {Object} options - { rejectedBy } name of who rejected it
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendReportStatusEmail = async (
+  user,
+  report,
+  { rejectedBy } = {}
+) => {
+  const period = { month: report.month, year: report.year };
+  const url = appUrl(`/reports/${report._id}`);
+
+  if (report.status === "approved") {
+    return queueEmail("report-approved", user, {
+      name: user.name,
+      report: {
+        ...period,
+        reimbursedAmount: report.reimbursedAmount,
+        pendingAmount: report.pendingAmount,
+      },
+      url,
+    });
+  }
+
+  return queueEmail("report-rejected", user, {
+    name: user.name,
+    report: period,
+    rejectedBy,
+    comments: report.comments,
+    url,
+  });
+};
+
+/**
+ * Tells the owner of a report that its reimbursement was paid
+ * @param {Object} user - Report owner with name, email and locale
+ * @param {Object} report - Reimbursed report
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendReimbursementEmail = async (user, report) =>
+  queueEmail("report-reimbursed", user, {
+    name: user.name,
+    report: {
+      month: report.month,
+      year: report.year,
+      reimbursedAmount: report.reimbursedAmount,
+      pendingAmount: report.pendingAmount,
+      comments: report.comments,
+    },
+    url: appUrl(`/reports/${report._id}`),
+  });
+
+/**
+ * Sends a reminder to submit a closed monthly report
+ * @param {Object} user - Report owner with name, email and locale
+ * @param {Object} report - Draft report
+ * @param {Date} deadline - Day the report is overdue
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendReportReminderEmail = async (user, report, deadline) =>
+  queueEmail("report-reminder", user, {
+    name: user.name,
+    report: {
+      month: report.month,
+      year: report.year,
+      expenseCount: report.expenses.length,
+      totalExpenseAmount: report.totalExpenseAmount,
+    },
+    deadline,
+    url: appUrl(`/reports/${report._id}`),
+  });
+
+/**
+ * Sends an admin the list of monthly reports that are overdue
+ * @param {Object} admin - Admin with name, email and locale
+ * @param {Array<Object>} overdue - [{ report, name, email, daysOverdue }]
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendOverdueReportsEmail = async (admin, overdue) =>
+  queueEmail("overdue-reports", admin, {
+    name: admin.name,
+    reports: overdue.map(({ report, name, email, daysOverdue }) => ({
+      name,
+      email,
+      month: report.month,
+      year: report.year,
+      daysOverdue,
+    })),
+    url: appUrl("/reports"),
+  });
+
+/**
+ * Warns the owner of a budget that reached its warning or critical level
+ * @param {Object} user - Budget owner with name, email and locale
+ * @param {Object} budget - { category, month, year, amount, actualExpenses,
+ *   usagePercentage, usageStatus }
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendBudgetThresholdEmail = async (user, budget) =>
+  queueEmail("budget-threshold", user, {
+    name: user.name,
+    budget,
+    url: appUrl("/budgets"),
+  });
+
+/**
+ * Sends a notification by email
+ * @param {Object} user - Recipient with name, email and locale
+ * @param {Object} notification - { title, message, link }
+ * @returns {Promise<Object>} The queued email
+ */
+export const sendNotificationEmail = async (user, { title, message, link }) =>
+  queueEmail("notification", user, {
+    name: user.name,
+    title,
+    message,
+    url: link ? appUrl(link) : null,
+  });
+
+export default {
+  sendEmail,
+  getEmailRetryDelay,
+  attemptEmail,
+  queueEmail,
+  retryDueEmails,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  sendReportSubmittedEmail,
+  sendReportStatusEmail,
+  sendReimbursementEmail,
+  sendReportReminderEmail,
+  sendOverdueReportsEmail,
+  sendBudgetThresholdEmail,
+  sendNotificationEmail,
+};
@@ -0,0 +1,62 @@
+import EMAIL_TEMPLATES from "../templates/emails/index.js";
+import { renderHtml, renderText } from "../templates/emails/layout.js";
+import { USER_LOCALES } from "../models/User.js";
+import ErrorResponse from "./errorResponse.js";
+
+// Locale used for recipients without one and templates missing theirs
+export const DEFAULT_EMAIL_LOCALE = "en";
+
+/**
+ * List the email templates with the locales they are available in
+ * @returns {Array<Object>} - [{ name, description, locales }]
+ */
+export const listEmailTemplates = () =>
+  Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    locales: Object.keys(template.locales),
+  }));
+
+/**
+ * Render an email template
+ * @param {string} name - Template name, see templates/emails
+ * @param {Object} data - Template data, the template's sample if left out
+ * @param {string} locale - Recipient's locale
+ * @returns {Object} - { template, locale, subject, text, html }
+ */
+export const renderEmail = (name, data, locale = DEFAULT_EMAIL_LOCALE) => {
+  const template = EMAIL_TEMPLATES[name];
+
+  if (!template) {
+    throw new ErrorResponse(`No email template found with name ${name}`, 404);
+  }
+
+  const resolvedLocale =
+    USER_LOCALES.includes(locale) && template.locales[locale]
+      ? locale
+      : DEFAULT_EMAIL_LOCALE;
+  const content = template.locales[resolvedLocale](data || template.sample);
+
+  return {
+    template: name,
+    locale: resolvedLocale,
+    subject: content.subject,
+    text: renderText(content, resolvedLocale),
+    html: renderHtml(content, resolvedLocale),
+  };
+};
+
+/**
+ * Get the sample data of a template, used for previews
+ * @param {string} name - Template name
+ * @returns {Object|null} - Sample data or null for unknown templates
+ */
+export const getEmailTemplateSample = (name) =>
+  EMAIL_TEMPLATES[name] ? EMAIL_TEMPLATES[name].sample : null;
+
+export default {
+  DEFAULT_EMAIL_LOCALE,
+  listEmailTemplates,
+  renderEmail,
+  getEmailTemplateSample,
+};
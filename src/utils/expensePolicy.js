@@ -0,0 +1,341 @@
+import Setting from "../models/Setting.js";
+import Policy from "../models/Policy.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import { getExpenseFacts, violatesPolicy } from "./policyRules.js";
+
+// Hard violations block the expense, soft ones are stored as a warning
+export const POLICY_SEVERITIES = ["hard", "soft"];
+export const DEFAULT_POLICY_SEVERITY = "soft";
+
+/**
+ * Limits of the expense policy. Each one is configured as a Setting with the
+ * rule name as key and either the limit alone (a soft warning) or
+ * { limit, severity } as value. blockWeekendTravel takes true instead of a
+ * limit. Rules without a setting are not checked.
+ */
+export const POLICY_RULES = {
+  maxTripDistance: {
+    type: "number",
+    description: "Maximum distance of a single trip in kilometers",
+  },
+  maxDailyDistance: {
+    type: "number",
+    description: "Maximum daily distance allowed in kilometers",
+  },
+  maxTripsPerDay: {
+    type: "number",
+    description: "Maximum number of trips per day",
+  },
+  maxMonthlyExpense: {
+    type: "number",
+    description: "Maximum monthly expense amount allowed",
+  },
+  blockWeekendTravel: {
+    type: "boolean",
+    description: "Trips on Saturdays and Sundays are not allowed",
+  },
+};
+
+/**
+ * Read the limit and severity of a policy setting value
+ * @param {string} rule - Rule name (setting key)
+ * @param {*} value - Setting value
+ * @returns {Object} - { limit, severity } as configured
+ */
+const readPolicySetting = (rule, value) => {
+  const setting =
+    value !== null && typeof value === "object" ? value : { limit: value };
+
+  return {
+    limit:
+      POLICY_RULES[rule].type === "boolean"
+        ? setting.limit ?? setting.enabled
+        : setting.limit,
+    severity: setting.severity,
+  };
+};
+
+/**
+ * Validate the value of a policy setting
+ * @param {string} rule - Rule name (setting key)
+ * @param {*} value - Setting value
+ * @returns {string|null} - Error message or null if the value is valid
+ */
+export const validatePolicySetting = (rule, value) => {
+  const { type } = POLICY_RULES[rule];
+  const { limit, severity } = readPolicySetting(rule, value);
+
+  if (typeof limit !== type || (type === "number" && limit < 0)) {
+    return type === "boolean"
+      ? `${rule} must be true/false or { enabled, severity }`
+      : `${rule} must be a positive number or { limit, severity }`;
+  }
+
+  if (severity !== undefined && !POLICY_SEVERITIES.includes(severity)) {
+    return `Severity of ${rule} must be one of: ${POLICY_SEVERITIES.join(
+      ", "
+    )}`;
+  }
+
+  return null;
+};
+
+/**
+ * Get the configured limits of the expense policy
+ * @returns {Promise<Object>} - Rule name => { limit, severity }
+ */
+export const getPolicyLimits = async () => {
+  const settings = await Setting.find({
+    key: { $in: Object.keys(POLICY_RULES) },
+  });
+
+  const limits = {};
+  settings.forEach((setting) => {
+    // Invalid values are not checked rather than blocking every expense
+    if (validatePolicySetting(setting.key, setting.value)) {
+      return;
+    }
+
+    const { limit, severity } = readPolicySetting(setting.key, setting.value);
+    if (limit === false) {
+      return;
+    }
+
+    limits[setting.key] = {
+      limit,
+      severity: severity || DEFAULT_POLICY_SEVERITY,
+    };
+  });
+
+  return limits;
+};
+
+/**
+ * Sum up the other expenses of the same user in a period. Rejected expenses
+ * and unconfirmed drafts don't count.
+ * @param {Object} expense - Expense being evaluated
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period (exclusive)
+ * @param {boolean} mileageOnly - Only count mileage trips
+ * @returns {Promise<Object>} - { count, distance, totalCost }
+ */
+const sumOtherExpenses = async (expense, from, to, mileageOnly) => {
+  const match = {
+    user: expense.user,
+    _id: { $ne: expense._id },
+    status: { $nin: ["rejected", DRAFT_EXPENSE_STATUS] },
+    journeyDate: { $gte: from, $lt: to },
+  };
+  if (mileageOnly) {
+    match.type = { $in: [MILEAGE_EXPENSE_TYPE, null] };
+  }
+
+  const [result] = await Expense.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        distance: { $sum: { $ifNull: ["$distance", 0] } },
+        totalCost: { $sum: { $ifNull: ["$totalCost", 0] } },
+      },
+    },
+  ]);
+
+  return result || { count: 0, distance: 0, totalCost: 0 };
+};
+
+/**
+ * Check an expense against admin defined policies
+ * @param {Object} expense - Expense document
+ * @param {Array<Object>} policies - Policy documents to check
+ * @param {Object} extra - Facts only known in the situation
+ * @returns {Promise<Array<Object>>} - Violations of the policies
+ */
+export const checkPolicies = async (expense, policies, extra = {}) => {
+  if (policies.length === 0) {
+    return [];
+  }
+
+  const facts = await getExpenseFacts(expense, extra);
+
+  return policies
+    .filter((policy) => violatesPolicy(policy, facts))
+    .map((policy) => ({
+      rule: policy.name,
+      policy: policy._id,
+      severity: policy.severity,
+      message: policy.getViolationMessage(),
+    }));
+};
+
+/**
+ * Evaluate an expense against the expense policy, i.e. the configured limits
+ * and the enabled submission policies, and store the soft warnings on it.
+ * The expense is not saved.
+ * @param {Object} expense - Expense document about to be saved
+ * @param {Object} options - { policies } to check instead of the enabled ones
+ * @returns {Promise<Object>} - { blocked, violations }
+ */
+export const evaluateExpensePolicy = async (expense, options = {}) => {
+  const limits = await getPolicyLimits();
+  const violations = [];
+  const isMileage =
+    (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE;
+
+  const addViolation = (rule, message, actual) =>
+    violations.push({
+      rule,
+      severity: limits[rule].severity,
+      message,
+      limit: limits[rule].limit,
+      actual,
+    });
+
+  const dayStart = new Date(expense.journeyDate);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  if (isMileage && limits.maxTripDistance) {
+    if (expense.distance > limits.maxTripDistance.limit) {
+      addViolation(
+        "maxTripDistance",
+        `Trip distance of ${expense.distance.toFixed(
+          1
+        )} km exceeds the limit of ${limits.maxTripDistance.limit} km`,
+        expense.distance
+      );
+    }
+  }
+
+  if (isMileage && (limits.maxDailyDistance || limits.maxTripsPerDay)) {
+    const day = await sumOtherExpenses(expense, dayStart, dayEnd, true);
+    const dailyDistance = day.distance + (expense.distance || 0);
+
+    if (
+      limits.maxDailyDistance &&
+      dailyDistance > limits.maxDailyDistance.limit
+    ) {
+      addViolation(
+        "maxDailyDistance",
+        `Distance of ${dailyDistance.toFixed(
+          1
+        )} km on ${dayStart.toLocaleDateString()} exceeds the daily limit of ${
+          limits.maxDailyDistance.limit
+        } km`,
+        dailyDistance
+      );
+    }
+
+    if (limits.maxTripsPerDay && day.count + 1 > limits.maxTripsPerDay.limit) {
+      addViolation(
+        "maxTripsPerDay",
+        `${
+          day.count + 1
+        } trips on ${dayStart.toLocaleDateString()} exceed the limit of ${
+          limits.maxTripsPerDay.limit
+        } trips per day`,
+        day.count + 1
+      );
+    }
+  }
+
+  if (limits.maxMonthlyExpense) {
+    const monthStart = new Date(dayStart.getFullYear(), dayStart.getMonth(), 1);
+    const monthEnd = new Date(
+      dayStart.getFullYear(),
+      dayStart.getMonth() + 1,
+      1
+    );
+    const month = await sumOtherExpenses(expense, monthStart, monthEnd, false);
+    const monthlyTotal = month.totalCost + expense.calculateTotalCost();
+
+    if (monthlyTotal > limits.maxMonthlyExpense.limit) {
+      addViolation(
+        "maxMonthlyExpense",
+        `Expenses of ${monthlyTotal.toFixed(2)} in ${monthStart.toLocaleString(
+          "en-US",
+          { month: "long", year: "numeric" }
+        )} exceed the monthly limit of ${limits.maxMonthlyExpense.limit}`,
+        Math.round(monthlyTotal * 100) / 100
+      );
+    }
+  }
+
+  if (
+    isMileage &&
+    limits.blockWeekendTravel &&
+    [0, 6].includes(dayStart.getDay())
+  ) {
+    addViolation(
+      "blockWeekendTravel",
+      `Trips on weekends are not allowed (${dayStart.toLocaleDateString()})`,
+      dayStart.getDay() === 0 ? "Sunday" : "Saturday"
+    );
+  }
+
+  const policies =
+    options.policies ||
+    (await Policy.find({ enabled: true, stage: "submission" }));
+  violations.push(...(await checkPolicies(expense, policies)));
+
+  const blocked = violations.some((violation) => violation.severity === "hard");
+
+  expense.policyCheck = {
+    checkedAt: new Date(),
+    violations,
+  };
+
+  return { blocked, violations };
+};
+
+/**
+ * Evaluate the approval policies of an expense with the comment of the
+ * approver. Soft violations are added to the stored policy check.
+ * @param {Object} expense - Expense document about to be approved
+ * @param {Object} options - { reviewComment }
+ * @returns {Promise<Object>} - { blocked, violations }
+ */
+export const evaluateApprovalPolicies = async (
+  expense,
+  { reviewComment } = {}
+) => {
+  const policies = await Policy.find({ enabled: true, stage: "approval" });
+  const violations = await checkPolicies(expense, policies, {
+    reviewComment,
+  });
+  const blocked = violations.some((violation) => violation.severity === "hard");
+
+  if (!blocked) {
+    // Replace the results of an earlier approval attempt
+    const policyIds = policies.map((policy) => policy._id.toString());
+    expense.policyCheck = {
+      checkedAt: new Date(),
+      violations: [
+        ...(expense.policyCheck?.violations || []).filter(
+          (violation) =>
+            !violation.policy ||
+            !policyIds.includes(violation.policy.toString())
+        ),
+        ...violations,
+      ],
+    };
+  }
+
+  return { blocked, violations };
+};
+
+export default {
+  POLICY_SEVERITIES,
+  DEFAULT_POLICY_SEVERITY,
+  POLICY_RULES,
+  validatePolicySetting,
+  getPolicyLimits,
+  checkPolicies,
+  evaluateExpensePolicy,
+  evaluateApprovalPolicies,
+};
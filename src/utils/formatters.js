@@ -1,17 +1,27 @@
 /**
- * Format a number as CHF currency
+ * Format a number in the given currency
  * @param {number} amount - The amount to format
- * @returns {string} - Formatted amount in CHF
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} - Formatted amount
  */
-export const formatCHF = (amount) => {
+export const formatCurrency = (amount, currency = "CHF") => {
   return new Intl.NumberFormat("de-CH", {
     style: "currency",
-    currency: "CHF",
+    currency,
     minimumFractionDigits: 2,
     maximumFractionDigits: 2,
   }).format(amount);
 };
 
+/**
+ * Format a number as CHF currency
+ * @param {number} amount - The amount to format
+ * @returns {string} - Formatted amount in CHF
+ */
+export const formatCHF = (amount) => {
+  return formatCurrency(amount, "CHF");
+};
+
 /**
  * Format a date to a short readable format
  * @param {Date|string} date - The date to format
@@ -79,7 +89,28 @@ export const formatStatus = (status) => {
   return status.charAt(0).toUpperCase() + status.slice(1);
 };
 
+/**
+ * Format an expense type for display
+ * @param {string} type - The expense type (mileage, meal, lodging, ...)
+ * @returns {string} - Formatted expense type
+ */
+export const formatExpenseType = (type) => {
+  // Expenses recorded before types existed are mileage trips
+  return formatStatus(type || "mileage");
+};
+
+/**
+ * Format a vehicle type for display
+ * @param {string} vehicleType - The vehicle type (private_car, e_bike, ...)
+ * @returns {string} - Formatted vehicle type
+ */
+export const formatVehicleType = (vehicleType) => {
+  // Mileage expenses recorded before vehicle types existed used a private car
+  return formatStatus((vehicleType || "private_car").replace(/_/g, " "));
+};
+
 export default {
+  formatCurrency,
   formatCHF,
   formatDate,
   getMonthName,
@@ -87,4 +118,6 @@ export default {
   formatDuration,
   formatDistance,
   formatStatus,
+  formatExpenseType,
+  formatVehicleType,
 };
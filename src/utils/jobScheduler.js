@@ -0,0 +1,252 @@
+import os from "os";
+import Job from "../models/Job.js";
+import JobRun from "../models/JobRun.js";
+import config from "../config/config.js";
+import ErrorResponse from "./errorResponse.js";
+import { logger } from "./logger.js";
+
+// Identifies this process in job locks and run history
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Jobs known to this process, by name
+const jobDefinitions = new Map();
+
+let tickTimer = null;
+
+/**
+ * Register a periodic job. Its state lives in the Job collection, so the
+ * interval and enabled flag set by an admin survive restarts.
+ * @param {Object} definition - Job definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.description - What the job does
+ * @param {number} definition.intervalMinutes - Default interval between runs
+ * @param {number} definition.lockMinutes - How long a run may take before
+ *   another instance may take over the job
+ * @param {Function} definition.handler - async ({ now }) => result
+ */
+export const registerJob = ({
+  name,
+  description,
+  intervalMinutes,
+  lockMinutes = 30,
+  handler,
+}) => {
+  jobDefinitions.set(name, {
+    name,
+    description,
+    intervalMinutes,
+    lockMinutes,
+    handler,
+  });
+};
+
+/**
+ * Get the definitions of the registered jobs
+ * @returns {Array<Object>} - Job definitions
+ */
+export const getJobDefinitions = () => [...jobDefinitions.values()];
+
+/**
+ * Get the definition of a registered job
+ * @param {string} name - Job name
+ * @returns {Object} - Job definition
+ */
+const getJobDefinition = (name) => {
+  const definition = jobDefinitions.get(name);
+
+  if (!definition) {
+    throw new ErrorResponse(`No job found with name ${name}`, 404);
+  }
+
+  return definition;
+};
+
+/**
+ * Create the state of registered jobs that have never run
+ * @returns {Promise<void>}
+ */
+export const ensureJobs = async () => {
+  for (const definition of jobDefinitions.values()) {
+    await Job.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description },
+        $setOnInsert: {
+          intervalMinutes: definition.intervalMinutes,
+          enabled: true,
+          nextRunAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Take the lock of a job. Only one instance gets it, and an expired lock of
+ * an instance that died is taken over.
+ * @param {Object} definition - Job definition
+ * @param {Object} conditions - Extra conditions, e.g. that the job is due
+ * @returns {Promise<Object|null>} - Locked job state, null if not acquired
+ */
+const acquireJobLock = async (definition, conditions = {}) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      name: definition.name,
+      ...conditions,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + definition.lockMinutes * 60000),
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a job whose lock this instance holds, record the run and release
+ * the lock
+ * @param {Object} definition - Job definition
+ * @param {Object} job - Locked job state
+ * @param {Object} options - { trigger, triggeredBy }
+ * @returns {Promise<Object>} - The finished JobRun
+ */
+const executeJob = async (definition, job, { trigger, triggeredBy }) => {
+  const startedAt = new Date();
+  const run = await JobRun.create({
+    job: definition.name,
+    trigger,
+    triggeredBy,
+    instance: INSTANCE_ID,
+    startedAt,
+  });
+
+  try {
+    run.result = await definition.handler({ now: startedAt });
+    run.status = "success";
+  } catch (error) {
+    logger.error(`Job ${definition.name} failed: ${error.message}`, {
+      error: error.stack,
+    });
+    run.status = "failed";
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - startedAt;
+  await run.save();
+
+  // Only release the lock if it is still ours
+  await Job.updateOne(
+    { name: definition.name, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        lastRunAt: startedAt,
+        lastFinishedAt: run.finishedAt,
+        lastStatus: run.status,
+        lastError: run.error || null,
+        nextRunAt: new Date(startedAt.getTime() + job.intervalMinutes * 60000),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    }
+  );
+
+  return run;
+};
+
+/**
+ * Run a job now, e.g. triggered by an admin
+ * @param {string} name - Job name
+ * @param {Object} options - { triggeredBy }
+ * @returns {Promise<Object>} - The finished JobRun
+ */
+export const runJobNow = async (name, { triggeredBy } = {}) => {
+  const definition = getJobDefinition(name);
+  await ensureJobs();
+
+  const job = await acquireJobLock(definition);
+  if (!job) {
+    throw new ErrorResponse(`Job ${name} is already running`, 409);
+  }
+
+  return executeJob(definition, job, { trigger: "manual", triggeredBy });
+};
+
+/**
+ * Run every enabled job that is due and not running elsewhere
+ * @returns {Promise<Array<Object>>} - Runs started by this instance
+ */
+export const runDueJobs = async () => {
+  const runs = [];
+
+  for (const definition of jobDefinitions.values()) {
+    const job = await acquireJobLock(definition, {
+      enabled: true,
+      nextRunAt: { $lte: new Date() },
+    });
+
+    if (job) {
+      runs.push(await executeJob(definition, job, { trigger: "schedule" }));
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * Start checking for due jobs in this process
+ * @returns {Promise<void>}
+ */
+export const startJobScheduler = async () => {
+  if (!config.jobSchedulerEnabled || tickTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    try {
+      await runDueJobs();
+    } catch (error) {
+      logger.error(`Error running scheduled jobs: ${error.message}`);
+    }
+  };
+
+  try {
+    await ensureJobs();
+  } catch (error) {
+    logger.error(`Error setting up scheduled jobs: ${error.message}`);
+  }
+
+  tickTimer = setInterval(tick, config.jobTickSeconds * 1000);
+  tick();
+
+  logger.info(
+    `Job scheduler started on ${INSTANCE_ID} with ${jobDefinitions.size} job(s)`
+  );
+};
+
+/**
+ * Stop checking for due jobs in this process
+ */
+export const stopJobScheduler = () => {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+};
+
+export default {
+  INSTANCE_ID,
+  registerJob,
+  getJobDefinitions,
+  ensureJobs,
+  runJobNow,
+  runDueJobs,
+  startJobScheduler,
+  stopJobScheduler,
+};
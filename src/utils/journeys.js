@@ -0,0 +1,52 @@
+import { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+
+/**
+ * Add up the legs of the journeys among a list of expenses
+ * @param {Array} expenses - Expenses, with journey populated for titles
+ * @returns {Array} - [{ journey, legs, totalDistance, totalCost, firstDate, lastDate }]
+ */
+export const summarizeJourneys = (expenses) => {
+  const totals = {};
+
+  expenses
+    .filter((expense) => expense.journey)
+    .forEach((expense) => {
+      const id = (expense.journey._id || expense.journey).toString();
+
+      if (!totals[id]) {
+        totals[id] = {
+          journey: expense.journey,
+          legs: 0,
+          totalDistance: 0,
+          totalCost: 0,
+          firstDate: expense.journeyDate,
+          lastDate: expense.journeyDate,
+        };
+      }
+
+      const total = totals[id];
+      total.legs += 1;
+      if ((expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE) {
+        total.totalDistance += expense.distance || 0;
+      }
+      total.totalCost += expense.totalCost;
+      if (expense.journeyDate < total.firstDate) {
+        total.firstDate = expense.journeyDate;
+      }
+      if (expense.journeyDate > total.lastDate) {
+        total.lastDate = expense.journeyDate;
+      }
+    });
+
+  return Object.values(totals)
+    .map((total) => ({
+      ...total,
+      totalDistance: Math.round(total.totalDistance * 100) / 100,
+      totalCost: Math.round(total.totalCost * 100) / 100,
+    }))
+    .sort((a, b) => a.firstDate - b.firstDate);
+};
+
+export default {
+  summarizeJourneys,
+};
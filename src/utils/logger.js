@@ -104,4 +104,13 @@ if (process.env.NODE_ENV !== "production") {
   logger.debug("Logging initialized at debug level");
 }
 
-export { logger, dbLogger };
+/**
+ * Hide credentials passed in the query string of a URL before it is
+ * logged, e.g. the token EventSource clients open the event stream with
+ * @param {string} url - Request URL
+ * @returns {string} - URL with the credentials replaced
+ */
+const redactUrl = (url = "") =>
+  url.replace(/([?&]token=)[^&#]*/gi, "$1[REDACTED]");
+
+export { logger, dbLogger, redactUrl };
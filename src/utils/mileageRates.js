@@ -0,0 +1,258 @@
+import MileageRate, { DEFAULT_VEHICLE_TYPE } from "../models/MileageRate.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import Report from "../models/Report.js";
+import Setting from "../models/Setting.js";
+import config from "../config/config.js";
+import { LOCKED_REPORT_STATUSES, syncReportTotals } from "./reportSync.js";
+
+/**
+ * Work out the cost per km for a mileage expense. A rate given with the
+ * expense wins, then the rate table for the vehicle type on the journey
+ * date, then the defaultCostPerKm setting and finally the config default.
+ * @param {Object} options - { costPerKm, vehicleType, journeyDate }
+ * @returns {Promise<Object>} - { costPerKm, mileageRate, source, tiers }
+ */
+export const resolveCostPerKm = async ({
+  costPerKm,
+  vehicleType = DEFAULT_VEHICLE_TYPE,
+  journeyDate = new Date(),
+}) => {
+  if (costPerKm) {
+    return { costPerKm, mileageRate: null, source: "request" };
+  }
+
+  const mileageRate = await MileageRate.findRateForDate(
+    vehicleType,
+    journeyDate
+  );
+
+  if (mileageRate) {
+    const hasTiers = mileageRate.tiers && mileageRate.tiers.length > 0;
+
+    return {
+      costPerKm: mileageRate.rate,
+      mileageRate: mileageRate._id,
+      source: "rateTable",
+      tiers: hasTiers
+        ? mileageRate.tiers.map(({ upToKm, rate }) => ({ upToKm, rate }))
+        : undefined,
+    };
+  }
+
+  const setting = await Setting.findOne({ key: "defaultCostPerKm" });
+  const settingRate = setting ? parseFloat(setting.value) : NaN;
+
+  if (!isNaN(settingRate) && settingRate > 0) {
+    return { costPerKm: settingRate, mileageRate: null, source: "setting" };
+  }
+
+  return {
+    costPerKm: config.defaultCostPerKm,
+    mileageRate: null,
+    source: "config",
+  };
+};
+
+/**
+ * Split a trip over the km bands of a tiered rate
+ * @param {Array<Object>} tiers - Bands { upToKm, rate } in ascending order
+ * @param {number} distanceBefore - Kilometers the user drove earlier in the year
+ * @param {number} distance - Distance of the trip
+ * @returns {Array<Object>} - { fromKm, toKm, distance, rate, amount } per band
+ */
+export const buildRateBreakdown = (tiers, distanceBefore, distance) => {
+  const breakdown = [];
+  const end = distanceBefore + distance;
+  let position = distanceBefore;
+
+  tiers.forEach((tier, index) => {
+    // The last band takes all remaining kilometers
+    const bandEnd =
+      index === tiers.length - 1 ||
+      tier.upToKm === null ||
+      tier.upToKm === undefined
+        ? Infinity
+        : tier.upToKm;
+
+    if (position >= end || position >= bandEnd) {
+      return;
+    }
+
+    const toKm = Math.min(end, bandEnd);
+    breakdown.push({
+      fromKm: position,
+      toKm,
+      distance: toKm - position,
+      rate: tier.rate,
+      amount: (toKm - position) * tier.rate,
+    });
+    position = toKm;
+  });
+
+  return breakdown;
+};
+
+/**
+ * Query for the mileage trips that count towards the same annual km bands:
+ * same user, same vehicle type and same calendar year
+ * @param {Object} group - { user, vehicleType, journeyDate }
+ * @returns {Object} - Mongoose query
+ */
+const getRateGroupQuery = ({ user, vehicleType, journeyDate }) => {
+  const year = new Date(journeyDate).getUTCFullYear();
+  const type = vehicleType || DEFAULT_VEHICLE_TYPE;
+
+  return {
+    user,
+    // Expenses from before expense and vehicle types were private car trips
+    type: { $in: [MILEAGE_EXPENSE_TYPE, null] },
+    // Drafts of recurring trips only count once they are confirmed and
+    // rejected trips are not reimbursed, so neither uses up a km band
+    status: { $nin: ["rejected", DRAFT_EXPENSE_STATUS] },
+    vehicleType: type === DEFAULT_VEHICLE_TYPE ? { $in: [type, null] } : type,
+    journeyDate: {
+      $gte: new Date(Date.UTC(year, 0, 1)),
+      $lt: new Date(Date.UTC(year + 1, 0, 1)),
+    },
+  };
+};
+
+/**
+ * Price a trip from the km bands it falls into
+ * @param {Object} expense - Expense document with rateTiers
+ * @param {number} distanceBefore - Kilometers the user drove earlier in the year
+ */
+const setRateBreakdown = (expense, distanceBefore) => {
+  const breakdown = buildRateBreakdown(
+    expense.rateTiers,
+    distanceBefore,
+    expense.distance || 0
+  );
+  const amount = breakdown.reduce((sum, band) => sum + band.amount, 0);
+
+  expense.ytdDistanceBefore = distanceBefore;
+  expense.rateBreakdown = breakdown;
+  // costPerKm shows the average rate of the trip
+  expense.costPerKm =
+    expense.distance > 0
+      ? amount / expense.distance
+      : expense.rateTiers[0].rate;
+};
+
+/**
+ * Work out the km bands of a tiered mileage expense from the distance the user
+ * drove earlier in the same year. Expenses without bands are left alone apart
+ * from clearing a stale breakdown.
+ * @param {Object} expense - Expense document, not saved yet
+ * @returns {Promise<Object>} - The expense
+ */
+export const applyRateTiers = async (expense) => {
+  if (
+    (expense.type || MILEAGE_EXPENSE_TYPE) !== MILEAGE_EXPENSE_TYPE ||
+    !expense.rateTiers ||
+    expense.rateTiers.length === 0
+  ) {
+    expense.rateBreakdown = undefined;
+    expense.ytdDistanceBefore = undefined;
+    return expense;
+  }
+
+  // Earlier means an earlier journey date, or the same day and filed before
+  const [earlier] = await Expense.aggregate([
+    {
+      $match: {
+        ...getRateGroupQuery(expense),
+        $or: [
+          { journeyDate: { $lt: expense.journeyDate } },
+          { journeyDate: expense.journeyDate, _id: { $lt: expense._id } },
+        ],
+      },
+    },
+    { $group: { _id: null, distance: { $sum: "$distance" } } },
+  ]);
+
+  setRateBreakdown(expense, earlier ? earlier.distance : 0);
+
+  return expense;
+};
+
+/**
+ * Re-price the tiered trips of a user, vehicle type and year after an
+ * expense in it was added, changed or deleted. Trips in submitted or
+ * approved reports keep their amounts but still count towards the bands.
+ * @param {Object} group - { user, vehicleType, journeyDate } of the changed expense
+ * @param {Object} options - { excludeId } of an expense that is already up to date
+ * @returns {Promise<Array<Object>>} - { _id, journeyDate, previousTotalCost, totalCost, rateExplanation } per changed expense
+ */
+export const recomputeTieredExpenses = async (group, { excludeId } = {}) => {
+  const query = getRateGroupQuery(group);
+  const expenses = await Expense.find(query).sort({ journeyDate: 1, _id: 1 });
+
+  const lockedReports = await Report.find({
+    user: group.user,
+    year: new Date(group.journeyDate).getUTCFullYear(),
+    status: { $in: LOCKED_REPORT_STATUSES },
+  });
+  const lockedExpenseIds = new Set(
+    lockedReports.flatMap((report) =>
+      report.expenses.map((id) => id.toString())
+    )
+  );
+  const lockedMonths = new Set(lockedReports.map((report) => report.month));
+
+  const changed = [];
+  let distanceBefore = 0;
+
+  for (const expense of expenses) {
+    const isLocked =
+      lockedExpenseIds.has(expense._id.toString()) ||
+      lockedMonths.has(new Date(expense.journeyDate).getUTCMonth() + 1);
+    const isExcluded = excludeId && expense._id.equals(excludeId);
+
+    if (
+      !isLocked &&
+      !isExcluded &&
+      expense.rateTiers &&
+      expense.rateTiers.length > 0 &&
+      // Allow for rounding in the sums of earlier distances
+      !(Math.abs(expense.ytdDistanceBefore - distanceBefore) < 0.001)
+    ) {
+      const previousTotalCost = expense.totalCost;
+      setRateBreakdown(expense, distanceBefore);
+      await expense.save();
+
+      changed.push({
+        _id: expense._id,
+        journeyDate: expense.journeyDate,
+        previousTotalCost,
+        totalCost: expense.totalCost,
+        rateExplanation: expense.rateExplanation,
+      });
+    }
+
+    distanceBefore += expense.distance || 0;
+  }
+
+  // Keep the totals of the reports holding re-priced trips in line
+  if (changed.length > 0) {
+    const reports = await Report.find({
+      expenses: { $in: changed.map((expense) => expense._id) },
+    });
+
+    for (const report of reports) {
+      await syncReportTotals(report);
+    }
+  }
+
+  return changed;
+};
+
+export default {
+  resolveCostPerKm,
+  buildRateBreakdown,
+  applyRateTiers,
+  recomputeTieredExpenses,
+};
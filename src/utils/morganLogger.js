@@ -1,5 +1,5 @@
 import morgan from "morgan";
-import { logger } from "./logger.js";
+import { logger, redactUrl } from "./logger.js";
 
 // Create a stream object with a 'write' function that will be used by Morgan
 const stream = {
@@ -29,6 +29,9 @@ morgan.token("body", (req) => {
   return "";
 });
 
+// Request URL without credentials in the query string
+morgan.token("safe-url", (req) => redactUrl(req.originalUrl || req.url));
+
 // Define custom token for response time in a more readable format
 morgan.token("response-time-formatted", (req, res) => {
   // Get response time from Morgan's built-in token (in ms)
@@ -56,11 +59,11 @@ morgan.token("status-colored", (req, res) => {
 
 // Development format - more verbose, colorized
 const developmentFormat =
-  ":method :url :status-colored :response-time-formatted :body";
+  ":method :safe-url :status-colored :response-time-formatted :body";
 
 // Production format - more concise
 const productionFormat =
-  ":remote-addr :method :url :status :response-time-formatted";
+  ":remote-addr :method :safe-url :status :response-time-formatted";
 
 // Create a middleware function that decides which format to use based on the environment
 const morganMiddleware = morgan(
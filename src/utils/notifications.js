@@ -0,0 +1,138 @@
+import Notification, {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+} from "../models/Notification.js";
+import User from "../models/User.js";
+import { sendNotificationEmail } from "./emailService.js";
+import { logger } from "./logger.js";
+
+/**
+ * Get the channels a user receives each notification type on
+ * @param {Object} user - User with notificationPreferences
+ * @returns {Object} - Type => { inApp, email }
+ */
+export const getNotificationPreferences = (user) => {
+  const overrides = (user && user.notificationPreferences) || {};
+
+  return Object.fromEntries(
+    Object.entries(NOTIFICATION_TYPES).map(([type, defaults]) => [
+      type,
+      {
+        inApp: overrides[type]?.inApp ?? defaults.inApp,
+        email: overrides[type]?.email ?? defaults.email,
+      },
+    ])
+  );
+};
+
+/**
+ * Validate changes to a user's notification preferences
+ * @param {Object} preferences - Type => { inApp, email }
+ * @returns {string|null} - Error message or null if the preferences are valid
+ */
+export const validateNotificationPreferences = (preferences) => {
+  if (
+    !preferences ||
+    typeof preferences !== "object" ||
+    Array.isArray(preferences)
+  ) {
+    return "Preferences must be an object of notification types";
+  }
+
+  for (const [type, channels] of Object.entries(preferences)) {
+    if (!NOTIFICATION_TYPES[type]) {
+      return `Notification type must be one of: ${Object.keys(
+        NOTIFICATION_TYPES
+      ).join(", ")}`;
+    }
+    if (!channels || typeof channels !== "object") {
+      return `${type} must be an object of channels`;
+    }
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return `Channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`;
+      }
+      if (typeof enabled !== "boolean") {
+        return `${type}.${channel} must be true or false`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Notify a user in the app and/or by email, as the user prefers for the
+ * type. Email problems are logged and don't stop the in-app notification.
+ * @param {Object|string} recipient - User document or ID
+ * @param {string} type - Notification type, see NOTIFICATION_TYPES
+ * @param {Object} content - { title, message, link, data }
+ * @param {Object} options - { key } to raise a notification only once,
+ *   { email: async (user) => {} } to send a tailored email
+ * @returns {Promise<Object>} - { notification, emailed, skipped }
+ */
+export const notify = async (
+  recipient,
+  type,
+  { title, message, link, data },
+  { key, email } = {}
+) => {
+  const user =
+    recipient && recipient.email
+      ? recipient
+      : await User.findById(recipient).select(
+          "name email status locale notificationPreferences"
+        );
+
+  if (!user || user.status === "inactive") {
+    return { notification: null, emailed: false, skipped: true };
+  }
+
+  if (key && (await Notification.exists({ user: user._id, key }))) {
+    return { notification: null, emailed: false, skipped: true };
+  }
+
+  const channels = getNotificationPreferences(user)[type];
+  const result = { notification: null, emailed: false, skipped: false };
+
+  if (!channels.inApp && !channels.email) {
+    return { ...result, skipped: true };
+  }
+
+  // Stored either way, so notifications sent by email only are raised once
+  // per key too
+  result.notification = await Notification.create({
+    user: user._id,
+    type,
+    title,
+    message,
+    link,
+    data,
+    key,
+    inApp: channels.inApp,
+  });
+
+  if (channels.email) {
+    try {
+      await (email
+        ? email(user)
+        : sendNotificationEmail(user, { title, message, link }));
+      result.emailed = true;
+      result.notification.emailedAt = new Date();
+      await result.notification.save();
+    } catch (error) {
+      logger.error(
+        `Error emailing ${type} notification to ${user.email}: ${error.message}`
+      );
+    }
+  }
+
+  return result;
+};
+
+export default {
+  getNotificationPreferences,
+  validateNotificationPreferences,
+  notify,
+};
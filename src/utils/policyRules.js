@@ -0,0 +1,269 @@
+import Category from "../models/Category.js";
+import { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+
+/**
+ * Small JSON rule language of the expense policies. A condition is either a
+ * comparison of an expense field
+ *
+ *   { "field": "distance", "op": "gt", "value": 300 }
+ *
+ * or a combination of conditions
+ *
+ *   { "all": [ ... ] }, { "any": [ ... ] }, { "not": { ... } }
+ *
+ * A policy is violated when its "when" condition matches an expense (or it
+ * has none) and its "require" condition does not.
+ */
+
+// Expense fields conditions can refer to, with their type
+export const POLICY_FIELDS = {
+  type: "string",
+  category: "string",
+  distance: "number",
+  totalCost: "number",
+  amount: "number",
+  originalAmount: "number",
+  currency: "string",
+  vehicleType: "string",
+  isRoundTrip: "boolean",
+  isCalculatedDistance: "boolean",
+  notes: "string",
+  attachments: "number",
+  weekday: "number",
+  status: "string",
+  // Comment of the approver, only known when the expense is approved
+  reviewComment: "string",
+};
+
+// Operators and the field types they work on
+export const POLICY_OPERATORS = {
+  eq: ["string", "number", "boolean"],
+  ne: ["string", "number", "boolean"],
+  gt: ["number"],
+  gte: ["number"],
+  lt: ["number"],
+  lte: ["number"],
+  in: ["string", "number"],
+  nin: ["string", "number"],
+  exists: ["string", "number", "boolean"],
+  minLength: ["string"],
+  maxLength: ["string"],
+  matches: ["string"],
+};
+
+// Deeper conditions are almost certainly a mistake
+const MAX_CONDITION_DEPTH = 10;
+
+/**
+ * Validate a condition of the rule language
+ * @param {Object} condition - Condition to validate
+ * @param {string} path - Where the condition is, used in error messages
+ * @param {number} depth - Nesting depth
+ * @returns {string|null} - Error message or null if the condition is valid
+ */
+export const validateCondition = (condition, path = "condition", depth = 0) => {
+  if (depth > MAX_CONDITION_DEPTH) {
+    return `${path} is nested more than ${MAX_CONDITION_DEPTH} levels deep`;
+  }
+
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    return `${path} must be an object`;
+  }
+
+  for (const combinator of ["all", "any"]) {
+    if (condition[combinator] !== undefined) {
+      if (
+        !Array.isArray(condition[combinator]) ||
+        condition[combinator].length === 0
+      ) {
+        return `${path}.${combinator} must be a non-empty array of conditions`;
+      }
+
+      for (const [index, child] of condition[combinator].entries()) {
+        const error = validateCondition(
+          child,
+          `${path}.${combinator}[${index}]`,
+          depth + 1
+        );
+        if (error) return error;
+      }
+
+      return null;
+    }
+  }
+
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, `${path}.not`, depth + 1);
+  }
+
+  const { field, op, value } = condition;
+  const fieldType = POLICY_FIELDS[field];
+
+  if (!fieldType) {
+    return `${path}.field must be one of: ${Object.keys(POLICY_FIELDS).join(
+      ", "
+    )}`;
+  }
+
+  if (!POLICY_OPERATORS[op]) {
+    return `${path}.op must be one of: ${Object.keys(POLICY_OPERATORS).join(
+      ", "
+    )}`;
+  }
+
+  if (!POLICY_OPERATORS[op].includes(fieldType)) {
+    return `${path}.op ${op} can't be used on ${field}`;
+  }
+
+  if (op === "exists") {
+    return typeof value === "boolean"
+      ? null
+      : `${path}.value must be true or false`;
+  }
+
+  if (op === "in" || op === "nin") {
+    return Array.isArray(value) &&
+      value.length > 0 &&
+      value.every((item) => typeof item === fieldType)
+      ? null
+      : `${path}.value must be a non-empty array of ${fieldType}s`;
+  }
+
+  if (op === "minLength" || op === "maxLength") {
+    return Number.isInteger(value) && value >= 0
+      ? null
+      : `${path}.value must be a positive whole number`;
+  }
+
+  if (op === "matches") {
+    try {
+      new RegExp(value);
+      return typeof value === "string"
+        ? null
+        : `${path}.value must be a regular expression`;
+    } catch (error) {
+      return `${path}.value is not a valid regular expression`;
+    }
+  }
+
+  return typeof value === fieldType
+    ? null
+    : `${path}.value must be a ${fieldType}`;
+};
+
+/**
+ * Evaluate a condition against the facts of an expense
+ * @param {Object} condition - Valid condition
+ * @param {Object} facts - Expense facts from getExpenseFacts
+ * @returns {boolean} - Whether the condition matches
+ */
+export const evaluateCondition = (condition, facts) => {
+  if (condition.all) {
+    return condition.all.every((child) => evaluateCondition(child, facts));
+  }
+  if (condition.any) {
+    return condition.any.some((child) => evaluateCondition(child, facts));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  const { field, op, value } = condition;
+  const actual = facts[field];
+  const isSet = actual !== undefined && actual !== null && actual !== "";
+
+  switch (op) {
+    case "eq":
+      return actual === value;
+    case "ne":
+      return actual !== value;
+    case "gt":
+      return isSet && actual > value;
+    case "gte":
+      return isSet && actual >= value;
+    case "lt":
+      return isSet && actual < value;
+    case "lte":
+      return isSet && actual <= value;
+    case "in":
+      return value.includes(actual);
+    case "nin":
+      return !value.includes(actual);
+    case "exists":
+      return isSet === value;
+    case "minLength":
+      return (actual || "").trim().length >= value;
+    case "maxLength":
+      return (actual || "").trim().length <= value;
+    case "matches":
+      return new RegExp(value, "i").test(actual || "");
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether an expense violates a policy
+ * @param {Object} policy - Policy with when and require conditions
+ * @param {Object} facts - Expense facts from getExpenseFacts
+ * @returns {boolean} - True if the policy applies and is not met
+ */
+export const violatesPolicy = (policy, facts) =>
+  (!policy.when || evaluateCondition(policy.when, facts)) &&
+  !evaluateCondition(policy.require, facts);
+
+/**
+ * Collect the fields policies can refer to from an expense
+ * @param {Object} expense - Expense document (category may be populated)
+ * @param {Object} extra - Facts only known in the situation, e.g. reviewComment
+ * @returns {Promise<Object>} - Field name => value
+ */
+export const getExpenseFacts = async (expense, extra = {}) => {
+  let category = expense.category?.name;
+  if (!category && expense.category) {
+    const categoryDoc = await Category.findById(expense.category).select(
+      "name"
+    );
+    category = categoryDoc ? categoryDoc.name : undefined;
+  }
+
+  // Rules look at what the user wrote rather than the AI enhanced note
+  let notes = expense.notes || "";
+  if (notes.startsWith("{")) {
+    try {
+      notes = JSON.parse(notes).original || "";
+    } catch (e) {
+      // If parse fails, keep the notes as they are
+    }
+  }
+
+  return {
+    type: expense.type || MILEAGE_EXPENSE_TYPE,
+    category,
+    distance: expense.distance,
+    totalCost: expense.totalCost,
+    amount: expense.amount,
+    originalAmount: expense.originalAmount,
+    currency: expense.currency,
+    vehicleType: expense.vehicleType,
+    isRoundTrip: Boolean(expense.isRoundTrip),
+    isCalculatedDistance: Boolean(expense.isCalculatedDistance),
+    notes,
+    attachments: expense.attachments ? expense.attachments.length : 0,
+    weekday: expense.journeyDate
+      ? new Date(expense.journeyDate).getDay()
+      : undefined,
+    status: expense.status,
+    reviewComment: expense.reviewComment,
+    ...extra,
+  };
+};
+
+export default {
+  POLICY_FIELDS,
+  POLICY_OPERATORS,
+  validateCondition,
+  evaluateCondition,
+  violatesPolicy,
+  getExpenseFacts,
+};
@@ -3,7 +3,17 @@ import { createObjectCsvWriter } from "csv-writer";
 import fs from "fs";
 import fsExtra from "fs-extra";
 import path from "path";
-import { formatCHF } from "./formatters.js";
+import {
+  formatCHF,
+  formatCurrency,
+  formatExpenseType,
+  formatVehicleType,
+} from "./formatters.js";
+import config from "../config/config.js";
+import { MILEAGE_EXPENSE_TYPE } from "../models/Expense.js";
+import { getStorageAdapter } from "./attachmentStorage.js";
+import { summarizeJourneys } from "./journeys.js";
+import { logger } from "./logger.js";
 
 // Ensure reports directory exists
 const REPORTS_DIR = path.join(process.cwd(), "reports");
@@ -13,6 +23,144 @@ fsExtra.ensureDirSync(REPORTS_DIR);
 const TEMP_DIR = path.join(REPORTS_DIR, "temp");
 fsExtra.ensureDirSync(TEMP_DIR);
 
+/**
+ * Check whether an expense is a mileage trip (as opposed to a flat amount)
+ * @param {Object} expense - Expense
+ * @returns {boolean}
+ */
+const isMileage = (expense) =>
+  (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE;
+
+/**
+ * Check whether an expense was paid in a currency other than the base currency
+ * @param {Object} expense - Expense
+ * @returns {boolean}
+ */
+const isForeignCurrency = (expense) =>
+  Boolean(expense.currency) && expense.currency !== config.baseCurrency;
+
+/**
+ * Sum the original amounts of foreign currency expenses per currency
+ * @param {Array} expenses - Expenses included in the report
+ * @returns {Array} - [{ currency, originalAmount, totalCost }]
+ */
+const summarizeForeignCurrencies = (expenses) => {
+  const totals = {};
+
+  expenses.filter(isForeignCurrency).forEach((expense) => {
+    if (!totals[expense.currency]) {
+      totals[expense.currency] = {
+        currency: expense.currency,
+        originalAmount: 0,
+        totalCost: 0,
+      };
+    }
+    totals[expense.currency].originalAmount += expense.originalAmount || 0;
+    totals[expense.currency].totalCost += expense.totalCost;
+  });
+
+  return Object.values(totals);
+};
+
+// Attachment types that can be drawn directly onto a PDF page
+const EMBEDDABLE_IMAGE_TYPES = ["image/jpeg", "image/png"];
+
+/**
+ * Load the contents of all expense attachments for the PDF appendix
+ * @param {Array} expenses - Expenses included in the report
+ * @returns {Promise<Array>} - Appendix entries with expense, attachment and file buffer
+ */
+const loadAttachmentAppendix = async (expenses) => {
+  const entries = [];
+
+  for (const expense of expenses) {
+    for (const attachment of expense.attachments || []) {
+      let buffer = null;
+
+      try {
+        buffer = await getStorageAdapter().read(attachment.storageKey);
+      } catch (error) {
+        logger.error(
+          `Error loading attachment ${attachment.storageKey} for PDF appendix: ${error.message}`
+        );
+      }
+
+      entries.push({ expense, attachment, buffer });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Render the attachment appendix at the end of a PDF report
+ * @param {Object} doc - PDFKit document
+ * @param {Array} appendix - Entries from loadAttachmentAppendix
+ */
+const renderAttachmentAppendix = (doc, appendix) => {
+  if (appendix.length === 0) {
+    return;
+  }
+
+  doc.addPage();
+  doc.fontSize(16).font("Helvetica-Bold").text("Appendix: Attachments", {
+    align: "center",
+  });
+  doc.font("Helvetica");
+  doc.moveDown();
+
+  appendix.forEach(({ expense, attachment, buffer }, index) => {
+    const journeyDate = new Date(expense.journeyDate).toLocaleDateString();
+    const caption = `A${index + 1}: ${
+      attachment.originalName
+    } (${journeyDate}, ${
+      isMileage(expense)
+        ? `${expense.startingPoint} - ${expense.destinationPoint}`
+        : formatExpenseType(expense.type)
+    })`;
+
+    if (!buffer) {
+      doc.fontSize(10).text(`${caption} - file not available`);
+      doc.moveDown(0.5);
+      return;
+    }
+
+    if (EMBEDDABLE_IMAGE_TYPES.includes(attachment.mimeType)) {
+      // Every receipt image gets its own page so it can be printed legibly
+      if (index > 0) {
+        doc.addPage();
+      }
+      doc.fontSize(12).text(caption);
+      doc.moveDown(0.5);
+      try {
+        doc.image(buffer, {
+          fit: [doc.page.width - 100, doc.page.height - 200],
+          align: "center",
+        });
+      } catch (error) {
+        // A corrupt receipt must not break the whole report
+        logger.error(
+          `Error embedding attachment ${attachment._id} of expense ${expense._id}: ${error.message}`
+        );
+        doc.fontSize(10).text(`${caption} - image could not be displayed`);
+        doc.moveDown(0.5);
+      }
+      return;
+    }
+
+    // Other documents (e.g. PDF receipts) are embedded as file attachments
+    doc.file(buffer, {
+      name: attachment.originalName,
+      type: attachment.mimeType,
+      description: caption,
+    });
+    doc
+      .fontSize(10)
+      .text(`${caption} - embedded as file attachment in this document`);
+    doc.moveDown(0.5);
+  });
+};
+
 /**
  * Generate a PDF report for expenses
  * @param {Object} data - Report data
@@ -27,6 +175,9 @@ export const generatePDFReport = async (data, user) => {
   const filename = `expense_report_${user._id}_${period.year}_${period.month}_${timestamp}.pdf`;
   const filePath = path.join(TEMP_DIR, filename);
 
+  // Receipts have to be read before the synchronous PDF rendering starts
+  const appendix = await loadAttachmentAppendix(expenses);
+
   return new Promise((resolve, reject) => {
     try {
       // Create a new PDF document
@@ -78,6 +229,46 @@ export const generatePDFReport = async (data, user) => {
         doc.text(`Pending Amount: ${formatCHF(reportData.pendingAmount)}`);
       }
 
+      // Show what was actually paid in other currencies
+      const foreignTotals = summarizeForeignCurrencies(expenses);
+      if (foreignTotals.length > 0) {
+        doc.text("Paid in foreign currencies:");
+        foreignTotals.forEach((total) => {
+          doc.text(
+            `  ${formatCurrency(
+              total.originalAmount,
+              total.currency
+            )} = ${formatCHF(total.totalCost)}`
+          );
+        });
+      }
+
+      // Multi-day journeys with the combined totals of their legs
+      const journeyTotals = summarizeJourneys(expenses);
+      if (journeyTotals.length > 0) {
+        doc.moveDown();
+        doc.fontSize(14).text("Journeys");
+        doc.fontSize(12);
+        journeyTotals.forEach((total) => {
+          const title = total.journey.title || "Journey";
+          doc.text(
+            `${title} (${new Date(
+              total.firstDate
+            ).toLocaleDateString()} - ${new Date(
+              total.lastDate
+            ).toLocaleDateString()}): ${
+              total.legs
+            } legs, ${total.totalDistance.toFixed(2)} km, ${formatCHF(
+              total.totalCost
+            )}`
+          );
+          if (total.journey.purpose) {
+            doc.fontSize(10).text(`  Purpose: ${total.journey.purpose}`);
+            doc.fontSize(12);
+          }
+        });
+      }
+
       if (reportData.comments) {
         doc.moveDown();
         doc.text(`Comments: ${reportData.comments}`);
@@ -156,25 +347,57 @@ export const generatePDFReport = async (data, user) => {
         });
         currentX += columnWidths[0];
 
-        doc.text(expense.startingPoint, currentX, currentY, {
-          width: columnWidths[1],
-          align: "left",
-        });
+        // Flat-amount expenses have no route, show their type instead
+        const mileage = isMileage(expense);
+
+        doc.text(
+          mileage ? expense.startingPoint : formatExpenseType(expense.type),
+          currentX,
+          currentY,
+          {
+            width: columnWidths[1],
+            align: "left",
+          }
+        );
         currentX += columnWidths[1];
 
-        doc.text(expense.destinationPoint, currentX, currentY, {
-          width: columnWidths[2],
-          align: "left",
-        });
+        // Round trips end where they started
+        doc.text(
+          mileage
+            ? `${expense.destinationPoint}${
+                expense.isRoundTrip ? " (round trip)" : ""
+              }`
+            : "-",
+          currentX,
+          currentY,
+          {
+            width: columnWidths[2],
+            align: "left",
+          }
+        );
         currentX += columnWidths[2];
 
-        doc.text(`${expense.distance.toFixed(2)} km`, currentX, currentY, {
-          width: columnWidths[3],
-          align: "left",
-        });
+        doc.text(
+          mileage ? `${expense.distance.toFixed(2)} km` : "-",
+          currentX,
+          currentY,
+          {
+            width: columnWidths[3],
+            align: "left",
+          }
+        );
         currentX += columnWidths[3];
 
-        doc.text(formatCHF(expense.totalCost), currentX, currentY, {
+        // Foreign currency expenses show the paid amount below the CHF amount
+        const foreign = isForeignCurrency(expense);
+        const cost = foreign
+          ? `${formatCHF(expense.totalCost)}\n${formatCurrency(
+              expense.originalAmount,
+              expense.currency
+            )}`
+          : formatCHF(expense.totalCost);
+
+        doc.text(cost, currentX, currentY, {
           width: columnWidths[4],
           align: "left",
         });
@@ -185,14 +408,19 @@ export const generatePDFReport = async (data, user) => {
           align: "left",
         });
 
+        const rowHeight = foreign ? 30 : 20;
+
         // Add a light gray background for every other row
         if (index % 2 === 1) {
-          doc.rect(doc.x, currentY - 5, tableWidth, 20).fill("#f6f6f6");
+          doc.rect(doc.x, currentY - 5, tableWidth, rowHeight).fill("#f6f6f6");
         }
 
-        currentY += 20;
+        currentY += rowHeight;
       });
 
+      // Add receipts and other uploaded files as an appendix
+      renderAttachmentAppendix(doc, appendix);
+
       // Add footer
       doc.fontSize(10);
       const footerY = doc.page.height - 50;
@@ -221,6 +449,26 @@ export const generatePDFReport = async (data, user) => {
   });
 };
 
+/**
+ * Describe how a manual distance compares with the calculated route
+ * @param {Object} distanceCheck - distanceCheck of an expense
+ * @returns {string} - e.g. "+35.2% vs 80.0 km calculated (overridden)"
+ */
+const formatDistanceCheck = (distanceCheck) => {
+  if (!distanceCheck || distanceCheck.expectedDistance === undefined) {
+    return "";
+  }
+
+  const { deviationPercent, expectedDistance, flagged, overrideComment } =
+    distanceCheck;
+  const sign = deviationPercent > 0 ? "+" : "";
+  const state = overrideComment ? " (overridden)" : flagged ? " (flagged)" : "";
+
+  return `${sign}${deviationPercent}% vs ${expectedDistance.toFixed(
+    1
+  )} km calculated${state}`;
+};
+
 /**
  * Generate a CSV report for expenses
  * @param {Object} data - Report data
@@ -240,13 +488,21 @@ export const generateCSVReport = async (data, user) => {
     path: filePath,
     header: [
       { id: "date", title: "Date" },
+      { id: "type", title: "Type" },
+      { id: "vehicle", title: "Vehicle" },
       { id: "from", title: "Starting Point" },
       { id: "to", title: "Destination" },
+      { id: "roundTrip", title: "Round Trip" },
       { id: "distance", title: "Distance (km)" },
+      { id: "distanceCheck", title: "Distance Check" },
       { id: "duration", title: "Duration" },
-      { id: "costPerKm", title: "Cost per km (CHF)" },
-      { id: "totalCost", title: "Total Cost (CHF)" },
+      { id: "costPerKm", title: "Cost per km" },
+      { id: "currency", title: "Currency" },
+      { id: "originalAmount", title: "Original Amount" },
+      { id: "exchangeRate", title: "Exchange Rate" },
+      { id: "totalCost", title: `Total Cost (${config.baseCurrency})` },
       { id: "category", title: "Category" },
+      { id: "journey", title: "Journey" },
       { id: "status", title: "Status" },
       { id: "notes", title: "Notes" },
     ],
@@ -255,13 +511,22 @@ export const generateCSVReport = async (data, user) => {
   // Format the expense data for CSV
   const csvData = expenses.map((expense) => ({
     date: new Date(expense.journeyDate).toLocaleDateString(),
-    from: expense.startingPoint,
-    to: expense.destinationPoint,
-    distance: expense.distance.toFixed(2),
+    type: formatExpenseType(expense.type),
+    vehicle: isMileage(expense) ? formatVehicleType(expense.vehicleType) : "",
+    from: expense.startingPoint || "",
+    to: expense.destinationPoint || "",
+    roundTrip: expense.isRoundTrip ? "Yes" : "",
+    distance: isMileage(expense) ? expense.distance.toFixed(2) : "",
+    distanceCheck: formatDistanceCheck(expense.distanceCheck),
     duration: expense.duration || "N/A",
-    costPerKm: expense.costPerKm.toFixed(2),
+    costPerKm: isMileage(expense) ? expense.costPerKm.toFixed(2) : "",
+    currency: expense.currency || config.baseCurrency,
+    originalAmount: (expense.originalAmount ?? expense.totalCost).toFixed(2),
+    exchangeRate: expense.exchangeRate || 1,
     totalCost: expense.totalCost.toFixed(2),
     category: expense.category ? expense.category.name : "N/A",
+    journey:
+      expense.journey && expense.journey.title ? expense.journey.title : "",
     status: expense.status,
     notes: expense.notes || "",
   }));
@@ -276,35 +541,29 @@ export const generateCSVReport = async (data, user) => {
 };
 
 /**
- * Clean up temporary report files older than the specified age
+ * Clean up temporary report files older than the specified age. Runs as a
+ * scheduled job, see utils/scheduledJobs.js.
  * @param {number} maxAgeHours - Maximum age in hours
+ * @returns {Promise<Object>} - { checked, removed }
  */
 export const cleanupOldReports = async (maxAgeHours = 24) => {
-  try {
-    const files = await fs.promises.readdir(TEMP_DIR);
-    const now = new Date().getTime();
-
-    for (const file of files) {
-      const filePath = path.join(TEMP_DIR, file);
-      const stats = await fs.promises.stat(filePath);
-      const fileAgeHours = (now - stats.mtime.getTime()) / (1000 * 60 * 60);
-
-      if (fileAgeHours > maxAgeHours) {
-        await fs.promises.unlink(filePath);
-      }
+  const files = await fs.promises.readdir(TEMP_DIR);
+  const now = new Date().getTime();
+  let removed = 0;
+
+  for (const file of files) {
+    const filePath = path.join(TEMP_DIR, file);
+    const stats = await fs.promises.stat(filePath);
+    const fileAgeHours = (now - stats.mtime.getTime()) / (1000 * 60 * 60);
+
+    if (fileAgeHours > maxAgeHours) {
+      await fs.promises.unlink(filePath);
+      removed += 1;
     }
-  } catch (error) {
-    console.error("Error cleaning up old reports:", error);
   }
-};
 
-// Schedule cleanup of old reports every 12 hours
-setInterval(() => {
-  cleanupOldReports();
-}, 12 * 60 * 60 * 1000);
-
-// Run cleanup on startup
-cleanupOldReports();
+  return { checked: files.length, removed };
+};
 
 export default {
   generatePDFReport,
@@ -0,0 +1,218 @@
+import Report from "../models/Report.js";
+import Setting from "../models/Setting.js";
+import User from "../models/User.js";
+import { generateMonthEndReports, syncReportTotals } from "./reportSync.js";
+import {
+  sendReportReminderEmail,
+  sendOverdueReportsEmail,
+} from "./emailService.js";
+import { notify } from "./notifications.js";
+import { logger } from "./logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Setting key the reminder cadence is stored under
+export const REPORT_REMINDERS_SETTING_KEY = "reportReminders";
+
+/**
+ * Cadence used until an admin configures one: remind the owner every few
+ * days after the month is closed, and tell the admins once the report is
+ * overdue
+ */
+export const DEFAULT_REPORT_REMINDERS = {
+  enabled: true,
+  intervalDays: 3,
+  escalateAfterDays: 10,
+};
+
+/**
+ * Validate a reminder cadence
+ * @param {Object} settings - { enabled, intervalDays, escalateAfterDays }
+ * @returns {string|null} - Error message or null if the settings are valid
+ */
+export const validateReportReminders = (settings) => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return "Reminder settings must be an object";
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== "boolean") {
+    return "Enabled must be true or false";
+  }
+
+  for (const field of ["intervalDays", "escalateAfterDays"]) {
+    if (
+      settings[field] !== undefined &&
+      (!Number.isInteger(settings[field]) || settings[field] < 1)
+    ) {
+      return `${field} must be a whole number of days of at least 1`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the configured reminder cadence, falling back to the default
+ * @returns {Promise<Object>} - { enabled, intervalDays, escalateAfterDays }
+ */
+export const getReportReminders = async () => {
+  const setting = await Setting.findOne({ key: REPORT_REMINDERS_SETTING_KEY });
+
+  if (!setting || validateReportReminders(setting.value)) {
+    return DEFAULT_REPORT_REMINDERS;
+  }
+
+  return { ...DEFAULT_REPORT_REMINDERS, ...setting.value };
+};
+
+const periodLabel = (report) =>
+  new Date(report.year, report.month - 1, 1).toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+
+/**
+ * Close the month before a date: complete every user's report with the
+ * month's expenses, recompute the totals of the remaining drafts and mark
+ * them as waiting for submission
+ * @param {Date} now - Any day of the month after the report month
+ * @returns {Promise<Object>} - { month, year, created, updated, skipped, closed }
+ */
+export const closeMonthEndReports = async (now = new Date()) => {
+  const result = await generateMonthEndReports(now);
+
+  const drafts = await Report.find({
+    month: result.month,
+    year: result.year,
+    status: "draft",
+    closedAt: null,
+  });
+
+  for (const report of drafts) {
+    report.closedAt = now;
+    await syncReportTotals(report);
+  }
+
+  return { ...result, closed: drafts.length };
+};
+
+/**
+ * Remind owners of closed draft reports to submit them before the
+ * deadline, at the configured cadence, and tell the admins about reports
+ * that stayed unsubmitted for too long. Reports without expenses need no
+ * submission.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { reminded, failed, escalated }
+ */
+export const sendReportReminders = async (now = new Date()) => {
+  const settings = await getReportReminders();
+  const result = { reminded: 0, failed: 0, escalated: 0 };
+
+  if (!settings.enabled) {
+    return { ...result, disabled: true };
+  }
+
+  const reports = await Report.find({
+    status: "draft",
+    closedAt: { $ne: null },
+    "expenses.0": { $exists: true },
+  }).populate("user", "name email status locale notificationPreferences");
+
+  const overdue = [];
+
+  for (const report of reports) {
+    if (!report.user || report.user.status === "inactive") {
+      continue;
+    }
+
+    const period = periodLabel(report);
+    const reminderDue =
+      !report.lastReminderAt ||
+      now - report.lastReminderAt >= settings.intervalDays * DAY_MS;
+
+    if (reminderDue) {
+      const deadline = new Date(
+        report.closedAt.getTime() + settings.escalateAfterDays * DAY_MS
+      );
+
+      try {
+        // In the app and/or by email, as the user prefers
+        await notify(
+          report.user,
+          "report.deadline",
+          {
+            title: `Submit your expense report for ${period}`,
+            message: `Your expense report for ${period} has not been submitted yet. Please submit it by ${deadline.toLocaleDateString(
+              "en-US",
+              { month: "long", day: "numeric", year: "numeric" }
+            )}.`,
+            link: `/reports/${report._id}`,
+            data: { report: report._id, deadline },
+          },
+          {
+            email: (user) => sendReportReminderEmail(user, report, deadline),
+          }
+        );
+        report.reminderCount += 1;
+        report.lastReminderAt = now;
+        await report.save();
+        result.reminded += 1;
+      } catch (error) {
+        // Tried again on the next run
+        logger.error(
+          `Error sending report reminder for report ${report._id}: ${error.message}`
+        );
+        result.failed += 1;
+      }
+    }
+
+    const daysOverdue = Math.floor((now - report.closedAt) / DAY_MS);
+    if (!report.escalatedAt && daysOverdue >= settings.escalateAfterDays) {
+      overdue.push({
+        report,
+        name: report.user.name,
+        email: report.user.email,
+        daysOverdue,
+      });
+    }
+  }
+
+  if (overdue.length === 0) {
+    return result;
+  }
+
+  const admins = await User.find({ role: "admin", status: "active" }).select(
+    "name email locale"
+  );
+  let notified = 0;
+
+  for (const admin of admins) {
+    try {
+      await sendOverdueReportsEmail(admin, overdue);
+      notified += 1;
+    } catch (error) {
+      logger.error(
+        `Error queuing overdue reports for ${admin.email}: ${error.message}`
+      );
+    }
+  }
+
+  // Escalate again on the next run if no email could be queued
+  if (notified > 0) {
+    for (const { report } of overdue) {
+      report.escalatedAt = now;
+      await report.save();
+    }
+    result.escalated = overdue.length;
+  }
+
+  return result;
+};
+
+export default {
+  REPORT_REMINDERS_SETTING_KEY,
+  DEFAULT_REPORT_REMINDERS,
+  validateReportReminders,
+  getReportReminders,
+  closeMonthEndReports,
+  sendReportReminders,
+};
@@ -0,0 +1,237 @@
+import Report from "../models/Report.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import ErrorResponse from "./errorResponse.js";
+
+// Expenses in reports with these statuses can't be changed until an admin reopens the report
+export const LOCKED_REPORT_STATUSES = ["submitted", "approved"];
+
+/**
+ * Get the monthly report period an expense belongs to
+ * @param {Date|string} journeyDate - Date of the expense
+ * @returns {Object} - { month, year }
+ */
+export const getReportPeriod = (journeyDate) => {
+  const date = new Date(journeyDate);
+  return { month: date.getMonth() + 1, year: date.getFullYear() };
+};
+
+/**
+ * Find the monthly report an expense belongs to
+ * @param {Object} expense - Expense document
+ * @returns {Promise<Object|null>} - Report or null
+ */
+export const findReportForExpense = async (expense) => {
+  const report = await Report.findOne({ expenses: expense._id });
+
+  if (report) {
+    return report;
+  }
+
+  // Expenses recorded before reports were kept in sync are matched by month
+  return Report.findOne({
+    user: expense.user,
+    ...getReportPeriod(expense.journeyDate),
+  });
+};
+
+/**
+ * Explain why new or moved expenses can't go into a user's monthly report
+ * @param {string} userId - Owner of the expense
+ * @param {Date|string} journeyDate - Date of the expense
+ * @returns {Promise<string|null>} - Reason, or null if the month is open
+ */
+export const getReportPeriodLockReason = async (userId, journeyDate) => {
+  const period = getReportPeriod(journeyDate);
+  const report = await Report.findOne({ user: userId, ...period });
+
+  if (report && LOCKED_REPORT_STATUSES.includes(report.status)) {
+    return `The report for ${period.month}/${period.year} is ${report.status}. An admin has to reopen it before its expenses can be changed.`;
+  }
+
+  return null;
+};
+
+/**
+ * Explain why an expense can't be changed
+ * @param {Object} expense - Expense document
+ * @returns {Promise<string|null>} - Reason, or null if the expense is not locked
+ */
+export const getExpenseLockReason = async (expense) => {
+  const report = await findReportForExpense(expense);
+
+  if (report && LOCKED_REPORT_STATUSES.includes(report.status)) {
+    return `This expense is part of a ${report.status} report for ${report.month}/${report.year}. An admin has to reopen the report before the expense can be changed.`;
+  }
+
+  return null;
+};
+
+/**
+ * Throw if an expense sits in a submitted or approved report
+ * @param {Object} expense - Expense document
+ * @throws {ErrorResponse} - 409 if the expense is locked
+ */
+export const assertExpenseUnlocked = async (expense) => {
+  const reason = await getExpenseLockReason(expense);
+
+  if (reason) {
+    throw new ErrorResponse(reason, 409);
+  }
+};
+
+/**
+ * Recalculate a report's totals from the expenses it contains
+ * @param {Object} report - Report document
+ * @returns {Promise<Object>} - The saved report
+ */
+export const syncReportTotals = async (report) => {
+  const expenses = await Expense.find({ _id: { $in: report.expenses } }).select(
+    "type distance totalCost"
+  );
+
+  const totalDistance = expenses
+    .filter(
+      (expense) =>
+        (expense.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE
+    )
+    .reduce((sum, expense) => sum + (expense.distance || 0), 0);
+  const totalExpenseAmount = expenses.reduce(
+    (sum, expense) => sum + expense.totalCost,
+    0
+  );
+
+  report.totalDistance = Math.round(totalDistance * 100) / 100;
+  report.totalExpenseAmount = Math.round(totalExpenseAmount * 100) / 100;
+  await report.recalculateAmounts();
+
+  return report.save();
+};
+
+/**
+ * Put an expense into the monthly report of its journey date, taking it
+ * out of any other report, and re-sync the totals of every report involved.
+ * The monthly report is created when it doesn't exist yet.
+ * @param {Object} expense - Saved expense document
+ * @returns {Promise<Object>} - The report the expense belongs to
+ */
+export const syncExpenseReport = async (expense) => {
+  const period = getReportPeriod(expense.journeyDate);
+
+  // The journey date may have moved the expense to another month
+  const previousReports = await Report.find({
+    expenses: expense._id,
+    $or: [{ month: { $ne: period.month } }, { year: { $ne: period.year } }],
+  });
+
+  for (const previousReport of previousReports) {
+    await removeExpenseFromReport(expense, previousReport);
+  }
+
+  let report = await Report.findOne({ user: expense.user, ...period });
+
+  if (!report) {
+    report = new Report({
+      user: expense.user,
+      ...period,
+      status: "draft",
+      expenses: [],
+    });
+  }
+
+  if (!report.expenses.some((id) => id.equals(expense._id))) {
+    report.expenses.push(expense._id);
+  }
+
+  return syncReportTotals(report);
+};
+
+/**
+ * Take an expense out of a report and re-sync its totals
+ * @param {Object} expense - Expense document (may already be deleted)
+ * @param {Object} report - Report document, looked up if not given
+ * @returns {Promise<void>}
+ */
+export const removeExpenseFromReport = async (expense, report = null) => {
+  const target = report || (await findReportForExpense(expense));
+
+  if (!target) {
+    return;
+  }
+
+  target.expenses = target.expenses.filter((id) => !id.equals(expense._id));
+  await syncReportTotals(target);
+};
+
+/**
+ * Make sure every user with expenses in the month before a date has a
+ * monthly report containing all of them, with up to date totals. Safe to
+ * run more than once; submitted and approved reports are left alone.
+ * @param {Date} now - Any day of the month after the report month
+ * @returns {Promise<Object>} - { month, year, created, updated, skipped }
+ */
+export const generateMonthEndReports = async (now = new Date()) => {
+  const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  const end = new Date(now.getFullYear(), now.getMonth(), 1);
+  const period = getReportPeriod(start);
+  const result = { ...period, created: 0, updated: 0, skipped: 0 };
+
+  // Drafts join the report when they are confirmed
+  const expenses = await Expense.find({
+    journeyDate: { $gte: start, $lt: end },
+    status: { $ne: DRAFT_EXPENSE_STATUS },
+  }).select("user");
+
+  const expensesByUser = new Map();
+  expenses.forEach((expense) => {
+    const userId = expense.user.toString();
+    if (!expensesByUser.has(userId)) expensesByUser.set(userId, []);
+    expensesByUser.get(userId).push(expense._id);
+  });
+
+  for (const [userId, expenseIds] of expensesByUser) {
+    let report = await Report.findOne({ user: userId, ...period });
+
+    if (report && LOCKED_REPORT_STATUSES.includes(report.status)) {
+      result.skipped += 1;
+      continue;
+    }
+
+    if (!report) {
+      report = new Report({
+        user: userId,
+        ...period,
+        status: "draft",
+        expenses: [],
+      });
+      result.created += 1;
+    } else {
+      result.updated += 1;
+    }
+
+    expenseIds.forEach((expenseId) => {
+      if (!report.expenses.some((id) => id.equals(expenseId))) {
+        report.expenses.push(expenseId);
+      }
+    });
+
+    await syncReportTotals(report);
+  }
+
+  return result;
+};
+
+export default {
+  LOCKED_REPORT_STATUSES,
+  getReportPeriod,
+  findReportForExpense,
+  getReportPeriodLockReason,
+  getExpenseLockReason,
+  assertExpenseUnlocked,
+  syncReportTotals,
+  syncExpenseReport,
+  removeExpenseFromReport,
+  generateMonthEndReports,
+};
@@ -0,0 +1,41 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Holds the request being handled so code without access to `req`
+// (e.g. model hooks) can tell who did something and in which request
+const requestContextStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function within the context of a request
+ * @param {Object} context - { requestId, req }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+export const runWithRequestContext = (context, fn) =>
+  requestContextStorage.run(context, fn);
+
+/**
+ * Get details of the request currently being handled
+ * @returns {Object|null} - { requestId, userId, userRole, method, path } or null outside a request
+ */
+export const getRequestContext = () => {
+  const context = requestContextStorage.getStore();
+
+  if (!context) {
+    return null;
+  }
+
+  const { req } = context;
+
+  return {
+    requestId: context.requestId,
+    userId: req.user ? req.user._id : null,
+    userRole: req.user ? req.user.role : null,
+    method: req.method,
+    path: req.originalUrl,
+  };
+};
+
+export default {
+  runWithRequestContext,
+  getRequestContext,
+};
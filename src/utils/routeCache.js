@@ -0,0 +1,153 @@
+import RouteCache, { ROUTE_CACHE_KINDS } from "../models/RouteCache.js";
+import config from "../config/config.js";
+import { logger } from "./logger.js";
+
+// Hits and misses since the server started, per kind of lookup
+const metrics = {
+  startedAt: new Date(),
+  ...Object.fromEntries(
+    ROUTE_CACHE_KINDS.map((kind) => [kind, { hits: 0, misses: 0 }])
+  ),
+};
+
+/**
+ * Build the cache key of a route. Waypoints keep their order and via points
+ * are marked, so different routes never share an entry.
+ * @param {string} originPlaceId - Origin place ID
+ * @param {string} destinationPlaceId - Destination place ID
+ * @param {Array} waypoints - Waypoints as place IDs or { placeId, stopover }
+ * @param {Object} options - { optimize, alternatives }
+ * @returns {string} - Cache key
+ */
+export const getRouteCacheKey = (
+  originPlaceId,
+  destinationPlaceId,
+  waypoints = [],
+  options = {}
+) => {
+  const stops = waypoints.map((waypoint) =>
+    typeof waypoint === "string"
+      ? waypoint
+      : `${waypoint.stopover === false ? "via:" : ""}${waypoint.placeId}`
+  );
+
+  return [
+    "route",
+    originPlaceId,
+    destinationPlaceId,
+    stops.join(","),
+    options.optimize === true ? "optimized" : "",
+    options.alternatives === true ? "alternatives" : "",
+  ].join("|");
+};
+
+/**
+ * Read a lookup through the cache: return the cached value while it is
+ * fresh, otherwise compute it and store the result. Estimates that were not
+ * calculated by a real routing service are never cached. Cache failures
+ * only cost the lookup, they never fail it.
+ * @param {string} kind - "place", "distance" or "route"
+ * @param {string} key - Cache key
+ * @param {Function} compute - Function doing the actual lookup
+ * @returns {Promise<Object>} - Cached or computed value
+ */
+export const readThroughRouteCache = async (kind, key, compute) => {
+  try {
+    const entry = await RouteCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    );
+
+    if (entry) {
+      metrics[kind].hits += 1;
+      return entry.value;
+    }
+  } catch (error) {
+    logger.warn(`Route cache lookup failed for ${key}: ${error.message}`);
+  }
+
+  metrics[kind].misses += 1;
+  const value = await compute();
+
+  if (value && !value.estimated) {
+    try {
+      await RouteCache.updateOne(
+        { key },
+        {
+          kind,
+          provider: value.provider,
+          value,
+          hits: 0,
+          expiresAt: new Date(
+            Date.now() + config.routeCacheTtlHours * 60 * 60 * 1000
+          ),
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.warn(`Route cache store failed for ${key}: ${error.message}`);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Get the hit/miss counters since the server started
+ * @returns {Object} - { startedAt, place, distance, route } with hit rates
+ */
+export const getRouteCacheMetrics = () => {
+  const result = { startedAt: metrics.startedAt };
+
+  ROUTE_CACHE_KINDS.forEach((kind) => {
+    const { hits, misses } = metrics[kind];
+    result[kind] = {
+      hits,
+      misses,
+      hitRate:
+        hits + misses > 0
+          ? Math.round((hits / (hits + misses)) * 1000) / 10
+          : 0,
+    };
+  });
+
+  return result;
+};
+
+/**
+ * Build the query selecting cache entries
+ * @param {Object} filter - { kind, placeId, expired }
+ * @returns {Object} - MongoDB query
+ */
+export const getRouteCacheQuery = ({ kind, placeId, expired } = {}) => {
+  const query = {};
+
+  if (kind) query.kind = kind;
+  if (typeof placeId === "string" && placeId) {
+    // Place IDs are whole segments of the key, routes may contain several
+    const escaped = placeId.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.key = new RegExp(`[|,:]${escaped}(\\||,|$)`);
+  }
+  if (expired === true) query.expiresAt = { $lte: new Date() };
+
+  return query;
+};
+
+/**
+ * Remove cache entries, e.g. after a road was closed or a place was moved
+ * @param {Object} filter - { kind, placeId, expired }, nothing purges all
+ * @returns {Promise<number>} - Number of removed entries
+ */
+export const purgeRouteCache = async (filter = {}) => {
+  const result = await RouteCache.deleteMany(getRouteCacheQuery(filter));
+  return result.deletedCount;
+};
+
+export default {
+  getRouteCacheKey,
+  readThroughRouteCache,
+  getRouteCacheMetrics,
+  getRouteCacheQuery,
+  purgeRouteCache,
+};
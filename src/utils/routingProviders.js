@@ -0,0 +1,613 @@
+import { Client } from "@googlemaps/google-maps-services-js";
+import Place from "../models/Place.js";
+import config from "../config/config.js";
+import { logger } from "./logger.js";
+
+/**
+ * Routing providers look up places and calculate driving routes between
+ * place IDs. Every provider implements the same interface:
+ *   - getPlacePredictions(input) => Promise<Array> ({ placeId, description })
+ *   - getPlaceDetails(placeId) => Promise<Object> ({ placeId, name, formattedAddress, location })
+ *   - calculateDistance(originPlaceId, destinationPlaceId) => Promise<Object>
+ *   - calculateRouteWithWaypoints(originPlaceId, destinationPlaceId, waypoints, options) => Promise<Object>
+ * Distances are returned in km (distanceValue) and durations in seconds
+ * (durationValue), legs use the Google Directions format (values in meters).
+ */
+
+/**
+ * Convert seconds to human-readable time format
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted time string
+ */
+export const convertSecondsToTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) {
+    return `${hours} hr ${minutes} min`;
+  }
+  return `${minutes} min`;
+};
+
+/**
+ * Get the place ID of a waypoint given as string or { placeId, stopover }
+ * @param {string|Object} waypoint - Waypoint
+ * @returns {string} - Place ID
+ */
+const getWaypointPlaceId = (waypoint) =>
+  typeof waypoint === "string" ? waypoint : waypoint.placeId;
+
+/**
+ * Remember the coordinates of a place for offline route estimates
+ * @param {Object} place - Place details from Google
+ * @returns {Promise<void>}
+ */
+const storePlace = async (place) => {
+  try {
+    await Place.updateOne(
+      { placeId: place.placeId },
+      {
+        name: place.name,
+        formattedAddress: place.formattedAddress,
+        location: { lat: place.location.lat, lng: place.location.lng },
+        source: "google",
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Storing is only a convenience, the lookup itself succeeded
+    logger.warn(`Could not store place ${place.placeId}: ${error.message}`);
+  }
+};
+
+/**
+ * Create a provider that uses the Google Maps APIs
+ * @param {string} apiKey - Google Maps API key
+ * @returns {Object} - Routing provider
+ */
+export const createGoogleRoutingProvider = (apiKey) => {
+  const client = new Client({});
+
+  const assertApiKey = () => {
+    if (!apiKey) {
+      throw new Error("Google Maps API key is missing");
+    }
+  };
+
+  const getPlaceDetails = async (placeId) => {
+    try {
+      assertApiKey();
+
+      const response = await client.placeDetails({
+        params: {
+          place_id: placeId,
+          key: apiKey,
+        },
+      });
+
+      if (response.data.status !== "OK") {
+        throw new Error(`Place details error: ${response.data.status}`);
+      }
+
+      const place = {
+        placeId: response.data.result.place_id,
+        name: response.data.result.name,
+        formattedAddress: response.data.result.formatted_address,
+        location: response.data.result.geometry.location,
+      };
+
+      await storePlace(place);
+
+      return place;
+    } catch (error) {
+      logger.error(`Error in place details: ${error.message}`);
+      throw error;
+    }
+  };
+
+  return {
+    name: "google",
+
+    getPlacePredictions: async (input) => {
+      try {
+        assertApiKey();
+
+        const response = await client.placeAutocomplete({
+          params: {
+            input,
+            key: apiKey,
+          },
+        });
+
+        if (response.data.status !== "OK") {
+          throw new Error(`Place autocomplete error: ${response.data.status}`);
+        }
+
+        return response.data.predictions.map((prediction) => ({
+          placeId: prediction.place_id,
+          description: prediction.description,
+        }));
+      } catch (error) {
+        logger.error(`Error in place predictions: ${error.message}`);
+        throw error;
+      }
+    },
+
+    getPlaceDetails,
+
+    calculateDistance: async (originPlaceId, destinationPlaceId) => {
+      try {
+        assertApiKey();
+
+        const response = await client.distancematrix({
+          params: {
+            origins: [`place_id:${originPlaceId}`],
+            destinations: [`place_id:${destinationPlaceId}`],
+            mode: "driving",
+            key: apiKey,
+          },
+        });
+
+        if (response.data.status !== "OK") {
+          throw new Error(`Distance matrix error: ${response.data.status}`);
+        }
+
+        const result = response.data.rows[0].elements[0];
+
+        if (result.status !== "OK") {
+          throw new Error(`Route calculation error: ${result.status}`);
+        }
+
+        // Get origin and destination details for better context
+        const originDetails = await getPlaceDetails(originPlaceId);
+        const destinationDetails = await getPlaceDetails(destinationPlaceId);
+
+        // Also get the directions to get polyline data
+        const directionsResponse = await client.directions({
+          params: {
+            origin: `place_id:${originPlaceId}`,
+            destination: `place_id:${destinationPlaceId}`,
+            mode: "driving",
+            key: apiKey,
+          },
+        });
+
+        let routePolyline = null;
+        let routeBounds = null;
+
+        if (directionsResponse.data.status === "OK") {
+          const route = directionsResponse.data.routes[0];
+          routePolyline = route.overview_polyline;
+          routeBounds = route.bounds;
+        }
+
+        return {
+          distanceText: result.distance.text,
+          distanceValue: result.distance.value / 1000, // Convert to kilometers
+          durationText: result.duration.text,
+          durationValue: result.duration.value, // Seconds
+          origin: originDetails,
+          destination: destinationDetails,
+          route: {
+            overview_polyline: routePolyline,
+            bounds: routeBounds,
+            legs:
+              directionsResponse.data.status === "OK"
+                ? directionsResponse.data.routes[0].legs
+                : null,
+          },
+        };
+      } catch (error) {
+        logger.error(`Error in distance calculation: ${error.message}`);
+        throw error;
+      }
+    },
+
+    calculateRouteWithWaypoints: async (
+      originPlaceId,
+      destinationPlaceId,
+      waypoints = [],
+      options = {}
+    ) => {
+      try {
+        assertApiKey();
+
+        // Get details for origin and destination
+        const originDetails = await getPlaceDetails(originPlaceId);
+        const destinationDetails = await getPlaceDetails(destinationPlaceId);
+
+        // Format waypoints for the API
+        const formattedWaypoints = [];
+        const waypointDetails = [];
+
+        // Process waypoints and collect details
+        for (const waypoint of waypoints) {
+          const waypointId = getWaypointPlaceId(waypoint);
+          // Format can be string or object, stopovers default to true
+          const isStopover =
+            typeof waypoint === "string" || waypoint.stopover !== false;
+
+          // Get details for each waypoint for better context
+          const details = await getPlaceDetails(waypointId);
+          waypointDetails.push(details);
+
+          // Format for Google Directions API
+          formattedWaypoints.push({
+            location: `place_id:${waypointId}`,
+            stopover: isStopover,
+          });
+        }
+
+        // Set up optimization setting
+        const optimize = options.optimize === true;
+
+        // Format waypoints for the Directions API in the required format
+        const waypointString = formattedWaypoints.map(
+          (wp) =>
+            `${wp.stopover ? "" : "via:"}place_id:${wp.location.replace(
+              "place_id:",
+              ""
+            )}`
+        );
+
+        // Make request to Directions API
+        const response = await client.directions({
+          params: {
+            origin: `place_id:${originPlaceId}`,
+            destination: `place_id:${destinationPlaceId}`,
+            waypoints: waypointString,
+            optimizeWaypoints: optimize,
+            mode: "driving",
+            alternatives: options.alternatives === true,
+            key: apiKey,
+          },
+        });
+
+        if (response.data.status !== "OK") {
+          throw new Error(`Directions error: ${response.data.status}`);
+        }
+
+        const route = response.data.routes[0];
+        let totalDistance = 0;
+        let totalDuration = 0;
+
+        // Create a structured legs array with more details
+        const detailedLegs = [];
+
+        route.legs.forEach((leg, index) => {
+          totalDistance += leg.distance.value;
+          totalDuration += leg.duration.value;
+
+          // Add additional context
+          let from = index === 0 ? originDetails : waypointDetails[index - 1];
+          let to =
+            index === route.legs.length - 1
+              ? destinationDetails
+              : waypointDetails[index];
+
+          detailedLegs.push({
+            ...leg,
+            from,
+            to,
+            index,
+          });
+        });
+
+        // Create waypoint order mapping if route was optimized
+        let waypointOrder = null;
+        if (
+          optimize &&
+          route.waypoint_order &&
+          route.waypoint_order.length > 0
+        ) {
+          waypointOrder = route.waypoint_order.map((index) => ({
+            originalIndex: index,
+            placeId: getWaypointPlaceId(waypoints[index]),
+            details: waypointDetails[index],
+          }));
+        }
+
+        // Create a more detailed response
+        return {
+          distanceText: `${(totalDistance / 1000).toFixed(1)} km`,
+          distanceValue: totalDistance / 1000, // Convert to kilometers
+          durationText: convertSecondsToTime(totalDuration),
+          durationValue: totalDuration, // Seconds
+          origin: originDetails,
+          destination: destinationDetails,
+          waypoints: waypointDetails,
+          legs: detailedLegs,
+          optimizedWaypointOrder: waypointOrder,
+          route: {
+            summary: route.summary,
+            overview_polyline: route.overview_polyline,
+            bounds: route.bounds,
+            warnings: route.warnings,
+            copyrights: route.copyrights,
+            legs: route.legs,
+          },
+          alternatives:
+            response.data.routes.length > 1
+              ? response.data.routes.slice(1).map((r) => ({
+                  summary: r.summary,
+                  overview_polyline: r.overview_polyline,
+                  bounds: r.bounds,
+                }))
+              : [],
+        };
+      } catch (error) {
+        logger.error(`Error in route calculation: ${error.message}`);
+        // Add more detailed error information
+        if (error.response) {
+          logger.error(
+            `Google Maps API error status: ${error.response.status}`
+          );
+          logger.error(
+            `Google Maps API error data: ${JSON.stringify(error.response.data)}`
+          );
+        } else if (error.request) {
+          logger.error("No response received from Google Maps API");
+        }
+
+        throw new Error(
+          `Route calculation failed: ${error.message || "Unknown error"}`
+        );
+      }
+    },
+  };
+};
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} - Distance in km
+ */
+export const haversineDistance = (from, to) => {
+  const EARTH_RADIUS_KM = 6371;
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Create a provider that estimates routes from stored place coordinates
+ * without any network access: straight-line distance times a detour factor,
+ * driven at an average speed
+ * @param {Object} options - { detourFactor, averageSpeedKmh }
+ * @returns {Object} - Routing provider
+ */
+export const createLocalRoutingProvider = ({
+  detourFactor = 1.3,
+  averageSpeedKmh = 60,
+} = {}) => {
+  const getPlaceDetails = async (placeId) => {
+    const place = await Place.findOne({ placeId });
+
+    if (!place) {
+      throw new Error(`No stored coordinates for place ${placeId}`);
+    }
+
+    return {
+      placeId: place.placeId,
+      name: place.name,
+      formattedAddress: place.formattedAddress,
+      location: { lat: place.location.lat, lng: place.location.lng },
+    };
+  };
+
+  // Build a leg in the Google Directions format
+  const estimateLeg = (from, to, index) => {
+    const distanceKm =
+      haversineDistance(from.location, to.location) * detourFactor;
+    const durationSeconds = Math.round((distanceKm / averageSpeedKmh) * 3600);
+
+    return {
+      distance: {
+        text: `${distanceKm.toFixed(1)} km`,
+        value: Math.round(distanceKm * 1000),
+      },
+      duration: {
+        text: convertSecondsToTime(durationSeconds),
+        value: durationSeconds,
+      },
+      start_address: from.formattedAddress,
+      end_address: to.formattedAddress,
+      start_location: from.location,
+      end_location: to.location,
+      from,
+      to,
+      index,
+    };
+  };
+
+  // Bounds of all points of the route
+  const getBounds = (places) => {
+    const lats = places.map((place) => place.location.lat);
+    const lngs = places.map((place) => place.location.lng);
+    return {
+      northeast: { lat: Math.max(...lats), lng: Math.max(...lngs) },
+      southwest: { lat: Math.min(...lats), lng: Math.min(...lngs) },
+    };
+  };
+
+  const warning = `Estimated from straight-line distance x ${detourFactor}`;
+
+  return {
+    name: "local",
+
+    getPlacePredictions: async (input) => {
+      if (typeof input !== "string" || !input.trim()) {
+        return [];
+      }
+
+      const pattern = new RegExp(
+        input.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i"
+      );
+      const places = await Place.find({
+        $or: [{ name: pattern }, { formattedAddress: pattern }],
+      })
+        .sort({ name: 1 })
+        .limit(5);
+
+      return places.map((place) => ({
+        placeId: place.placeId,
+        description: place.formattedAddress || place.name,
+      }));
+    },
+
+    getPlaceDetails,
+
+    calculateDistance: async (originPlaceId, destinationPlaceId) => {
+      const origin = await getPlaceDetails(originPlaceId);
+      const destination = await getPlaceDetails(destinationPlaceId);
+      const leg = estimateLeg(origin, destination, 0);
+
+      return {
+        distanceText: leg.distance.text,
+        distanceValue: leg.distance.value / 1000,
+        durationText: leg.duration.text,
+        durationValue: leg.duration.value,
+        origin,
+        destination,
+        estimated: true,
+        route: {
+          overview_polyline: null,
+          bounds: getBounds([origin, destination]),
+          warnings: [warning],
+          legs: [leg],
+        },
+      };
+    },
+
+    calculateRouteWithWaypoints: async (
+      originPlaceId,
+      destinationPlaceId,
+      waypoints = []
+    ) => {
+      const origin = await getPlaceDetails(originPlaceId);
+      const destination = await getPlaceDetails(destinationPlaceId);
+      const waypointDetails = [];
+
+      for (const waypoint of waypoints) {
+        waypointDetails.push(
+          await getPlaceDetails(getWaypointPlaceId(waypoint))
+        );
+      }
+
+      // Waypoints are visited in the given order, nothing is optimized
+      const stops = [origin, ...waypointDetails, destination];
+      const legs = stops
+        .slice(1)
+        .map((to, index) => estimateLeg(stops[index], to, index));
+
+      const totalDistance = legs.reduce(
+        (sum, leg) => sum + leg.distance.value,
+        0
+      );
+      const totalDuration = legs.reduce(
+        (sum, leg) => sum + leg.duration.value,
+        0
+      );
+
+      return {
+        distanceText: `${(totalDistance / 1000).toFixed(1)} km`,
+        distanceValue: totalDistance / 1000,
+        durationText: convertSecondsToTime(totalDuration),
+        durationValue: totalDuration,
+        origin,
+        destination,
+        waypoints: waypointDetails,
+        legs,
+        optimizedWaypointOrder: null,
+        estimated: true,
+        route: {
+          summary: "Estimated route",
+          overview_polyline: null,
+          bounds: getBounds(stops),
+          warnings: [warning],
+          copyrights: "",
+          legs,
+        },
+        alternatives: [],
+      };
+    },
+  };
+};
+
+// Registered provider factories, keyed by the name used in ROUTING_PROVIDER
+const providerFactories = {
+  google: () => createGoogleRoutingProvider(config.googleMapsApiKey),
+  local: () =>
+    createLocalRoutingProvider({
+      detourFactor: config.routingDetourFactor,
+      averageSpeedKmh: config.routingAverageSpeedKmh,
+    }),
+};
+
+const activeProviders = {};
+
+/**
+ * Register an additional routing provider factory (e.g. OSRM, HERE)
+ * @param {string} name - Provider name, matched against config.routingProvider
+ * @param {Function} factory - Function returning a routing provider
+ */
+export const registerRoutingProvider = (name, factory) => {
+  providerFactories[name] = factory;
+
+  // Drop the cached provider so the next lookup picks up the new factory
+  delete activeProviders[name];
+};
+
+/**
+ * Get a routing provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Routing provider
+ */
+export const getRoutingProvider = (name) => {
+  if (!activeProviders[name]) {
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown routing provider: ${name}`);
+    }
+
+    activeProviders[name] = factory();
+  }
+
+  return activeProviders[name];
+};
+
+/**
+ * Get the providers to try in order. "auto" uses Google when an API key is
+ * configured and falls back to the local estimate when Google fails.
+ * @returns {Array<Object>} - Routing providers
+ */
+export const getRoutingProviders = () => {
+  if (config.routingProvider !== "auto") {
+    return [getRoutingProvider(config.routingProvider)];
+  }
+
+  return config.googleMapsApiKey
+    ? [getRoutingProvider("google"), getRoutingProvider("local")]
+    : [getRoutingProvider("local")];
+};
+
+export default {
+  convertSecondsToTime,
+  haversineDistance,
+  createGoogleRoutingProvider,
+  createLocalRoutingProvider,
+  registerRoutingProvider,
+  getRoutingProvider,
+  getRoutingProviders,
+};
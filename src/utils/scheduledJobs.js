@@ -0,0 +1,76 @@
+import { registerJob } from "./jobScheduler.js";
+import { cleanupOldReports } from "./reportGenerator.js";
+import {
+  closeMonthEndReports,
+  sendReportReminders,
+} from "./reportReminders.js";
+import { recomputeBudgetUsage } from "./budgetUsage.js";
+import { generateRecurringExpenses } from "./tripTemplates.js";
+import { retryDueDeliveries } from "./webhooks.js";
+import { retryDueEmails } from "./emailService.js";
+
+/**
+ * Register the jobs the server runs periodically. Admins can change their
+ * interval or disable them through /api/v1/jobs.
+ */
+export const registerBuiltInJobs = () => {
+  registerJob({
+    name: "cleanup-temp-reports",
+    description: "Delete generated report files older than 24 hours",
+    intervalMinutes: 12 * 60,
+    handler: () => cleanupOldReports(24),
+  });
+
+  registerJob({
+    name: "month-end-reports",
+    description:
+      "Complete and close last month's report of every user with expenses in it",
+    intervalMinutes: 24 * 60,
+    lockMinutes: 60,
+    handler: ({ now }) => closeMonthEndReports(now),
+  });
+
+  registerJob({
+    name: "report-reminders",
+    description:
+      "Remind users to submit closed reports and escalate overdue ones to admins",
+    intervalMinutes: 24 * 60,
+    lockMinutes: 60,
+    handler: ({ now }) => sendReportReminders(now),
+  });
+
+  registerJob({
+    name: "recompute-budget-usage",
+    description: "Recompute the usage of the active budgets",
+    intervalMinutes: 60,
+    handler: () => recomputeBudgetUsage(),
+  });
+
+  registerJob({
+    name: "recurring-trips",
+    description: "Generate the drafts of recurring trip templates",
+    intervalMinutes: 60,
+    handler: async ({ now }) => {
+      const drafts = await generateRecurringExpenses(now);
+      return { drafts: drafts.length };
+    },
+  });
+
+  registerJob({
+    name: "webhook-retries",
+    description: "Retry webhook deliveries that failed and are due again",
+    intervalMinutes: 1,
+    handler: ({ now }) => retryDueDeliveries(now),
+  });
+
+  registerJob({
+    name: "email-outbox",
+    description: "Retry queued emails that failed and are due again",
+    intervalMinutes: 1,
+    handler: ({ now }) => retryDueEmails(now),
+  });
+};
+
+export default {
+  registerBuiltInJobs,
+};
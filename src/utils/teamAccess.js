@@ -0,0 +1,55 @@
+import User from "../models/User.js";
+
+// Roles that may see the reports and expenses of every user
+const UNRESTRICTED_ROLES = ["admin", "finance"];
+
+/**
+ * Get the IDs of the users whose reports and expenses a user may see.
+ * Managers see their own data and that of their team, everybody else
+ * below admin/finance only sees their own.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array|null>} - User IDs, or null if the user may see everybody
+ */
+export const getVisibleUserIds = async (user) => {
+  if (UNRESTRICTED_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  if (user.role === "manager") {
+    const teamMemberIds = await User.getTeamMemberIds(user._id);
+    return [user._id, ...teamMemberIds];
+  }
+
+  return [user._id];
+};
+
+/**
+ * Build a query filter restricting results to the users a user may see
+ * @param {Object} user - Authenticated user
+ * @param {string} field - Name of the user field in the queried collection
+ * @returns {Promise<Object>} - Filter to merge into a query
+ */
+export const getVisibleUserFilter = async (user, field = "user") => {
+  const userIds = await getVisibleUserIds(user);
+  return userIds ? { [field]: { $in: userIds } } : {};
+};
+
+/**
+ * Check whether a user may see the data of another user
+ * @param {Object} user - Authenticated user
+ * @param {string|Object} ownerId - ID of the user owning the data
+ * @returns {Promise<boolean>}
+ */
+export const canViewUserData = async (user, ownerId) => {
+  const userIds = await getVisibleUserIds(user);
+  return (
+    userIds === null ||
+    userIds.some((id) => id.toString() === ownerId.toString())
+  );
+};
+
+export default {
+  getVisibleUserIds,
+  getVisibleUserFilter,
+  canViewUserData,
+};
@@ -0,0 +1,185 @@
+import TripTemplate from "../models/TripTemplate.js";
+import Expense, {
+  MILEAGE_EXPENSE_TYPE,
+  DRAFT_EXPENSE_STATUS,
+} from "../models/Expense.js";
+import config from "../config/config.js";
+import { resolveCostPerKm } from "./mileageRates.js";
+import { logger } from "./logger.js";
+
+// Route fields a template shares with the expenses created from it
+export const TEMPLATE_ROUTE_FIELDS = [
+  "startingPoint",
+  "destinationPoint",
+  "startingPointPlaceId",
+  "destinationPointPlaceId",
+  "formattedStartingAddress",
+  "formattedDestinationAddress",
+  "waypoints",
+  "distance",
+  "duration",
+  "durationInSeconds",
+  "isCalculatedDistance",
+  "isRoundTrip",
+  "returnDistance",
+  "routeSnapshot",
+  "vehicleType",
+];
+
+/**
+ * Copy the route and category of a template into expense fields
+ * @param {Object} template - TripTemplate document (or expense to build a template from)
+ * @returns {Object} - Plain object with the route fields and category
+ */
+export const getTemplateExpenseFields = (template) => {
+  const fields = {
+    type: MILEAGE_EXPENSE_TYPE,
+    category: template.category,
+  };
+
+  TEMPLATE_ROUTE_FIELDS.forEach((field) => {
+    if (template[field] !== undefined) {
+      fields[field] =
+        field === "waypoints"
+          ? template.waypoints.map(
+              ({ placeId, description, formattedAddress }) => ({
+                placeId,
+                description,
+                formattedAddress,
+              })
+            )
+          : template[field];
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Get midnight (server time) of a day
+ * @param {Date|string} date - Any time of the day
+ * @returns {Date} - Start of the day
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Create the draft expense of a recurring trip for one day
+ * @param {Object} template - TripTemplate document
+ * @param {Date} day - Journey date of the draft
+ * @returns {Promise<Object|null>} - The draft, or null if the day already has one
+ */
+const createDraftFromTemplate = async (template, day) => {
+  // A previous run may have stopped before the template was saved
+  const exists = await Expense.exists({
+    tripTemplate: template._id,
+    journeyDate: day,
+  });
+
+  if (exists) {
+    return null;
+  }
+
+  const mileageRate = await resolveCostPerKm({
+    vehicleType: template.vehicleType,
+    journeyDate: day,
+  });
+
+  return Expense.create({
+    ...getTemplateExpenseFields(template),
+    user: template.user,
+    costPerKm: mileageRate.costPerKm,
+    mileageRate: mileageRate.mileageRate || undefined,
+    rateTiers: mileageRate.tiers,
+    currency: config.baseCurrency,
+    exchangeRate: 1,
+    exchangeRateDate: day,
+    totalCost: template.distance * mileageRate.costPerKm,
+    journeyDate: day,
+    notes: template.notes,
+    status: DRAFT_EXPENSE_STATUS,
+    tripTemplate: template._id,
+    createdBy: template.user,
+  });
+};
+
+/**
+ * Generate the drafts of a recurring template up to today. Days missed while
+ * the server was down are caught up, days before the schedule was enabled
+ * or while it was paused are not.
+ * @param {Object} template - TripTemplate document with an enabled schedule
+ * @param {Date} today - Start of the current day
+ * @returns {Promise<Array<Object>>} - Created drafts
+ */
+export const generateTemplateDrafts = async (template, today) => {
+  const { schedule } = template;
+  const drafts = [];
+
+  let day = new Date(today);
+  if (schedule.lastGeneratedFor) {
+    day = startOfDay(schedule.lastGeneratedFor);
+    day.setDate(day.getDate() + 1);
+  }
+  if (schedule.startDate && startOfDay(schedule.startDate) > day) {
+    day = startOfDay(schedule.startDate);
+  }
+
+  const lastDay =
+    schedule.endDate && startOfDay(schedule.endDate) < today
+      ? startOfDay(schedule.endDate)
+      : today;
+
+  for (; day <= lastDay; day.setDate(day.getDate() + 1)) {
+    if (schedule.daysOfWeek.includes(day.getDay())) {
+      const draft = await createDraftFromTemplate(template, new Date(day));
+      if (draft) {
+        drafts.push(draft);
+      }
+    }
+  }
+
+  if (!schedule.lastGeneratedFor || schedule.lastGeneratedFor < today) {
+    schedule.lastGeneratedFor = today;
+    await template.save();
+  }
+
+  return drafts;
+};
+
+/**
+ * Generate today's drafts for all recurring trip templates
+ * @param {Date} now - Current time
+ * @returns {Promise<Array<Object>>} - Created drafts
+ */
+export const generateRecurringExpenses = async (now = new Date()) => {
+  const today = startOfDay(now);
+  const templates = await TripTemplate.find({
+    "schedule.enabled": true,
+    "schedule.daysOfWeek.0": { $exists: true },
+  });
+
+  const drafts = [];
+
+  for (const template of templates) {
+    try {
+      drafts.push(...(await generateTemplateDrafts(template, today)));
+    } catch (error) {
+      // One broken template must not stop the others
+      logger.error(
+        `Error generating recurring trips for template ${template._id}: ${error.message}`
+      );
+    }
+  }
+
+  return drafts;
+};
+
+export default {
+  TEMPLATE_ROUTE_FIELDS,
+  getTemplateExpenseFields,
+  generateTemplateDrafts,
+  generateRecurringExpenses,
+};
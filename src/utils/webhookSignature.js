@@ -0,0 +1,74 @@
+import crypto from "crypto";
+
+// Header carrying the signature of a webhook delivery
+export const WEBHOOK_SIGNATURE_HEADER = "X-Webhook-Signature";
+
+// Signatures older than this are rejected by verifyWebhookSignature, so a
+// captured delivery can't be replayed by someone else much later
+export const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign the body of a webhook delivery. The signature covers the timestamp
+ * and the raw body: HMAC-SHA256 of "<timestamp>.<body>" with the secret.
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} - Header value "t=<timestamp>,v1=<hex signature>"
+ */
+export const signWebhookPayload = (
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check the signature header of a received webhook delivery
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body as received
+ * @param {string} header - Value of the signature header
+ * @param {number} now - Unix time in seconds
+ * @returns {boolean} - Whether the body was signed with the secret recently
+ */
+export const verifyWebhookSignature = (
+  secret,
+  body,
+  header,
+  now = Math.floor(Date.now() / 1000)
+) => {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (
+    !timestamp ||
+    !parts.v1 ||
+    Math.abs(now - timestamp) > WEBHOOK_SIGNATURE_TOLERANCE_SECONDS
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(secret, body, timestamp).split("v1=")[1]
+  );
+  const actual = Buffer.from(parts.v1);
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+export default {
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_SIGNATURE_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+};
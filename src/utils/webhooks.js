@@ -0,0 +1,203 @@
+import axios from "axios";
+import crypto from "crypto";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import config from "../config/config.js";
+import {
+  WEBHOOK_SIGNATURE_HEADER,
+  signWebhookPayload,
+} from "./webhookSignature.js";
+import { logger } from "./logger.js";
+
+// Longer responses are cut off in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+/**
+ * Generate the secret a webhook's deliveries are signed with
+ * @returns {string} - Random secret
+ */
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Get the delay before the next attempt of a delivery. It doubles with
+ * every failed attempt.
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  config.webhookRetryBaseSeconds * 1000 * 2 ** (attempts - 1);
+
+/**
+ * Send a delivery to its webhook once and record the outcome. Failed
+ * attempts are scheduled again until the maximum number of attempts.
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} options - { retry: false } to give up after this attempt
+ * @returns {Promise<Object>} - The saved delivery
+ */
+export const attemptDelivery = async (delivery, { retry = true } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  const startedAt = new Date();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = startedAt;
+
+  if (!webhook) {
+    delivery.status = "failed";
+    delivery.error = "Webhook no longer exists";
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ExpenseTracker-Webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(webhook.secret, body),
+      },
+      timeout: config.webhookTimeoutMs,
+      // Every status is recorded, only 2xx counts as delivered
+      validateStatus: () => true,
+      maxRedirects: 0,
+      transformResponse: [(data) => data],
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody =
+      typeof response.data === "string"
+        ? response.data.slice(0, MAX_RESPONSE_BODY_LENGTH)
+        : undefined;
+    delivery.error =
+      response.status >= 200 && response.status < 300
+        ? undefined
+        : `Target responded with status ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.message;
+  }
+
+  delivery.durationMs = new Date() - startedAt;
+
+  if (!delivery.error) {
+    delivery.status = "success";
+    delivery.nextAttemptAt = undefined;
+  } else if (!retry || delivery.attempts >= config.webhookMaxAttempts) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+    logger.warn(
+      `Webhook delivery ${delivery._id} to ${webhook.url} failed after ${delivery.attempts} attempts: ${delivery.error}`
+    );
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(
+      startedAt.getTime() + getRetryDelay(delivery.attempts)
+    );
+  }
+
+  return delivery.save();
+};
+
+/**
+ * Queue an event for every enabled webhook subscribed to it. The first
+ * attempt is made in the background so slow targets don't hold up the
+ * request; if it never finishes, the retry job picks the delivery up.
+ * @param {string} type - Webhook event, see WEBHOOK_EVENTS
+ * @param {Object} data - Event data, e.g. the expense or report
+ * @param {Object} options - { eventId, occurredAt } of the domain event
+ * @returns {Promise<Array<Object>>} - The queued deliveries
+ */
+export const dispatchWebhookEvent = async (
+  type,
+  data,
+  { eventId = crypto.randomUUID(), occurredAt = new Date() } = {}
+) => {
+  const webhooks = await Webhook.find({ enabled: true, events: type });
+
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  // Plain JSON, the same body for every webhook
+  const payload = JSON.parse(
+    JSON.stringify({ id: eventId, type, occurredAt, data })
+  );
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      event: type,
+      eventId,
+      payload,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(1)),
+    }))
+  );
+
+  deliveries.forEach((delivery) => {
+    attemptDelivery(delivery).catch((error) =>
+      logger.error(`Error delivering webhook ${delivery._id}: ${error.message}`)
+    );
+  });
+
+  return deliveries;
+};
+
+/**
+ * Send a stored delivery again as a new delivery, e.g. after the target
+ * was fixed
+ * @param {Object} delivery - WebhookDelivery to replay
+ * @param {Object} options - { replayedBy }
+ * @returns {Promise<Object>} - The new delivery
+ */
+export const replayDelivery = async (delivery, { replayedBy } = {}) => {
+  const replay = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    replayOf: delivery._id,
+    replayedBy,
+    // Attempted right away below, the retry job only picks the replay up
+    // once that attempt is overdue
+    nextAttemptAt: new Date(Date.now() + getRetryDelay(1)),
+  });
+
+  return attemptDelivery(replay);
+};
+
+/**
+ * Make the next attempt of the deliveries that are due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { attempted, delivered, failed }
+ */
+export const retryDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: now },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  const result = { attempted: due.length, delivered: 0, failed: 0 };
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+    if (delivery.status === "success") result.delivered += 1;
+    if (delivery.status === "failed") result.failed += 1;
+  }
+
+  return result;
+};
+
+export default {
+  generateWebhookSecret,
+  getRetryDelay,
+  attemptDelivery,
+  dispatchWebhookEvent,
+  replayDelivery,
+  retryDueDeliveries,
+};
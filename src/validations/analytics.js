@@ -0,0 +1,36 @@
+import { check } from "express-validator";
+
+export const analyticsUserValidation = [
+  check("userId").optional().isMongoId().withMessage("Invalid user ID"),
+];
+
+// Detector settings that can be overridden per request, with their range
+const ANOMALY_OPTION_RANGES = {
+  historyMonths: { min: 1, max: 60, integer: true },
+  minHistoryMonths: { min: 1, max: 60, integer: true },
+  zScoreThreshold: { min: 0.5, max: 10 },
+  regionFactor: { min: 1, max: 20 },
+  minRegionRadiusKm: { min: 0, max: 1000 },
+  minRegionPoints: { min: 1, max: 1000, integer: true },
+  thresholdMarginPercent: { min: 1, max: 50 },
+  minThresholdHits: { min: 1, max: 100, integer: true },
+};
+
+export const getAnomaliesValidation = [
+  check("minScore")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum score must be a positive number"),
+
+  ...Object.entries(ANOMALY_OPTION_RANGES).map(
+    ([option, { min, max, integer }]) =>
+      check(option)
+        .optional()
+        [integer ? "isInt" : "isFloat"]({ min, max })
+        .withMessage(
+          `${option} must be ${
+            integer ? "a whole number" : "a number"
+          } between ${min} and ${max}`
+        )
+  ),
+];
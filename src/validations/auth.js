@@ -1,4 +1,5 @@
 import { check } from "express-validator";
+import { USER_LOCALES } from "../models/User.js";
 
 export const registerValidation = [
   check("name")
@@ -21,15 +22,21 @@ export const registerValidation = [
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters"),
 
+  // Privileged roles are only assigned by admins through /users
   check("role")
     .optional()
-    .isIn(["admin", "sales_rep"])
-    .withMessage("Role must be either admin or sales_rep"),
+    .equals("sales_rep")
+    .withMessage("Only sales representatives can register themselves"),
 
   check("status")
     .optional()
     .isIn(["active", "inactive"])
     .withMessage("Status must be either active or inactive"),
+
+  check("locale")
+    .optional()
+    .isIn(USER_LOCALES)
+    .withMessage(`Locale must be one of: ${USER_LOCALES.join(", ")}`),
 ];
 
 export const loginValidation = [
@@ -86,4 +93,9 @@ export const updateProfileValidation = [
     .isEmail()
     .withMessage("Please provide a valid email address")
     .normalizeEmail(),
+
+  check("locale")
+    .optional()
+    .isIn(USER_LOCALES)
+    .withMessage(`Locale must be one of: ${USER_LOCALES.join(", ")}`),
 ];
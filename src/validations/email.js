@@ -0,0 +1,21 @@
+import { check } from "express-validator";
+import { USER_LOCALES } from "../models/User.js";
+
+export const previewEmailTemplateValidation = [
+  check("locale")
+    .optional()
+    .isIn(USER_LOCALES)
+    .withMessage(`Locale must be one of: ${USER_LOCALES.join(", ")}`),
+
+  check("format")
+    .optional()
+    .isIn(["json", "html", "text"])
+    .withMessage("Format must be json, html or text"),
+];
+
+export const getOutboxEmailsValidation = [
+  check("status")
+    .optional()
+    .isIn(["pending", "sent", "failed"])
+    .withMessage("Status must be pending, sent or failed"),
+];
@@ -1,4 +1,17 @@
 import { check, oneOf, body } from "express-validator";
+import {
+  EXPENSE_TYPES,
+  FLAT_EXPENSE_TYPES,
+  MILEAGE_EXPENSE_TYPE,
+} from "../models/Expense.js";
+import { VEHICLE_TYPES } from "../models/MileageRate.js";
+
+// Requests without a type are mileage expenses
+const isMileageRequest = (value, { req }) =>
+  (req.body.type || MILEAGE_EXPENSE_TYPE) === MILEAGE_EXPENSE_TYPE;
+
+const isFlatAmountRequest = (value, { req }) =>
+  FLAT_EXPENSE_TYPES.includes(req.body.type);
 
 export const createExpenseValidation = [
   check("category")
@@ -7,7 +20,14 @@ export const createExpenseValidation = [
     .isMongoId()
     .withMessage("Invalid category ID"),
 
+  check("type")
+    .optional()
+    .isIn(EXPENSE_TYPES)
+    .withMessage(`Type must be one of: ${EXPENSE_TYPES.join(", ")}`),
+
+  // Route fields are only required for mileage expenses
   check("startingPoint")
+    .if(isMileageRequest)
     .notEmpty()
     .withMessage("Starting point is required")
     .trim()
@@ -15,6 +35,7 @@ export const createExpenseValidation = [
     .withMessage("Starting point must be between 2 and 100 characters"),
 
   check("destinationPoint")
+    .if(isMileageRequest)
     .notEmpty()
     .withMessage("Destination point is required")
     .trim()
@@ -55,9 +76,11 @@ export const createExpenseValidation = [
     .isString()
     .withMessage("Waypoint place ID must be a string"),
 
-  // Conditionally require distance and costPerKm if place IDs aren't provided
+  // Flat-amount expenses need an amount, mileage expenses either place IDs
+  // for automatic calculation or a manual distance and costPerKm
   oneOf(
     [
+      [check("type").isIn(FLAT_EXPENSE_TYPES)],
       [
         check("startingPointPlaceId").exists(),
         check("destinationPointPlaceId").exists(),
@@ -80,6 +103,26 @@ export const createExpenseValidation = [
     "Either provide both place IDs for automatic calculation or manually enter distance and costPerKm"
   ),
 
+  check("currency")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+
+  check("vehicleType")
+    .optional()
+    .isIn(VEHICLE_TYPES)
+    .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`),
+
+  check("amount")
+    .if(isFlatAmountRequest)
+    .notEmpty()
+    .withMessage("Amount is required for this expense type")
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be a positive number")
+    .toFloat(),
+
   // Make these optional but still validate if provided
   check("distance")
     .optional()
@@ -103,11 +146,53 @@ export const createExpenseValidation = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage("Notes cannot be more than 1000 characters"),
+
+  check("tripTemplate")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid trip template ID"),
+
+  check("isRoundTrip")
+    .optional()
+    .isBoolean()
+    .withMessage("Round trip must be true or false")
+    .toBoolean(),
+
+  check("returnDistance")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Return distance must be a positive number")
+    .toFloat(),
+
+  check("journey").optional().isMongoId().withMessage("Invalid journey ID"),
 ];
 
 export const updateExpenseValidation = [
   check("category").optional().isMongoId().withMessage("Invalid category ID"),
 
+  check("type")
+    .optional()
+    .isIn(EXPENSE_TYPES)
+    .withMessage(`Type must be one of: ${EXPENSE_TYPES.join(", ")}`),
+
+  check("amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be a positive number")
+    .toFloat(),
+
+  check("currency")
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Currency must be a valid ISO 4217 code"),
+
+  check("vehicleType")
+    .optional()
+    .isIn(VEHICLE_TYPES)
+    .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`),
+
   check("startingPoint")
     .optional()
     .trim()
@@ -175,4 +260,61 @@ export const updateExpenseValidation = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage("Notes cannot be more than 1000 characters"),
+
+  check("isRoundTrip")
+    .optional()
+    .isBoolean()
+    .withMessage("Round trip must be true or false")
+    .toBoolean(),
+
+  // null takes the expense out of its journey
+  check("journey")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid journey ID"),
+];
+
+export const rejectExpenseValidation = [
+  check("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required when rejecting an expense")
+    .isLength({ max: 1000 })
+    .withMessage("Reason cannot be more than 1000 characters"),
+];
+
+// The override comment is required by the controller when a flagged
+// distance is approved, the comment by some approval policies
+export const approveExpenseValidation = [
+  check("comment")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Comment cannot be more than 1000 characters"),
+
+  check("overrideComment")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Override comment cannot be empty")
+    .isLength({ max: 1000 })
+    .withMessage("Override comment cannot be more than 1000 characters"),
+];
+
+const expenseIdsValidation = [
+  check("expenseIds")
+    .isArray({ min: 1 })
+    .withMessage("Please provide at least one expense ID"),
+
+  check("expenseIds.*").isMongoId().withMessage("Invalid expense ID"),
+];
+
+export const batchApproveExpensesValidation = [
+  ...expenseIdsValidation,
+  ...approveExpenseValidation,
+];
+
+export const batchRejectExpensesValidation = [
+  ...expenseIdsValidation,
+  ...rejectExpenseValidation,
 ];
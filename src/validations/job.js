@@ -0,0 +1,22 @@
+import { check } from "express-validator";
+
+export const updateJobValidation = [
+  check("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Enabled must be true or false")
+    .toBoolean(),
+
+  check("intervalMinutes")
+    .optional()
+    .isInt({ min: 1, max: 60 * 24 * 31 })
+    .withMessage("Interval must be between 1 minute and 31 days")
+    .toInt(),
+];
+
+export const getJobRunsValidation = [
+  check("status")
+    .optional()
+    .isIn(["running", "success", "failed"])
+    .withMessage("Status must be running, success or failed"),
+];
@@ -0,0 +1,80 @@
+import { check } from "express-validator";
+
+export const createJourneyValidation = [
+  check("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot be more than 100 characters"),
+
+  check("purpose")
+    .trim()
+    .notEmpty()
+    .withMessage("Business purpose is required")
+    .isLength({ max: 500 })
+    .withMessage("Purpose cannot be more than 500 characters"),
+
+  check("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+
+  check("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+
+  check("notes")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+
+  check("expenseIds")
+    .optional()
+    .isArray()
+    .withMessage("Expense IDs must be an array"),
+
+  check("expenseIds.*").isMongoId().withMessage("Invalid expense ID"),
+];
+
+export const updateJourneyValidation = [
+  check("title")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Title cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Title cannot be more than 100 characters"),
+
+  check("purpose")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Business purpose cannot be empty")
+    .isLength({ max: 500 })
+    .withMessage("Purpose cannot be more than 500 characters"),
+
+  check("startDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+
+  check("endDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+
+  check("notes")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
+
+export const journeyExpensesValidation = [
+  check("expenseIds")
+    .isArray({ min: 1 })
+    .withMessage("Please provide at least one expense ID"),
+
+  check("expenseIds.*").isMongoId().withMessage("Invalid expense ID"),
+];
@@ -0,0 +1,89 @@
+import { check } from "express-validator";
+import { VEHICLE_TYPES } from "../models/MileageRate.js";
+
+export const createMileageRateValidation = [
+  check("vehicleType")
+    .notEmpty()
+    .withMessage("Vehicle type is required")
+    .isIn(VEHICLE_TYPES)
+    .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`),
+
+  // A flat rate is only needed when the rate has no km bands
+  check("rate")
+    .if((value, { req }) => !Array.isArray(req.body.tiers))
+    .notEmpty()
+    .withMessage("Rate is required")
+    .isFloat({ min: 0 })
+    .withMessage("Rate must be a positive number")
+    .toFloat(),
+
+  check("tiers")
+    .optional({ values: "null" })
+    .isArray({ min: 1 })
+    .withMessage("Tiers must be a non-empty array of km bands"),
+
+  check("tiers.*.upToKm")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Band limit must be a positive number of km")
+    .toFloat(),
+
+  check("tiers.*.rate")
+    .notEmpty()
+    .withMessage("Band rate is required")
+    .isFloat({ min: 0 })
+    .withMessage("Band rate must be a positive number")
+    .toFloat(),
+
+  check("validFrom")
+    .notEmpty()
+    .withMessage("Valid from date is required")
+    .isISO8601()
+    .withMessage("Valid from must be a valid date"),
+
+  check("validTo")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Valid to must be a valid date"),
+];
+
+export const updateMileageRateValidation = [
+  check("vehicleType")
+    .optional()
+    .isIn(VEHICLE_TYPES)
+    .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`),
+
+  check("rate")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Rate must be a positive number")
+    .toFloat(),
+
+  check("tiers")
+    .optional({ values: "null" })
+    .isArray({ min: 1 })
+    .withMessage("Tiers must be a non-empty array of km bands"),
+
+  check("tiers.*.upToKm")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Band limit must be a positive number of km")
+    .toFloat(),
+
+  check("tiers.*.rate")
+    .notEmpty()
+    .withMessage("Band rate is required")
+    .isFloat({ min: 0 })
+    .withMessage("Band rate must be a positive number")
+    .toFloat(),
+
+  check("validFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("Valid from must be a valid date"),
+
+  check("validTo")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Valid to must be a valid date"),
+];
@@ -0,0 +1,26 @@
+import { check } from "express-validator";
+import { NOTIFICATION_TYPES } from "../models/Notification.js";
+
+export const getNotificationsValidation = [
+  check("unread")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Unread must be true or false"),
+
+  check("type")
+    .optional()
+    .isIn(Object.keys(NOTIFICATION_TYPES))
+    .withMessage(
+      `Type must be one of: ${Object.keys(NOTIFICATION_TYPES).join(", ")}`
+    ),
+
+  check("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  check("limit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Limit must be a positive integer"),
+];
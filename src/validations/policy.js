@@ -0,0 +1,99 @@
+import { check } from "express-validator";
+import { POLICY_STAGES } from "../models/Policy.js";
+import { EXPENSE_STATUSES } from "../models/Expense.js";
+
+// Fields a policy may leave out, the conditions themselves are checked by
+// the Policy model
+const policyOptionsValidation = [
+  check("when")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("When must be a condition object"),
+
+  check("severity")
+    .optional()
+    .isIn(["hard", "soft"])
+    .withMessage("Severity must be hard or soft"),
+
+  check("stage")
+    .optional()
+    .isIn(POLICY_STAGES)
+    .withMessage(`Stage must be one of: ${POLICY_STAGES.join(", ")}`),
+
+  check("message")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Message cannot be more than 500 characters"),
+
+  check("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Enabled must be true or false")
+    .toBoolean(),
+];
+
+export const createPolicyValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+
+  check("require")
+    .isObject()
+    .withMessage("Please add the condition expenses must meet"),
+
+  ...policyOptionsValidation,
+];
+
+export const updatePolicyValidation = [
+  check("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+
+  check("require")
+    .optional()
+    .isObject()
+    .withMessage("Require must be a condition object"),
+
+  ...policyOptionsValidation,
+];
+
+export const dryRunPolicyValidation = [
+  check("expense")
+    .isObject()
+    .withMessage("Please provide the proposed expense"),
+
+  check("expense.journeyDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Journey date must be a valid date"),
+
+  check("policy").optional().isObject().withMessage("Policy must be an object"),
+];
+
+export const scanPolicyValidation = [
+  check("status")
+    .optional()
+    .isString()
+    .withMessage("Status must be a comma separated list")
+    .custom((value) =>
+      value.split(",").every((status) => EXPENSE_STATUSES.includes(status))
+    )
+    .withMessage(`Status must be one of: ${EXPENSE_STATUSES.join(", ")}`),
+
+  check("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+
+  check("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+];
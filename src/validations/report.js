@@ -27,6 +27,15 @@ export const reportReimbursementValidation = [
     .withMessage("Comments cannot be more than 1000 characters"),
 ];
 
+export const reopenReportValidation = [
+  check("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required when reopening a report")
+    .isLength({ max: 1000 })
+    .withMessage("Reason cannot be more than 1000 characters"),
+];
+
 export const createReportValidation = [
   check("month")
     .notEmpty()
@@ -0,0 +1,107 @@
+import { check } from "express-validator";
+import { VEHICLE_TYPES } from "../models/MileageRate.js";
+
+// Route and schedule fields are the same on create and update
+const tripTemplateFieldValidation = (optional) => {
+  // A template made from an expense takes its route from there
+  const required = (field, message) =>
+    optional
+      ? check(field).optional()
+      : check(field)
+          .if((value, { req }) => !req.body.fromExpense)
+          .notEmpty()
+          .withMessage(message);
+
+  return [
+    required("name", "Name is required")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+
+    required("category", "Category is required")
+      .isMongoId()
+      .withMessage("Invalid category ID"),
+
+    required("startingPoint", "Starting point is required")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Starting point must be between 2 and 100 characters"),
+
+    required("destinationPoint", "Destination point is required")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Destination point must be between 2 and 100 characters"),
+
+    required("distance", "Distance is required")
+      .isFloat({ min: 0.1 })
+      .withMessage("Distance must be a positive number")
+      .toFloat(),
+
+    check("waypoints")
+      .optional()
+      .isArray()
+      .withMessage("Waypoints must be an array"),
+
+    check("waypoints.*.placeId")
+      .optional()
+      .isString()
+      .withMessage("Waypoint place ID must be a string"),
+
+    check("vehicleType")
+      .optional()
+      .isIn(VEHICLE_TYPES)
+      .withMessage(`Vehicle type must be one of: ${VEHICLE_TYPES.join(", ")}`),
+
+    check("notes")
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage("Notes cannot be more than 1000 characters"),
+
+    check("schedule.enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("Schedule enabled must be true or false")
+      .toBoolean(),
+
+    check("schedule.daysOfWeek")
+      .optional()
+      .isArray()
+      .withMessage("Days of week must be an array"),
+
+    check("schedule.daysOfWeek.*")
+      .isInt({ min: 0, max: 6 })
+      .withMessage("Days of week must be between 0 (Sunday) and 6 (Saturday)")
+      .toInt(),
+
+    check("schedule.startDate")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Schedule start date must be a valid date"),
+
+    check("schedule.endDate")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Schedule end date must be a valid date"),
+  ];
+};
+
+export const createTripTemplateValidation = [
+  check("fromExpense").optional().isMongoId().withMessage("Invalid expense ID"),
+  ...tripTemplateFieldValidation(false),
+];
+
+export const updateTripTemplateValidation = tripTemplateFieldValidation(true);
+
+export const createExpenseFromTemplateValidation = [
+  check("journeyDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Journey date must be a valid date"),
+
+  check("category").optional().isMongoId().withMessage("Invalid category ID"),
+
+  check("notes")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Notes cannot be more than 1000 characters"),
+];
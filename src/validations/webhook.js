@@ -0,0 +1,68 @@
+import { check } from "express-validator";
+import { WEBHOOK_EVENTS } from "../models/Webhook.js";
+
+// Fields a webhook may leave out on create and update
+const webhookOptionsValidation = [
+  check("description")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+
+  check("events.*")
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be any of: ${WEBHOOK_EVENTS.join(", ")}`),
+
+  check("enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Enabled must be true or false")
+    .toBoolean(),
+];
+
+export const createWebhookValidation = [
+  check("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+
+  check("url")
+    .isURL({ protocols: ["http", "https"], require_tld: false })
+    .withMessage("URL must be a valid http(s) URL"),
+
+  check("events")
+    .isArray({ min: 1 })
+    .withMessage("Please choose at least one event"),
+
+  ...webhookOptionsValidation,
+];
+
+export const updateWebhookValidation = [
+  check("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Name cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+
+  check("url")
+    .optional()
+    .isURL({ protocols: ["http", "https"], require_tld: false })
+    .withMessage("URL must be a valid http(s) URL"),
+
+  check("events")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Please choose at least one event"),
+
+  ...webhookOptionsValidation,
+];
+
+export const getWebhookDeliveriesValidation = [
+  check("status")
+    .optional()
+    .isIn(["pending", "success", "failed"])
+    .withMessage("Status must be pending, success or failed"),
+];
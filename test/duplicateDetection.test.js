@@ -0,0 +1,123 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import config from "../src/config/config.js";
+import { classifyDuplicate } from "../src/utils/duplicateDetection.js";
+
+const trip = {
+  type: "mileage",
+  startingPointPlaceId: "place-zurich",
+  destinationPointPlaceId: "place-bern",
+  distance: 125,
+  journeyDate: new Date(2025, 2, 10, 12),
+};
+
+const meal = {
+  type: "meal",
+  amount: 42.5,
+  currency: "EUR",
+  journeyDate: new Date(2025, 2, 10, 12),
+};
+
+describe("classifyDuplicate", () => {
+  it("finds the same trip on the same day", () => {
+    assert.deepEqual(classifyDuplicate(trip, { ...trip }), {
+      match: "exact",
+      reasons: ["same day", "same route", "same distance"],
+    });
+  });
+
+  it("finds a trip with a slightly different distance", () => {
+    assert.deepEqual(classifyDuplicate(trip, { ...trip, distance: 130 }), {
+      match: "near",
+      reasons: ["same day", "same route", "similar distance"],
+    });
+  });
+
+  it("finds the same trip a day apart", () => {
+    assert.deepEqual(
+      classifyDuplicate(trip, {
+        ...trip,
+        journeyDate: new Date(2025, 2, 11, 12),
+      }),
+      {
+        match: "near",
+        reasons: ["1 day(s) apart", "same route", "same distance"],
+      }
+    );
+  });
+
+  it("does not flag the trip back", () => {
+    assert.equal(
+      classifyDuplicate(trip, {
+        ...trip,
+        startingPointPlaceId: trip.destinationPointPlaceId,
+        destinationPointPlaceId: trip.startingPointPlaceId,
+      }),
+      null
+    );
+  });
+
+  it("does not flag trips differing in both day and distance", () => {
+    assert.equal(
+      classifyDuplicate(trip, {
+        ...trip,
+        distance: 130,
+        journeyDate: new Date(2025, 2, 11, 12),
+      }),
+      null
+    );
+  });
+
+  it("does not flag trips outside the date window", () => {
+    const later = new Date(trip.journeyDate);
+    later.setDate(later.getDate() + config.duplicateDateWindowDays + 1);
+
+    assert.equal(
+      classifyDuplicate(trip, { ...trip, journeyDate: later }),
+      null
+    );
+  });
+
+  it("compares the route by address without place IDs", () => {
+    const entered = {
+      ...trip,
+      startingPointPlaceId: undefined,
+      destinationPointPlaceId: undefined,
+      startingPoint: "Bahnhofstrasse 1, Zürich",
+      destinationPoint: "Bundesplatz 3, Bern",
+    };
+
+    assert.equal(
+      classifyDuplicate(entered, {
+        ...entered,
+        startingPoint: " bahnhofstrasse 1, zürich ",
+      }).match,
+      "exact"
+    );
+  });
+
+  it("compares flat expenses by type and amount", () => {
+    assert.deepEqual(classifyDuplicate(meal, { ...meal }), {
+      match: "exact",
+      reasons: ["same day", "same type (meal)", "same amount"],
+    });
+    assert.equal(classifyDuplicate(meal, { ...meal, type: "lodging" }), null);
+  });
+
+  it("does not compare amounts in different currencies", () => {
+    assert.equal(classifyDuplicate(meal, { ...meal, currency: "USD" }), null);
+  });
+
+  it("treats expenses without a currency as the base currency", () => {
+    const local = { ...meal, currency: config.baseCurrency };
+
+    assert.equal(
+      classifyDuplicate(local, { ...meal, currency: undefined }).match,
+      "exact"
+    );
+    assert.equal(
+      classifyDuplicate(meal, { ...meal, currency: undefined }),
+      null
+    );
+  });
+});
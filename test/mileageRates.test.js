@@ -0,0 +1,97 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Expense from "../src/models/Expense.js";
+import {
+  applyRateTiers,
+  buildRateBreakdown,
+} from "../src/utils/mileageRates.js";
+
+const tiers = [
+  { upToKm: 5000, rate: 0.7 },
+  { upToKm: null, rate: 0.5 },
+];
+
+const tripOf = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  type: "mileage",
+  vehicleType: "car",
+  rateTiers: tiers,
+  journeyDate: new Date("2025-01-01T00:30:00Z"),
+  ...fields,
+});
+
+describe("buildRateBreakdown", () => {
+  it("splits a trip over the bands it falls into", () => {
+    assert.deepEqual(buildRateBreakdown(tiers, 4800, 300), [
+      { fromKm: 4800, toKm: 5000, distance: 200, rate: 0.7, amount: 140 },
+      { fromKm: 5000, toKm: 5100, distance: 100, rate: 0.5, amount: 50 },
+    ]);
+  });
+
+  it("puts everything past the last limit into the last band", () => {
+    assert.deepEqual(
+      buildRateBreakdown([{ upToKm: 100, rate: 0.7 }], 0, 150).map(
+        (band) => band.distance
+      ),
+      [150]
+    );
+  });
+});
+
+describe("applyRateTiers", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("prices a trip from the distance driven earlier in the year", async () => {
+    const aggregate = mock.method(Expense, "aggregate", async () => [
+      { _id: null, distance: 4000 },
+    ]);
+    const trip = tripOf({ distance: 2000 });
+
+    await applyRateTiers(trip);
+
+    assert.equal(trip.ytdDistanceBefore, 4000);
+    assert.deepEqual(
+      trip.rateBreakdown.map(({ distance, rate }) => ({ distance, rate })),
+      [
+        { distance: 1000, rate: 0.7 },
+        { distance: 1000, rate: 0.5 },
+      ]
+    );
+    assert.equal(trip.costPerKm, 0.6);
+
+    // Only confirmed, not rejected trips of the same calendar year count
+    const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(match.status, { $nin: ["rejected", "draft"] });
+    assert.deepEqual(match.journeyDate, {
+      $gte: new Date("2025-01-01T00:00:00Z"),
+      $lt: new Date("2026-01-01T00:00:00Z"),
+    });
+  });
+
+  it("starts in the first band without earlier trips", async () => {
+    mock.method(Expense, "aggregate", async () => []);
+    const trip = tripOf({ distance: 100 });
+
+    await applyRateTiers(trip);
+
+    assert.equal(trip.ytdDistanceBefore, 0);
+    assert.equal(trip.costPerKm, 0.7);
+  });
+
+  it("clears the breakdown of expenses without bands", async () => {
+    const aggregate = mock.method(Expense, "aggregate", async () => []);
+    const meal = tripOf({
+      type: "meal",
+      rateBreakdown: [{ fromKm: 0 }],
+      ytdDistanceBefore: 10,
+    });
+
+    await applyRateTiers(meal);
+
+    assert.equal(meal.rateBreakdown, undefined);
+    assert.equal(meal.ytdDistanceBefore, undefined);
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+});
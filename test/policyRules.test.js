@@ -0,0 +1,203 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  evaluateCondition,
+  validateCondition,
+  violatesPolicy,
+} from "../src/utils/policyRules.js";
+
+const facts = {
+  type: "mileage",
+  category: "Client visit",
+  distance: 320,
+  totalCost: 224,
+  currency: "CHF",
+  isRoundTrip: true,
+  notes: "Visit at ACME",
+  attachments: 0,
+  weekday: 6,
+  reviewComment: "",
+};
+
+describe("validateCondition", () => {
+  it("accepts comparisons and combinations", () => {
+    assert.equal(
+      validateCondition({
+        all: [
+          { field: "distance", op: "gt", value: 300 },
+          { not: { field: "category", op: "in", value: ["Training"] } },
+          {
+            any: [
+              { field: "notes", op: "minLength", value: 10 },
+              { field: "attachments", op: "gte", value: 1 },
+            ],
+          },
+        ],
+      }),
+      null
+    );
+  });
+
+  it("rejects unknown fields and operators", () => {
+    assert.match(
+      validateCondition({ field: "mood", op: "eq", value: "good" }),
+      /condition\.field must be one of/
+    );
+    assert.match(
+      validateCondition({ field: "distance", op: "like", value: 1 }),
+      /condition\.op must be one of/
+    );
+  });
+
+  it("rejects operators that don't fit the field type", () => {
+    assert.equal(
+      validateCondition({ field: "notes", op: "gt", value: 3 }),
+      "condition.op gt can't be used on notes"
+    );
+  });
+
+  it("checks the value against the field type", () => {
+    assert.equal(
+      validateCondition({ field: "distance", op: "gt", value: "300" }),
+      "condition.value must be a number"
+    );
+    assert.equal(
+      validateCondition({ field: "currency", op: "in", value: [] }),
+      "condition.value must be a non-empty array of strings"
+    );
+    assert.equal(
+      validateCondition({ field: "notes", op: "matches", value: "(" }),
+      "condition.value is not a valid regular expression"
+    );
+  });
+
+  it("reports the path of a nested error", () => {
+    assert.equal(
+      validateCondition(
+        { any: [{ field: "distance", op: "gt", value: 1 }, { all: [] }] },
+        "require"
+      ),
+      "require.any[1].all must be a non-empty array of conditions"
+    );
+  });
+
+  it("rejects conditions nested too deeply", () => {
+    let condition = { field: "distance", op: "gt", value: 1 };
+    for (let i = 0; i < 11; i += 1) {
+      condition = { not: condition };
+    }
+
+    assert.match(validateCondition(condition), /nested more than 10 levels/);
+  });
+});
+
+describe("evaluateCondition", () => {
+  it("compares fields", () => {
+    assert.equal(
+      evaluateCondition({ field: "distance", op: "gt", value: 300 }, facts),
+      true
+    );
+    assert.equal(
+      evaluateCondition({ field: "distance", op: "lte", value: 300 }, facts),
+      false
+    );
+    assert.equal(
+      evaluateCondition({ field: "currency", op: "eq", value: "CHF" }, facts),
+      true
+    );
+    assert.equal(
+      evaluateCondition(
+        { field: "category", op: "nin", value: ["Training"] },
+        facts
+      ),
+      true
+    );
+  });
+
+  it("treats empty values as not set", () => {
+    assert.equal(
+      evaluateCondition(
+        { field: "reviewComment", op: "exists", value: false },
+        facts
+      ),
+      true
+    );
+    assert.equal(
+      evaluateCondition({ field: "amount", op: "lt", value: 100 }, facts),
+      false
+    );
+  });
+
+  it("matches text case-insensitively", () => {
+    assert.equal(
+      evaluateCondition(
+        { field: "notes", op: "matches", value: "acme" },
+        facts
+      ),
+      true
+    );
+    assert.equal(
+      evaluateCondition({ field: "notes", op: "minLength", value: 20 }, facts),
+      false
+    );
+  });
+
+  it("combines conditions", () => {
+    const weekendTrip = {
+      all: [
+        { field: "weekday", op: "in", value: [0, 6] },
+        { not: { field: "isRoundTrip", op: "eq", value: false } },
+      ],
+    };
+
+    assert.equal(evaluateCondition(weekendTrip, facts), true);
+    assert.equal(
+      evaluateCondition(weekendTrip, { ...facts, weekday: 2 }),
+      false
+    );
+    assert.equal(
+      evaluateCondition(
+        {
+          any: [
+            { field: "attachments", op: "gte", value: 1 },
+            { field: "totalCost", op: "lt", value: 100 },
+          ],
+        },
+        facts
+      ),
+      false
+    );
+  });
+});
+
+describe("violatesPolicy", () => {
+  const policy = {
+    when: { field: "distance", op: "gt", value: 300 },
+    require: { field: "notes", op: "minLength", value: 20 },
+  };
+
+  it("is violated when the policy applies and is not met", () => {
+    assert.equal(violatesPolicy(policy, facts), true);
+  });
+
+  it("is not violated when the requirement is met", () => {
+    assert.equal(
+      violatesPolicy(policy, {
+        ...facts,
+        notes: "Workshop at the ACME plant in Basel",
+      }),
+      false
+    );
+  });
+
+  it("only applies to expenses matching its when condition", () => {
+    assert.equal(violatesPolicy(policy, { ...facts, distance: 120 }), false);
+  });
+
+  it("applies to every expense without a when condition", () => {
+    assert.equal(
+      violatesPolicy({ require: policy.require }, { ...facts, distance: 120 }),
+      true
+    );
+  });
+});
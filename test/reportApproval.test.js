@@ -0,0 +1,197 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Report from "../src/models/Report.js";
+import Expense from "../src/models/Expense.js";
+import Policy from "../src/models/Policy.js";
+import { updateReportStatus } from "../src/controllers/reports.js";
+
+const admin = { id: new mongoose.Types.ObjectId().toString(), role: "admin" };
+const finance = {
+  id: new mongoose.Types.ObjectId().toString(),
+  role: "finance",
+};
+
+let report;
+let expenses;
+let policies;
+
+const expenseOf = (fields) => {
+  const expense = new Expense({
+    type: "meal",
+    amount: fields.totalCost,
+    ...fields,
+  });
+  mock.method(expense, "save", async () => expense);
+  return expense;
+};
+
+// Awaitable like a query, with the select used by recalculateAmounts
+const queryOf = (result) =>
+  Object.assign(Promise.resolve(result), { select: async () => result });
+
+/**
+ * Call updateReportStatus like the router does
+ * @param {Object} user - Signed in user
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - { status, body } of the response or { error }
+ */
+const updateStatus = (user, body) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status(status) {
+        return {
+          json: (json) => resolve({ status, body: json }),
+        };
+      },
+    };
+    updateReportStatus(
+      { params: { id: report._id.toString() }, user, body: { ...body } },
+      res,
+      (error) => (error ? resolve({ error }) : reject(new Error("next()")))
+    );
+  });
+
+describe("updateReportStatus approval flow", () => {
+  beforeEach(() => {
+    expenses = [
+      expenseOf({ totalCost: 100, status: "pending" }),
+      expenseOf({ totalCost: 50, status: "approved" }),
+      expenseOf({ totalCost: 30, status: "rejected" }),
+    ];
+    report = new Report({
+      user: new mongoose.Types.ObjectId(),
+      month: 3,
+      year: 2025,
+      status: "submitted",
+      expenses: expenses.map((expense) => expense._id),
+      totalExpenseAmount: 180,
+      pendingAmount: 100,
+    });
+    policies = [];
+
+    mock.method(report, "save", async () => report);
+    mock.method(Report, "findById", async () => report);
+    mock.method(Report, "findByIdAndUpdate", async (id, update) => {
+      report = new Report({ ...report.toObject(), ...update });
+      return report;
+    });
+    mock.method(Expense, "find", (query) =>
+      queryOf(
+        expenses.filter(
+          (expense) => !query.status || expense.status === query.status
+        )
+      )
+    );
+    mock.method(Policy, "find", async () => policies);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("approves the pending lines and reimburses the approved ones", async () => {
+    const { status, body } = await updateStatus(admin, {
+      status: "approved",
+      comments: "Thanks",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, "approved");
+    assert.equal(expenses[0].status, "approved");
+    assert.equal(expenses[0].reviewComment, "Thanks");
+    assert.equal(expenses[2].status, "rejected");
+    assert.equal(body.data.reimbursedAmount, 150);
+    assert.equal(body.data.pendingAmount, 0);
+    assert.equal(body.data.reimbursedAmountManual, false);
+  });
+
+  it("keeps a reimbursed amount entered by hand", async () => {
+    const { body } = await updateStatus(admin, {
+      status: "approved",
+      reimbursedAmount: 120,
+    });
+
+    assert.equal(expenses[0].status, "approved");
+    assert.equal(body.data.reimbursedAmount, 120);
+    assert.equal(body.data.pendingAmount, 60);
+    assert.equal(body.data.reimbursedAmountManual, true);
+
+    // Later line changes leave the amount alone
+    await report.recalculateAmounts();
+    assert.equal(report.reimbursedAmount, 120);
+  });
+
+  it("rejects a reimbursed amount above the report total", async () => {
+    const { error } = await updateStatus(admin, {
+      status: "approved",
+      reimbursedAmount: 200,
+    });
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(expenses[0].status, "pending");
+  });
+
+  for (const reimbursedAmount of [undefined, 100]) {
+    const path = reimbursedAmount === undefined ? "" : " by hand";
+
+    it(`blocks flagged distances when reimbursing${path}`, async () => {
+      expenses[0].distanceCheck = { flagged: true, deviationPercent: 40 };
+
+      const { error } = await updateStatus(admin, {
+        status: "approved",
+        reimbursedAmount,
+      });
+
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /overrideComment/);
+      assert.equal(expenses[0].status, "pending");
+      assert.equal(Report.findByIdAndUpdate.mock.callCount(), 0);
+    });
+
+    it(`blocks lines violating a hard approval policy when reimbursing${path}`, async () => {
+      policies = [
+        new Policy({
+          name: "Explain large meals",
+          require: { field: "reviewComment", op: "minLength", value: 10 },
+          severity: "hard",
+          stage: "approval",
+        }),
+      ];
+
+      const { error } = await updateStatus(admin, {
+        status: "approved",
+        reimbursedAmount,
+      });
+
+      assert.equal(error.statusCode, 400);
+      assert.match(error.message, /Explain large meals/);
+      assert.equal(expenses[0].status, "pending");
+    });
+  }
+
+  it("moves on to the next step of the approval chain", async () => {
+    report.approvalSteps = [
+      { name: "Finance", approver: "finance" },
+      { name: "Admin", approver: "admin" },
+    ];
+
+    const { status, body } = await updateStatus(finance, {
+      status: "approved",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, "submitted");
+    assert.equal(body.data.currentApprovalStep, 1);
+    assert.equal(body.data.approvalSteps[0].status, "approved");
+    assert.equal(expenses[0].status, "pending");
+    assert.equal(Report.findByIdAndUpdate.mock.callCount(), 0);
+
+    const { error } = await updateStatus(finance, { status: "approved" });
+    assert.equal(error.statusCode, 403);
+  });
+
+  it("requires comments to reject a report", async () => {
+    const { error } = await updateStatus(admin, { status: "rejected" });
+
+    assert.equal(error.statusCode, 400);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import config from "../src/config/config.js";
+import {
+  WEBHOOK_SIGNATURE_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from "../src/utils/webhookSignature.js";
+import { getRetryDelay } from "../src/utils/webhooks.js";
+
+const secret = "whsec_test";
+const body = JSON.stringify({ id: "evt_1", type: "expense.created" });
+const timestamp = 1735689600;
+
+describe("signWebhookPayload", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+    assert.equal(
+      signWebhookPayload(secret, body, timestamp),
+      `t=${timestamp},v1=${expected}`
+    );
+  });
+});
+
+describe("verifyWebhookSignature", () => {
+  const header = signWebhookPayload(secret, body, timestamp);
+
+  it("accepts a recent signature of the body", () => {
+    assert.equal(
+      verifyWebhookSignature(secret, body, header, timestamp + 60),
+      true
+    );
+  });
+
+  it("rejects a changed body or another secret", () => {
+    assert.equal(
+      verifyWebhookSignature(secret, `${body} `, header, timestamp),
+      false
+    );
+    assert.equal(
+      verifyWebhookSignature("whsec_other", body, header, timestamp),
+      false
+    );
+  });
+
+  it("rejects signatures outside the tolerance", () => {
+    assert.equal(
+      verifyWebhookSignature(
+        secret,
+        body,
+        header,
+        timestamp + WEBHOOK_SIGNATURE_TOLERANCE_SECONDS + 1
+      ),
+      false
+    );
+  });
+
+  it("rejects missing or malformed headers", () => {
+    assert.equal(verifyWebhookSignature(secret, body, undefined), false);
+    assert.equal(
+      verifyWebhookSignature(secret, body, `t=${timestamp}`, timestamp),
+      false
+    );
+    assert.equal(
+      verifyWebhookSignature(secret, body, `t=${timestamp},v1=abc`, timestamp),
+      false
+    );
+  });
+});
+
+describe("getRetryDelay", () => {
+  it("doubles the delay with every attempt", () => {
+    const base = config.webhookRetryBaseSeconds * 1000;
+
+    assert.deepEqual([1, 2, 3, 4].map(getRetryDelay), [
+      base,
+      2 * base,
+      4 * base,
+      8 * base,
+    ]);
+  });
+});